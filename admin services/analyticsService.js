@@ -3,6 +3,10 @@
  * Service for admin analytics dashboard - deep insights and performance analytics
  */
 
+// Orders (newest first) whose stage times are measured, and how many are read per events request
+const STAGE_PERFORMANCE_ORDER_LIMIT = 1000;
+const STAGE_PERFORMANCE_BATCH_SIZE = 100;
+
 class AnalyticsService {
     constructor() {
         this.metrics = {
@@ -266,6 +270,9 @@ class AnalyticsService {
                     price,
                     status,
                     created_at,
+                    payment_reference,
+                    payment_status,
+                    payment_ledger,
                     customers (
                         name,
                         phone,
@@ -301,9 +308,8 @@ class AnalyticsService {
                 }
 
                 customerData[customerId].orderCount++;
-                if (order.status === 'completed') {
-                    customerData[customerId].totalRevenue += parseFloat(order.price) || 0;
-                }
+                // Payments received net of refunds (completed price for orders without a ledger)
+                customerData[customerId].totalRevenue += paymentLedgerService.getNetRevenue(order);
                 
                 const orderDate = new Date(order.created_at);
                 if (!customerData[customerId].lastOrderDate || orderDate > customerData[customerId].lastOrderDate) {
@@ -330,134 +336,89 @@ class AnalyticsService {
 
     /**
      * Fetch stage performance metrics
-     * Uses status transitions and updated_at timestamps to calculate stage times
-     * @returns {Promise<Object>} Stage performance data
+     * Stage times come from the `order_status_events` log: the time an order spent in
+     * pending (Sales), in_progress (Production) and to_deliver (Logistics).
+     * The In-Store stage has no status of its own, so it is not measured yet.
+     * The latest orders are measured with their full histories; their events are loaded in
+     * batches so the request URL stays short.
+     * @returns {Promise<Object>} Stage performance data ({ error } is set when it could not be loaded)
      */
     async fetchStagePerformance() {
+        const emptyPerformance = {
+            sales: { avgTime: 0, count: 0 },
+            production: { avgTime: 0, count: 0 },
+            instore: { avgTime: 0, count: 0 },
+            logistics: { avgTime: 0, count: 0 },
+            error: null
+        };
+
         try {
-            // Try to fetch with completed_at, but handle if column doesn't exist
-            let { data: orders, error } = await this.supabase
+            // Creation time marks the start of the Sales stage
+            const { data: orders, error: ordersError } = await this.supabase
                 .from('orders')
-                .select('status, created_at, updated_at, completed_at')
+                .select('id, created_at')
                 .order('created_at', { ascending: false })
-                .limit(1000);
+                .limit(STAGE_PERFORMANCE_ORDER_LIMIT);
 
-            // If error occurs (400 Bad Request, 42703 column doesn't exist, etc.), try without completed_at
-            if (error) {
-                // Try without completed_at
-                const result = await this.supabase
-                    .from('orders')
-                    .select('status, created_at, updated_at')
-                    .order('created_at', { ascending: false })
-                    .limit(1000);
-                
-                if (result.error) {
-                    // If still error, try with just status and created_at
-                    const fallbackResult = await this.supabase
-                        .from('orders')
-                        .select('status, created_at')
-                        .order('created_at', { ascending: false })
-                        .limit(1000);
-                    
-                    if (fallbackResult.error) {
-                        // Silently return empty metrics if all queries fail
-                        return {
-                            sales: { avgTime: 0, count: 0 },
-                            production: { avgTime: 0, count: 0 },
-                            instore: { avgTime: 0, count: 0 },
-                            logistics: { avgTime: 0, count: 0 }
-                        };
-                    }
-                    orders = fallbackResult.data;
-                } else {
-                    orders = result.data;
-                }
-                error = null;
+            if (ordersError) {
+                throw ordersError;
             }
 
-            if (error) {
-                throw error;
-            }
+            const createdAtById = {};
+            (orders || []).forEach(order => {
+                createdAtById[String(order.id)] = order.created_at;
+            });
 
-            const ordersList = orders || [];
-            const stageData = {
-                sales: { times: [], count: 0 },
-                production: { times: [], count: 0 },
-                instore: { times: [], count: 0 },
-                logistics: { times: [], count: 0 }
-            };
+            const orderIds = Object.keys(createdAtById);
+            const eventsByOrder = {};
+            for (let i = 0; i < orderIds.length; i += STAGE_PERFORMANCE_BATCH_SIZE) {
+                const { data: events, error } = await this.supabase
+                    .from('order_status_events')
+                    .select('order_id, from_status, to_status, created_at')
+                    .in('order_id', orderIds.slice(i, i + STAGE_PERFORMANCE_BATCH_SIZE));
 
-            ordersList.forEach(order => {
-                const created = new Date(order.created_at);
-                const updated = order.updated_at ? new Date(order.updated_at) : created;
-                const completed = order.completed_at ? new Date(order.completed_at) : null;
-                
-                // Sales stage: time from creation to first status change (pending -> in_progress)
-                // Approximate as time from created to updated if status is in_progress or beyond
-                if (order.status !== 'pending' && order.status !== 'cancelled') {
-                    const salesTime = updated;
-                    const diff = (salesTime - created) / (1000 * 60 * 60); // hours
-                    if (diff > 0) {
-                        stageData.sales.times.push(diff);
-                        stageData.sales.count++;
-                    }
+                if (error) {
+                    throw error;
                 }
 
-                // Production stage: time in in_progress status
-                // Approximate as time from when status becomes in_progress to when it becomes to_deliver
-                if (order.status === 'to_deliver' || order.status === 'completed') {
-                    // Estimate production time as 50% of time from in_progress to to_deliver
-                    // This is an approximation since we don't have exact stage timestamps
-                    const productionEstimate = (updated - created) * 0.3; // Rough estimate
-                    if (productionEstimate > 0) {
-                        stageData.production.times.push(productionEstimate / (1000 * 60 * 60));
-                        stageData.production.count++;
+                (events || []).forEach(event => {
+                    const key = String(event.order_id);
+                    if (!eventsByOrder[key]) {
+                        eventsByOrder[key] = [];
                     }
-                }
+                    eventsByOrder[key].push(event);
+                });
+            }
 
-                // In-Store and Logistics stages: approximate based on status transitions
-                // These are rough estimates since exact timestamps aren't available
-                if (order.status === 'completed' && completed) {
-                    const totalTime = (completed - created) / (1000 * 60 * 60);
-                    // Estimate instore and logistics as portions of total time
-                    if (totalTime > 0) {
-                        stageData.instore.times.push(totalTime * 0.2); // 20% estimate
-                        stageData.instore.count++;
-                        stageData.logistics.times.push(totalTime * 0.1); // 10% estimate
-                        stageData.logistics.count++;
+            const stageStatuses = {
+                sales: 'pending',
+                production: 'in_progress',
+                logistics: 'to_deliver'
+            };
+            const stageTimes = { sales: [], production: [], instore: [], logistics: [] };
+
+            // Orders with no events yet have not left Sales, so they have no stage times
+            Object.keys(eventsByOrder).forEach(orderId => {
+                const durations = orderEventsService.computeStatusDurations(eventsByOrder[orderId], createdAtById[orderId]);
+                Object.entries(stageStatuses).forEach(([stage, status]) => {
+                    if (durations[status] !== undefined) {
+                        stageTimes[stage].push(durations[status]);
                     }
-                }
+                });
             });
 
-            // Calculate averages
-            const performance = {
-                sales: {
-                    avgTime: this.calculateAverage(stageData.sales.times),
-                    count: stageData.sales.count
-                },
-                production: {
-                    avgTime: this.calculateAverage(stageData.production.times),
-                    count: stageData.production.count
-                },
-                instore: {
-                    avgTime: this.calculateAverage(stageData.instore.times),
-                    count: stageData.instore.count
-                },
-                logistics: {
-                    avgTime: this.calculateAverage(stageData.logistics.times),
-                    count: stageData.logistics.count
-                }
-            };
+            const performance = { error: null };
+            Object.entries(stageTimes).forEach(([stage, times]) => {
+                performance[stage] = {
+                    avgTime: this.calculateAverage(times),
+                    count: times.length
+                };
+            });
 
             return performance;
         } catch (error) {
-            // Silently return empty metrics on error
-            return {
-                sales: { avgTime: 0, count: 0 },
-                production: { avgTime: 0, count: 0 },
-                instore: { avgTime: 0, count: 0 },
-                logistics: { avgTime: 0, count: 0 }
-            };
+            console.error('Error fetching stage performance:', error);
+            return { ...emptyPerformance, error: error.message || 'Unknown error' };
         }
     }
 
@@ -635,24 +596,34 @@ class AnalyticsService {
         const logisticsTimeEl = document.getElementById('analytics-logistics-time');
         const totalTimeEl = document.getElementById('analytics-total-time');
 
-        if (salesTimeEl) {
-            salesTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.sales.avgTime);
-        }
-        if (productionTimeEl) {
-            productionTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.production.avgTime);
-        }
-        if (instoreTimeEl) {
-            instoreTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.instore.avgTime);
-        }
-        if (logisticsTimeEl) {
-            logisticsTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.logistics.avgTime);
-        }
-        if (totalTimeEl) {
-            const total = this.metrics.stagePerformance.sales.avgTime +
-                         this.metrics.stagePerformance.production.avgTime +
-                         this.metrics.stagePerformance.instore.avgTime +
-                         this.metrics.stagePerformance.logistics.avgTime;
-            totalTimeEl.textContent = this.formatTime(total);
+        // A failed load shows as such rather than as zero times
+        if (this.metrics.stagePerformance.error) {
+            [salesTimeEl, productionTimeEl, instoreTimeEl, logisticsTimeEl, totalTimeEl].forEach(el => {
+                if (el) {
+                    el.textContent = 'Failed to load';
+                    el.title = this.metrics.stagePerformance.error;
+                }
+            });
+        } else {
+            if (salesTimeEl) {
+                salesTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.sales.avgTime);
+            }
+            if (productionTimeEl) {
+                productionTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.production.avgTime);
+            }
+            if (instoreTimeEl) {
+                instoreTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.instore.avgTime);
+            }
+            if (logisticsTimeEl) {
+                logisticsTimeEl.textContent = this.formatTime(this.metrics.stagePerformance.logistics.avgTime);
+            }
+            if (totalTimeEl) {
+                const total = this.metrics.stagePerformance.sales.avgTime +
+                             this.metrics.stagePerformance.production.avgTime +
+                             this.metrics.stagePerformance.instore.avgTime +
+                             this.metrics.stagePerformance.logistics.avgTime;
+                totalTimeEl.textContent = this.formatTime(total);
+            }
         }
 
         // Top customers
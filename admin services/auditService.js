@@ -0,0 +1,262 @@
+/**
+ * Audit Service
+ * Admin-only Audit page: the staff writes recorded by AuditLogService, filtered by user, entity
+ * and date, with CSV export of the filtered entries
+ */
+
+const AUDIT_ENTITY_LABELS = {
+    orders: 'Orders',
+    customers: 'Customers',
+    products: 'Products',
+    costs: 'Costs',
+    kanban_tasks: 'Kanban tasks',
+    returns: 'Returns',
+    users: 'Staff',
+    payments: 'Paystack payments',
+    refunds: 'Refunds',
+    mpesa_transactions: 'M-Pesa transactions',
+    failed_orders: 'Failed checkouts',
+    promo_codes: 'Promo codes',
+    delivery_fee_rules: 'Delivery fees',
+    app_settings: 'Settings'
+};
+
+const AUDIT_ACTION_LABELS = {
+    create: { text: 'Created', color: '#38A169' },
+    update: { text: 'Updated', color: '#3182CE' },
+    trash: { text: 'Moved to Trash', color: '#DD6B20' },
+    restore: { text: 'Restored', color: '#38A169' },
+    delete: { text: 'Deleted', color: '#E53E3E' }
+};
+
+// Entries shown (and exported) per search
+const AUDIT_PAGE_LIMIT = 1000;
+
+class AuditService {
+    constructor() {
+        this.supabase = null;
+        this.container = null;
+        this.entries = [];
+        this.staffNames = [];
+        this.filters = { actorName: '', entityType: '', from: '', to: '' };
+    }
+
+    /**
+     * Initialize the audit service and load the latest entries
+     * @param {string} containerId - ID of the container element
+     */
+    async init(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Get Supabase client
+        this.supabase = getSupabaseClient();
+        if (!this.supabase) {
+            console.error('❌ Supabase client not available');
+            return;
+        }
+
+        if (!this.container) {
+            console.error('Container not found:', containerId);
+            return;
+        }
+
+        if (!authService.isAdmin()) {
+            this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #e53e3e;">Only admins can view the audit log.</div>';
+            return;
+        }
+
+        await this.loadStaffNames();
+        await this.load();
+    }
+
+    /**
+     * Load staff names for the user filter
+     */
+    async loadStaffNames() {
+        const { data, error } = await this.supabase
+            .from('users')
+            .select('name')
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Error loading staff for the audit filter:', error);
+        }
+        this.staffNames = [...new Set((data || []).map(user => user.name).filter(Boolean))];
+    }
+
+    /**
+     * Load the entries matching the filters
+     */
+    async load() {
+        this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: rgba(65, 70, 63, 0.6);">Loading audit log...</div>';
+
+        const { entries, error } = await auditLogService.loadEntries(this.supabase, this.filters, AUDIT_PAGE_LIMIT);
+        if (error) {
+            console.error('Error loading audit log:', error);
+            this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #e53e3e;">Failed to load the audit log. Make sure the audit_log table exists.</div>';
+            return;
+        }
+
+        this.entries = entries;
+        this.render();
+    }
+
+    /**
+     * Render the filters and the entries
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            ${this.renderFilters()}
+            <div style="font-size: 13px; color: rgba(65, 70, 63, 0.7); margin-bottom: 12px;">
+                ${this.entries.length === AUDIT_PAGE_LIMIT ? `Showing the latest ${AUDIT_PAGE_LIMIT} entries. Narrow the filters to see older ones.` : `${this.entries.length} entr${this.entries.length !== 1 ? 'ies' : 'y'}`}
+            </div>
+            ${this.entries.length === 0
+                ? '<div style="padding: 20px; color: rgba(65, 70, 63, 0.6); font-size: 14px;">No changes match these filters.</div>'
+                : this.entries.map(entry => this.renderEntry(entry)).join('')}
+        `;
+
+        const form = this.container.querySelector('#audit-filter-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.filters = {
+                actorName: form.querySelector('[name="actorName"]').value,
+                entityType: form.querySelector('[name="entityType"]').value,
+                from: form.querySelector('[name="from"]').value,
+                to: form.querySelector('[name="to"]').value
+            };
+            this.load();
+        });
+        this.container.querySelector('[data-action="reset-audit-filters"]').addEventListener('click', () => {
+            this.filters = { actorName: '', entityType: '', from: '', to: '' };
+            this.load();
+        });
+        this.container.querySelector('[data-action="export-audit"]').addEventListener('click', () => this.exportCsv());
+    }
+
+    /**
+     * Render the filter form
+     * @returns {string} HTML string
+     */
+    renderFilters() {
+        const inputStyle = 'width: 100%; padding: 8px 12px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 8px; background: white; color: #41463F; font-size: 14px;';
+        const labelStyle = 'display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;';
+        const option = (value, label, selected) => `<option value="${htmlService.escape(value)}" ${selected ? 'selected' : ''}>${htmlService.escape(label)}</option>`;
+
+        return `
+            <form id="audit-filter-form" style="padding: 16px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15); margin-bottom: 16px;">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 12px; align-items: end;">
+                    <div>
+                        <label style="${labelStyle}">User</label>
+                        <select name="actorName" style="${inputStyle}">
+                            ${option('', 'All staff', !this.filters.actorName)}
+                            ${this.staffNames.map(name => option(name, name, name === this.filters.actorName)).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="${labelStyle}">Entity</label>
+                        <select name="entityType" style="${inputStyle}">
+                            ${option('', 'Everything', !this.filters.entityType)}
+                            ${Object.entries(AUDIT_ENTITY_LABELS).map(([value, label]) => option(value, label, value === this.filters.entityType)).join('')}
+                        </select>
+                    </div>
+                    <div><label style="${labelStyle}">From</label><input name="from" type="date" value="${htmlService.escape(this.filters.from)}" style="${inputStyle}"></div>
+                    <div><label style="${labelStyle}">To</label><input name="to" type="date" value="${htmlService.escape(this.filters.to)}" style="${inputStyle}"></div>
+                </div>
+                <div style="display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap; margin-top: 12px;">
+                    <button type="button" class="btn btn-outline" data-action="reset-audit-filters">Clear</button>
+                    <button type="button" class="btn btn-outline" data-action="export-audit">Export CSV</button>
+                    <button type="submit" class="btn btn-accept">Apply</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Render one audit entry with its changed fields
+     * @param {Object} entry - audit_log row
+     * @returns {string} HTML string
+     */
+    renderEntry(entry) {
+        const action = AUDIT_ACTION_LABELS[entry.action] || { text: entry.action, color: '#718096' };
+        const changes = Object.entries(entry.changes || {});
+        const escape = (value) => htmlService.escape(value);
+        // Truncated before escaping so an entity is never cut in half
+        const formatValue = (value) => {
+            if (value === null || value === undefined || value === '') return '<span style="color: #A0AEC0;">empty</span>';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return escape(text.length > 80 ? `${text.slice(0, 80)}…` : text);
+        };
+
+        // Creations and deletions list every field of the row, so only the first few are shown
+        const shown = entry.action === 'create' || entry.action === 'delete' ? changes.slice(0, 6) : changes;
+
+        return `
+            <div style="padding: 14px 16px; margin-bottom: 10px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <span style="display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: white; background: ${action.color};">${escape(action.text)}</span>
+                        <strong style="color: #2d3748; margin-left: 6px;">${escape(AUDIT_ENTITY_LABELS[entry.entity_type] || entry.entity_type)}</strong>
+                        <span style="font-size: 12px; color: #718096;">${escape(entry.entity_id)}</span>
+                    </div>
+                    <div style="font-size: 12px; color: #718096; text-align: right;">
+                        ${escape(entry.actor_name || 'Unknown')}${entry.actor_role ? ` (${escape(entry.actor_role)})` : ''} · ${escape(this.formatDate(entry.created_at))}
+                    </div>
+                </div>
+                <div style="margin-top: 8px; font-size: 13px; color: #4a5568;">
+                    ${shown.map(([field, change]) => `
+                        <div style="margin-bottom: 2px; word-break: break-word;">
+                            <strong>${escape(field)}</strong>: ${formatValue(change.before)} → ${formatValue(change.after)}
+                        </div>
+                    `).join('')}
+                    ${shown.length < changes.length ? `<div style="color: #718096;">and ${changes.length - shown.length} more field${changes.length - shown.length !== 1 ? 's' : ''} (see CSV export)</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {string} value - ISO timestamp
+     * @returns {string} Formatted date
+     */
+    formatDate(value) {
+        if (!value) return 'Unknown';
+        return new Date(value).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Download the filtered entries as CSV
+     */
+    exportCsv() {
+        if (this.entries.length === 0) {
+            notificationService.warning('There are no entries to export');
+            return;
+        }
+
+        const blob = new Blob([auditLogService.toCsv(this.entries)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Create global instance
+const auditService = new AuditService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditService;
+}
@@ -38,6 +38,7 @@ class CostsService {
             const { data: costs, error } = await this.supabase
                 .from('costs')
                 .select('amount')
+                .is('deleted_at', null)
                 .gte('cost_date', monthStartStr)
                 .lte('cost_date', monthEndStr);
 
@@ -85,6 +86,7 @@ class CostsService {
             let query = this.supabase
                 .from('costs')
                 .select('*')
+                .is('deleted_at', null)
                 .gte('cost_date', monthStartStr)
                 .lte('cost_date', monthEndStr);
 
@@ -176,16 +178,13 @@ class CostsService {
     }
 
     /**
-     * Delete a cost
+     * Delete a cost (moves it to the Trash)
      * @param {string} costId - Cost ID
      * @returns {Promise<Object>} Result object with success status
      */
     async deleteCost(costId) {
         try {
-            const { error } = await this.supabase
-                .from('costs')
-                .delete()
-                .eq('id', costId);
+            const { error } = await softDeleteService.softDelete(this.supabase, 'cost', costId);
 
             if (error) {
                 console.error('Error deleting cost:', error);
@@ -197,7 +196,7 @@ class CostsService {
 
             return {
                 success: true,
-                message: 'Cost deleted successfully'
+                message: 'Cost moved to the Trash'
             };
         } catch (error) {
             console.error('Error in deleteCost:', error);
@@ -0,0 +1,290 @@
+/**
+ * Delivery Fees Service
+ * Admin management of the delivery fee rules (`delivery_fee_rules` table) the order functions use
+ * to quote delivery in the customer form's cart and add it to the Paystack amount
+ *
+ * Rule types, per delivery option:
+ * - flat: one fee for the option
+ * - zone: fee for locations up to a distance (km) from the store
+ * - agent: a Pick Up Mtaani agent's location and price; customers pay the nearest agent's price
+ */
+
+const DELIVERY_FEE_RULES_TABLE = 'delivery_fee_rules';
+
+const DELIVERY_FEE_OPTIONS = {
+    'uber': 'Uber',
+    'pickup-mtaani': 'Pick Up Mtaani',
+    'courier': 'Courier',
+    'in-store-pickup': 'In Store Pick Up'
+};
+
+const DELIVERY_FEE_RULE_TYPES = {
+    flat: 'Flat fee',
+    zone: 'Distance zone',
+    agent: 'Pick Up Mtaani agent'
+};
+
+class DeliveryFeesService {
+    constructor() {
+        this.supabase = null;
+        this.container = null;
+        this.rules = [];
+    }
+
+    /**
+     * Initialize the delivery fees service and load the rules
+     * @param {string} containerId - ID of the container element
+     */
+    async init(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Get Supabase client
+        this.supabase = getSupabaseClient();
+        if (!this.supabase) {
+            console.error('❌ Supabase client not available');
+            return;
+        }
+
+        if (!this.container) {
+            console.error('Container not found:', containerId);
+            return;
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Load all delivery fee rules
+     */
+    async load() {
+        this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: rgba(65, 70, 63, 0.6);">Loading delivery fees...</div>';
+
+        try {
+            const { data, error } = await this.supabase
+                .from(DELIVERY_FEE_RULES_TABLE)
+                .select('*')
+                .order('fee', { ascending: true });
+
+            if (error) throw error;
+
+            this.rules = data || [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading delivery fee rules:', error);
+            this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #e53e3e;">Failed to load delivery fees. Make sure the delivery_fee_rules table exists.</div>';
+        }
+    }
+
+    /**
+     * Render the new rule form and the rules grouped by delivery option
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            ${this.renderForm()}
+            ${Object.entries(DELIVERY_FEE_OPTIONS).map(([option, label]) => this.renderOption(option, label)).join('')}
+        `;
+
+        const form = this.container.querySelector('#delivery-fee-form');
+        const typeSelect = form.querySelector('[name="rule_type"]');
+        const updateFields = () => {
+            form.querySelector('[data-field="zone"]').style.display = typeSelect.value === 'zone' ? 'block' : 'none';
+            form.querySelectorAll('[data-field="agent"]').forEach(field => {
+                field.style.display = typeSelect.value === 'agent' ? 'block' : 'none';
+            });
+        };
+        typeSelect.addEventListener('change', updateFields);
+        updateFields();
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addRule(form);
+        });
+        this.container.querySelectorAll('[data-action="toggle-rule"]').forEach(button => {
+            button.addEventListener('click', () => this.toggleActive(button.dataset.id));
+        });
+        this.container.querySelectorAll('[data-action="delete-rule"]').forEach(button => {
+            button.addEventListener('click', () => this.deleteRule(button.dataset.id));
+        });
+    }
+
+    /**
+     * Render the form for adding a rule
+     * @returns {string} HTML string
+     */
+    renderForm() {
+        const inputStyle = 'width: 100%; padding: 8px 12px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 8px; background: white; color: #41463F; font-size: 14px;';
+        const labelStyle = 'display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;';
+        const options = (values) => Object.entries(values).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+        return `
+            <form id="delivery-fee-form" style="padding: 16px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15); margin-bottom: 24px;">
+                <h3 style="font-size: 18px; font-weight: 600; color: #41463F; margin: 0 0 12px 0;">Add a rule</h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 12px;">
+                    <div><label style="${labelStyle}">Delivery option *</label><select name="delivery_option" style="${inputStyle}">${options(DELIVERY_FEE_OPTIONS)}</select></div>
+                    <div><label style="${labelStyle}">Rule type *</label><select name="rule_type" style="${inputStyle}">${options(DELIVERY_FEE_RULE_TYPES)}</select></div>
+                    <div><label style="${labelStyle}">Name</label><input name="name" placeholder="e.g. CBD, Westlands agent" style="${inputStyle}"></div>
+                    <div><label style="${labelStyle}">Fee (KES) *</label><input name="fee" type="number" min="0" step="any" required style="${inputStyle}"></div>
+                    <div data-field="zone"><label style="${labelStyle}">Up to (km from store) *</label><input name="max_distance_km" type="number" min="0.1" step="any" style="${inputStyle}"></div>
+                    <div data-field="agent"><label style="${labelStyle}">Agent latitude *</label><input name="latitude" type="number" step="any" placeholder="-1.2833" style="${inputStyle}"></div>
+                    <div data-field="agent"><label style="${labelStyle}">Agent longitude *</label><input name="longitude" type="number" step="any" placeholder="36.8185" style="${inputStyle}"></div>
+                </div>
+                <div style="margin-top: 16px;">
+                    <button type="submit" class="btn btn-accept">Add Rule</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Render one delivery option's rules
+     * @param {string} option - Delivery option value
+     * @param {string} label - Display name
+     * @returns {string} HTML string
+     */
+    renderOption(option, label) {
+        const rules = this.rules.filter(rule => rule.delivery_option === option);
+        const describe = (rule) => {
+            if (rule.rule_type === 'zone') return `Up to ${Number(rule.max_distance_km)} km from the store`;
+            if (rule.rule_type === 'agent') return `Agent at ${rule.latitude}, ${rule.longitude}`;
+            return 'Any location';
+        };
+
+        return `
+            <div style="margin-bottom: 24px;">
+                <h3 style="font-size: 18px; font-weight: 600; color: #41463F; margin: 0 0 12px 0;">${label} <span style="font-size: 14px; color: rgba(65, 70, 63, 0.6);">(${rules.length})</span></h3>
+                ${rules.length === 0
+                    ? '<div style="padding: 12px 0; color: rgba(65, 70, 63, 0.6); font-size: 14px;">No rules: delivery is free.</div>'
+                    : rules.map(rule => `
+                        <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; flex-wrap: wrap; padding: 12px 16px; margin-bottom: 8px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);${rule.active ? '' : ' opacity: 0.6;'}">
+                            <div>
+                                <div style="font-weight: 600; color: #2d3748;">${rule.name || DELIVERY_FEE_RULE_TYPES[rule.rule_type] || rule.rule_type}${rule.active ? '' : ' <span style="font-size: 12px; color: #718096;">(inactive)</span>'}</div>
+                                <div style="font-size: 13px; color: #718096;">${DELIVERY_FEE_RULE_TYPES[rule.rule_type] || rule.rule_type} · ${describe(rule)}</div>
+                            </div>
+                            <div style="display: flex; align-items: center; gap: 8px;">
+                                <span style="font-weight: 700; color: #1B4D3E; margin-right: 8px;">KES ${Number(rule.fee || 0).toLocaleString()}</span>
+                                <button class="btn btn-outline" data-action="toggle-rule" data-id="${rule.id}">${rule.active ? 'Deactivate' : 'Activate'}</button>
+                                <button class="btn btn-deny" data-action="delete-rule" data-id="${rule.id}">Delete</button>
+                            </div>
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Add a rule from the form
+     * @param {HTMLFormElement} form - The rule form
+     */
+    async addRule(form) {
+        const data = new FormData(form);
+        const numberOrNull = (name) => {
+            const value = String(data.get(name) || '').trim();
+            return value === '' ? null : Number(value);
+        };
+
+        const ruleType = data.get('rule_type');
+        const rule = {
+            delivery_option: data.get('delivery_option'),
+            rule_type: ruleType,
+            name: String(data.get('name') || '').trim() || null,
+            fee: numberOrNull('fee'),
+            max_distance_km: ruleType === 'zone' ? numberOrNull('max_distance_km') : null,
+            latitude: ruleType === 'agent' ? numberOrNull('latitude') : null,
+            longitude: ruleType === 'agent' ? numberOrNull('longitude') : null,
+            active: true
+        };
+
+        if (!(rule.fee >= 0)) {
+            notificationService.error('Enter a fee of 0 or more');
+            return;
+        }
+        if (ruleType === 'zone' && !(rule.max_distance_km > 0)) {
+            notificationService.error('Enter the zone distance in km');
+            return;
+        }
+        if (ruleType === 'agent' && (!Number.isFinite(rule.latitude) || !Number.isFinite(rule.longitude))) {
+            notificationService.error("Enter the agent's latitude and longitude");
+            return;
+        }
+        if (ruleType === 'flat' && this.rules.some(r => r.active && r.rule_type === 'flat' && r.delivery_option === rule.delivery_option)) {
+            notificationService.error(`${DELIVERY_FEE_OPTIONS[rule.delivery_option]} already has a flat fee. Deactivate it first.`);
+            return;
+        }
+
+        try {
+            const { error } = await this.supabase.from(DELIVERY_FEE_RULES_TABLE).insert(rule);
+            if (error) throw error;
+
+            notificationService.success('Delivery fee rule added');
+            await this.load();
+        } catch (error) {
+            console.error('Error adding delivery fee rule:', error);
+            notificationService.error(`Failed to add rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Activate or deactivate a rule
+     * @param {string} id - Rule ID
+     */
+    async toggleActive(id) {
+        const rule = this.rules.find(r => String(r.id) === String(id));
+        if (!rule) return;
+
+        try {
+            const { error } = await this.supabase
+                .from(DELIVERY_FEE_RULES_TABLE)
+                .update({ active: !rule.active })
+                .eq('id', id);
+
+            if (error) throw error;
+
+            notificationService.success(`Rule ${rule.active ? 'deactivated' : 'activated'}`);
+            await this.load();
+        } catch (error) {
+            console.error('Error updating delivery fee rule:', error);
+            notificationService.error(`Failed to update rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a rule after confirmation
+     * @param {string} id - Rule ID
+     */
+    async deleteRule(id) {
+        const rule = this.rules.find(r => String(r.id) === String(id));
+        if (!rule) return;
+
+        const confirmed = await notificationService.confirm(`Delete the ${DELIVERY_FEE_OPTIONS[rule.delivery_option] || rule.delivery_option} rule "${rule.name || DELIVERY_FEE_RULE_TYPES[rule.rule_type]}"?`, {
+            title: 'Delete Rule',
+            confirmLabel: 'Delete',
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            const { error } = await this.supabase
+                .from(DELIVERY_FEE_RULES_TABLE)
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            notificationService.success('Delivery fee rule deleted');
+            await this.load();
+        } catch (error) {
+            console.error('Error deleting delivery fee rule:', error);
+            notificationService.error(`Failed to delete rule: ${error.message}`);
+        }
+    }
+}
+
+// Create global instance
+const deliveryFeesService = new DeliveryFeesService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeliveryFeesService;
+}
@@ -46,6 +46,7 @@ class KanbanService {
             const { data: tasks, error } = await this.supabase
                 .from('kanban_tasks')
                 .select('id, title, description, status, priority, position, created_at, updated_at')
+                .is('deleted_at', null)
                 .order('created_at', { ascending: false });
 
             if (error) {
@@ -180,7 +181,7 @@ class KanbanService {
     }
 
     /**
-     * Delete a task
+     * Delete a task (moves it to the Trash)
      * @param {string} taskId - Task ID
      * @returns {Promise<Object>} Result object
      */
@@ -190,10 +191,7 @@ class KanbanService {
                 throw new Error('Supabase client not initialized');
             }
 
-            const { error } = await this.supabase
-                .from('kanban_tasks')
-                .delete()
-                .eq('id', taskId);
+            const { error } = await softDeleteService.softDelete(this.supabase, 'kanban_task', taskId);
 
             if (error) {
                 throw error;
@@ -228,6 +226,7 @@ class KanbanService {
                 .from('kanban_tasks')
                 .select('position')
                 .eq('status', status)
+                .is('deleted_at', null)
                 .order('position', { ascending: false })
                 .limit(1);
 
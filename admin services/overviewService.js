@@ -126,10 +126,9 @@ class OverviewService {
             // Calculate total orders (all orders, not just this month)
             const totalOrders = allOrdersList.length;
 
-            // Calculate total revenue (only from completed orders, all time)
-            const completedOrders = allOrdersList.filter(order => order.status === 'completed');
-            const totalRevenue = completedOrders.reduce((sum, order) => {
-                return sum + (parseFloat(order.price) || 0);
+            // Calculate total revenue (payments received net of refunds, all time)
+            const totalRevenue = allOrdersList.reduce((sum, order) => {
+                return sum + paymentLedgerService.getNetRevenue(order);
             }, 0);
 
             // Calculate most ordered item - handle both JSONB items array and single product
@@ -0,0 +1,523 @@
+/**
+ * Payments Service
+ * Admin reconciliation of Paystack payments (recorded by the paystack-webhook function in the
+ * `payments` table) against orders: payments with no order and Paystack orders with no payment
+ *
+ * In-house M-Pesa orders are verified against `mpesa_transactions` (Daraja C2B callbacks, or
+ * statement CSVs imported here): mismatched and unverified orders, reused codes and payments
+ * received with no order
+ *
+ * Refunds issued when staff deny paid orders are listed last, with the payment each returns
+ */
+
+const PAYMENTS_TABLE = 'payments';
+
+class PaymentsService {
+    constructor() {
+        this.supabase = null;
+        this.container = null;
+        this.orphanPayments = [];
+        this.unpaidOrders = [];
+        this.mpesaOrders = [];
+        this.mpesaTransactions = [];
+        this.mpesaError = null;
+        this.refunds = [];
+        this.refundsError = null;
+    }
+
+    /**
+     * Initialize the payments service and load the reconciliation lists
+     * @param {string} containerId - ID of the container element
+     */
+    async init(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Get Supabase client
+        this.supabase = getSupabaseClient();
+        if (!this.supabase) {
+            console.error('❌ Supabase client not available');
+            return;
+        }
+
+        if (!this.container) {
+            console.error('Container not found:', containerId);
+            return;
+        }
+
+        await this.load();
+    }
+
+    /**
+     * Load payments without an order and Paystack orders without a recorded payment
+     * Orders are only checked from the first recorded payment on, since older orders were
+     * placed before the webhook existed.
+     */
+    async load() {
+        this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: rgba(65, 70, 63, 0.6);">Loading payments...</div>';
+
+        try {
+            const { data: payments, error: paymentsError } = await this.supabase
+                .from(PAYMENTS_TABLE)
+                .select('*')
+                .order('paid_at', { ascending: false });
+
+            if (paymentsError) throw paymentsError;
+
+            const allPayments = payments || [];
+            const paidReferences = new Set(allPayments.map(payment => payment.reference));
+            this.orphanPayments = allPayments.filter(payment => !payment.order_id);
+            this.unpaidOrders = [];
+
+            const firstRecorded = allPayments.reduce((earliest, payment) => {
+                const recordedAt = payment.created_at || payment.paid_at;
+                return recordedAt && (!earliest || recordedAt < earliest) ? recordedAt : earliest;
+            }, null);
+
+            if (firstRecorded) {
+                const { data: orders, error: ordersError } = await this.supabase
+                    .from('orders')
+                    .select('id, order_number, status, price, payment_reference, created_at, customers (name, phone)')
+                    .eq('payment_option', 'paystack')
+                    .is('deleted_at', null)
+                    .gte('created_at', firstRecorded)
+                    .order('created_at', { ascending: false });
+
+                if (ordersError) throw ordersError;
+
+                this.unpaidOrders = (orders || []).filter(order => !order.payment_reference || !paidReferences.has(order.payment_reference));
+            }
+
+            await this.loadMpesa();
+            await this.loadRefunds();
+            this.render();
+        } catch (error) {
+            console.error('Error loading payments:', error);
+            this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #e53e3e;">Failed to load payments. Make sure the payments table exists.</div>';
+        }
+    }
+
+    /**
+     * Load in-house M-Pesa orders and the recorded M-Pesa transactions
+     * Failures only hide the M-Pesa section, since the table may not exist yet.
+     */
+    async loadMpesa() {
+        this.mpesaError = null;
+
+        try {
+            const [{ data: orders, error: ordersError }, { data: transactions, error: transactionsError }] = await Promise.all([
+                this.supabase
+                    .from('orders')
+                    .select('id, order_number, status, price, payment_reference, payment_status, created_at, customers (name, phone)')
+                    .eq('payment_option', 'mpesa')
+                    .is('deleted_at', null)
+                    .order('created_at', { ascending: false }),
+                this.supabase
+                    .from(MPESA_TRANSACTIONS_TABLE)
+                    .select('*')
+                    .order('transacted_at', { ascending: false })
+            ]);
+
+            if (ordersError) throw ordersError;
+            if (transactionsError) throw transactionsError;
+
+            this.mpesaOrders = orders || [];
+            this.mpesaTransactions = transactions || [];
+        } catch (error) {
+            console.error('Error loading M-Pesa payments:', error);
+            this.mpesaOrders = [];
+            this.mpesaTransactions = [];
+            this.mpesaError = 'Failed to load M-Pesa payments. Make sure the mpesa_transactions table exists.';
+        }
+    }
+
+    /**
+     * Load the refunds issued on denied orders
+     * Failures only hide the Refunds section, since the table may not exist yet.
+     */
+    async loadRefunds() {
+        const { refunds, error } = await refundService.loadRefunds(this.supabase);
+        if (error) {
+            console.error('Error loading refunds:', error);
+        }
+        this.refunds = error ? [] : refunds;
+        this.refundsError = error ? 'Failed to load refunds. Make sure the refunds table exists.' : null;
+    }
+
+    /**
+     * Format a timestamp for display
+     * @param {string} value - ISO timestamp
+     * @returns {string} Formatted date
+     */
+    formatDate(value) {
+        if (!value) return 'Unknown';
+        return new Date(value).toLocaleString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Render both reconciliation lists
+     */
+    render() {
+        if (!this.container) return;
+
+        const sectionTitle = (title, count) => `
+            <h3 style="font-size: 18px; font-weight: 600; color: #41463F; margin: 0 0 12px 0;">${title} <span style="font-size: 14px; color: rgba(65, 70, 63, 0.6);">(${count})</span></h3>
+        `;
+        const emptyState = (message) => `
+            <div style="padding: 20px; color: rgba(65, 70, 63, 0.6); font-size: 14px;">${message}</div>
+        `;
+
+        this.container.innerHTML = `
+            <div style="display: flex; justify-content: flex-end; margin-bottom: 12px;">
+                <button class="btn btn-outline" data-action="refresh-payments">Refresh</button>
+            </div>
+            <div style="margin-bottom: 32px;">
+                ${sectionTitle('Payments without an order', this.orphanPayments.length)}
+                ${this.orphanPayments.length === 0 ? emptyState('Every recorded payment has an order.') : this.orphanPayments.map(payment => this.renderPayment(payment)).join('')}
+            </div>
+            <div>
+                ${sectionTitle('Paystack orders without a payment', this.unpaidOrders.length)}
+                ${this.unpaidOrders.length === 0 ? emptyState('Every Paystack order has a recorded payment.') : this.unpaidOrders.map(order => this.renderUnpaidOrder(order)).join('')}
+            </div>
+            ${this.renderMpesaSection(sectionTitle, emptyState)}
+            ${this.renderRefundsSection(sectionTitle, emptyState)}
+        `;
+
+        this.container.querySelector('[data-action="refresh-payments"]').addEventListener('click', () => this.load());
+        this.container.querySelectorAll('[data-action="link-payment"]').forEach(button => {
+            button.addEventListener('click', () => this.linkPaymentToOrder(button.dataset.reference));
+        });
+
+        const statementInput = this.container.querySelector('#mpesa-statement-input');
+        if (statementInput) {
+            statementInput.addEventListener('change', () => {
+                if (statementInput.files[0]) this.importMpesaStatement(statementInput.files[0]);
+            });
+            this.container.querySelector('[data-action="reconcile-mpesa"]').addEventListener('click', () => this.reconcileMpesa());
+        }
+        this.container.querySelectorAll('[data-action="accept-mpesa"]').forEach(button => {
+            button.addEventListener('click', () => this.acceptMpesaPayment(button.dataset.id));
+        });
+    }
+
+    /**
+     * Render the in-house M-Pesa verification lists
+     * @param {Function} sectionTitle - Section heading renderer
+     * @param {Function} emptyState - Empty list renderer
+     * @returns {string} HTML string
+     */
+    renderMpesaSection(sectionTitle, emptyState) {
+        if (this.mpesaError) {
+            return `<div style="margin-top: 32px; padding: 20px; color: #e53e3e; font-size: 14px;">${this.mpesaError}</div>`;
+        }
+
+        const codeOf = (order) => mpesaReconciliationService.normalizeCode(order.payment_reference);
+        const transactionsByCode = new Map(this.mpesaTransactions.map(transaction => [transaction.code, transaction]));
+        const codeCounts = {};
+        this.mpesaOrders.forEach(order => {
+            if (order.payment_reference) codeCounts[codeOf(order)] = (codeCounts[codeOf(order)] || 0) + 1;
+        });
+        const orderCodes = new Set(Object.keys(codeCounts));
+
+        const mismatched = this.mpesaOrders.filter(order => order.payment_status === 'mismatch');
+        const unverified = this.mpesaOrders.filter(order => order.payment_status === 'pending' || !order.payment_status);
+        const reused = this.mpesaOrders.filter(order => order.payment_reference && codeCounts[codeOf(order)] > 1);
+        const unmatched = this.mpesaTransactions.filter(transaction => !transaction.order_id && !orderCodes.has(transaction.code));
+
+        return `
+            <div style="margin-top: 40px; padding-top: 24px; border-top: 1px solid rgba(65, 70, 63, 0.15);">
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; flex-wrap: wrap; margin-bottom: 20px;">
+                    <h3 style="font-size: 20px; font-weight: 600; color: #41463F; margin: 0;">In-house M-Pesa</h3>
+                    <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                        <label class="btn btn-outline" style="cursor: pointer;">
+                            Import Statement CSV
+                            <input type="file" id="mpesa-statement-input" accept=".csv,text/csv" style="display: none;">
+                        </label>
+                        <button class="btn btn-accept" data-action="reconcile-mpesa">Reconcile Now</button>
+                    </div>
+                </div>
+                <div style="margin-bottom: 32px;">
+                    ${sectionTitle('Amount mismatches', mismatched.length)}
+                    ${mismatched.length === 0 ? emptyState('No M-Pesa payment differs from its order total.') : mismatched.map(order => this.renderMpesaOrder(order, transactionsByCode.get(codeOf(order)), true)).join('')}
+                </div>
+                <div style="margin-bottom: 32px;">
+                    ${sectionTitle('Codes used on more than one order', reused.length)}
+                    ${reused.length === 0 ? emptyState('Every M-Pesa code is used on one order only.') : reused.map(order => this.renderMpesaOrder(order, transactionsByCode.get(codeOf(order)), false)).join('')}
+                </div>
+                <div style="margin-bottom: 32px;">
+                    ${sectionTitle('Unverified orders', unverified.length)}
+                    ${unverified.length === 0 ? emptyState('Every in-house M-Pesa order is verified.') : unverified.map(order => this.renderMpesaOrder(order, null, true)).join('')}
+                </div>
+                <div>
+                    ${sectionTitle('M-Pesa payments without an order', unmatched.length)}
+                    ${unmatched.length === 0 ? emptyState('Every M-Pesa payment received matches an order.') : unmatched.map(transaction => this.renderMpesaTransaction(transaction)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one in-house M-Pesa order
+     * @param {Object} order - orders row with customers
+     * @param {Object|null} transaction - Its mpesa_transactions row, if received
+     * @param {boolean} canAccept - Show the "Mark Verified" action
+     * @returns {string} HTML string
+     */
+    renderMpesaOrder(order, transaction, canAccept) {
+        const customer = Array.isArray(order.customers) ? order.customers[0] : order.customers;
+        const borderColor = order.payment_status === 'mismatch' ? 'rgba(229, 62, 62, 0.25)' : 'rgba(237, 137, 54, 0.3)';
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid ${borderColor};">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 600; color: #2d3748;">${customer ? customer.name : 'Unknown customer'}</div>
+                        <div style="font-size: 13px; color: #718096;">${order.order_number || order.id}${customer && customer.phone ? ` · ${customer.phone}` : ''}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #1B4D3E;">KES ${Number(order.price || 0).toLocaleString()}</div>
+                        <div style="font-size: 12px; color: #718096;">${this.formatDate(order.created_at)}</div>
+                    </div>
+                </div>
+                <div style="font-size: 13px; color: #4a5568; margin-top: 8px;">M-Pesa code: <strong>${mpesaReconciliationService.normalizeCode(order.payment_reference)}</strong> · ${orderLifecycleService.formatStatus(order.status)} · Payment ${order.payment_status === 'pending' || !order.payment_status ? 'unverified' : order.payment_status}</div>
+                ${transaction ? `<div style="font-size: 12px; color: ${order.payment_status === 'mismatch' ? '#C53030' : '#718096'}; margin-top: 4px;">Received KES ${Number(transaction.amount || 0).toLocaleString()}${transaction.payer_name ? ` from ${transaction.payer_name}` : ''} on ${this.formatDate(transaction.transacted_at)}</div>` : ''}
+                ${canAccept ? `
+                    <div style="margin-top: 10px;">
+                        <button class="btn btn-accept" data-action="accept-mpesa" data-id="${order.id}">Mark Verified</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one M-Pesa payment no order uses
+     * @param {Object} transaction - mpesa_transactions row
+     * @returns {string} HTML string
+     */
+    renderMpesaTransaction(transaction) {
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 600; color: #2d3748;">${transaction.payer_name || 'Unknown payer'}</div>
+                        <div style="font-size: 13px; color: #718096;">${[transaction.phone, transaction.account_reference].filter(Boolean).join(' · ')}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #1B4D3E;">KES ${Number(transaction.amount || 0).toLocaleString()}</div>
+                        <div style="font-size: 12px; color: #718096;">${this.formatDate(transaction.transacted_at || transaction.created_at)}</div>
+                    </div>
+                </div>
+                <div style="font-size: 13px; color: #4a5568; margin-top: 8px;">M-Pesa code: <strong>${transaction.code}</strong> · ${transaction.source === 'c2b' ? 'Daraja callback' : 'Statement import'}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the refunds list
+     * @param {Function} sectionTitle - Section heading renderer
+     * @param {Function} emptyState - Empty list renderer
+     * @returns {string} HTML string
+     */
+    renderRefundsSection(sectionTitle, emptyState) {
+        if (this.refundsError) {
+            return `<div style="margin-top: 32px; padding: 20px; color: #e53e3e; font-size: 14px;">${this.refundsError}</div>`;
+        }
+
+        return `
+            <div style="margin-top: 40px; padding-top: 24px; border-top: 1px solid rgba(65, 70, 63, 0.15);">
+                ${sectionTitle('Refunds', this.refunds.length)}
+                ${this.refunds.length === 0 ? emptyState('No refunds have been issued.') : this.refunds.map(refund => this.renderRefund(refund)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one refund
+     * @param {Object} refund - refunds row with its order
+     * @returns {string} HTML string
+     */
+    renderRefund(refund) {
+        const order = Array.isArray(refund.orders) ? refund.orders[0] : refund.orders;
+        const customer = order ? (Array.isArray(order.customers) ? order.customers[0] : order.customers) : null;
+        const statusColor = refund.status === 'failed' ? '#C53030' : (refund.status === 'processed' || refund.status === 'recorded' ? '#38A169' : '#D69E2E');
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 600; color: #2d3748;">${customer ? customer.name : 'Unknown customer'}</div>
+                        <div style="font-size: 13px; color: #718096;">${order ? order.order_number : refund.order_id}${refund.reason ? ` · ${refund.reason}` : ''}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #C53030;">-KES ${Number(refund.amount || 0).toLocaleString()}</div>
+                        <div style="font-size: 12px; color: #718096;">${this.formatDate(refund.created_at)}</div>
+                    </div>
+                </div>
+                <div style="font-size: 13px; color: #4a5568; margin-top: 8px;">${PAYMENT_METHODS[refund.method] || refund.method} payment <strong>${refund.payment_reference || 'Unknown'}</strong> · <span style="color: ${statusColor}; font-weight: 600;">${refund.status}</span> · by ${refund.created_by || 'Unknown'}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Import an M-Pesa statement CSV and reconcile its payments
+     * @param {File} file - Statement CSV
+     */
+    async importMpesaStatement(file) {
+        try {
+            const result = await mpesaReconciliationService.importStatement(await file.text());
+            notificationService.success(`Imported ${result.imported} M-Pesa payment${result.imported !== 1 ? 's' : ''}: ${result.verified} verified, ${result.mismatch} mismatched, ${result.unmatched} without an order`);
+            await this.load();
+        } catch (error) {
+            console.error('Error importing M-Pesa statement:', error);
+            notificationService.error(`Failed to import statement: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reconcile every unverified or mismatched in-house M-Pesa order
+     */
+    async reconcileMpesa() {
+        try {
+            const result = await mpesaReconciliationService.reconcile();
+            notificationService.success(`Reconciled ${result.results.length} M-Pesa code${result.results.length !== 1 ? 's' : ''}: ${result.verified} verified, ${result.mismatch} mismatched, ${result.pending} still unverified`);
+            await this.load();
+        } catch (error) {
+            console.error('Error reconciling M-Pesa payments:', error);
+            notificationService.error(`Failed to reconcile: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark an in-house M-Pesa order's payment verified after checking it by hand
+     * @param {string} id - Order ID
+     */
+    async acceptMpesaPayment(id) {
+        const order = this.mpesaOrders.find(o => String(o.id) === String(id));
+        if (!order) return;
+
+        const confirmed = await notificationService.confirm(`Mark the M-Pesa payment for ${order.order_number || order.id} as verified? Reconciliation will no longer change it.`, {
+            title: 'Verify Payment',
+            confirmLabel: 'Mark Verified'
+        });
+        if (!confirmed) return;
+
+        try {
+            const { error } = await this.supabase
+                .from('orders')
+                .update({ payment_status: 'verified' })
+                .eq('id', id);
+
+            if (error) throw error;
+
+            notificationService.success('Payment marked verified');
+            await this.load();
+        } catch (error) {
+            console.error('Error verifying M-Pesa payment:', error);
+            notificationService.error(`Failed to update payment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render one payment that has no order
+     * @param {Object} payment - payments row
+     * @returns {string} HTML string
+     */
+    renderPayment(payment) {
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid rgba(229, 62, 62, 0.25);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 600; color: #2d3748;">${payment.customer_name || payment.customer_email || 'Unknown customer'}</div>
+                        <div style="font-size: 13px; color: #718096;">${[payment.customer_phone, payment.customer_email].filter(Boolean).join(' · ')}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #1B4D3E;">${payment.currency || 'KES'} ${Number(payment.amount || 0).toLocaleString()}</div>
+                        <div style="font-size: 12px; color: #718096;">${this.formatDate(payment.paid_at || payment.created_at)}</div>
+                    </div>
+                </div>
+                <div style="font-size: 13px; color: #4a5568; margin-top: 8px;">Reference: <strong>${payment.reference}</strong>${payment.channel ? ` · ${payment.channel}` : ''}</div>
+                ${payment.order_error ? `<div style="font-size: 12px; color: #C53030; margin-top: 4px;">${payment.order_error}</div>` : ''}
+                <div style="margin-top: 10px;">
+                    <button class="btn btn-accept" data-action="link-payment" data-reference="${payment.reference}">Link to Order</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one Paystack order that has no recorded payment
+     * @param {Object} order - orders row with customers
+     * @returns {string} HTML string
+     */
+    renderUnpaidOrder(order) {
+        const customer = Array.isArray(order.customers) ? order.customers[0] : order.customers;
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid rgba(237, 137, 54, 0.3);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 600; color: #2d3748;">${customer ? customer.name : 'Unknown customer'}</div>
+                        <div style="font-size: 13px; color: #718096;">${order.order_number || order.id}${customer && customer.phone ? ` · ${customer.phone}` : ''}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #1B4D3E;">KES ${Number(order.price || 0).toLocaleString()}</div>
+                        <div style="font-size: 12px; color: #718096;">${this.formatDate(order.created_at)}</div>
+                    </div>
+                </div>
+                <div style="font-size: 13px; color: #4a5568; margin-top: 8px;">Reference: <strong>${order.payment_reference || 'None'}</strong> · ${orderLifecycleService.formatStatus(order.status)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Link an orphan payment to an existing order, found by order number
+     * @param {string} reference - Payment reference
+     */
+    async linkPaymentToOrder(reference) {
+        const orderNumber = await notificationService.prompt(`Enter the order number to link payment ${reference} to.`, {
+            title: 'Link Payment',
+            confirmLabel: 'Link',
+            placeholder: 'ORD-20250101-12345678',
+            required: true
+        });
+        if (!orderNumber) return;
+
+        try {
+            const { data: order, error: orderError } = await this.supabase
+                .from('orders')
+                .select('id, order_number')
+                .eq('order_number', orderNumber.trim())
+                .maybeSingle();
+
+            if (orderError) throw orderError;
+            if (!order) {
+                notificationService.error(`No order found with number ${orderNumber.trim()}`);
+                return;
+            }
+
+            const { error: linkError } = await this.supabase
+                .from(PAYMENTS_TABLE)
+                .update({ order_id: String(order.id), order_error: null, updated_at: new Date().toISOString() })
+                .eq('reference', reference);
+
+            if (linkError) throw linkError;
+
+            notificationService.success(`Payment linked to ${order.order_number}`);
+            await this.load();
+        } catch (error) {
+            console.error('Error linking payment:', error);
+            notificationService.error(`Failed to link payment: ${error.message}`);
+        }
+    }
+}
+
+// Create global instance
+const paymentsService = new PaymentsService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentsService;
+}
@@ -0,0 +1,364 @@
+/**
+ * Promotions Service
+ * Admin management of promo codes (`promo_codes` table). Codes are entered on the customer and
+ * in-house order forms and checked server-side by the quote-order function, which applies the
+ * discount; orders keep the code and discount in promo_code / discount_amount.
+ */
+
+const PROMO_CODES_TABLE = 'promo_codes';
+
+// Same categories as the catalogue's product form
+const PROMO_CATEGORIES = ['jumpsuits', 'dresses', 'skirts', 'coats', 'trousers', 'tops', 'accessories'];
+
+class PromotionsService {
+    constructor() {
+        this.supabase = null;
+        this.container = null;
+        this.promoCodes = [];
+        this.products = [];
+        this.usageByCode = {};
+        this.editingId = null;
+    }
+
+    /**
+     * Initialize the promotions service and load the promo codes
+     * @param {string} containerId - ID of the container element
+     */
+    async init(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Get Supabase client
+        this.supabase = getSupabaseClient();
+        if (!this.supabase) {
+            console.error('❌ Supabase client not available');
+            return;
+        }
+
+        if (!this.container) {
+            console.error('Container not found:', containerId);
+            return;
+        }
+
+        this.editingId = null;
+        await this.load();
+    }
+
+    /**
+     * Load promo codes, products (for scoping) and how often each code has been used
+     */
+    async load() {
+        this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: rgba(65, 70, 63, 0.6);">Loading promotions...</div>';
+
+        try {
+            const [promoResult, productsResult, usageResult] = await Promise.all([
+                this.supabase.from(PROMO_CODES_TABLE).select('*').order('created_at', { ascending: false }),
+                this.supabase.from('products').select('id, name').is('deleted_at', null).order('name', { ascending: true }),
+                this.supabase.from('orders').select('promo_code, discount_amount').not('promo_code', 'is', null).is('deleted_at', null)
+            ]);
+
+            if (promoResult.error) throw promoResult.error;
+            if (productsResult.error) throw productsResult.error;
+            if (usageResult.error) throw usageResult.error;
+
+            this.promoCodes = promoResult.data || [];
+            this.products = productsResult.data || [];
+            this.usageByCode = {};
+            (usageResult.data || []).forEach(order => {
+                const usage = this.usageByCode[order.promo_code] || { uses: 0, discount: 0 };
+                usage.uses += 1;
+                usage.discount += parseFloat(order.discount_amount) || 0;
+                this.usageByCode[order.promo_code] = usage;
+            });
+
+            this.render();
+        } catch (error) {
+            console.error('Error loading promotions:', error);
+            this.container.innerHTML = '<div style="text-align: center; padding: 40px 20px; color: #e53e3e;">Failed to load promotions. Make sure the promo_codes table exists.</div>';
+        }
+    }
+
+    /**
+     * Work out whether a code can currently be used
+     * @param {Object} promo - promo_codes row
+     * @returns {{ label: string, color: string }}
+     */
+    getStatus(promo) {
+        const now = new Date();
+        const usage = this.usageByCode[promo.code] || { uses: 0 };
+
+        if (!promo.active) return { label: 'Inactive', color: '#718096' };
+        if (promo.starts_at && new Date(promo.starts_at) > now) return { label: 'Scheduled', color: '#3182CE' };
+        if (promo.ends_at && new Date(promo.ends_at) < now) return { label: 'Expired', color: '#C53030' };
+        if (promo.max_uses && usage.uses >= promo.max_uses) return { label: 'Used up', color: '#C53030' };
+        return { label: 'Active', color: '#1B4D3E' };
+    }
+
+    /**
+     * Describe a code's discount, e.g. "10% off" or "KES 500 off"
+     */
+    formatDiscount(promo) {
+        return promo.discount_type === 'percent'
+            ? `${Number(promo.discount_value)}% off`
+            : `KES ${Number(promo.discount_value).toLocaleString()} off`;
+    }
+
+    /**
+     * Format a date for display
+     * @param {string} value - ISO timestamp
+     * @returns {string} Formatted date
+     */
+    formatDate(value) {
+        if (!value) return '';
+        return new Date(value).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Convert a timestamp to a yyyy-mm-dd value for date inputs
+     */
+    toDateInputValue(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Render the promo code form and list
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            ${this.renderForm()}
+            <h3 style="font-size: 18px; font-weight: 600; color: #41463F; margin: 32px 0 12px 0;">Promo codes <span style="font-size: 14px; color: rgba(65, 70, 63, 0.6);">(${this.promoCodes.length})</span></h3>
+            ${this.promoCodes.length === 0
+                ? '<div style="padding: 20px; color: rgba(65, 70, 63, 0.6); font-size: 14px;">No promo codes yet.</div>'
+                : this.promoCodes.map(promo => this.renderPromoCode(promo)).join('')}
+        `;
+
+        const form = this.container.querySelector('#promo-code-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePromoCode(form);
+        });
+        const cancelBtn = this.container.querySelector('[data-action="cancel-edit"]');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                this.editingId = null;
+                this.render();
+            });
+        }
+        this.container.querySelectorAll('[data-action="edit-promo"]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.editingId = button.dataset.id;
+                this.render();
+                this.container.scrollIntoView({ behavior: 'smooth' });
+            });
+        });
+        this.container.querySelectorAll('[data-action="toggle-promo"]').forEach(button => {
+            button.addEventListener('click', () => this.toggleActive(button.dataset.id));
+        });
+    }
+
+    /**
+     * Render the create/edit form, filled in when editing a code
+     * @returns {string} HTML string
+     */
+    renderForm() {
+        const promo = this.promoCodes.find(p => String(p.id) === String(this.editingId)) || {};
+        const isEditing = Boolean(promo.id);
+        const productIds = (promo.product_ids || []).map(String);
+        const categories = promo.categories || [];
+        const inputStyle = 'width: 100%; padding: 8px 12px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 8px; background: white; color: #41463F; font-size: 14px;';
+        const labelStyle = 'display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;';
+        const field = (label, input) => `<div><label style="${labelStyle}">${label}</label>${input}</div>`;
+
+        return `
+            <form id="promo-code-form" style="padding: 16px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);">
+                <h3 style="font-size: 18px; font-weight: 600; color: #41463F; margin: 0 0 12px 0;">${isEditing ? `Edit ${promo.code}` : 'New promo code'}</h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 12px;">
+                    ${field('Code *', `<input name="code" required maxlength="30" value="${promo.code || ''}" style="${inputStyle} text-transform: uppercase;">`)}
+                    ${field('Description', `<input name="description" value="${(promo.description || '').replace(/"/g, '&quot;')}" style="${inputStyle}">`)}
+                    ${field('Discount type *', `
+                        <select name="discount_type" style="${inputStyle}">
+                            <option value="percent" ${promo.discount_type !== 'fixed' ? 'selected' : ''}>Percentage (%)</option>
+                            <option value="fixed" ${promo.discount_type === 'fixed' ? 'selected' : ''}>Fixed amount (KES)</option>
+                        </select>`)}
+                    ${field('Discount value *', `<input name="discount_value" type="number" min="1" step="any" required value="${promo.discount_value ?? ''}" style="${inputStyle}">`)}
+                    ${field('Minimum cart value (KES)', `<input name="min_cart_value" type="number" min="0" step="any" value="${promo.min_cart_value ?? ''}" style="${inputStyle}">`)}
+                    ${field('Starts', `<input name="starts_at" type="date" value="${this.toDateInputValue(promo.starts_at)}" style="${inputStyle}">`)}
+                    ${field('Ends', `<input name="ends_at" type="date" value="${this.toDateInputValue(promo.ends_at)}" style="${inputStyle}">`)}
+                    ${field('Total uses allowed', `<input name="max_uses" type="number" min="1" step="1" placeholder="Unlimited" value="${promo.max_uses ?? ''}" style="${inputStyle}">`)}
+                    ${field('Uses per phone number', `<input name="max_uses_per_phone" type="number" min="1" step="1" placeholder="Unlimited" value="${promo.max_uses_per_phone ?? ''}" style="${inputStyle}">`)}
+                </div>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 12px; margin-top: 12px;">
+                    ${field('Only these categories (none = all)', `
+                        <div style="display: flex; flex-wrap: wrap; gap: 8px 16px; font-size: 14px; color: #41463F;">
+                            ${PROMO_CATEGORIES.map(category => `
+                                <label style="display: flex; align-items: center; gap: 4px;">
+                                    <input type="checkbox" name="categories" value="${category}" ${categories.includes(category) ? 'checked' : ''}>
+                                    ${category.charAt(0).toUpperCase() + category.slice(1)}
+                                </label>`).join('')}
+                        </div>`)}
+                    ${field('Only these products (none = all)', `
+                        <select name="product_ids" multiple size="5" style="${inputStyle}">
+                            ${this.products.map(product => `<option value="${product.id}" ${productIds.includes(String(product.id)) ? 'selected' : ''}>${product.name}</option>`).join('')}
+                        </select>`)}
+                </div>
+                <div style="display: flex; gap: 8px; margin-top: 16px;">
+                    <button type="submit" class="btn btn-accept">${isEditing ? 'Save Changes' : 'Create Promo Code'}</button>
+                    ${isEditing ? '<button type="button" class="btn btn-outline" data-action="cancel-edit">Cancel</button>' : ''}
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Render one promo code with its scope, limits and usage
+     * @param {Object} promo - promo_codes row
+     * @returns {string} HTML string
+     */
+    renderPromoCode(promo) {
+        const status = this.getStatus(promo);
+        const usage = this.usageByCode[promo.code] || { uses: 0, discount: 0 };
+        const productNames = (promo.product_ids || []).map(id => {
+            const product = this.products.find(p => String(p.id) === String(id));
+            return product ? product.name : id;
+        });
+
+        const details = [
+            promo.min_cart_value ? `Min cart KES ${Number(promo.min_cart_value).toLocaleString()}` : null,
+            (promo.categories || []).length > 0 ? `Categories: ${promo.categories.join(', ')}` : null,
+            productNames.length > 0 ? `Products: ${productNames.join(', ')}` : null,
+            promo.starts_at || promo.ends_at ? `${promo.starts_at ? this.formatDate(promo.starts_at) : 'Now'} – ${promo.ends_at ? this.formatDate(promo.ends_at) : 'No end date'}` : null,
+            promo.max_uses_per_phone ? `${promo.max_uses_per_phone} per phone` : null
+        ].filter(Boolean);
+
+        return `
+            <div style="padding: 16px; margin-bottom: 12px; border-radius: 12px; background: white; border: 1px solid rgba(65, 70, 63, 0.15);">
+                <div style="display: flex; justify-content: space-between; gap: 12px; flex-wrap: wrap;">
+                    <div>
+                        <div style="font-weight: 700; color: #2d3748; font-size: 16px;">${promo.code} <span style="font-size: 12px; font-weight: 600; color: ${status.color}; margin-left: 6px;">${status.label}</span></div>
+                        <div style="font-size: 13px; color: #718096;">${this.formatDiscount(promo)}${promo.description ? ` · ${promo.description}` : ''}</div>
+                    </div>
+                    <div style="text-align: right;">
+                        <div style="font-weight: 700; color: #1B4D3E;">${usage.uses}${promo.max_uses ? ` / ${promo.max_uses}` : ''} uses</div>
+                        <div style="font-size: 12px; color: #718096;">KES ${usage.discount.toLocaleString()} discounted</div>
+                    </div>
+                </div>
+                ${details.length > 0 ? `<div style="font-size: 13px; color: #4a5568; margin-top: 8px;">${details.join(' · ')}</div>` : ''}
+                <div style="display: flex; gap: 8px; margin-top: 10px;">
+                    <button class="btn btn-outline" data-action="edit-promo" data-id="${promo.id}">Edit</button>
+                    <button class="btn ${promo.active ? 'btn-deny' : 'btn-accept'}" data-action="toggle-promo" data-id="${promo.id}">${promo.active ? 'Deactivate' : 'Activate'}</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create or update a promo code from the form
+     * @param {HTMLFormElement} form - The promo code form
+     */
+    async savePromoCode(form) {
+        const data = new FormData(form);
+        const numberOrNull = (name) => {
+            const value = String(data.get(name) || '').trim();
+            return value === '' ? null : Number(value);
+        };
+
+        const code = String(data.get('code') || '').trim().toUpperCase();
+        const discountType = data.get('discount_type');
+        const discountValue = numberOrNull('discount_value');
+        const startsAt = data.get('starts_at');
+        const endsAt = data.get('ends_at');
+
+        if (!/^[A-Z0-9_-]+$/.test(code)) {
+            notificationService.error('Codes may only contain letters, numbers, dashes and underscores');
+            return;
+        }
+        if (!(discountValue > 0) || (discountType === 'percent' && discountValue > 100)) {
+            notificationService.error('Enter a discount above 0 (at most 100 for a percentage)');
+            return;
+        }
+        if (startsAt && endsAt && endsAt < startsAt) {
+            notificationService.error('The end date must be on or after the start date');
+            return;
+        }
+
+        const promo = {
+            code,
+            description: String(data.get('description') || '').trim() || null,
+            discount_type: discountType,
+            discount_value: discountValue,
+            min_cart_value: numberOrNull('min_cart_value'),
+            categories: data.getAll('categories'),
+            product_ids: data.getAll('product_ids'),
+            // Dates cover whole days in local time
+            starts_at: startsAt ? new Date(`${startsAt}T00:00:00`).toISOString() : null,
+            ends_at: endsAt ? new Date(`${endsAt}T23:59:59`).toISOString() : null,
+            max_uses: numberOrNull('max_uses'),
+            max_uses_per_phone: numberOrNull('max_uses_per_phone')
+        };
+
+        const submitBtn = form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const { error } = this.editingId
+                ? await this.supabase.from(PROMO_CODES_TABLE).update(promo).eq('id', this.editingId)
+                : await this.supabase.from(PROMO_CODES_TABLE).insert({ ...promo, active: true });
+
+            if (error) {
+                if (error.code === '23505') {
+                    notificationService.error(`Promo code ${code} already exists`);
+                    return;
+                }
+                throw error;
+            }
+
+            notificationService.success(this.editingId ? `Promo code ${code} updated` : `Promo code ${code} created`);
+            this.editingId = null;
+            await this.load();
+        } catch (error) {
+            console.error('Error saving promo code:', error);
+            notificationService.error(`Failed to save promo code: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Activate or deactivate a promo code
+     * @param {string} id - Promo code ID
+     */
+    async toggleActive(id) {
+        const promo = this.promoCodes.find(p => String(p.id) === String(id));
+        if (!promo) return;
+
+        try {
+            const { error } = await this.supabase
+                .from(PROMO_CODES_TABLE)
+                .update({ active: !promo.active })
+                .eq('id', id);
+
+            if (error) throw error;
+
+            notificationService.success(`Promo code ${promo.code} ${promo.active ? 'deactivated' : 'activated'}`);
+            await this.load();
+        } catch (error) {
+            console.error('Error updating promo code:', error);
+            notificationService.error(`Failed to update promo code: ${error.message}`);
+        }
+    }
+}
+
+// Create global instance
+const promotionsService = new PromotionsService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromotionsService;
+}
@@ -1,8 +1,12 @@
 /**
  * Revenue Service
  * Service for admin revenue dashboard - financial insights and revenue analytics
+ * Revenue is recognised on the date payments are received (see PaymentLedgerService)
  */
 
+// How far back to look for orders whose balance may be paid in the period being reported
+const PAYMENT_LOOKBACK_DAYS = 365;
+
 class RevenueService {
     constructor() {
         this.metrics = {
@@ -10,7 +14,10 @@ class RevenueService {
             averageOrderValue: 0,
             growthRate: 0,
             grossIncome: 0,
-            totalCosts: 0
+            totalCosts: 0,
+            discountedRevenue: 0,
+            discountedOrderCount: 0,
+            totalDiscounts: 0
         };
         this.monthlyRevenue = [];
         this.supabase = null;
@@ -69,64 +76,72 @@ class RevenueService {
         }
     }
 
+    /**
+     * Fetch the payments received in a date range
+     * Revenue is recognised when money comes in (the orders' payment ledgers), so a deposit and
+     * its balance can fall in different months. Refunds come back as negative payments. Orders are looked up from PAYMENT_LOOKBACK_DAYS
+     * before the range since a balance can be paid well after the order was placed.
+     * @param {Date} start - Range start (inclusive)
+     * @param {Date} end - Range end (exclusive)
+     * @returns {Promise<Array>} [{ amount, paidAt, order }]
+     */
+    async fetchPaymentsBetween(start, end) {
+        const lookback = new Date(start);
+        lookback.setDate(lookback.getDate() - PAYMENT_LOOKBACK_DAYS);
+
+        const { data: orders, error } = await this.supabase
+            .from('orders')
+            .select('id, price, status, created_at, payment_reference, payment_status, payment_ledger, promo_code, discount_amount')
+            .is('deleted_at', null)
+            .gte('created_at', lookback.toISOString())
+            .lt('created_at', end.toISOString());
+
+        if (error) throw error;
+
+        return (orders || [])
+            .flatMap(order => paymentLedgerService.getRecognisedPayments(order).map(payment => ({ ...payment, order })))
+            .filter(payment => {
+                const paidAt = new Date(payment.paidAt);
+                return paidAt >= start && paidAt < end;
+            });
+    }
+
     /**
      * Fetch revenue metrics from database
      * @returns {Promise<Object>} Revenue metrics object
      */
     async fetchMetrics() {
         try {
-            // Get current month start and end
+            // Current and previous month ranges
             const now = new Date();
             const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-            const monthStartStr = monthStart.toISOString();
-            const monthEndStr = monthEnd.toISOString();
-
-            // Get previous month start and end
+            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
             const prevMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-            const prevMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
-            const prevMonthStartStr = prevMonthStart.toISOString();
-            const prevMonthEndStr = prevMonthEnd.toISOString();
-
-            // Fetch orders from this month
-            const { data: currentMonthOrders, error: currentError } = await this.supabase
-                .from('orders')
-                .select('price, status')
-                .eq('status', 'completed')
-                .gte('created_at', monthStartStr)
-                .lte('created_at', monthEndStr);
-
-            if (currentError) {
-                console.error('Error fetching current month orders:', currentError);
-                throw currentError;
-            }
 
-            // Fetch orders from previous month
-            const { data: previousMonthOrders, error: prevError } = await this.supabase
-                .from('orders')
-                .select('price, status')
-                .eq('status', 'completed')
-                .gte('created_at', prevMonthStartStr)
-                .lte('created_at', prevMonthEndStr);
+            // Payments received this month
+            const currentMonthPayments = await this.fetchPaymentsBetween(monthStart, nextMonthStart);
 
-            if (prevError) {
-                console.error('Error fetching previous month orders:', prevError);
+            // Payments received last month
+            let previousMonthPayments = [];
+            try {
+                previousMonthPayments = await this.fetchPaymentsBetween(prevMonthStart, monthStart);
+            } catch (prevError) {
+                console.error('Error fetching previous month payments:', prevError);
                 // Continue with current month data only
             }
 
+            const sumPayments = (payments) => payments.reduce((sum, payment) => sum + payment.amount, 0);
+            const distinctOrders = (payments) => [...new Map(payments.map(payment => [payment.order.id, payment.order])).values()];
+
             // Calculate total revenue for current month
-            const totalRevenue = (currentMonthOrders || []).reduce((sum, order) => {
-                return sum + (parseFloat(order.price) || 0);
-            }, 0);
+            const totalRevenue = sumPayments(currentMonthPayments);
 
-            // Calculate average order value
-            const orderCount = (currentMonthOrders || []).length;
+            // Calculate average order value over the orders paid for this month
+            const orderCount = distinctOrders(currentMonthPayments).length;
             const averageOrderValue = orderCount > 0 ? totalRevenue / orderCount : 0;
 
             // Calculate growth rate
-            const previousRevenue = (previousMonthOrders || []).reduce((sum, order) => {
-                return sum + (parseFloat(order.price) || 0);
-            }, 0);
+            const previousRevenue = sumPayments(previousMonthPayments);
 
             let growthRate = 0;
             if (previousRevenue > 0) {
@@ -144,12 +159,23 @@ class RevenueService {
             // Calculate gross income (revenue - costs)
             const grossIncome = totalRevenue - totalCosts;
 
+            // Revenue from orders placed with a promo code (already net of the discount) and the discounts given
+            const discountedPayments = currentMonthPayments.filter(payment => payment.order.promo_code);
+            const discountedOrders = distinctOrders(discountedPayments);
+            const discountedRevenue = sumPayments(discountedPayments);
+            const totalDiscounts = discountedOrders.reduce((sum, order) => {
+                return sum + (parseFloat(order.discount_amount) || 0);
+            }, 0);
+
             return {
                 totalRevenue,
                 averageOrderValue,
                 growthRate,
                 grossIncome,
-                totalCosts
+                totalCosts,
+                discountedRevenue,
+                discountedOrderCount: discountedOrders.length,
+                totalDiscounts
             };
         } catch (error) {
             console.error('Error in fetchMetrics:', error);
@@ -172,30 +198,23 @@ class RevenueService {
             const now = new Date();
             const yearStart = new Date(now.getFullYear(), 0, 1);
             const yearEnd = new Date(now.getFullYear() + 1, 0, 1);
-            const yearStartStr = yearStart.toISOString();
-            const yearEndStr = yearEnd.toISOString();
-
-            // Fetch all completed orders from this year
-            const { data: orders, error } = await this.supabase
-                .from('orders')
-                .select('price, created_at, status')
-                .eq('status', 'completed')
-                .gte('created_at', yearStartStr)
-                .lt('created_at', yearEndStr);
-
-            if (error) {
+
+            // Fetch all payments received this year
+            let payments;
+            try {
+                payments = await this.fetchPaymentsBetween(yearStart, yearEnd);
+            } catch (error) {
                 console.error('Error fetching monthly revenue:', error);
                 return this.getEmptyMonthlyData();
             }
 
-            // Group orders by month (0-11 for Jan-Dec)
+            // Group payments by the month they were received (0-11 for Jan-Dec)
             const monthlyRevenue = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
 
-            (orders || []).forEach(order => {
-                const orderDate = new Date(order.created_at);
-                const monthIndex = orderDate.getMonth(); // 0-11
+            payments.forEach(payment => {
+                const monthIndex = new Date(payment.paidAt).getMonth(); // 0-11
                 if (monthIndex >= 0 && monthIndex < 12) {
-                    monthlyRevenue[monthIndex] += parseFloat(order.price) || 0;
+                    monthlyRevenue[monthIndex] += payment.amount;
                 }
             });
 
@@ -228,6 +247,9 @@ class RevenueService {
         const avgOrderValueEl = document.getElementById('revenue-avg-order-value');
         const growthRateEl = document.getElementById('revenue-growth-rate');
         const grossIncomeEl = document.getElementById('revenue-gross-income');
+        const discountedRevenueEl = document.getElementById('revenue-discounted');
+        const discountedOrdersEl = document.getElementById('revenue-discounted-orders');
+        const discountsGivenEl = document.getElementById('revenue-discounts-given');
 
         if (totalRevenueEl) {
             totalRevenueEl.textContent = this.formatCurrency(this.metrics.totalRevenue);
@@ -241,6 +263,16 @@ class RevenueService {
         if (grossIncomeEl) {
             grossIncomeEl.textContent = this.formatCurrency(this.metrics.grossIncome);
         }
+        if (discountedRevenueEl) {
+            discountedRevenueEl.textContent = this.formatCurrency(this.metrics.discountedRevenue || 0);
+        }
+        if (discountedOrdersEl) {
+            const count = this.metrics.discountedOrderCount || 0;
+            discountedOrdersEl.textContent = `${count} ${count === 1 ? 'order' : 'orders'} this month`;
+        }
+        if (discountsGivenEl) {
+            discountsGivenEl.textContent = this.formatCurrency(this.metrics.totalDiscounts || 0);
+        }
     }
 
     /**
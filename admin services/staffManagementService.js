@@ -204,13 +204,66 @@ class StaffManagementService {
                 return [];
             }
 
-            return data || [];
+            // Replace the stored orders_completed with counts from assigned production work
+            const completedCounts = await this.fetchCompletedOrderCounts();
+            return (data || []).map(member => ({
+                ...member,
+                orders_completed: completedCounts
+                    ? (completedCounts[member.id] || 0)
+                    : member.orders_completed
+            }));
         } catch (error) {
             console.error('Error in fetchAllStaff:', error);
             return [];
         }
     }
 
+    /**
+     * Count orders each staff member finished in production
+     * An order counts once for its assignee and once for each other staff member assigned one of its items.
+     * @returns {Promise<Object|null>} Map of user ID to count, or null if orders could not be loaded
+     */
+    async fetchCompletedOrderCounts() {
+        try {
+            const supabase = getSupabaseClient();
+            if (!supabase) {
+                throw new Error('Supabase client not initialized');
+            }
+
+            const { data, error } = await supabase
+                .from('orders')
+                .select('assigned_to, items')
+                .in('status', ['to_deliver', 'completed'])
+                .is('deleted_at', null);
+
+            if (error) {
+                console.error('Error fetching completed orders:', error);
+                return null;
+            }
+
+            const counts = {};
+            (data || []).forEach(order => {
+                const assignees = new Set();
+                if (order.assigned_to) {
+                    assignees.add(order.assigned_to);
+                }
+                (Array.isArray(order.items) ? order.items : []).forEach(item => {
+                    if (item && item.assigned_to) {
+                        assignees.add(item.assigned_to);
+                    }
+                });
+                assignees.forEach(userId => {
+                    counts[userId] = (counts[userId] || 0) + 1;
+                });
+            });
+
+            return counts;
+        } catch (error) {
+            console.error('Error in fetchCompletedOrderCounts:', error);
+            return null;
+        }
+    }
+
     /**
      * Update staff member status
      * @param {string} userId - User ID
@@ -9,6 +9,7 @@ class AuthService {
         this.currentUser = null;
         this.tokenKey = 'apparel_modest_token';
         this.userKey = 'apparel_modest_user';
+        this.sessionKey = 'apparel_modest_session';
     }
 
     /**
@@ -168,7 +169,7 @@ class AuthService {
             const token = this.createJWTToken(user);
 
             // Save user and token
-            this.saveUserToStorage(user, token);
+            this.saveUserToStorage(user, token, validOTP);
 
             const message = `Login successful! Your OTP is valid for ${remainingTime}.`;
 
@@ -257,7 +258,7 @@ class AuthService {
             const token = this.createJWTToken(user);
 
             // Save user and token
-            this.saveUserToStorage(user, token);
+            this.saveUserToStorage(user, token, verification.otpRecord);
 
             // Show remaining time
             const message = `Login successful! Your OTP is still valid for ${remainingTime}.`;
@@ -381,11 +382,19 @@ class AuthService {
      * Save user and token to localStorage
      * @param {Object} user - User object
      * @param {string} token - JWT token
+     * @param {Object} otpRecord - Login OTP the user signed in with (the server checks it, see getAuthHeaders)
      */
-    saveUserToStorage(user, token) {
+    saveUserToStorage(user, token, otpRecord = null) {
         try {
             localStorage.setItem(this.tokenKey, token);
             localStorage.setItem(this.userKey, JSON.stringify(user));
+            if (otpRecord) {
+                localStorage.setItem(this.sessionKey, JSON.stringify({
+                    email: otpRecord.email,
+                    otpId: otpRecord.id,
+                    otpCode: otpRecord.otp_code
+                }));
+            }
             this.currentUser = user;
         } catch (error) {
             console.error('Error saving user to storage:', error);
@@ -457,9 +466,21 @@ class AuthService {
     logout() {
         localStorage.removeItem(this.tokenKey);
         localStorage.removeItem(this.userKey);
+        localStorage.removeItem(this.sessionKey);
         this.currentUser = null;
     }
 
+    /**
+     * Headers that prove the staff session to Netlify functions that act for staff
+     * (refunds, order recovery, customer messages). The function checks the login OTP
+     * against the otps table, so the unsigned token above is never trusted server-side.
+     * @returns {Object} Authorization header, or {} when not signed in
+     */
+    getAuthHeaders() {
+        const session = localStorage.getItem(this.sessionKey);
+        return session ? { Authorization: `Bearer ${btoa(session)}` } : {};
+    }
+
     /**
      * Check if user has specific role
      * @param {string} role - Role to check
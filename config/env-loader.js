@@ -79,6 +79,9 @@ async function loadEnvConfig() {
             // Set Paystack configuration (public key only - safe to expose)
             window.PAYSTACK_PUBLIC_KEY = sanitizedConfig.paystackPublicKey;
             
+            // Set production options
+            window.ALLOW_PARTIAL_SHIPMENT = config.allowPartialShipment === true;
+            
             // Mark as loaded
             window.ENV_CONFIG_LOADED = true;
             
@@ -67,7 +67,7 @@ let supabaseClientInstance = null;
 function getSupabaseClient() {
     // If already initialized, return the instance
     if (supabaseClientInstance) {
-        return supabaseClientInstance;
+        return attachAuditLog(supabaseClientInstance);
     }
 
     // Try to get credentials from window object (set by HTML script or env-loader)
@@ -77,7 +77,7 @@ function getSupabaseClient() {
     // Initialize if we have credentials
     if (supabaseUrl && supabaseAnonKey) {
         supabaseClientInstance = initSupabase(supabaseUrl, supabaseAnonKey);
-        return supabaseClientInstance;
+        return attachAuditLog(supabaseClientInstance);
     }
 
     // Provide detailed error message
@@ -91,6 +91,15 @@ function getSupabaseClient() {
     return null;
 }
 
+/**
+ * Record staff writes in the audit log on pages that load the audit log service (the dashboard)
+ * @param {Object} client - Supabase client
+ * @returns {Object} The same client
+ */
+function attachAuditLog(client) {
+    return client && typeof auditLogService !== 'undefined' ? auditLogService.attach(client) : client;
+}
+
 // Export for use in other files (if using modules)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = { initSupabase, getSupabaseClient };
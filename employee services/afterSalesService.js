@@ -118,120 +118,25 @@ class AfterSalesService {
 
     /**
      * Transform Supabase order to display format
+     * Builds on the shared order model; the table shows the completion date and item totals.
      * @param {Object} order - Order from Supabase
      * @returns {Object} Transformed order object
      */
     transformOrder(order) {
+        const base = orderModelService.normalizeOrder(order);
+
         // Use completed_at if available, otherwise use created_at
         const completedDate = order.completed_at || order.created_at;
         const dateStr = completedDate ? new Date(completedDate).toISOString().split('T')[0] : '';
 
-        // CRITICAL FIX: Properly extract customer data to prevent name replication bug
-        let customerName = 'Unknown Customer';
-        let customerPhone = '';
-        
-        if (order.customers) {
-            if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                customerName = order.customers.name || 'Unknown Customer';
-                customerPhone = order.customers.phone || '';
-            } else if (Array.isArray(order.customers) && order.customers.length > 0) {
-                customerName = order.customers[0].name || 'Unknown Customer';
-                customerPhone = order.customers[0].phone || '';
-            }
-        }
-        
-        if (customerName === 'Unknown Customer' && order.customer_id) {
-            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
-        }
-        
-        if (customerName === 'Unknown Customer' && !order.customer_id && order.customer_name) {
-            customerName = order.customer_name;
-        }
-        
-        if (!customerPhone && !order.customer_id) {
-            customerPhone = order.customer_phone || order.phone || '';
-        } else if (!customerPhone && order.customer_phone) {
-            customerPhone = order.customer_phone;
-        }
-
-        // Parse measurements from comments if stored there (for backward compatibility)
-        let measurements = {};
-        let comments = order.comments || order.notes || '';
-        if (comments && comments.includes('Measurements:')) {
-            // Pattern 1: In-house format with Height and High Waist
-            let measurementsMatch = comments.match(/Measurements:\s*Height=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*High\s+Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                measurements = {
-                    height: measurementsMatch[1].trim(),
-                    bust: measurementsMatch[2].trim(),
-                    high_waist: measurementsMatch[3].trim(),
-                    hips: measurementsMatch[4].trim()
-                };
-            } else {
-                // Pattern 2: Standard format with Size and Waist
-                measurementsMatch = comments.match(/Measurements:\s*Size=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-                
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                if (measurementsMatch && measurementsMatch.length >= 5) {
-                    measurements = {
-                        size: measurementsMatch[1].trim(),
-                        bust: measurementsMatch[2].trim(),
-                        waist: measurementsMatch[3].trim(),
-                        hips: measurementsMatch[4].trim()
-                    };
-                }
-            }
-        }
-
-        // Process items from JSONB column (new approach) or fallback to single item
-        let items = [];
-        let totalPrice = 0;
-        
-        // Check if order has items stored as JSONB array
-        if (order.items && Array.isArray(order.items) && order.items.length > 0) {
-            console.log(`📦 Processing ${order.items.length} items from JSONB for order ${order.id}`);
-            items = order.items.map(item => ({
-                productName: item.product_name || 'Unknown Product',
-                productImage: item.product_image || 'https://via.placeholder.com/400',
-                color: item.color || '',
-                price: item.price || 0,
-                measurements: item.measurements || {}
-            }));
-            totalPrice = items.reduce((sum, item) => sum + (item.price || 0), 0);
-            console.log(`✅ Created ${items.length} items for order ${order.id}:`, items.map(i => i.productName));
-        } else {
-            // Fallback to single item (backward compatibility for old orders)
-            console.log(`ℹ️ No items array found for order ${order.id}, using single item fallback`);
-            items = [{
-                productName: order.products?.name || order.product_name || 'Unknown Product',
-                productImage: order.products?.image_url || order.product_image || order.image_url || 'https://via.placeholder.com/400',
-                color: order.color || '',
-                price: order.price || 0,
-                measurements: measurements
-            }];
-            totalPrice = order.price || 0;
-        }
-
-        // Get first item name and color for display in main row (backward compatibility)
-        const firstItem = items[0] || {};
-        const itemName = firstItem.productName || order.products?.name || order.product_name || 'Unknown Product';
-        const color = firstItem.color || order.color || '';
+        // Multi-item orders are priced by their items; old single-item orders by the order price
+        const hasItemsArray = Array.isArray(order.items) && order.items.length > 0;
 
         return {
-            id: order.id,
-            customerName: customerName,
-            phone: customerPhone,
-            itemName: itemName,
-            color: color,
-            price: totalPrice,
-            date: dateStr,
-            items: items, // All items array
-            measurements: measurements, // Measurements from comments (if available)
-            comments: comments // Store comments for reference
+            ...base,
+            itemName: base.productName,
+            price: hasItemsArray ? base.itemsTotal : base.price,
+            date: dateStr
         };
     }
 
@@ -646,12 +551,21 @@ class AfterSalesService {
                             <div class="order-items-list">
                                 ${itemsHtml || '<div class="no-items">No items found</div>'}
                             </div>
+                            ${orderLifecycleService.renderMoveBackButton(order)}
                         </div>
                     </td>
                 </tr>
             `;
         }).join('');
 
+        // Admin "move back to To Deliver" buttons in the details rows
+        this.filteredOrders.forEach(order => {
+            const detailsRow = document.getElementById(`order-${order.id}-details`);
+            if (detailsRow) {
+                orderLifecycleService.bindMoveBackButton(detailsRow, order, this.supabase, () => this.reloadOrders());
+            }
+        });
+
         // Add click event listeners to rows
         this.tableBody.querySelectorAll('.order-row').forEach(row => {
             row.addEventListener('click', (e) => {
@@ -56,6 +56,7 @@ class CatalogueService {
             const { data: products, error } = await this.supabase
                 .from('products')
                 .select('*')
+                .is('deleted_at', null)
                 .order('created_at', { ascending: false });
 
             if (error) {
@@ -251,7 +252,7 @@ class CatalogueService {
         const imageFile = this.imageInput?.files[0];
 
         if (!name || !category || !price) {
-            alert('Please fill in all required fields (Name, Category, Price)');
+            notificationService.warning('Please fill in all required fields (Name, Category, Price)');
             return;
         }
 
@@ -293,7 +294,7 @@ class CatalogueService {
                     imageUrl = uploadResult.url;
                     console.log('✅ Image uploaded and optimized successfully');
                 } else {
-                    alert(`Failed to upload image: ${uploadResult.error}`);
+                    notificationService.error(`Failed to upload image: ${uploadResult.error}`);
                     if (submitBtn) {
                         submitBtn.disabled = false;
                         submitBtn.textContent = 'Save Product';
@@ -305,7 +306,7 @@ class CatalogueService {
                 const existingProduct = this.products.find(p => p.id === this.editingProductId);
                 imageUrl = existingProduct ? existingProduct.image_url : '';
             } else {
-                alert('Please upload an image');
+                notificationService.warning('Please upload an image');
                 if (submitBtn) {
                     submitBtn.disabled = false;
                     submitBtn.textContent = 'Save Product';
@@ -317,7 +318,7 @@ class CatalogueService {
             await this.saveProduct(name, category, description, tags, stock, price, imageUrl);
         } catch (error) {
             console.error('Error in handleFormSubmit:', error);
-            alert('An error occurred while saving the product');
+            notificationService.error('An error occurred while saving the product');
         } finally {
             if (submitBtn) {
                 submitBtn.disabled = false;
@@ -371,7 +372,7 @@ class CatalogueService {
                 }
 
                 this.editingProductId = null;
-                alert('✓ Product updated successfully!');
+                notificationService.success('Product updated successfully!');
             } else {
                 // Add new product
                 const { data, error } = await this.supabase
@@ -386,14 +387,14 @@ class CatalogueService {
 
                 // Add to local products array
                 this.products.unshift(data);
-                alert('✓ Product added successfully!');
+                notificationService.success('Product added successfully!');
             }
 
             this.render();
             this.resetForm();
         } catch (error) {
             console.error('Error saving product:', error);
-            alert(`Failed to save product: ${error.message || 'Unknown error'}`);
+            notificationService.error(`Failed to save product: ${error.message || 'Unknown error'}`);
             throw error;
         }
     }
@@ -410,7 +411,7 @@ class CatalogueService {
         
         if (!product) {
             console.error('Product not found with ID:', idString, 'Available IDs:', this.products.map(p => p.id));
-            alert('Product not found');
+            notificationService.warning('Product not found');
             return;
         }
 
@@ -700,15 +701,12 @@ class CatalogueService {
 
             // Product can be deleted (no orders in Sales, Production, or Logistics)
             // Show confirmation dialog
-            if (!confirm('Are you sure you want to delete this product? This action cannot be undone.')) {
+            if (!(await notificationService.confirm('Are you sure you want to delete this product? You can restore it from the Trash later.', { title: 'Delete product', confirmLabel: 'Delete', danger: true }))) {
                 return;
             }
 
-            // Delete the product
-            const { error } = await this.supabase
-                .from('products')
-                .delete()
-                .eq('id', idString);
+            // Move the product to the Trash
+            const { error } = await softDeleteService.softDelete(this.supabase, 'product', idString);
 
             if (error) {
                 throw error;
@@ -723,10 +721,10 @@ class CatalogueService {
             }
             
             this.render();
-            alert('✓ Product deleted successfully!');
+            notificationService.success('Product moved to the Trash');
         } catch (error) {
             console.error('Error deleting product:', error);
-            alert(`Failed to delete product: ${error.message || 'Unknown error'}`);
+            notificationService.error(`Failed to delete product: ${error.message || 'Unknown error'}`);
         }
     }
 
@@ -3,6 +3,10 @@
  * Service for dashboard home page - stats, charts, and welcome section
  */
 
+// Server-side recovery queue of paid customer checkouts that failed to become orders
+const FAILED_ORDERS_TABLE = 'failed_orders';
+const RECOVER_FAILED_ORDER_ENDPOINT = '/.netlify/functions/recover-failed-order';
+
 class HomeService {
     constructor() {
         this.stats = {
@@ -13,6 +17,7 @@ class HomeService {
         };
         this.supabase = null;
         this.ordersChannel = null; // Realtime subscription channel
+        this.failedOrders = [];
     }
 
     /**
@@ -42,15 +47,19 @@ class HomeService {
     async loadDashboardData() {
         try {
             // Load stats and charts in parallel
-            const [statsData, weeklyData, statusData] = await Promise.all([
+            const [statsData, weeklyData, statusData, atRiskOrders] = await Promise.all([
                 this.fetchStats(),
                 this.fetchWeeklyOrders(),
-                this.fetchStatusDistribution()
+                this.fetchStatusDistribution(),
+                this.fetchAtRiskOrders()
             ]);
 
             // Update stats
             this.updateStats(statsData);
 
+            // Update "At risk" card
+            this.renderAtRiskCard(atRiskOrders);
+
             // Update charts
             this.renderCharts({
                 weekly: weeklyData,
@@ -134,6 +143,90 @@ class HomeService {
         }
     }
 
+    /**
+     * Fetch open orders that are overdue or due soon against their promised date
+     * @returns {Promise<Array>} Normalized orders, most urgent first
+     */
+    async fetchAtRiskOrders() {
+        try {
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() + promisedDateService.dueSoonDays);
+
+            const { data: orders, error } = await this.supabase
+                .from('orders')
+                .select(`
+                    *,
+                    customers (
+                        id,
+                        name,
+                        phone
+                    )
+                `)
+                .in('status', ['pending', 'in_progress', 'to_deliver'])
+                .is('deleted_at', null)
+                .not('promised_date', 'is', null)
+                .lte('promised_date', promisedDateService.toDateString(cutoff))
+                .order('promised_date', { ascending: true });
+
+            if (error) {
+                console.error('Error fetching at-risk orders:', error);
+                return [];
+            }
+
+            return (orders || []).map(order => orderModelService.normalizeOrder(order));
+        } catch (error) {
+            console.error('Error in fetchAtRiskOrders:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Render the "At risk" card listing overdue and due-soon orders
+     * @param {Array} atRiskOrders - Normalized orders
+     */
+    renderAtRiskCard(atRiskOrders) {
+        let card = document.getElementById('at-risk-orders');
+
+        if (!card) {
+            const homeTab = document.getElementById('home');
+            const statsGrid = homeTab ? homeTab.querySelector('.stats-grid') : null;
+            if (!statsGrid) return;
+
+            card = document.createElement('div');
+            card.id = 'at-risk-orders';
+            card.style.cssText = 'margin: 20px 0;';
+            statsGrid.parentNode.insertBefore(card, statsGrid.nextSibling);
+        }
+
+        if (!atRiskOrders || atRiskOrders.length === 0) {
+            card.innerHTML = '';
+            return;
+        }
+
+        const overdueCount = atRiskOrders.filter(order => promisedDateService.getDueStatus(order) === 'overdue').length;
+
+        card.innerHTML = `
+            <div style="background: rgba(224, 216, 201, 0.1); border-radius: 16px; padding: 20px; border: 2px solid ${overdueCount > 0 ? '#F87171' : '#F6AD55'}; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.1);">
+                <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 12px;">
+                    <h3 style="margin: 0; font-size: 18px; font-weight: 600; color: #41463F;">At Risk</h3>
+                    <span style="background: ${overdueCount > 0 ? '#DC2626' : '#D69E2E'}; color: white; padding: 4px 12px; border-radius: 12px; font-size: 14px; font-weight: 600;">${atRiskOrders.length}</span>
+                    <span style="font-size: 13px; color: #6B7280;">${overdueCount} overdue, ${atRiskOrders.length - overdueCount} due within ${promisedDateService.dueSoonDays} days</span>
+                </div>
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                    ${promisedDateService.sortOverdueFirst(atRiskOrders).map(order => `
+                        <div style="display: flex; justify-content: space-between; align-items: center; gap: 12px; background: white; border-radius: 8px; padding: 10px 14px; border: 1px solid rgba(224, 216, 201, 0.5);">
+                            <div>
+                                <div style="font-weight: 600; color: #1F2937;">${order.customerName}</div>
+                                <div style="font-size: 12px; color: #6B7280;">${order.items.length > 1 ? `${order.items.length} Items` : order.productName} · ${orderLifecycleService.formatStatus(order.status)}</div>
+                            </div>
+                            ${promisedDateService.renderCountdownBadge(order)}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Set up realtime subscription for orders table (all statuses for dashboard stats)
      */
@@ -537,27 +630,26 @@ class HomeService {
     }
 
     /**
-     * Load failed orders from localStorage and display notifications
+     * Load open entries from the failed orders recovery queue and display notifications
+     * Customer checkouts that were paid but could not become an order are queued server-side
+     * by the report-failed-order function, so every employee sees them.
      */
-    loadFailedOrdersNotifications() {
+    async loadFailedOrdersNotifications() {
+        if (!this.supabase) return;
+
         try {
-            const failedOrders = JSON.parse(localStorage.getItem('failed_orders') || '[]');
-            
-            // Filter out old entries (older than 7 days)
-            const sevenDaysAgo = new Date();
-            sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-            const recentFailedOrders = failedOrders.filter(order => {
-                const orderDate = new Date(order.timestamp || order.failedAt);
-                return orderDate > sevenDaysAgo;
-            });
+            const { data, error } = await this.supabase
+                .from(FAILED_ORDERS_TABLE)
+                .select('*')
+                .eq('status', 'open')
+                .order('created_at', { ascending: false });
 
-            // Update localStorage with filtered list
-            if (recentFailedOrders.length !== failedOrders.length) {
-                localStorage.setItem('failed_orders', JSON.stringify(recentFailedOrders));
+            if (error) {
+                throw error;
             }
 
-            // Display notifications
-            this.renderFailedOrdersNotifications(recentFailedOrders);
+            this.failedOrders = data || [];
+            this.renderFailedOrdersNotifications(this.failedOrders);
         } catch (error) {
             console.error('Error loading failed orders notifications:', error);
         }
@@ -565,7 +657,7 @@ class HomeService {
 
     /**
      * Render failed orders notifications on home page
-     * @param {Array} failedOrders - Array of failed order objects
+     * @param {Array} failedOrders - Open failed_orders rows
      */
     renderFailedOrdersNotifications(failedOrders) {
         // Find or create notifications container
@@ -613,36 +705,52 @@ class HomeService {
                     </button>
                 </div>
                 <div style="display: flex; flex-direction: column; gap: 12px;">
-                    ${failedOrders.map((order, index) => `
+                    ${failedOrders.map(order => {
+                        const items = (order.payload && Array.isArray(order.payload.items)) ? order.payload.items : [];
+                        const paymentConfirmed = order.payment_status === 'success';
+                        return `
                         <div style="background: white; border-radius: 8px; padding: 16px; border: 1px solid #FCA5A5;">
                             <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 12px;">
                                 <div style="flex: 1;">
-                                    <div style="font-weight: 600; color: #1F2937; margin-bottom: 4px;">Payment Reference: <span style="font-family: monospace; color: #DC2626;">${order.paymentReference || 'N/A'}</span></div>
-                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Customer: ${order.customerName || 'Unknown'}</div>
-                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Phone: ${order.customerPhone || 'N/A'}</div>
-                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Amount: KES ${(order.totalPrice || 0).toLocaleString()}</div>
-                                    <div style="font-size: 12px; color: #9CA3AF; margin-top: 8px;">Failed: ${new Date(order.failedAt || order.timestamp).toLocaleString()}</div>
+                                    <div style="font-weight: 600; color: #1F2937; margin-bottom: 4px;">Payment Reference: <span style="font-family: monospace; color: #DC2626;">${order.payment_reference || 'N/A'}</span></div>
+                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Customer: ${order.customer_name || 'Unknown'}</div>
+                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Phone: ${order.customer_phone || 'N/A'}</div>
+                                    <div style="font-size: 14px; color: #6B7280; margin-bottom: 4px;">Amount: KES ${(Number(order.total) || 0).toLocaleString()} · ${items.length} item${items.length === 1 ? '' : 's'}</div>
+                                    <div style="font-size: 12px; margin-bottom: 4px; color: ${paymentConfirmed ? '#15803D' : '#B45309'};">${paymentConfirmed ? 'Payment confirmed by Paystack' : `Payment ${order.payment_status || 'unverified'} on Paystack`}</div>
+                                    <div style="font-size: 12px; color: #9CA3AF; margin-top: 8px;">Failed: ${new Date(order.updated_at || order.created_at).toLocaleString()}</div>
                                     ${order.error ? `<div style="font-size: 12px; color: #DC2626; margin-top: 8px; padding: 8px; background: rgba(220, 38, 38, 0.1); border-radius: 4px;">Error: ${order.error}</div>` : ''}
                                 </div>
-                                <button class="dismiss-failed-order" data-index="${index}" style="background: rgba(220, 38, 38, 0.1); border: 1px solid #DC2626; color: #DC2626; padding: 6px 12px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; margin-left: 12px; transition: all 0.2s;"
-                                        onmouseover="this.style.background='rgba(220, 38, 38, 0.2)'" 
-                                        onmouseout="this.style.background='rgba(220, 38, 38, 0.1)'">
-                                    Dismiss
-                                </button>
+                                <div style="display: flex; flex-direction: column; gap: 8px; margin-left: 12px;">
+                                    <button class="create-from-failed-order" data-id="${order.id}" style="background: #1B4D3E; border: 1px solid #1B4D3E; color: white; padding: 6px 12px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer;">
+                                        Create order from this
+                                    </button>
+                                    <button class="dismiss-failed-order" data-id="${order.id}" style="background: rgba(220, 38, 38, 0.1); border: 1px solid #DC2626; color: #DC2626; padding: 6px 12px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; transition: all 0.2s;"
+                                            onmouseover="this.style.background='rgba(220, 38, 38, 0.2)'" 
+                                            onmouseout="this.style.background='rgba(220, 38, 38, 0.1)'">
+                                        Dismiss
+                                    </button>
+                                </div>
                             </div>
                         </div>
-                    `).join('')}
+                    `;
+                    }).join('')}
                 </div>
             </div>
         `;
 
         notificationsContainer.innerHTML = notificationsHTML;
 
+        // Add event listeners for create buttons
+        notificationsContainer.querySelectorAll('.create-from-failed-order').forEach(button => {
+            button.addEventListener('click', () => {
+                this.createOrderFromFailed(button.dataset.id, button);
+            });
+        });
+
         // Add event listeners for dismiss buttons
         notificationsContainer.querySelectorAll('.dismiss-failed-order').forEach(button => {
-            button.addEventListener('click', (e) => {
-                const index = parseInt(e.target.dataset.index);
-                this.dismissFailedOrder(index);
+            button.addEventListener('click', () => {
+                this.dismissFailedOrder(button.dataset.id);
             });
         });
 
@@ -656,30 +764,115 @@ class HomeService {
     }
 
     /**
-     * Dismiss a single failed order
-     * @param {number} index - Index of failed order to dismiss
+     * Get the name recorded on queue entries resolved by the current user
+     * @returns {string} Staff name
      */
-    dismissFailedOrder(index) {
+    getStaffName() {
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        return currentUser ? (currentUser.name || currentUser.email || 'Staff') : 'Staff';
+    }
+
+    /**
+     * Create a real pending order from a failed order and resolve it
+     * The recover-failed-order function verifies the payment and prices the cart; a payment of
+     * the wrong amount is only accepted after confirmation.
+     * @param {string} id - failed_orders row ID
+     * @param {HTMLElement} button - Button that was clicked
+     */
+    async createOrderFromFailed(id, button) {
+        const entry = (this.failedOrders || []).find(order => String(order.id) === String(id));
+        const customerName = entry && entry.customer_name ? entry.customer_name : 'this customer';
+
+        if (!await notificationService.confirm(`Create a pending order for ${customerName} from this failed checkout?`, { title: 'Create Order', confirmLabel: 'Create Order' })) {
+            return;
+        }
+
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Creating...';
+
         try {
-            const failedOrders = JSON.parse(localStorage.getItem('failed_orders') || '[]');
-            failedOrders.splice(index, 1);
-            localStorage.setItem('failed_orders', JSON.stringify(failedOrders));
-            this.loadFailedOrdersNotifications(); // Reload to update display
+            const requestRecovery = async (allowAmountMismatch) => {
+                const response = await fetch(RECOVER_FAILED_ORDER_ENDPOINT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...authService.getAuthHeaders() },
+                    body: JSON.stringify({ id, allowAmountMismatch })
+                });
+                return { ok: response.ok, result: await response.json().catch(() => ({})) };
+            };
+
+            let { ok, result } = await requestRecovery(false);
+
+            if (!ok && (result.code === 'AMOUNT_MISMATCH' || result.code === 'PROMO_INVALID')) {
+                if (!await notificationService.confirm(`${result.error}\n\nCreate the order at the amount actually paid?`, { title: 'Amount Mismatch', confirmLabel: 'Create Anyway', danger: true })) {
+                    return;
+                }
+                ({ ok, result } = await requestRecovery(true));
+            }
+
+            if (ok) {
+                notificationService.success(result.created
+                    ? `Order created for ${customerName}`
+                    : `${customerName} already has an order for this payment; marked resolved`);
+            } else {
+                notificationService.error(result.error || 'Failed to create the order');
+            }
+        } catch (error) {
+            console.error('Error creating order from failed order:', error);
+            notificationService.error('Failed to create the order. Please check your connection and try again.');
+        } finally {
+            button.disabled = false;
+            button.textContent = originalText;
+            await this.loadFailedOrdersNotifications();
+        }
+    }
+
+    /**
+     * Dismiss a single failed order without creating an order
+     * @param {string} id - failed_orders row ID
+     */
+    async dismissFailedOrder(id) {
+        if (!await notificationService.confirm('Dismiss this failed order? No order will be created for it.', { confirmLabel: 'Dismiss', danger: true })) {
+            return;
+        }
+
+        try {
+            const { error } = await this.supabase
+                .from(FAILED_ORDERS_TABLE)
+                .update({ status: 'dismissed', resolved_by: this.getStaffName(), resolved_at: new Date().toISOString() })
+                .eq('id', id)
+                .eq('status', 'open');
+
+            if (error) {
+                throw error;
+            }
+
+            await this.loadFailedOrdersNotifications(); // Reload to update display
         } catch (error) {
             console.error('Error dismissing failed order:', error);
+            notificationService.error('Failed to dismiss the failed order');
         }
     }
 
     /**
      * Dismiss all failed orders
      */
-    dismissAllFailedOrders() {
-        if (confirm('Are you sure you want to dismiss all failed order notifications? This will not delete the orders from localStorage, but will hide them from view.')) {
+    async dismissAllFailedOrders() {
+        if (await notificationService.confirm('Are you sure you want to dismiss all failed orders? No orders will be created for them.', { confirmLabel: 'Dismiss All', danger: true })) {
             try {
-                localStorage.setItem('failed_orders', JSON.stringify([]));
-                this.loadFailedOrdersNotifications(); // Reload to update display
+                const { error } = await this.supabase
+                    .from(FAILED_ORDERS_TABLE)
+                    .update({ status: 'dismissed', resolved_by: this.getStaffName(), resolved_at: new Date().toISOString() })
+                    .eq('status', 'open');
+
+                if (error) {
+                    throw error;
+                }
+
+                await this.loadFailedOrdersNotifications(); // Reload to update display
             } catch (error) {
                 console.error('Error dismissing all failed orders:', error);
+                notificationService.error('Failed to dismiss failed orders');
             }
         }
     }
@@ -1,6 +1,8 @@
 /**
  * Logistics Service
  * Service for managing orders to deliver - mark as delivered
+ * Also lists orders still in production that have items shipped early (partial shipment),
+ * so those items can be delivered ahead of the rest of the order.
  */
 
 class LogisticsService {
@@ -12,6 +14,7 @@ class LogisticsService {
         this.onOrderUpdateCallback = null;
         this.supabase = null;
         this.ordersChannel = null; // Realtime subscription channel
+        this.selectedOrderIds = new Set(); // Orders selected for bulk actions
         this.checkedOrders = new Set(); // Track which orders are checked
     }
 
@@ -59,6 +62,7 @@ class LogisticsService {
         await this.loadOrdersFromDatabase();
         this.setupOrdersRealtime();
         this.setupSearchInput();
+        this.setupScanButton();
     }
 
     /**
@@ -66,7 +70,8 @@ class LogisticsService {
      */
     async loadOrdersFromDatabase() {
         try {
-            // Fetch orders with status 'to_deliver' (matches the tab name 'to-deliver')
+            // Fetch orders with status 'to_deliver' (matches the tab name 'to-deliver'), plus
+            // in-progress orders so items shipped early can be delivered
             // Order by updated_at descending so most recently completed items (from production) appear first
             // CRITICAL: Explicitly select customer_id to ensure proper relationship mapping
             const { data: orders, error } = await this.supabase
@@ -84,7 +89,7 @@ class LogisticsService {
                         image_url
                     )
                 `)
-                .eq('status', 'to_deliver')
+                .in('status', ['to_deliver', 'in_progress'])
                 .order('updated_at', { ascending: false });
 
             if (error) {
@@ -94,23 +99,10 @@ class LogisticsService {
                 return;
             }
 
-            // Validate customer data integrity before transforming
-            const validatedOrders = (orders || []).map(order => {
-                // Verify customer relationship is correct
-                if (order.customer_id && order.customers) {
-                    // Ensure the customer data matches the customer_id
-                    if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                        // Validate customer ID matches (if customer object has id)
-                        if (order.customers.id && order.customers.id !== order.customer_id) {
-                            console.error(`⚠️ Customer ID mismatch for order ${order.id}: order.customer_id=${order.customer_id}, customer.id=${order.customers.id}`);
-                        }
-                    }
-                }
-                return order;
-            });
-
-            // Transform Supabase data to match expected format
-            this.orders = validatedOrders.map(order => this.transformOrder(order));
+            // Transform Supabase data to the shared order model (also checks customer join integrity)
+            this.orders = (orders || [])
+                .map(order => this.transformOrder(order))
+                .filter(order => order.status === 'to_deliver' || productionProgressService.hasEarlyShipment(order));
             
             // Initialize checkedOrders Set from database values
             this.checkedOrders.clear();
@@ -135,167 +127,7 @@ class LogisticsService {
      * @returns {Object} Transformed order object
      */
     transformOrder(order) {
-        // CRITICAL FIX: Properly extract customer data to prevent name replication bug
-        // Supabase join returns customers as an object (not array) when using foreign key relationship
-        // Handle both cases: object (correct) and array (edge case) for safety
-        let customerName = 'Unknown Customer';
-        let customerPhone = '';
-        
-        if (order.customers) {
-            // Handle case where customers is an object (normal case)
-            if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                customerName = order.customers.name || 'Unknown Customer';
-                customerPhone = order.customers.phone || '';
-            } 
-            // Handle edge case where customers might be an array (shouldn't happen but safety check)
-            else if (Array.isArray(order.customers) && order.customers.length > 0) {
-                customerName = order.customers[0].name || 'Unknown Customer';
-                customerPhone = order.customers[0].phone || '';
-            }
-        }
-        
-        // Fallback to direct fields only if customer relationship is missing
-        // IMPORTANT: Do NOT use order.customer_name as fallback if customer_id exists
-        // This prevents using stale/incorrect customer_name data
-        if (customerName === 'Unknown Customer' && order.customer_id) {
-            // If we have customer_id but no customer data, log warning
-            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
-        }
-        
-        // Only use order.customer_name if we truly don't have customer relationship data
-        if (customerName === 'Unknown Customer' && !order.customer_id && order.customer_name) {
-            customerName = order.customer_name;
-        }
-        
-        // Similar logic for phone
-        if (!customerPhone && !order.customer_id && order.phone) {
-            customerPhone = order.phone;
-        } else if (!customerPhone && order.customer_phone) {
-            customerPhone = order.customer_phone;
-        }
-
-        // Parse measurements if stored as JSON
-        let measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-        if (order.measurements) {
-            if (typeof order.measurements === 'string') {
-                try {
-                    measurements = JSON.parse(order.measurements);
-                } catch (e) {
-                    measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-                }
-            } else {
-                measurements = order.measurements;
-            }
-        }
-
-        // Extract measurements from comments if they're stored there
-        let comments = order.comments || order.notes || '';
-        if (comments && comments.includes('Measurements:')) {
-            // Parse measurements from comments string
-            // Format 1 (standard): "Measurements: Size=SS 6, Bust=32, Waist=25, Hips=36"
-            // Format 2 (in-house): "Measurements: Height=N/A, Bust=38, High Waist=32, Hips=43"
-            
-            // Pattern 1: In-house format with Height and High Waist (handle any text before "Measurements:")
-            let measurementsMatch = comments.match(/Measurements:\s*Height=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*High\s+Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // In-house format: Height, Bust, High Waist, Hips
-                measurements.size = measurementsMatch[1].trim(); // Use Height as size (or could be N/A)
-                measurements.bust = measurementsMatch[2].trim();
-                measurements.waist = measurementsMatch[3].trim(); // High Waist becomes waist
-                measurements.hips = measurementsMatch[4].trim();
-            } else {
-                // Pattern 2: Standard format with Size and Waist
-                measurementsMatch = comments.match(/Measurements:\s*Size=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-                
-                // Pattern 3: More flexible, handles any spacing
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Measurements:.*?Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 4: Very flexible, just find the values (standard format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 5: Very flexible, just find the values (in-house format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Height=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+High\s+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                if (measurementsMatch && measurementsMatch.length >= 5) {
-                    // Check if it's in-house format (has Height) or standard format (has Size)
-                    const firstMatch = measurementsMatch[0];
-                    if (firstMatch.includes('Height=')) {
-                        // In-house format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    } else {
-                        // Standard format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    }
-                }
-            }
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // Remove measurements line from comments
-                comments = comments.replace(/\n?Measurements:.*$/m, '').trim();
-                comments = comments.replace(/Measurements:.*$/m, '').trim();
-            }
-        }
-
-        // Format date
-        const orderDate = order.created_at ? new Date(order.created_at).toISOString().split('T')[0] : '';
-
-        // Process items from JSONB column (new approach) or fallback to single item
-        let items = [];
-        
-        // Check if order has items stored as JSONB array
-        if (order.items && Array.isArray(order.items) && order.items.length > 0) {
-            console.log(`📦 Processing ${order.items.length} items from JSONB for order ${order.id}`);
-            items = order.items.map(item => ({
-                productName: item.product_name || 'Unknown Product',
-                productImage: item.product_image || 'https://via.placeholder.com/400',
-                color: item.color || '',
-                price: item.price || 0,
-                measurements: item.measurements || {}
-            }));
-            console.log(`✅ Created ${items.length} items for order ${order.id}:`, items.map(i => i.productName));
-        } else {
-            // Fallback to single item (backward compatibility for old orders)
-            console.log(`ℹ️ No items array found for order ${order.id}, using single item fallback`);
-            items = [{
-                productName: order.products?.name || order.product_name || 'Unknown Product',
-                productImage: order.products?.image_url || order.product_image || order.image_url || 'https://via.placeholder.com/400',
-                color: order.color || '',
-                price: order.price || 0,
-                measurements: measurements
-            }];
-        }
-
-        return {
-            id: order.id,
-            customerName: customerName,
-            phone: customerPhone,
-            productName: items[0]?.productName || 'Unknown Product', // First item for backward compatibility
-            productImage: items[0]?.productImage || 'https://via.placeholder.com/400', // First item for backward compatibility
-            color: items[0]?.color || '', // First item for backward compatibility
-            price: order.price || 0, // Total price
-            items: items, // Array of all items
-            measurements: measurements,
-            comments: comments,
-            date: orderDate,
-            deliveryOption: order.delivery_option || order.deliveryOption || '',
-            paymentOption: order.payment_option || order.paymentOption || '',
-            paymentReference: order.payment_reference || order.paymentReference || '', // Include payment reference
-            deliveryLocation: order.delivery_display_name || order.delivery_location || order.deliveryLocation || '',
-            logistics_checked: order.logistics_checked || false // Include logistics_checked status
-        };
+        return orderModelService.normalizeOrder(order);
     }
 
     /**
@@ -309,7 +141,7 @@ class LogisticsService {
     }
 
     /**
-     * Filter orders based on search term
+     * Filter orders based on search term (overdue orders sorted to the top)
      */
     filterOrders() {
         if (!this.searchTerm || this.searchTerm.trim() === '') {
@@ -321,6 +153,9 @@ class LogisticsService {
                 return customerName.includes(searchLower);
             });
         }
+
+        // Overdue orders first so they are not missed
+        this.filteredOrders = promisedDateService.sortOverdueFirst(this.filteredOrders);
     }
 
     /**
@@ -328,6 +163,8 @@ class LogisticsService {
      */
     render() {
         if (!this.container) return;
+
+        this.renderBulkToolbar();
         this.container.innerHTML = '';
 
         if (this.filteredOrders.length === 0) {
@@ -353,9 +190,20 @@ class LogisticsService {
     createOrderBubble(order) {
         const bubble = document.createElement('div');
         bubble.className = 'order-bubble';
+        bubble.dataset.orderId = order.id;
+        
+        // Status buttons come from the order lifecycle; this tab handles marking orders delivered
+        const transitionHandlers = {
+            delivered: (o) => this.markAsDelivered(o.id)
+        };
+        
+        // Orders still in production only show (and deliver) the items shipped early
+        const earlyShipment = productionProgressService.hasEarlyShipment(order);
         
         // Check if order has multiple items
-        const items = order.items || [order]; // Fallback to single item if items array doesn't exist
+        const items = earlyShipment
+            ? productionProgressService.getAwaitingDeliveryItemIndexes(order).map(index => order.items[index])
+            : order.items || [order]; // Fallback to single item if items array doesn't exist
         const isMultiItem = items.length > 1;
         
         // Generate items HTML - use same format for both single and multi-item for consistency
@@ -408,9 +256,17 @@ class LogisticsService {
 
         bubble.innerHTML = `
             <div class="order-header">
+                ${earlyShipment ? '' : bulkActionsService.renderSelectCheckbox(order, this.selectedOrderIds.has(String(order.id)))}
                 <div class="order-info" style="width: 100%;">
                     <div class="customer-name">${order.customerName}</div>
                     <div class="product-name" style="margin-top: 4px;">${isMultiItem ? `${items.length} Item${items.length > 1 ? 's' : ''}` : items[0].productName}</div>
+                    ${earlyShipment ? `
+                        <span style="display: inline-block; margin-top: 6px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: #3182CE; border: 1px solid #3182CE;">
+                            Shipped early · ${items.length} of ${order.items.length} items, rest in production
+                        </span>
+                    ` : ''}
+                    ${promisedDateService.renderCountdownBadge(order)}
+                    ${paymentLedgerService.renderBalanceBadge(order)}
                 </div>
             </div>
             ${itemsHTML}
@@ -418,6 +274,9 @@ class LogisticsService {
                 ${this.renderOrderDetails(order)}
             </div>
             <div class="order-actions" style="display: flex; align-items: center; gap: 16px; justify-content: flex-end;">
+                ${earlyShipment ? `
+                    <button class="btn btn-accept" data-action="deliver-shipped-items" data-id="${order.id}">Mark Items Delivered</button>
+                ` : `
                 <div class="logistics-checkbox-container" data-order-id="${order.id}" style="display: flex; align-items: center; cursor: pointer; user-select: none; -webkit-user-select: none;">
                     <div class="logistics-checkbox" data-order-id="${order.id}" style="
                         width: 24px;
@@ -434,19 +293,46 @@ class LogisticsService {
                     </div>
                 </div>
                 <div style="display: flex; gap: 8px;">
-                    <button class="btn btn-delivered" data-action="delivered" data-id="${order.id}">Delivered</button>
+                    ${orderLifecycleService.renderTransitionButtons(order, transitionHandlers)}
                 </div>
+                `}
             </div>
         `;
 
         // Note: Click handler for expanding is now handled via event delegation in init()
-        const deliveredBtn = bubble.querySelector('[data-action="delivered"]');
-        if (deliveredBtn) {
-            deliveredBtn.addEventListener('click', (e) => {
+        orderLifecycleService.bindTransitionButtons(bubble, order, transitionHandlers);
+        orderLifecycleService.bindMoveBackButton(bubble, order, this.supabase, () => this.loadOrdersFromDatabase());
+        const deliverItemsButton = bubble.querySelector('[data-action="deliver-shipped-items"]');
+        if (deliverItemsButton) {
+            deliverItemsButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.markShippedItemsDelivered(order.id);
+            });
+        }
+        const outForDeliveryButton = bubble.querySelector('[data-action="notify-out-for-delivery"]');
+        if (outForDeliveryButton) {
+            outForDeliveryButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.notifyOutForDelivery(order);
+            });
+        }
+        const collectBalanceButton = bubble.querySelector('[data-action="collect-balance"]');
+        if (collectBalanceButton) {
+            collectBalanceButton.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.markAsDelivered(order.id);
+                this.collectBalance(order);
             });
         }
+        const printButton = bubble.querySelector('[data-action="print-packing-slip"]');
+        if (printButton) {
+            printButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                printService.printPackingSlip(order, this.formatDeliveryOption(order.deliveryOption));
+            });
+        }
+        orderEventsService.bindTimelineToggle(bubble, order, this.supabase);
+        customerNotificationService.bindLogToggle(bubble, order, this.supabase);
+        bulkActionsService.bindSelectCheckbox(bubble, order, (o, checked) => this.toggleOrderSelection(o.id, checked));
 
         // Add checkbox toggle handler
         const checkboxContainer = bubble.querySelector('.logistics-checkbox-container');
@@ -507,7 +393,7 @@ class LogisticsService {
                             checkbox.style.borderColor = '#4CAF50';
                             checkbox.style.background = 'rgba(76, 175, 80, 0.1)';
                         }
-                        alert('Failed to update checkbox state. Please try again.');
+                        notificationService.error('Failed to update checkbox state. Please try again.');
                     } else {
                         // Update local order object to reflect database state
                         order.logistics_checked = newCheckedState;
@@ -530,7 +416,7 @@ class LogisticsService {
                         checkbox.style.borderColor = '#4CAF50';
                         checkbox.style.background = 'rgba(76, 175, 80, 0.1)';
                     }
-                    alert('Failed to update checkbox state. Please try again.');
+                    notificationService.error('Failed to update checkbox state. Please try again.');
                 }
             };
             
@@ -602,6 +488,12 @@ class LogisticsService {
                     <div class="detail-value">${order.deliveryLocation}</div>
                 </div>
             ` : ''}
+            ${order.deliveryFee > 0 ? `
+                <div class="detail-row">
+                    <div class="detail-label">Delivery Fee Paid:</div>
+                    <div class="detail-value">KES ${order.deliveryFee.toLocaleString()}</div>
+                </div>
+            ` : ''}
             ${order.paymentOption ? `
                 <div class="detail-row">
                     <div class="detail-label">Payment Option:</div>
@@ -612,13 +504,87 @@ class LogisticsService {
                         : this.formatPaymentOption(order.paymentOption)}</div>
                 </div>
             ` : ''}
+            ${paymentLedgerService.renderLedgerDetails(order)}
             <div class="detail-row">
                 <div class="detail-label">Order Date:</div>
                 <div class="detail-value">${order.date}</div>
             </div>
+            ${items.some(item => item.shippedAt) ? `
+                <div class="detail-row">
+                    <div class="detail-label">Shipped Early:</div>
+                    <div class="detail-value">${items.filter(item => item.shippedAt).map(item => item.productName).join(', ')}</div>
+                </div>
+            ` : ''}
+            <div class="detail-row">
+                <button class="btn btn-print" data-action="print-packing-slip" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px;">Print Packing Slip</button>
+                <button class="btn" data-action="notify-out-for-delivery" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px; margin-left: 8px;">Notify: Out for Delivery</button>
+                ${paymentLedgerService.getBalanceDue(order) > 0 ? `
+                    <button class="btn" data-action="collect-balance" data-id="${order.id}" style="background: #DD6B20; border: 1px solid #DD6B20; color: white; padding: 6px 10px; font-size: 12px; margin-left: 8px;">Collect Balance</button>
+                ` : ''}
+            </div>
+            ${orderLifecycleService.renderMoveBackButton(order)}
+            ${orderEventsService.renderTimelineSection(order)}
+            ${customerNotificationService.renderLogSection(order)}
         `;
     }
 
+    /**
+     * Mark the items shipped early from an order still in production as delivered
+     * The order stays in production; it comes back to Logistics as a whole once it is done.
+     * @param {string} orderId - Order ID (UUID)
+     * @param {boolean} skipConfirm - Already confirmed (scanning)
+     */
+    async markShippedItemsDelivered(orderId, skipConfirm = false) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        const itemIndexes = productionProgressService.getAwaitingDeliveryItemIndexes(order);
+        if (itemIndexes.length === 0) return;
+
+        if (!skipConfirm && !(await notificationService.confirm(
+            `Mark ${itemIndexes.length} shipped item${itemIndexes.length !== 1 ? 's' : ''} for ${order.customerName} as delivered? The rest of the order stays in production.`,
+            { title: 'Mark Items Delivered', confirmLabel: 'Mark Delivered' }
+        ))) {
+            return;
+        }
+
+        try {
+            // Only items still waiting at save time are marked (someone may have delivered them already)
+            let deliveredIndexes = [];
+            const { items, error } = await productionProgressService.saveItems(this.supabase, order, latestItems => {
+                deliveredIndexes = latestItems
+                    .map((item, index) => ({ item, index }))
+                    .filter(({ item }) => item.shippedAt && !item.deliveredAt)
+                    .map(({ index }) => index);
+                return productionProgressService.markItemsDelivered(latestItems, deliveredIndexes);
+            });
+
+            if (error) {
+                console.error('Error delivering shipped items:', error);
+                notificationService.error(`Failed to mark items delivered: ${error.message || 'Unknown error'}`);
+                return;
+            }
+
+            if (deliveredIndexes.length > 0) {
+                await orderEventsService.recordTransition(this.supabase, {
+                    orderId: order.id,
+                    fromStatus: order.status,
+                    toStatus: order.status,
+                    note: `Delivered early: ${deliveredIndexes.map(index => items[index].productName).join(', ')}`
+                });
+            }
+
+            notificationService.success('Shipped items marked as delivered');
+            await this.loadOrdersFromDatabase();
+        } catch (error) {
+            console.error('Error delivering shipped items:', error);
+            notificationService.error('Failed to mark items delivered. Please try again.');
+        }
+    }
+
     /**
      * Mark order as delivered
      * @param {string} orderId - Order ID (UUID)
@@ -626,10 +592,16 @@ class LogisticsService {
     async markAsDelivered(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
             return;
         }
 
+        // Orders paid with a deposit are only delivered once the balance is collected
+        if (paymentLedgerService.getBalanceDue(order) > 0) {
+            const collected = await this.collectBalance(order);
+            if (!collected || paymentLedgerService.getBalanceDue(order) > 0) return;
+        }
+
         try {
             console.log('📦 Marking order as delivered');
             console.log('🆔 Order ID:', orderId);
@@ -641,14 +613,11 @@ class LogisticsService {
             console.log('🆔 Order ID (string):', orderIdStr);
             
             // Try to include completed_at, but handle if column doesn't exist
-            const { data: dataWithTimestamp, error: errorWithTimestamp } = await this.supabase
-                .from('orders')
-                .update({ 
-                    status: 'completed',
-                    completed_at: new Date().toISOString()
-                })
-                .eq('id', orderIdStr)
-                .select();
+            // Status changes are validated against the order lifecycle
+            const fromStatus = order.status || 'to_deliver';
+            const { data: dataWithTimestamp, error: errorWithTimestamp } = await orderLifecycleService.transition(
+                this.supabase, orderIdStr, fromStatus, 'completed', { completed_at: new Date().toISOString() }
+            );
 
             // If error occurred, try without completed_at or log the error
             if (errorWithTimestamp) {
@@ -669,11 +638,7 @@ class LogisticsService {
                 
                 if (isColumnError) {
                     console.log('📝 Column-related error detected, trying update without completed_at');
-                    const { data, error } = await this.supabase
-                        .from('orders')
-                        .update({ status: 'completed' })
-                        .eq('id', orderIdStr)
-                        .select();
+                    const { data, error } = await orderLifecycleService.transition(this.supabase, orderIdStr, fromStatus, 'completed');
                     
                     if (error) {
                         console.error('❌ Error updating order (without completed_at):', error);
@@ -682,7 +647,7 @@ class LogisticsService {
                         console.error('🔍 Error hint:', error.hint);
                         console.error('🔍 Error details:', error.details);
                         console.error('🔍 Error code:', error.code);
-                        alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console for details.`);
+                        notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console for details.`);
                         return;
                     }
                     
@@ -691,7 +656,7 @@ class LogisticsService {
                 } else {
                     // Different error (constraint, permission, etc.)
                     console.error('❌ Non-column error detected');
-                    alert(`Failed to update order: ${errorWithTimestamp.message || 'Unknown error'}. Please check the console for details.`);
+                    notificationService.error(`Failed to update order: ${errorWithTimestamp.message || 'Unknown error'}. Please check the console for details.`);
                     return;
                 }
             } else {
@@ -706,16 +671,7 @@ class LogisticsService {
             this.checkedOrders.delete(String(orderId));
 
             // Create completed order object for callback
-            const completedOrder = {
-                customerName: order.customerName,
-                phone: order.phone || 'N/A',
-                itemName: order.productName,
-                color: order.color,
-                price: order.price,
-                date: new Date().toISOString().split('T')[0],
-                deliveryOption: order.deliveryOption || null,
-                paymentOption: order.paymentOption || null
-            };
+            const completedOrder = this.toCompletedOrder(order);
 
             if (this.onOrderUpdateCallback) {
                 this.onOrderUpdateCallback('delivered', completedOrder);
@@ -723,14 +679,174 @@ class LogisticsService {
 
             this.filterOrders();
             this.render();
-            alert('✓ Order marked as delivered!');
+            orderLifecycleService.offerUndo(this.supabase, {
+                orderId: orderIdStr,
+                fromStatus,
+                toStatus: 'completed',
+                message: 'Order marked as delivered!',
+                revertFields: errorWithTimestamp ? {} : { completed_at: null },
+                onReverted: () => this.loadOrdersFromDatabase()
+            });
         } catch (error) {
             console.error('❌ Unexpected error marking order as delivered:', error);
             console.error('📋 Full error object:', JSON.stringify(error, null, 2));
             console.error('🔍 Error message:', error.message);
             console.error('🔍 Error stack:', error.stack);
-            alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console for details.`);
+            notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console for details.`);
+        }
+    }
+
+    /**
+     * Render the bulk action toolbar above the order list
+     */
+    renderBulkToolbar() {
+        // Drop selections for orders that have left this list
+        const listedIds = new Set(this.orders.map(order => String(order.id)));
+        [...this.selectedOrderIds].forEach(id => {
+            if (!listedIds.has(id)) this.selectedOrderIds.delete(id);
+        });
+
+        bulkActionsService.renderToolbar(this.container, {
+            selectedCount: this.selectedOrderIds.size,
+            totalCount: this.filteredOrders.length,
+            allSelected: this.filteredOrders.length > 0 && this.filteredOrders.every(order => this.selectedOrderIds.has(String(order.id))),
+            actions: [
+                { action: 'delivered', label: 'Mark Selected as Delivered', buttonClass: 'btn-delivered' },
+                { action: 'delete', label: 'Delete Selected', buttonClass: 'btn-deny' }
+            ],
+            onAction: (action) => this.runBulkAction(action),
+            onSelectAll: () => {
+                this.filteredOrders.forEach(order => this.selectedOrderIds.add(String(order.id)));
+                this.render();
+            },
+            onClear: () => {
+                this.selectedOrderIds.clear();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Select or deselect an order for bulk actions
+     * @param {string} orderId - Order ID
+     * @param {boolean} selected - Whether the order is selected
+     */
+    toggleOrderSelection(orderId, selected) {
+        if (selected) {
+            this.selectedOrderIds.add(String(orderId));
+        } else {
+            this.selectedOrderIds.delete(String(orderId));
+        }
+        this.renderBulkToolbar();
+    }
+
+    /**
+     * Get the orders currently selected for bulk actions
+     * @returns {Array} Selected orders
+     */
+    getSelectedOrders() {
+        return this.orders.filter(order => this.selectedOrderIds.has(String(order.id)));
+    }
+
+    /**
+     * Run a bulk action on the selected orders and show a summary
+     * @param {string} action - 'delivered' or 'delete'
+     */
+    async runBulkAction(action) {
+        const selected = this.getSelectedOrders();
+        if (selected.length === 0) return;
+
+        const actionLabels = {
+            delivered: { verb: 'Mark as delivered', done: 'Delivered' },
+            delete: { verb: 'Delete', done: 'Deleted' }
+        };
+        const labels = actionLabels[action];
+        if (!labels) return;
+
+        if (!(await notificationService.confirm(`${labels.verb} ${selected.length} selected order${selected.length !== 1 ? 's' : ''}?`, {
+            title: 'Bulk action',
+            confirmLabel: labels.verb,
+            danger: action === 'delete' || action === 'deny'
+        }))) {
+            return;
         }
+
+        try {
+            let result;
+            if (action === 'delivered') {
+                // Orders with a balance due need it collected one at a time first
+                const owing = selected.filter(order => paymentLedgerService.getBalanceDue(order) > 0);
+                result = await orderLifecycleService.transitionMany(
+                    this.supabase, selected.filter(order => !owing.includes(order)), 'completed', { completed_at: new Date().toISOString() }
+                );
+
+                // Same fallback as markAsDelivered when the completed_at column is missing
+                const columnFailures = result.failed.filter(({ error }) => {
+                    const errorMsg = (error && error.message) || '';
+                    const errorHint = (error && error.hint) || '';
+                    return errorMsg.includes('completed_at') || errorMsg.includes('column') ||
+                        errorHint.includes('completed_at') || errorMsg.includes('Could not find');
+                });
+                if (columnFailures.length > 0) {
+                    const retry = await orderLifecycleService.transitionMany(
+                        this.supabase, columnFailures.map(({ order }) => order), 'completed'
+                    );
+                    result = {
+                        succeeded: [...result.succeeded, ...retry.succeeded],
+                        failed: [...result.failed.filter(failure => !columnFailures.includes(failure)), ...retry.failed]
+                    };
+                }
+                owing.forEach(order => result.failed.push({
+                    order,
+                    message: `Balance of KES ${paymentLedgerService.getBalanceDue(order).toLocaleString()} not collected`
+                }));
+            } else {
+                result = await bulkActionsService.softDeleteMany(this.supabase, selected);
+            }
+
+            // Remove succeeded orders from the list; failed ones stay selected for another try
+            const succeededIds = new Set(result.succeeded.map(order => String(order.id)));
+            this.orders = this.orders.filter(order => !succeededIds.has(String(order.id)));
+            succeededIds.forEach(id => {
+                this.selectedOrderIds.delete(id);
+                this.checkedOrders.delete(id);
+            });
+
+            if (this.onOrderUpdateCallback) {
+                result.succeeded.forEach(order => {
+                    if (action === 'delivered') {
+                        this.onOrderUpdateCallback('delivered', this.toCompletedOrder(order));
+                    } else {
+                        this.onOrderUpdateCallback('deleted', order);
+                    }
+                });
+            }
+
+            this.filterOrders();
+            this.render();
+            bulkActionsService.showSummary(labels.done, result);
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            notificationService.error('Bulk action failed. Please try again.');
+        }
+    }
+
+    /**
+     * Build the completed order object passed to the update callback
+     * @param {Object} order - Order object
+     * @returns {Object} Completed order summary
+     */
+    toCompletedOrder(order) {
+        return {
+            customerName: order.customerName,
+            phone: order.phone || 'N/A',
+            itemName: order.productName,
+            color: order.color,
+            price: order.price,
+            date: new Date().toISOString().split('T')[0],
+            deliveryOption: order.deliveryOption || null,
+            paymentOption: order.paymentOption || null
+        };
     }
 
     /**
@@ -795,6 +911,23 @@ class LogisticsService {
                     this.loadOrdersFromDatabase();
                 }
             )
+            .on(
+                'postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'orders',
+                    filter: 'status=eq.in_progress' // Items shipped early from production
+                },
+                (payload) => {
+                    const before = payload.old && Array.isArray(payload.old.items) ? payload.old.items : [];
+                    const after = payload.new && Array.isArray(payload.new.items) ? payload.new.items : [];
+                    const shippedCount = (items) => items.filter(item => item && item.shipped_at && !item.delivered_at).length;
+                    if (shippedCount(before) !== shippedCount(after) || this.orders.some(o => String(o.id) === String(payload.new && payload.new.id))) {
+                        this.loadOrdersFromDatabase();
+                    }
+                }
+            )
             .subscribe((status) => {
                 if (status === 'SUBSCRIBED') {
                     console.log('✅ Subscribed to orders realtime changes (logistics - to_deliver)');
@@ -834,6 +967,100 @@ class LogisticsService {
         this.bindSearchInput(searchInput);
     }
 
+    /**
+     * Record the balance payment collected from the customer on delivery
+     * @param {Object} order - Order object
+     * @returns {Promise<boolean>} True when a payment was recorded
+     */
+    async collectBalance(order) {
+        const entry = await paymentLedgerService.promptBalancePayment(order);
+        if (!entry) return false;
+
+        const { ledger, error } = await paymentLedgerService.recordPayment(this.supabase, order, entry);
+        if (error) {
+            notificationService.error(`Failed to record payment: ${error.message || 'Unknown error'}`);
+            return false;
+        }
+
+        order.paymentLedger = ledger;
+        const balance = paymentLedgerService.getBalanceDue(order);
+        if (balance > 0) {
+            notificationService.warning(`Payment recorded. KES ${balance.toLocaleString()} is still due.`);
+        } else {
+            notificationService.success('Balance collected');
+        }
+
+        this.filterOrders();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Tell the customer their order has been dispatched
+     * @param {Object} order - Order object
+     */
+    async notifyOutForDelivery(order) {
+        const result = await customerNotificationService.notify(order.id, 'out_for_delivery');
+        if (result.success) {
+            notificationService.success(result.message === 'Customer notified' ? 'Customer notified that the order is on its way' : result.message);
+        } else {
+            notificationService.error(`Failed to notify customer: ${result.message}`);
+        }
+    }
+
+    /**
+     * Set up the "Scan to Mark Delivered" button
+     */
+    setupScanButton() {
+        const button = document.getElementById('logisticsScanBtn');
+        if (button) {
+            button.removeEventListener('click', this.handleScanClick);
+            this.handleScanClick = () => {
+                scanService.open({
+                    title: 'Scan to Mark Delivered',
+                    hint: 'Scan the QR tag or packing slip of the order being handed over.',
+                    onScan: (orderId) => this.handleScannedOrder(orderId)
+                });
+            };
+            button.addEventListener('click', this.handleScanClick);
+        }
+    }
+
+    /**
+     * Open a scanned order and, once confirmed, mark it as delivered
+     * @param {string} orderId - Scanned order ID
+     */
+    async handleScannedOrder(orderId) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            // Not waiting for delivery - show the order wherever it is instead
+            notificationService.warning('That order is not in Logistics');
+            await orderLinkService.openOrder(orderId);
+            return;
+        }
+
+        scanService.revealOrder(this.container, order.id);
+
+        if (productionProgressService.hasEarlyShipment(order)) {
+            const confirmedItems = await notificationService.confirm(
+                `${scanService.summarizeOrder(order)}\nOnly the items shipped early are delivered; the rest of the order stays in production.`,
+                { title: 'Mark Shipped Items Delivered?', confirmLabel: 'Mark Delivered' }
+            );
+            if (confirmedItems) {
+                await this.markShippedItemsDelivered(order.id, true);
+            }
+            return;
+        }
+
+        const confirmed = await notificationService.confirm(
+            `${scanService.summarizeOrder(order)}${order.deliveryOption ? `\nDelivery: ${this.formatDeliveryOption(order.deliveryOption)}` : ''}`,
+            { title: 'Mark as Delivered?', confirmLabel: 'Mark as Delivered' }
+        );
+        if (confirmed) {
+            await this.markAsDelivered(order.id);
+        }
+    }
+
     bindSearchInput(searchInput) {
         if (!searchInput) return;
         searchInput.removeEventListener('input', this.handleSearchInput);
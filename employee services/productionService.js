@@ -12,7 +12,10 @@ class ProductionService {
         this.onOrderUpdateCallback = null;
         this.supabase = null;
         this.ordersChannel = null; // Realtime subscription channel
+        this.selectedOrderIds = new Set(); // Orders selected for bulk actions
         this.checkedOrders = new Set(); // Track which orders are checked
+        this.productionStaff = []; // Staff that production work can be assigned to
+        this.myWorkOnly = false; // Show only orders assigned to the logged-in user
     }
 
     /**
@@ -52,6 +55,9 @@ class ProductionService {
             console.error('Container not found:', containerId);
         }
 
+        // Load assignable staff before orders so bubbles can render the assignee picker
+        await this.loadProductionStaff();
+
         // Load orders from database
         await this.loadOrdersFromDatabase();
         
@@ -60,6 +66,34 @@ class ProductionService {
         
         // Set up search input listener
         this.setupSearchInput();
+
+        // Set up "My work" filter
+        this.setupMyWorkToggle();
+        this.setupScanButton();
+    }
+
+    /**
+     * Load production staff from the users table
+     */
+    async loadProductionStaff() {
+        try {
+            const { data, error } = await this.supabase
+                .from('users')
+                .select('id, name, email, role, status')
+                .eq('role', 'production')
+                .order('name', { ascending: true });
+
+            if (error) {
+                console.error('Error fetching production staff:', error);
+                this.productionStaff = [];
+                return;
+            }
+
+            this.productionStaff = (data || []).filter(user => user.status !== 'inactive');
+        } catch (error) {
+            console.error('Error loading production staff:', error);
+            this.productionStaff = [];
+        }
     }
 
     /**
@@ -94,22 +128,8 @@ class ProductionService {
                 return;
             }
 
-            // Validate customer data integrity before transforming
-            const validatedOrders = (orders || []).map(order => {
-                // Verify customer relationship is correct
-                if (order.customer_id && order.customers) {
-                    if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                        // Validate customer ID matches (if customer object has id)
-                        if (order.customers.id && order.customers.id !== order.customer_id) {
-                            console.error(`⚠️ Customer ID mismatch for order ${order.id}: order.customer_id=${order.customer_id}, customer.id=${order.customers.id}`);
-                        }
-                    }
-                }
-                return order;
-            });
-
-            // Transform Supabase data to match expected format
-            this.orders = validatedOrders.map(order => this.transformOrder(order));
+            // Transform Supabase data to the shared order model (also checks customer join integrity)
+            this.orders = (orders || []).map(order => this.transformOrder(order));
             
             // Initialize checkedOrders Set from database values
             this.checkedOrders.clear();
@@ -134,157 +154,7 @@ class ProductionService {
      * @returns {Object} Transformed order object
      */
     transformOrder(order) {
-        // Parse measurements if stored as JSON
-        let measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-        if (order.measurements) {
-            if (typeof order.measurements === 'string') {
-                try {
-                    measurements = JSON.parse(order.measurements);
-                } catch (e) {
-                    measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-                }
-            } else {
-                measurements = order.measurements;
-            }
-        }
-
-        // Extract measurements from comments if they're stored there
-        let comments = order.comments || order.notes || '';
-        if (comments && comments.includes('Measurements:')) {
-            // Parse measurements from comments string
-            // Format 1 (standard): "Measurements: Size=SS 6, Bust=32, Waist=25, Hips=36"
-            // Format 2 (in-house): "Measurements: Height=N/A, Bust=38, High Waist=32, Hips=43"
-            
-            // Pattern 1: In-house format with Height and High Waist (handle any text before "Measurements:")
-            let measurementsMatch = comments.match(/Measurements:\s*Height=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*High\s+Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // In-house format: Height, Bust, High Waist, Hips
-                measurements.size = measurementsMatch[1].trim(); // Use Height as size (or could be N/A)
-                measurements.bust = measurementsMatch[2].trim();
-                measurements.waist = measurementsMatch[3].trim(); // High Waist becomes waist
-                measurements.hips = measurementsMatch[4].trim();
-            } else {
-                // Pattern 2: Standard format with Size and Waist
-                measurementsMatch = comments.match(/Measurements:\s*Size=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-                
-                // Pattern 3: More flexible, handles any spacing
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Measurements:.*?Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 4: Very flexible, just find the values (standard format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 5: Very flexible, just find the values (in-house format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Height=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+High\s+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                if (measurementsMatch && measurementsMatch.length >= 5) {
-                    // Check if it's in-house format (has Height) or standard format (has Size)
-                    const firstMatch = measurementsMatch[0];
-                    if (firstMatch.includes('Height=')) {
-                        // In-house format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    } else {
-                        // Standard format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    }
-                }
-            }
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // Remove measurements line from comments
-                comments = comments.replace(/\n?Measurements:.*$/m, '').trim();
-                comments = comments.replace(/Measurements:.*$/m, '').trim();
-            }
-        }
-
-        // Format date
-        const orderDate = order.created_at ? new Date(order.created_at).toISOString().split('T')[0] : '';
-
-        // Process items from JSONB column (new approach) or fallback to single item
-        let items = [];
-        
-        // Check if order has items stored as JSONB array
-        if (order.items && Array.isArray(order.items) && order.items.length > 0) {
-            console.log(`📦 Processing ${order.items.length} items from JSONB for order ${order.id}`);
-            items = order.items.map(item => ({
-                productName: item.product_name || 'Unknown Product',
-                productImage: item.product_image || 'https://via.placeholder.com/400',
-                color: item.color || '',
-                price: item.price || 0,
-                measurements: item.measurements || {}
-            }));
-            console.log(`✅ Created ${items.length} items for order ${order.id}:`, items.map(i => i.productName));
-        } else {
-            // Fallback to single item (backward compatibility for old orders)
-            console.log(`ℹ️ No items array found for order ${order.id}, using single item fallback`);
-            items = [{
-                productName: order.products?.name || order.product_name || 'Unknown Product',
-                productImage: order.products?.image_url || order.product_image || order.image_url || 'https://via.placeholder.com/400',
-                color: order.color || '',
-                price: order.price || 0,
-                measurements: measurements
-            }];
-        }
-
-        // CRITICAL FIX: Properly extract customer data to prevent name replication bug
-        let customerName = 'Unknown Customer';
-        let customerPhone = '';
-        
-        if (order.customers) {
-            if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                customerName = order.customers.name || 'Unknown Customer';
-                customerPhone = order.customers.phone || '';
-            } else if (Array.isArray(order.customers) && order.customers.length > 0) {
-                customerName = order.customers[0].name || 'Unknown Customer';
-                customerPhone = order.customers[0].phone || '';
-            }
-        }
-        
-        if (customerName === 'Unknown Customer' && order.customer_id) {
-            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
-        }
-        
-        if (customerName === 'Unknown Customer' && !order.customer_id && order.customer_name) {
-            customerName = order.customer_name;
-        }
-        
-        if (!customerPhone && !order.customer_id && order.phone) {
-            customerPhone = order.phone;
-        } else if (!customerPhone && order.customer_phone) {
-            customerPhone = order.customer_phone;
-        }
-
-        return {
-            id: order.id,
-            customer_id: order.customer_id, // Include customer_id for editing
-            customerName: customerName,
-            phone: customerPhone,
-            productName: items[0]?.productName || 'Unknown Product', // First item for backward compatibility
-            productImage: items[0]?.productImage || 'https://via.placeholder.com/400', // First item for backward compatibility
-            color: items[0]?.color || '', // First item for backward compatibility
-            price: order.price || 0, // Total price
-            items: items, // Array of all items
-            measurements: measurements,
-            comments: comments,
-            date: orderDate,
-            deliveryOption: order.delivery_option || order.deliveryOption || '',
-            paymentOption: order.payment_option || order.paymentOption || '',
-            paymentReference: order.payment_reference || order.paymentReference || '', // Include payment reference
-            deliveryLocation: order.delivery_display_name || order.delivery_location || order.deliveryLocation || '',
-            production_checked: order.production_checked || false // Include production_checked status
-        };
+        return orderModelService.normalizeOrder(order);
     }
 
     /**
@@ -298,18 +168,89 @@ class ProductionService {
     }
 
     /**
-     * Filter orders based on search term
+     * Filter orders based on search term and the "My work" toggle (overdue orders sorted to the top)
      */
     filterOrders() {
+        let orders = [...this.orders];
+
+        if (this.myWorkOnly) {
+            const currentUser = authService.getCurrentUser();
+            orders = currentUser ? orders.filter(order => this.isAssignedTo(order, currentUser.id)) : [];
+        }
+
         if (!this.searchTerm || this.searchTerm.trim() === '') {
-            this.filteredOrders = [...this.orders];
+            this.filteredOrders = orders;
         } else {
             const searchLower = this.searchTerm.toLowerCase().trim();
-            this.filteredOrders = this.orders.filter(order => {
+            this.filteredOrders = orders.filter(order => {
                 const customerName = (order.customerName || '').toLowerCase();
                 return customerName.includes(searchLower);
             });
         }
+
+        // Overdue orders first so they are not missed
+        this.filteredOrders = promisedDateService.sortOverdueFirst(this.filteredOrders);
+    }
+
+    /**
+     * Check whether an order, or any of its items, is assigned to a user
+     * @param {Object} order - Order object
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    isAssignedTo(order, userId) {
+        if (!userId) return false;
+        if (String(order.assignedTo) === String(userId)) return true;
+        return (order.items || []).some(item => String(item.assignedTo) === String(userId));
+    }
+
+    /**
+     * Count in-progress orders per production staff member
+     * @returns {Array} [{ id, name, count }] plus an "Unassigned" entry
+     */
+    getWorkloadCounts() {
+        const counts = this.productionStaff.map(member => ({
+            id: member.id,
+            name: member.name || member.email,
+            count: this.orders.filter(order => this.isAssignedTo(order, member.id)).length
+        }));
+
+        const unassigned = this.orders.filter(order =>
+            !order.assignedTo && !(order.items || []).some(item => item.assignedTo)
+        ).length;
+
+        return [...counts, { id: null, name: 'Unassigned', count: unassigned }];
+    }
+
+    /**
+     * Render workload counts above the production list
+     */
+    renderWorkload() {
+        const workloadEl = document.getElementById('productionWorkload');
+        if (!workloadEl) return;
+
+        const currentUser = authService.getCurrentUser();
+        workloadEl.innerHTML = this.getWorkloadCounts().map(entry => {
+            const isMe = currentUser && entry.id && String(entry.id) === String(currentUser.id);
+            return `
+                <span style="display: inline-block; padding: 4px 10px; border-radius: 12px; font-size: 12px; background: ${isMe ? 'rgba(27, 77, 62, 0.15)' : 'rgba(65, 70, 63, 0.08)'}; color: #41463F;">
+                    ${entry.name}${isMe ? ' (you)' : ''}: <strong>${entry.count}</strong>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Build <option> elements for an assignee picker
+     * @param {string|null} selectedId - Currently assigned user ID
+     * @param {string} emptyLabel - Label for the unassigned option
+     * @returns {string} HTML string
+     */
+    renderAssigneeOptions(selectedId, emptyLabel = 'Unassigned') {
+        const options = this.productionStaff.map(member => `
+            <option value="${member.id}" ${String(member.id) === String(selectedId) ? 'selected' : ''}>${member.name || member.email}</option>
+        `).join('');
+        return `<option value="">${emptyLabel}</option>${options}`;
     }
 
     /**
@@ -318,6 +259,9 @@ class ProductionService {
     render() {
         if (!this.container) return;
 
+        this.renderBulkToolbar();
+
+        this.renderWorkload();
         this.container.innerHTML = '';
 
         if (this.filteredOrders.length === 0) {
@@ -325,7 +269,9 @@ class ProductionService {
             const emptyMessage = document.createElement('div');
             emptyMessage.className = 'empty-state-message';
             emptyMessage.style.cssText = 'text-align: center; padding: 60px 20px; color: rgba(65, 70, 63, 0.6); font-size: 18px; font-weight: 500;';
-            emptyMessage.textContent = this.searchTerm ? 'No orders found matching your search' : 'No production requests yet';
+            emptyMessage.textContent = this.searchTerm
+                ? 'No orders found matching your search'
+                : this.myWorkOnly ? 'No orders assigned to you' : 'No production requests yet';
             this.container.appendChild(emptyMessage);
         } else {
             this.filteredOrders.forEach(order => {
@@ -343,6 +289,12 @@ class ProductionService {
     createOrderBubble(order) {
         const bubble = document.createElement('div');
         bubble.className = 'order-bubble';
+        bubble.dataset.orderId = order.id;
+        
+        // Status buttons come from the order lifecycle; this tab handles marking orders done
+        const transitionHandlers = {
+            done: (o) => this.markAsDone(o.id)
+        };
         
         // Check if order has multiple items
         const items = order.items || [order]; // Fallback to single item if items array doesn't exist
@@ -398,9 +350,14 @@ class ProductionService {
 
         bubble.innerHTML = `
             <div class="order-header">
+                ${bulkActionsService.renderSelectCheckbox(order, this.selectedOrderIds.has(String(order.id)))}
                 <div class="order-info" style="width: 100%;">
                     <div class="customer-name">${order.customerName}</div>
                     <div class="product-name" style="margin-top: 4px;">${isMultiItem ? `${items.length} Item${items.length > 1 ? 's' : ''}` : items[0].productName}</div>
+                    ${promisedDateService.renderCountdownBadge(order)}
+                    ${paymentLedgerService.renderBalanceBadge(order)}
+                    ${productionProgressService.renderProgressBadge(order)}
+                    <span style="display: inline-block; margin-top: 6px; margin-left: 4px; font-size: 11px; color: #718096;">${order.assignedToName ? `Assigned: ${order.assignedToName}` : 'Unassigned'}</span>
                 </div>
             </div>
             ${itemsHTML}
@@ -425,29 +382,75 @@ class ProductionService {
                 </div>
                 <div style="display: flex; gap: 8px;">
                     <button class="btn btn-edit" data-action="edit" data-id="${order.id}" style="background-color: #4A90E2; color: white; border: none;">Edit</button>
-                    <button class="btn btn-done" data-action="done" data-id="${order.id}">Mark as Done</button>
+                    ${orderLifecycleService.renderTransitionButtons(order, transitionHandlers)}
                 </div>
             </div>
         `;
 
         // Note: Click handler for expanding is now handled via event delegation in init()
         // Add button click handlers (stop propagation to prevent toggle)
-        const editBtn = bubble.querySelector('[data-action="edit"]');
+        orderLifecycleService.bindTransitionButtons(bubble, order, transitionHandlers);
+        orderLifecycleService.bindMoveBackButton(bubble, order, this.supabase, () => this.loadOrdersFromDatabase());
+        const printButton = bubble.querySelector('[data-action="print-job-cards"]');
+        if (printButton) {
+            printButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                printService.printJobCards(order);
+            });
+        }
+        const tagButton = bubble.querySelector('[data-action="print-qr-tags"]');
+        if (tagButton) {
+            tagButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                printService.printQrTags(order);
+            });
+        }
+        orderEventsService.bindTimelineToggle(bubble, order, this.supabase);
+        customerNotificationService.bindLogToggle(bubble, order, this.supabase);
+        bulkActionsService.bindSelectCheckbox(bubble, order, (o, checked) => this.toggleOrderSelection(o.id, checked));
+
+        // Per-item production stages; Mark as Done stays locked until every item passes QC
+        bubble.querySelectorAll('[data-action="stage"]').forEach(stageBtn => {
+            stageBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleItemStage(order.id, Number(stageBtn.dataset.itemIndex), stageBtn.dataset.stage);
+            });
+        });
+
+        const shipBtn = bubble.querySelector('[data-action="ship-finished"]');
+        if (shipBtn) {
+            shipBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.shipFinishedItems(order.id);
+            });
+        }
+
+        // Assignee pickers (order-level and per item)
+        bubble.querySelectorAll('.production-assignee-select').forEach(select => {
+            select.addEventListener('click', (e) => e.stopPropagation());
+            select.addEventListener('change', (e) => {
+                e.stopPropagation();
+                if (select.dataset.itemIndex !== undefined) {
+                    this.assignItem(order.id, Number(select.dataset.itemIndex), select.value || null);
+                } else {
+                    this.assignOrder(order.id, select.value || null);
+                }
+            });
+        });
+
         const doneBtn = bubble.querySelector('[data-action="done"]');
-        
+        if (doneBtn && !productionProgressService.getProgress(order).complete) {
+            doneBtn.style.opacity = '0.5';
+            doneBtn.title = 'All items must pass QC before the order can be marked as done';
+        }
+
+        const editBtn = bubble.querySelector('[data-action="edit"]');
         if (editBtn) {
             editBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
                 this.editOrder(order);
             });
         }
-        
-        if (doneBtn) {
-            doneBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.markAsDone(order.id);
-            });
-        }
 
         // Add checkbox toggle handler
         const checkboxContainer = bubble.querySelector('.production-checkbox-container');
@@ -508,7 +511,7 @@ class ProductionService {
                             checkbox.style.borderColor = '#4CAF50';
                             checkbox.style.background = 'rgba(76, 175, 80, 0.1)';
                         }
-                        alert('Failed to update checkbox state. Please try again.');
+                        notificationService.error('Failed to update checkbox state. Please try again.');
                     } else {
                         // Update local order object to reflect database state
                         order.production_checked = newCheckedState;
@@ -531,7 +534,7 @@ class ProductionService {
                         checkbox.style.borderColor = '#4CAF50';
                         checkbox.style.background = 'rgba(76, 175, 80, 0.1)';
                     }
-                    alert('Failed to update checkbox state. Please try again.');
+                    notificationService.error('Failed to update checkbox state. Please try again.');
                 }
             };
             
@@ -613,13 +616,235 @@ class ProductionService {
                         : this.formatPaymentOption(order.paymentOption)}</div>
                 </div>
             ` : ''}
+            ${paymentLedgerService.renderLedgerDetails(order)}
             <div class="detail-row">
                 <div class="detail-label">Order Date:</div>
                 <div class="detail-value">${order.date}</div>
             </div>
+            <div class="detail-row">
+                <div class="detail-label">Assigned To:</div>
+                <div class="detail-value">
+                    <select class="production-assignee-select" data-order-id="${order.id}" style="padding: 4px 8px; border: 1px solid rgba(27, 77, 62, 0.3); border-radius: 6px; font-size: 13px;">
+                        ${this.renderAssigneeOptions(order.assignedTo)}
+                    </select>
+                </div>
+            </div>
+            <div class="detail-row" style="flex-direction: column; align-items: stretch;">
+                <div class="detail-label">Production Progress:</div>
+                <div class="detail-value">${productionProgressService.renderChecklist(order, items.length > 1 ? (item, index) => `
+                    <div style="margin-top: 4px; font-size: 11px; color: #718096;">
+                        Tailor:
+                        <select class="production-assignee-select" data-order-id="${order.id}" data-item-index="${index}" style="padding: 2px 6px; border: 1px solid rgba(27, 77, 62, 0.2); border-radius: 6px; font-size: 11px;">
+                            ${this.renderAssigneeOptions(item.assignedTo, 'Same as order')}
+                        </select>
+                    </div>
+                ` : null)}</div>
+                ${productionProgressService.isPartialShipmentAllowed()
+                    && !productionProgressService.getProgress(order).complete
+                    && productionProgressService.getShippableItemIndexes(order).length > 0 ? `
+                    <button class="btn" data-action="ship-finished" data-id="${order.id}" style="margin-top: 8px; align-self: flex-start; background: #3182CE; color: white; border: none; font-size: 12px;">Ship Finished Items (${productionProgressService.getShippableItemIndexes(order).length})</button>
+                ` : ''}
+            </div>
+            <div class="detail-row">
+                <button class="btn btn-print" data-action="print-job-cards" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px;">Print Job Card${items.length > 1 ? 's' : ''}</button>
+                <button class="btn btn-print" data-action="print-qr-tags" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px; margin-left: 8px;">Print QR Tag${items.length > 1 ? 's' : ''}</button>
+            </div>
+            ${orderLifecycleService.renderMoveBackButton(order)}
+            ${orderEventsService.renderTimelineSection(order)}
+            ${customerNotificationService.renderLogSection(order)}
         `;
     }
 
+    /**
+     * Find a production staff member by ID
+     * @param {string|null} userId - User ID
+     * @returns {Object|null} Staff member
+     */
+    getStaffMember(userId) {
+        if (!userId) return null;
+        return this.productionStaff.find(member => String(member.id) === String(userId)) || null;
+    }
+
+    /**
+     * Assign an order to a production staff member (or clear the assignment)
+     * @param {string} orderId - Order ID
+     * @param {string|null} userId - User ID, or null to unassign
+     */
+    async assignOrder(orderId, userId) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        const member = this.getStaffMember(userId);
+        const assigneeName = member ? (member.name || member.email) : null;
+
+        try {
+            const { error } = await this.supabase
+                .from('orders')
+                .update({
+                    assigned_to: member ? member.id : null,
+                    assigned_to_name: assigneeName,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', String(order.id));
+
+            if (error) {
+                console.error('Error assigning order:', error);
+                notificationService.error(`Failed to assign order: ${error.message || 'Unknown error'}`);
+                this.render();
+                return;
+            }
+
+            order.assignedTo = member ? member.id : null;
+            order.assignedToName = assigneeName;
+
+            await orderEventsService.recordTransition(this.supabase, {
+                orderId: order.id,
+                fromStatus: order.status,
+                toStatus: order.status,
+                note: assigneeName ? `Assigned to ${assigneeName}` : 'Unassigned'
+            });
+
+            this.filterOrders();
+            this.render();
+        } catch (error) {
+            console.error('Error assigning order:', error);
+            notificationService.error('Failed to assign order. Please try again.');
+        }
+    }
+
+    /**
+     * Assign a single item of a multi-item order to a production staff member
+     * @param {string} orderId - Order ID
+     * @param {number} itemIndex - Index in the order's items
+     * @param {string|null} userId - User ID, or null to fall back to the order assignee
+     */
+    async assignItem(orderId, itemIndex, userId) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        const member = this.getStaffMember(userId);
+
+        try {
+            await this.saveItemsProgress(order, items => items.map((item, index) => (
+                index === itemIndex
+                    ? { ...item, assignedTo: member ? member.id : null, assignedToName: member ? (member.name || member.email) : null }
+                    : item
+            )));
+        } catch (error) {
+            console.error('Error assigning item:', error);
+            notificationService.error('Failed to assign item. Please try again.');
+        }
+    }
+
+    /**
+     * Save per-item production progress to the items JSONB column
+     * The change is applied to the latest items (see productionProgressService.saveItems), so
+     * two people ticking items of the same order do not overwrite each other.
+     * @param {Object} order - Order object
+     * @param {Function} applyChange - (items) => updated items, called with the latest items
+     * @returns {Promise<Array|null>} The saved items, or null when the save failed
+     */
+    async saveItemsProgress(order, applyChange) {
+        const { items, updatedAt, error } = await productionProgressService.saveItems(this.supabase, order, applyChange);
+
+        if (error) {
+            if (error.code === 'NOT_FOUND' || error.code === 'CONFLICT') {
+                notificationService.warning(error.message);
+            } else {
+                console.error('Error saving production progress:', error);
+                notificationService.error(`Failed to update production progress: ${error.message || 'Unknown error'}`);
+            }
+            return null;
+        }
+
+        order.items = items;
+        order.updatedAt = updatedAt;
+        this.filterOrders();
+        this.render();
+        return items;
+    }
+
+    /**
+     * Tick or untick a production stage for one item
+     * @param {string} orderId - Order ID
+     * @param {number} itemIndex - Index in the order's items
+     * @param {string} stageKey - Stage key (cutting, sewing, finishing, qc)
+     */
+    async toggleItemStage(orderId, itemIndex, stageKey) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        // Set the stage to what this person saw toggled, so a concurrent tick is not undone
+        const item = (order.items || [])[itemIndex];
+        const done = !(item && item.production && item.production[stageKey]);
+
+        try {
+            await this.saveItemsProgress(order, items => productionProgressService.setStage(items, itemIndex, stageKey, done));
+        } catch (error) {
+            console.error('Error updating production progress:', error);
+            notificationService.error('Failed to update production progress. Please try again.');
+        }
+    }
+
+    /**
+     * Release items that passed QC for delivery ahead of the rest of the order
+     * Only available when partial shipment is enabled.
+     * @param {string} orderId - Order ID
+     */
+    async shipFinishedItems(orderId) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        if (!productionProgressService.isPartialShipmentAllowed()) {
+            notificationService.warning('Partial shipment is not enabled.');
+            return;
+        }
+
+        const itemIndexes = productionProgressService.getShippableItemIndexes(order);
+        if (itemIndexes.length === 0) {
+            notificationService.warning('No finished items to ship.');
+            return;
+        }
+
+        if (!(await notificationService.confirm(`Ship ${itemIndexes.length} finished item${itemIndexes.length > 1 ? 's' : ''} now? They go to Logistics for delivery; the rest of the order stays in production.`))) {
+            return;
+        }
+
+        try {
+            // Items shipped by someone else meanwhile are not shipped (or announced) twice
+            let shippedIndexes = [];
+            const savedItems = await this.saveItemsProgress(order, items => {
+                shippedIndexes = itemIndexes.filter(index => items[index] && !items[index].shippedAt);
+                return productionProgressService.markItemsShipped(items, shippedIndexes);
+            });
+            if (savedItems) {
+                const names = shippedIndexes.map(index => savedItems[index].productName).join(', ');
+                await orderEventsService.recordTransition(this.supabase, {
+                    orderId: order.id,
+                    fromStatus: order.status,
+                    toStatus: order.status,
+                    note: `Partial shipment: ${names}`
+                });
+                notificationService.success('Finished items marked as shipped');
+            }
+        } catch (error) {
+            console.error('Error shipping finished items:', error);
+            notificationService.error('Failed to ship items. Please try again.');
+        }
+    }
+
     /**
      * Edit an order
      * @param {Object} order - Order object
@@ -755,18 +980,18 @@ class ProductionService {
                 const oldName = order.customerName || '';
                 
                 if (newName === oldName) {
-                    alert('Customer name has not changed.');
+                    notificationService.warning('Customer name has not changed.');
                     return;
                 }
                 
                 if (!newName) {
-                    alert('Customer name cannot be empty.');
+                    notificationService.warning('Customer name cannot be empty.');
                     customerNameInput.value = oldName;
                     return;
                 }
                 
                 // Show confirmation popup
-                if (!confirm('Are you sure you want to edit the customer name?')) {
+                if (!(await notificationService.confirm('Are you sure you want to edit the customer name?', { confirmLabel: 'Edit Name' }))) {
                     customerNameInput.value = oldName;
                     return;
                 }
@@ -798,7 +1023,7 @@ class ProductionService {
                             
                             // Update local order data
                             order.customerName = newName;
-                            alert('✓ Customer name updated successfully');
+                            notificationService.success('Customer name updated successfully');
                         } else {
                             throw new Error('Could not find customer ID for this order');
                         }
@@ -814,11 +1039,11 @@ class ProductionService {
                         
                         // Update local order data
                         order.customerName = newName;
-                        alert('✓ Customer name updated successfully');
+                        notificationService.success('Customer name updated successfully');
                     }
                 } catch (error) {
                     console.error('Error updating customer name:', error);
-                    alert(`Failed to update customer name: ${error.message}`);
+                    notificationService.error(`Failed to update customer name: ${error.message}`);
                     customerNameInput.value = oldName;
                 } finally {
                     editCustomerNameBtn.disabled = false;
@@ -897,11 +1122,8 @@ class ProductionService {
             }
             
             // Update items array in database (JSONB column)
-            const itemsForDB = updatedItems.map(item => ({
-                product_name: item.productName,
-                product_image: item.productImage,
-                color: item.color,
-                price: item.price,
+            const itemsForDB = orderModelService.serializeItems(updatedItems).map(item => ({
+                ...item,
                 measurements: updatedMeasurements // Store measurements in items array
             }));
             
@@ -937,13 +1159,13 @@ class ProductionService {
                     measurements: updatedMeasurements,
                     comments: updatedComments
                 });
-                alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
+                notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
                 return false;
             }
             
             if (!data || data.length === 0) {
                 console.error('⚠️ No data returned from update, order may not exist');
-                alert('Order not found in database. Please refresh the page.');
+                notificationService.warning('Order not found in database. Please refresh the page.');
                 return false;
             }
             
@@ -961,14 +1183,14 @@ class ProductionService {
                 this.render();
             }
             
-            alert('✓ Order updated successfully');
+            notificationService.success('Order updated successfully');
             return true;
         } catch (error) {
             console.error('❌ Unexpected error saving order edit:', error);
             console.error('📋 Full error object:', JSON.stringify(error, null, 2));
             console.error('🔍 Error message:', error.message);
             console.error('🔍 Error stack:', error.stack);
-            alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
+            notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
             return false;
         }
     }
@@ -983,22 +1205,21 @@ class ProductionService {
         
         const order = this.orders.find(o => String(o.id) === orderIdStr);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        const progress = productionProgressService.getProgress(order);
+        if (!progress.complete) {
+            notificationService.warning(`Only ${progress.done} of ${progress.total} items have passed QC. Finish every item before marking the order as done.`);
             return;
         }
 
         try {
-            // Update order status to 'to_deliver'
-            // Explicitly update updated_at to track when order was marked as done in production
+            // Update order status to 'to_deliver' (validated against the order lifecycle)
+            // updated_at is set with the status to track when order was marked as done in production
             // If this fails with a constraint error, the database constraint needs to be updated
-            const { data, error } = await this.supabase
-                .from('orders')
-                .update({ 
-                    status: 'to_deliver',
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', orderIdStr)
-                .select();
+            const { data, error } = await orderLifecycleService.transition(this.supabase, orderIdStr, order.status || 'in_progress', 'to_deliver');
             
             // Log the full error for debugging
             if (error) {
@@ -1015,9 +1236,9 @@ class ProductionService {
                     console.error('⚠️ Constraint error detected, but "to_deliver" should be allowed.');
                     console.error('💡 This might be caused by a trigger or related table insert.');
                     console.error('💡 Check if there are triggers on the orders table that might be failing.');
-                    alert(`Database error: ${error.message}\n\nCheck the browser console (F12) for full error details.`);
+                    notificationService.error(`Database error: ${error.message}\n\nCheck the browser console (F12) for full error details.`);
                 } else {
-                    alert(`Failed to update order: ${error.message || 'Unknown error'}. Please try again.`);
+                    notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please try again.`);
                 }
                 return;
             }
@@ -1027,13 +1248,13 @@ class ProductionService {
                 console.error('Error details:', JSON.stringify(error, null, 2));
                 console.error('Order ID:', orderIdStr);
                 console.error('Order ID type:', typeof orderIdStr);
-                alert(`Failed to update order: ${error.message || error.hint || 'Unknown error'}. Please try again.`);
+                notificationService.error(`Failed to update order: ${error.message || error.hint || 'Unknown error'}. Please try again.`);
                 return;
             }
 
             if (!data || data.length === 0) {
                 console.error('No rows updated. Order ID:', orderIdStr);
-                alert('Order not found in database. Please refresh the page.');
+                notificationService.warning('Order not found in database. Please refresh the page.');
                 return;
             }
 
@@ -1049,10 +1270,127 @@ class ProductionService {
             }
 
             this.render();
-            alert('✓ Order marked as done and moved to To Be Delivered');
+            orderLifecycleService.offerUndo(this.supabase, {
+                orderId: orderIdStr,
+                fromStatus: order.status || 'in_progress',
+                toStatus: 'to_deliver',
+                message: 'Order marked as done and moved to To Be Delivered',
+                onReverted: () => this.loadOrdersFromDatabase()
+            });
         } catch (error) {
             console.error('Error marking order as done:', error);
-            alert('Failed to update order. Please try again.');
+            notificationService.error('Failed to update order. Please try again.');
+        }
+    }
+
+    /**
+     * Render the bulk action toolbar above the order list
+     */
+    renderBulkToolbar() {
+        // Drop selections for orders that have left this list
+        const listedIds = new Set(this.orders.map(order => String(order.id)));
+        [...this.selectedOrderIds].forEach(id => {
+            if (!listedIds.has(id)) this.selectedOrderIds.delete(id);
+        });
+
+        bulkActionsService.renderToolbar(this.container, {
+            selectedCount: this.selectedOrderIds.size,
+            totalCount: this.filteredOrders.length,
+            allSelected: this.filteredOrders.length > 0 && this.filteredOrders.every(order => this.selectedOrderIds.has(String(order.id))),
+            actions: [
+                { action: 'done', label: 'Mark Selected as Done', buttonClass: 'btn-done' },
+                { action: 'delete', label: 'Delete Selected', buttonClass: 'btn-deny' }
+            ],
+            onAction: (action) => this.runBulkAction(action),
+            onSelectAll: () => {
+                this.filteredOrders.forEach(order => this.selectedOrderIds.add(String(order.id)));
+                this.render();
+            },
+            onClear: () => {
+                this.selectedOrderIds.clear();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Select or deselect an order for bulk actions
+     * @param {string} orderId - Order ID
+     * @param {boolean} selected - Whether the order is selected
+     */
+    toggleOrderSelection(orderId, selected) {
+        if (selected) {
+            this.selectedOrderIds.add(String(orderId));
+        } else {
+            this.selectedOrderIds.delete(String(orderId));
+        }
+        this.renderBulkToolbar();
+    }
+
+    /**
+     * Get the orders currently selected for bulk actions
+     * @returns {Array} Selected orders
+     */
+    getSelectedOrders() {
+        return this.orders.filter(order => this.selectedOrderIds.has(String(order.id)));
+    }
+
+    /**
+     * Run a bulk action on the selected orders and show a summary
+     * Orders whose items have not all passed QC are reported as failed.
+     * @param {string} action - 'done' or 'delete'
+     */
+    async runBulkAction(action) {
+        const selected = this.getSelectedOrders();
+        if (selected.length === 0) return;
+
+        const actionLabels = {
+            done: { verb: 'Mark as done', done: 'Marked as done', callback: 'done' },
+            delete: { verb: 'Delete', done: 'Deleted', callback: 'deleted' }
+        };
+        const labels = actionLabels[action];
+        if (!labels) return;
+
+        if (!(await notificationService.confirm(`${labels.verb} ${selected.length} selected order${selected.length !== 1 ? 's' : ''}?`, {
+            title: 'Bulk action',
+            confirmLabel: labels.verb,
+            danger: action === 'delete' || action === 'deny'
+        }))) {
+            return;
+        }
+
+        try {
+            let result;
+            if (action === 'done') {
+                const ready = selected.filter(order => productionProgressService.getProgress(order).complete);
+                const notReady = selected.filter(order => !productionProgressService.getProgress(order).complete);
+                result = await orderLifecycleService.transitionMany(this.supabase, ready, 'to_deliver');
+                notReady.forEach(order => {
+                    const progress = productionProgressService.getProgress(order);
+                    result.failed.push({ order, message: `Only ${progress.done} of ${progress.total} items have passed QC` });
+                });
+            } else {
+                result = await bulkActionsService.softDeleteMany(this.supabase, selected);
+            }
+
+            // Remove succeeded orders from the list; failed ones stay selected for another try
+            const succeededIds = new Set(result.succeeded.map(order => String(order.id)));
+            this.orders = this.orders.filter(order => !succeededIds.has(String(order.id)));
+            succeededIds.forEach(id => {
+                this.selectedOrderIds.delete(id);
+                this.checkedOrders.delete(id);
+            });
+
+            if (this.onOrderUpdateCallback) {
+                result.succeeded.forEach(order => this.onOrderUpdateCallback(labels.callback, order));
+            }
+
+            this.filterOrders();
+            this.render();
+            bulkActionsService.showSummary(labels.done, result);
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            notificationService.error('Bulk action failed. Please try again.');
         }
     }
 
@@ -1155,6 +1493,66 @@ class ProductionService {
         }
     }
 
+    /**
+     * Set up the "My work" filter toggle
+     */
+    setupMyWorkToggle() {
+        const toggle = document.getElementById('productionMyWorkToggle');
+        if (toggle) {
+            toggle.removeEventListener('change', this.handleMyWorkToggle);
+            this.handleMyWorkToggle = (e) => {
+                this.myWorkOnly = e.target.checked;
+                this.filterOrders();
+                this.render();
+            };
+            toggle.addEventListener('change', this.handleMyWorkToggle);
+            this.myWorkOnly = toggle.checked;
+        }
+    }
+
+    /**
+     * Set up the "Scan to Mark Done" button
+     */
+    setupScanButton() {
+        const button = document.getElementById('productionScanBtn');
+        if (button) {
+            button.removeEventListener('click', this.handleScanClick);
+            this.handleScanClick = () => {
+                scanService.open({
+                    title: 'Scan to Mark Done',
+                    hint: 'Scan the QR tag or job card of a finished order.',
+                    onScan: (orderId) => this.handleScannedOrder(orderId)
+                });
+            };
+            button.addEventListener('click', this.handleScanClick);
+        }
+    }
+
+    /**
+     * Open a scanned order and, once confirmed, mark it as done
+     * @param {string} orderId - Scanned order ID
+     */
+    async handleScannedOrder(orderId) {
+        const order = this.orders.find(o => String(o.id) === String(orderId));
+        if (!order) {
+            // Not in production - show the order wherever it is instead
+            notificationService.warning('That order is not in Production');
+            await orderLinkService.openOrder(orderId);
+            return;
+        }
+
+        scanService.revealOrder(this.container, order.id);
+
+        const progress = productionProgressService.getProgress(order);
+        const confirmed = await notificationService.confirm(
+            `${scanService.summarizeOrder(order)}\n${progress.done} of ${progress.total} item${progress.total !== 1 ? 's' : ''} done`,
+            { title: 'Mark as Done?', confirmLabel: 'Mark as Done' }
+        );
+        if (confirmed) {
+            await this.markAsDone(order.id);
+        }
+    }
+
     /**
      * Get current orders
      * @returns {Array} Array of current orders
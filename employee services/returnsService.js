@@ -120,6 +120,7 @@ class ReturnsService {
             const { data: productsData, error } = await this.supabase
                 .from('products')
                 .select('id, name, image_url, price')
+                .is('deleted_at', null)
                 .order('name', { ascending: true });
 
             if (error) {
@@ -303,6 +304,7 @@ class ReturnsService {
             const { data: returns, error } = await this.supabase
                 .from('returns')
                 .select('*')
+                .is('deleted_at', null)
                 .order('created_at', { ascending: false });
 
             if (error) {
@@ -450,7 +452,7 @@ class ReturnsService {
 
         // If marking as resolved, show confirmation dialog
         if (newResolvedStatus) {
-            const confirmed = confirm('Are you sure you want to delete this return? This action cannot be undone.');
+            const confirmed = await notificationService.confirm('Mark this return as resolved? It will move to the Trash, where it can be restored.', { title: 'Resolve return', confirmLabel: 'Resolve' });
             
             if (!confirmed) {
                 // User cancelled - revert checkbox state
@@ -461,16 +463,13 @@ class ReturnsService {
                 return;
             }
 
-            // User confirmed - delete the return
+            // User confirmed - move the return to the Trash
             try {
-                const { error } = await this.supabase
-                    .from('returns')
-                    .delete()
-                    .eq('id', returnId);
+                const { error } = await softDeleteService.softDelete(this.supabase, 'return', returnId);
 
                 if (error) {
                     console.error('Error deleting return:', error);
-                    alert('Failed to delete return. Please try again.');
+                    notificationService.error('Failed to delete return. Please try again.');
                     // Revert checkbox on error
                     const checkbox = document.getElementById(`return-${returnId}`);
                     if (checkbox) {
@@ -484,7 +483,7 @@ class ReturnsService {
                 this.render();
             } catch (error) {
                 console.error('Error deleting return:', error);
-                alert('Failed to delete return. Please try again.');
+                notificationService.error('Failed to delete return. Please try again.');
                 // Revert checkbox on error
                 const checkbox = document.getElementById(`return-${returnId}`);
                 if (checkbox) {
@@ -501,7 +500,7 @@ class ReturnsService {
 
             if (error) {
                 console.error('Error updating return:', error);
-                alert('Failed to update return status. Please try again.');
+                notificationService.error('Failed to update return status. Please try again.');
                 return;
             }
 
@@ -510,7 +509,7 @@ class ReturnsService {
             this.render();
         } catch (error) {
             console.error('Error toggling return resolved status:', error);
-            alert('Failed to update return status. Please try again.');
+            notificationService.error('Failed to update return status. Please try again.');
             }
         }
     }
@@ -652,25 +651,25 @@ class ReturnsService {
         const comment = document.getElementById('return-comment')?.value.trim();
 
         if (!clientName || !countryCode || !phoneNumber || !clothItemInput || !comment) {
-            alert('Please fill in all fields');
+            notificationService.warning('Please fill in all fields');
             return;
         }
 
         // Validate that a product was selected from search
         if (!this.selectedProduct) {
-            alert('Please select a cloth item from the search results');
+            notificationService.warning('Please select a cloth item from the search results');
             return;
         }
 
         // Validate and combine phone number
         let countryCodeClean = countryCode.replace(/^\+/, '');
         if (!countryCodeClean || countryCodeClean === '') {
-            alert('Please enter your country code (e.g., 254 for Kenya)');
+            notificationService.warning('Please enter your country code (e.g., 254 for Kenya)');
             return;
         }
         
         if (!/^\d+$/.test(countryCodeClean)) {
-            alert('Country code must contain only numbers');
+            notificationService.warning('Country code must contain only numbers');
             return;
         }
 
@@ -681,7 +680,7 @@ class ReturnsService {
         }
         
         if (!/^\d+$/.test(phoneNumberClean)) {
-            alert('Phone number must contain only numbers');
+            notificationService.warning('Phone number must contain only numbers');
             return;
         }
 
@@ -723,12 +722,12 @@ class ReturnsService {
 
                 if (customerError) {
                     console.error('Error creating customer:', customerError);
-                    alert(`Failed to create customer: ${customerError.message}. Please try again.`);
+                    notificationService.error(`Failed to create customer: ${customerError.message}. Please try again.`);
                     return;
                 }
                 
                 if (!newCustomer || !newCustomer.id) {
-                    alert('Failed to create customer. Please try again.');
+                    notificationService.error('Failed to create customer. Please try again.');
                     return;
                 }
                 
@@ -737,13 +736,13 @@ class ReturnsService {
             
             // Ensure customerId is set before proceeding
             if (!customerId) {
-                alert('Failed to get or create customer. Please try again.');
+                notificationService.error('Failed to get or create customer. Please try again.');
                 return;
             }
 
             // Validate all required fields before insert
             if (!clientName || !customerPhone || !clothItem || !comment) {
-                alert('Please fill in all required fields.');
+                notificationService.warning('Please fill in all required fields.');
                 return;
             }
 
@@ -771,7 +770,7 @@ class ReturnsService {
 
             if (error) {
                 console.error('Error creating return:', error);
-                alert(`Failed to add return: ${error.message || 'Unknown error'}. Please try again.`);
+                notificationService.error(`Failed to add return: ${error.message || 'Unknown error'}. Please try again.`);
                 return;
             }
 
@@ -786,10 +785,10 @@ class ReturnsService {
             this.closeModal();
 
             // Show success message
-            alert('✓ Return added successfully!');
+            notificationService.success('Return added successfully!');
         } catch (error) {
             console.error('Error submitting return:', error);
-            alert('Failed to add return. Please try again.');
+            notificationService.error('Failed to add return. Please try again.');
         }
     }
 
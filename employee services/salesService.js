@@ -12,6 +12,8 @@ class SalesService {
         this.onOrderUpdateCallback = null;
         this.supabase = null;
         this.ordersChannel = null; // Realtime subscription channel
+        this.selectedOrderIds = new Set(); // Orders selected for bulk actions
+        this.reusedMpesaCodes = new Set(); // M-Pesa codes found on more than one order
     }
 
     /**
@@ -99,23 +101,10 @@ class SalesService {
                 return !order.deleted_at || order.deleted_at === null;
             });
 
-            // Validate customer data integrity before transforming
-            const validatedOrders = activeOrders.map(order => {
-                // Verify customer relationship is correct
-                if (order.customer_id && order.customers) {
-                    if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                        // Validate customer ID matches (if customer object has id)
-                        if (order.customers.id && order.customers.id !== order.customer_id) {
-                            console.error(`⚠️ Customer ID mismatch for order ${order.id}: order.customer_id=${order.customer_id}, customer.id=${order.customers.id}`);
-                        }
-                    }
-                }
-                return order;
-            });
-
-            // Transform Supabase data to match expected format
+            // Transform Supabase data to the shared order model (also checks customer join integrity)
             // Items are now stored as JSONB in the orders table, so we read directly from order.items
-            this.orders = validatedOrders.map(order => this.transformOrder(order));
+            this.orders = activeOrders.map(order => this.transformOrder(order));
+            this.reusedMpesaCodes = await mpesaReconciliationService.findReusedCodes(this.supabase, this.orders);
             this.filterOrders();
             this.render();
         } catch (error) {
@@ -131,158 +120,7 @@ class SalesService {
      * @returns {Object} Transformed order object
      */
     transformOrder(order) {
-        // Parse measurements if stored as JSON
-        let measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-        if (order.measurements) {
-            if (typeof order.measurements === 'string') {
-                try {
-                    measurements = JSON.parse(order.measurements);
-                } catch (e) {
-                    measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-                }
-            } else {
-                measurements = order.measurements;
-            }
-        }
-
-        // Extract measurements from comments if they're stored there
-        let comments = order.comments || order.notes || '';
-        if (comments && comments.includes('Measurements:')) {
-            // Parse measurements from comments string
-            // Format 1 (standard): "Measurements: Size=SS 6, Bust=32, Waist=25, Hips=36"
-            // Format 2 (in-house): "Measurements: Height=N/A, Bust=38, High Waist=32, Hips=43"
-            // Or: "some text\nMeasurements: ..."
-            
-            // Pattern 1: In-house format with Height and High Waist (handle any text before "Measurements:")
-            let measurementsMatch = comments.match(/Measurements:\s*Height=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*High\s+Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // In-house format: Height, Bust, High Waist, Hips
-                measurements.size = measurementsMatch[1].trim(); // Use Height as size (or could be N/A)
-                measurements.bust = measurementsMatch[2].trim();
-                measurements.waist = measurementsMatch[3].trim(); // High Waist becomes waist
-                measurements.hips = measurementsMatch[4].trim();
-            } else {
-                // Pattern 2: Standard format with Size and Waist
-                measurementsMatch = comments.match(/Measurements:\s*Size=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i);
-                
-                // Pattern 3: More flexible, handles any spacing
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Measurements:.*?Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 4: Very flexible, just find the values (standard format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                // Pattern 5: Very flexible, just find the values (in-house format)
-                if (!measurementsMatch) {
-                    measurementsMatch = comments.match(/Height=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+High\s+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i);
-                }
-                
-                if (measurementsMatch && measurementsMatch.length >= 5) {
-                    // Check if it's in-house format (has Height) or standard format (has Size)
-                    const firstMatch = measurementsMatch[0];
-                    if (firstMatch.includes('Height=')) {
-                        // In-house format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    } else {
-                        // Standard format
-                        measurements.size = measurementsMatch[1].trim();
-                        measurements.bust = measurementsMatch[2].trim();
-                        measurements.waist = measurementsMatch[3].trim();
-                        measurements.hips = measurementsMatch[4].trim();
-                    }
-                }
-            }
-            
-            if (measurementsMatch && measurementsMatch.length >= 5) {
-                // Remove measurements line from comments (handle both single line and multi-line)
-                comments = comments.replace(/\n?Measurements:.*$/m, '').trim();
-                // Also remove if it's at the end of a line
-                comments = comments.replace(/Measurements:.*$/m, '').trim();
-            }
-        }
-
-        // Format date
-        const orderDate = order.created_at ? new Date(order.created_at).toISOString().split('T')[0] : '';
-
-        // Process items from JSONB column (new approach) or fallback to single item
-        let items = [];
-        
-        // Check if order has items stored as JSONB array
-        if (order.items && Array.isArray(order.items) && order.items.length > 0) {
-            console.log(`📦 Processing ${order.items.length} items from JSONB for order ${order.id}`);
-            items = order.items.map(item => ({
-                productName: item.product_name || 'Unknown Product',
-                productImage: item.product_image || 'https://via.placeholder.com/400',
-                color: item.color || '',
-                price: item.price || 0,
-                measurements: item.measurements || {}
-            }));
-            console.log(`✅ Created ${items.length} items for order ${order.id}:`, items.map(i => i.productName));
-        } else {
-            // Fallback to single item (backward compatibility for old orders)
-            console.log(`ℹ️ No items array found for order ${order.id}, using single item fallback`);
-            items = [{
-                productName: order.products?.name || order.product_name || 'Unknown Product',
-                productImage: order.products?.image_url || order.product_image || order.image_url || 'https://via.placeholder.com/400',
-                color: order.color || '',
-                price: order.price || 0,
-                measurements: measurements
-            }];
-        }
-
-        // CRITICAL FIX: Properly extract customer data to prevent name replication bug
-        let customerName = 'Unknown Customer';
-        let customerPhone = '';
-        
-        if (order.customers) {
-            if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                customerName = order.customers.name || 'Unknown Customer';
-                customerPhone = order.customers.phone || '';
-            } else if (Array.isArray(order.customers) && order.customers.length > 0) {
-                customerName = order.customers[0].name || 'Unknown Customer';
-                customerPhone = order.customers[0].phone || '';
-            }
-        }
-        
-        if (customerName === 'Unknown Customer' && order.customer_id) {
-            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
-        }
-        
-        if (customerName === 'Unknown Customer' && !order.customer_id && order.customer_name) {
-            customerName = order.customer_name;
-        }
-        
-        if (!customerPhone && !order.customer_id && order.phone) {
-            customerPhone = order.phone;
-        } else if (!customerPhone && order.customer_phone) {
-            customerPhone = order.customer_phone;
-        }
-
-        return {
-            id: order.id,
-            customer_id: order.customer_id, // Include customer_id for editing
-            customerName: customerName,
-            phone: customerPhone,
-            productName: items[0]?.productName || 'Unknown Product', // First item for backward compatibility
-            productImage: items[0]?.productImage || 'https://via.placeholder.com/400', // First item for backward compatibility
-            color: items[0]?.color || '', // First item for backward compatibility
-            price: order.price || 0, // Total price
-            items: items, // Array of all items
-            measurements: measurements,
-            comments: comments,
-            date: orderDate,
-            deliveryOption: order.delivery_option || order.deliveryOption || '',
-            paymentOption: order.payment_option || order.paymentOption || '',
-            paymentReference: order.payment_reference || order.paymentReference || '',
-            deliveryLocation: order.delivery_display_name || order.delivery_location || order.deliveryLocation || ''
-        };
+        return orderModelService.normalizeOrder(order);
     }
 
     /**
@@ -296,7 +134,7 @@ class SalesService {
     }
 
     /**
-     * Filter orders based on search term
+     * Filter orders based on search term (overdue orders sorted to the top)
      */
     filterOrders() {
         if (!this.searchTerm || this.searchTerm.trim() === '') {
@@ -308,6 +146,9 @@ class SalesService {
                 return customerName.includes(searchLower);
             });
         }
+
+        // Overdue orders first so they are not missed
+        this.filteredOrders = promisedDateService.sortOverdueFirst(this.filteredOrders);
     }
 
     /**
@@ -316,6 +157,8 @@ class SalesService {
     render() {
         if (!this.container) return;
 
+        this.renderBulkToolbar();
+
         // Store the current scroll position if needed
         const scrollTop = this.container.scrollTop;
 
@@ -347,6 +190,13 @@ class SalesService {
     createOrderBubble(order) {
         const bubble = document.createElement('div');
         bubble.className = 'order-bubble';
+        bubble.dataset.orderId = order.id;
+        
+        // Status buttons come from the order lifecycle; this tab handles accept and deny
+        const transitionHandlers = {
+            accept: (o) => this.acceptOrder(o.id),
+            deny: (o) => this.denyOrder(o.id)
+        };
         
         // Check if order has multiple items
         const items = order.items || [order]; // Fallback to single item if items array doesn't exist
@@ -398,9 +248,12 @@ class SalesService {
         
         bubble.innerHTML = `
             <div class="order-header">
+                ${bulkActionsService.renderSelectCheckbox(order, this.selectedOrderIds.has(String(order.id)))}
                 <div class="order-info" style="width: 100%;">
                     <div class="customer-name">${order.customerName}</div>
                     <div class="product-name" style="margin-top: 4px;">${isMultiItem ? `${items.length} Item${items.length > 1 ? 's' : ''}` : items[0].productName}</div>
+                    ${promisedDateService.renderCountdownBadge(order)}
+                    ${mpesaReconciliationService.renderPaymentBadge(order, this.reusedMpesaCodes)}
                 </div>
             </div>
             ${itemsHTML}
@@ -408,25 +261,19 @@ class SalesService {
                 ${this.renderOrderDetails(order)}
             </div>
             <div class="order-actions">
-                <button class="btn btn-accept" data-action="accept" data-id="${order.id}">Accept</button>
+                ${orderLifecycleService.renderTransitionButtons(order, transitionHandlers)}
                 <button class="btn btn-edit" data-action="edit" data-id="${order.id}" style="background-color: #4A90E2; color: white; border: none;">Edit</button>
-                <button class="btn btn-deny" data-action="reject" data-id="${order.id}">Reject</button>
             </div>
         `;
 
         // Note: Click handler for expanding is now handled via event delegation in init()
         // Add button click handlers (stop propagation to prevent toggle)
-        const acceptBtn = bubble.querySelector('[data-action="accept"]');
-        const editBtn = bubble.querySelector('[data-action="edit"]');
-        const rejectBtn = bubble.querySelector('[data-action="reject"]');
-        
-        if (acceptBtn) {
-            acceptBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.acceptOrder(order.id);
-            });
-        }
+        orderLifecycleService.bindTransitionButtons(bubble, order, transitionHandlers);
+        orderEventsService.bindTimelineToggle(bubble, order, this.supabase);
+        customerNotificationService.bindLogToggle(bubble, order, this.supabase);
+        bulkActionsService.bindSelectCheckbox(bubble, order, (o, checked) => this.toggleOrderSelection(o.id, checked));
 
+        const editBtn = bubble.querySelector('[data-action="edit"]');
         if (editBtn) {
             editBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -434,13 +281,6 @@ class SalesService {
             });
         }
 
-        if (rejectBtn) {
-            rejectBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.denyOrder(order.id);
-            });
-        }
-
         return bubble;
     }
 
@@ -519,6 +359,8 @@ class SalesService {
                 <div class="detail-label">Order Date:</div>
                 <div class="detail-value">${order.date}</div>
             </div>
+            ${orderEventsService.renderTimelineSection(order)}
+            ${customerNotificationService.renderLogSection(order)}
         `;
     }
 
@@ -529,23 +371,17 @@ class SalesService {
     async acceptOrder(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
             return;
         }
 
         try {
-            // Update order status in Supabase
-            const { error } = await this.supabase
-                .from('orders')
-                .update({ 
-                    status: 'in_progress',
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', orderId);
+            // Update order status in Supabase (validated against the order lifecycle)
+            const { error } = await orderLifecycleService.transition(this.supabase, orderId, order.status || 'pending', 'in_progress');
 
             if (error) {
                 console.error('Error accepting order:', error);
-                alert('Failed to accept order. Please try again.');
+                notificationService.error(`Failed to accept order: ${error.message || 'Unknown error'}`);
                 return;
             }
 
@@ -558,10 +394,16 @@ class SalesService {
             }
 
             this.render();
-            alert('✓ Order accepted and moved to In Progress');
+            orderLifecycleService.offerUndo(this.supabase, {
+                orderId,
+                fromStatus: order.status || 'pending',
+                toStatus: 'in_progress',
+                message: 'Order accepted and moved to In Progress',
+                onReverted: () => this.loadOrdersFromDatabase()
+            });
         } catch (error) {
             console.error('Error accepting order:', error);
-            alert('Failed to accept order. Please try again.');
+            notificationService.error('Failed to accept order. Please try again.');
         }
     }
 
@@ -572,12 +414,12 @@ class SalesService {
     async deleteOrder(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
             return;
         }
 
         // Ask for confirmation
-        if (!confirm('Are you sure you want to delete this order? You can restore it from the Trash later.')) {
+        if (!(await notificationService.confirm('Are you sure you want to delete this order? You can restore it from the Trash later.', { title: 'Delete order', confirmLabel: 'Delete', danger: true }))) {
             return;
         }
 
@@ -601,7 +443,7 @@ class SalesService {
 
             if (error) {
                 console.error('Error deleting order:', error);
-                alert('Failed to delete order. Please try again.');
+                notificationService.error('Failed to delete order. Please try again.');
                 return;
             }
 
@@ -614,13 +456,39 @@ class SalesService {
             }
 
             this.render();
-            alert('✓ Order deleted. You can restore it from the Trash if needed.');
+            notificationService.successWithUndo('Order deleted. You can restore it from the Trash if needed.', () => this.undoDelete(order));
         } catch (error) {
             console.error('Error deleting order:', error);
-            alert('Failed to delete order. Please try again.');
+            notificationService.error('Failed to delete order. Please try again.');
         }
     }
 
+    /**
+     * Undo a delete from the toast by clearing the soft-delete fields
+     * @param {Object} order - Order that was deleted
+     */
+    async undoDelete(order) {
+        const { error } = await this.supabase
+            .from('orders')
+            .update({
+                deleted_at: null,
+                original_status: null,
+                deleted_by: null,
+                deleted_by_name: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', order.id);
+
+        if (error) {
+            console.error('Error undoing delete:', error);
+            notificationService.error(`Failed to undo delete: ${error.message || 'Unknown error'}`);
+            return;
+        }
+
+        await this.loadOrdersFromDatabase();
+        notificationService.success('Order restored');
+    }
+
     /**
      * Edit an order
      * @param {Object} order - Order object
@@ -725,6 +593,14 @@ class SalesService {
                               onblur="this.style.borderColor='rgba(27, 77, 62, 0.2)';">${order.comments || ''}</textarea>
                 </div>
                 
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 6px; font-weight: 600; color: #2d3748;">Promised By:</label>
+                    <input type="date" id="edit-promised-date" value="${order.promisedDate ? String(order.promisedDate).split('T')[0] : ''}" 
+                           style="width: 100%; padding: 8px 12px; border: 2px solid rgba(27, 77, 62, 0.2); border-radius: 6px; font-size: 14px; outline: none;"
+                           onfocus="this.style.borderColor='#1B4D3E';" 
+                           onblur="this.style.borderColor='rgba(27, 77, 62, 0.2)';">
+                </div>
+                
                 <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 24px;">
                     <button id="cancelEditOrder" style="padding: 10px 20px; background: #E2E8F0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Cancel</button>
                     <button id="saveEditOrder" style="padding: 10px 20px; background: #1B4D3E; color: white; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Save Changes</button>
@@ -756,18 +632,18 @@ class SalesService {
                 const oldName = order.customerName || '';
                 
                 if (newName === oldName) {
-                    alert('Customer name has not changed.');
+                    notificationService.warning('Customer name has not changed.');
                     return;
                 }
                 
                 if (!newName) {
-                    alert('Customer name cannot be empty.');
+                    notificationService.warning('Customer name cannot be empty.');
                     customerNameInput.value = oldName;
                     return;
                 }
                 
                 // Show confirmation popup
-                if (!confirm('Are you sure you want to edit the customer name?')) {
+                if (!(await notificationService.confirm('Are you sure you want to edit the customer name?', { confirmLabel: 'Edit Name' }))) {
                     customerNameInput.value = oldName;
                     return;
                 }
@@ -799,7 +675,7 @@ class SalesService {
                             
                             // Update local order data
                             order.customerName = newName;
-                            alert('✓ Customer name updated successfully');
+                            notificationService.success('Customer name updated successfully');
                         } else {
                             throw new Error('Could not find customer ID for this order');
                         }
@@ -815,11 +691,11 @@ class SalesService {
                         
                         // Update local order data
                         order.customerName = newName;
-                        alert('✓ Customer name updated successfully');
+                        notificationService.success('Customer name updated successfully');
                     }
                 } catch (error) {
                     console.error('Error updating customer name:', error);
-                    alert(`Failed to update customer name: ${error.message}`);
+                    notificationService.error(`Failed to update customer name: ${error.message}`);
                     customerNameInput.value = oldName;
                 } finally {
                     editCustomerNameBtn.disabled = false;
@@ -897,12 +773,13 @@ class SalesService {
                 updatedComments = updatedComments ? `${updatedComments}\n${measurementsText}` : measurementsText;
             }
             
+            // Collect updated promised date (empty clears it)
+            const promisedDateInput = document.getElementById('edit-promised-date');
+            const updatedPromisedDate = promisedDateInput ? (promisedDateInput.value || null) : (order.promisedDate || null);
+            
             // Update items array in database (JSONB column)
-            const itemsForDB = updatedItems.map(item => ({
-                product_name: item.productName,
-                product_image: item.productImage,
-                color: item.color,
-                price: item.price,
+            const itemsForDB = orderModelService.serializeItems(updatedItems).map(item => ({
+                ...item,
                 measurements: updatedMeasurements // Store measurements in items array
             }));
             
@@ -919,6 +796,7 @@ class SalesService {
                     items: itemsForDB,
                     color: updatedColor,
                     comments: updatedComments || null,
+                    promised_date: updatedPromisedDate,
                     updated_at: new Date().toISOString()
                 })
                 .eq('id', orderIdStr)
@@ -936,15 +814,16 @@ class SalesService {
                     items: itemsForDB,
                     color: updatedColor,
                     measurements: updatedMeasurements,
-                    comments: updatedComments
+                    comments: updatedComments,
+                    promised_date: updatedPromisedDate
                 });
-                alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
+                notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
                 return false;
             }
             
             if (!data || data.length === 0) {
                 console.error('⚠️ No data returned from update, order may not exist');
-                alert('Order not found in database. Please refresh the page.');
+                notificationService.warning('Order not found in database. Please refresh the page.');
                 return false;
             }
             
@@ -956,20 +835,21 @@ class SalesService {
                     items: updatedItems,
                     color: updatedColor,
                     measurements: updatedMeasurements,
-                    comments: updatedComments
+                    comments: updatedComments,
+                    promisedDate: updatedPromisedDate
                 };
                 this.filterOrders();
                 this.render();
             }
             
-            alert('✓ Order updated successfully');
+            notificationService.success('Order updated successfully');
             return true;
         } catch (error) {
             console.error('❌ Unexpected error saving order edit:', error);
             console.error('📋 Full error object:', JSON.stringify(error, null, 2));
             console.error('🔍 Error message:', error.message);
             console.error('🔍 Error stack:', error.stack);
-            alert(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
+            notificationService.error(`Failed to update order: ${error.message || 'Unknown error'}. Please check the console (F12) for details.`);
             return false;
         }
     }
@@ -981,30 +861,41 @@ class SalesService {
     async denyOrder(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
             return;
         }
 
-        if (!confirm('Are you sure you want to deny this order? This action cannot be undone.')) {
+        // Paid orders ask whether to refund the customer instead of a plain confirm
+        let refund = null;
+        if (refundService.getRefundableAmount(order) > 0) {
+            refund = await refundService.promptRefund(order);
+            if (!refund) return;
+        } else if (!(await notificationService.confirm('Are you sure you want to deny this order?', { title: 'Deny order', confirmLabel: 'Deny', danger: true }))) {
             return;
         }
 
         try {
             // Update order status to 'cancelled' to keep history
-            const { error } = await this.supabase
-                .from('orders')
-                .update({ 
-                    status: 'cancelled',
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', orderId);
+            const { error } = await orderLifecycleService.transition(this.supabase, orderId, order.status || 'pending', 'cancelled');
 
             if (error) {
                 console.error('Error denying order:', error);
-                alert('Failed to deny order. Please try again.');
+                notificationService.error(`Failed to deny order: ${error.message || 'Unknown error'}`);
                 return;
             }
 
+            // Refund only once the order is denied; a failed refund puts the order back
+            if (refund && refund.amount > 0) {
+                const { error: refundError, restored } = await this.refundDeniedOrder(order, refund);
+                if (refundError) {
+                    notificationService.error(restored
+                        ? `Refund failed, so the order was not denied: ${refundError.message || 'Unknown error'}`
+                        : `The order was denied but the refund failed: ${refundError.message || 'Unknown error'}. Refund the customer by hand.`);
+                    this.loadOrdersFromDatabase();
+                    return;
+                }
+            }
+
             // Remove from local array
             this.orders = this.orders.filter(o => o.id !== orderId);
             this.filterOrders();
@@ -1014,10 +905,193 @@ class SalesService {
             }
 
             this.render();
-            alert('Order denied and removed');
+
+            // A refunded order cannot simply be reinstated
+            if (refund && refund.amount > 0) {
+                notificationService.success(`Order denied and KES ${refund.amount.toLocaleString()} refunded`);
+                return;
+            }
+
+            orderLifecycleService.offerUndo(this.supabase, {
+                orderId,
+                fromStatus: order.status || 'pending',
+                toStatus: 'cancelled',
+                message: 'Order denied and removed',
+                onReverted: () => this.loadOrdersFromDatabase()
+            });
         } catch (error) {
             console.error('Error denying order:', error);
-            alert('Failed to deny order. Please try again.');
+            notificationService.error('Failed to deny order. Please try again.');
+        }
+    }
+
+    /**
+     * Refund an order that was just denied, or move it back if the refund fails
+     * @param {Object} order - Order as it was before it was denied
+     * @param {Object} refund - { amount, reason }
+     * @returns {Promise<Object>} { error, restored } restored is false when a failed refund left the order denied
+     */
+    async refundDeniedOrder(order, refund) {
+        const { error } = await refundService.issueRefund(this.supabase, order, refund);
+        if (!error) return { error: null, restored: false };
+
+        console.error('Error refunding order:', error);
+        const { error: revertError } = await orderLifecycleService.revertTransition(this.supabase, order.id, 'cancelled', order.status || 'pending', {}, 'Refund failed');
+        if (revertError) {
+            console.error('Error restoring order after a failed refund:', revertError);
+        }
+        return { error, restored: !revertError };
+    }
+
+    /**
+     * Render the bulk action toolbar above the order list
+     */
+    renderBulkToolbar() {
+        // Drop selections for orders that have left this list
+        const listedIds = new Set(this.orders.map(order => String(order.id)));
+        [...this.selectedOrderIds].forEach(id => {
+            if (!listedIds.has(id)) this.selectedOrderIds.delete(id);
+        });
+
+        bulkActionsService.renderToolbar(this.container, {
+            selectedCount: this.selectedOrderIds.size,
+            totalCount: this.filteredOrders.length,
+            allSelected: this.filteredOrders.length > 0 && this.filteredOrders.every(order => this.selectedOrderIds.has(String(order.id))),
+            actions: [
+                { action: 'accept', label: 'Accept Selected', buttonClass: 'btn-accept' },
+                { action: 'deny', label: 'Reject Selected', buttonClass: 'btn-deny' },
+                { action: 'delete', label: 'Delete Selected', buttonClass: 'btn-deny' }
+            ],
+            onAction: (action) => this.runBulkAction(action),
+            onSelectAll: () => {
+                this.filteredOrders.forEach(order => this.selectedOrderIds.add(String(order.id)));
+                this.render();
+            },
+            onClear: () => {
+                this.selectedOrderIds.clear();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Select or deselect an order for bulk actions
+     * @param {string} orderId - Order ID
+     * @param {boolean} selected - Whether the order is selected
+     */
+    toggleOrderSelection(orderId, selected) {
+        if (selected) {
+            this.selectedOrderIds.add(String(orderId));
+        } else {
+            this.selectedOrderIds.delete(String(orderId));
+        }
+        this.renderBulkToolbar();
+    }
+
+    /**
+     * Get the orders currently selected for bulk actions
+     * @returns {Array} Selected orders
+     */
+    getSelectedOrders() {
+        return this.orders.filter(order => this.selectedOrderIds.has(String(order.id)));
+    }
+
+    /**
+     * Run a bulk action on the selected orders and show a summary
+     * @param {string} action - 'accept', 'deny' or 'delete'
+     */
+    async runBulkAction(action) {
+        const selected = this.getSelectedOrders();
+        if (selected.length === 0) return;
+
+        const actionLabels = {
+            accept: { verb: 'Accept', done: 'Accepted', callback: 'accepted' },
+            deny: { verb: 'Reject', done: 'Rejected', callback: 'denied' },
+            delete: { verb: 'Delete', done: 'Deleted', callback: 'deleted' }
+        };
+        const labels = actionLabels[action];
+        if (!labels) return;
+
+        // Rejected Paystack orders are refunded in full. Orders paid another way need staff to send
+        // the money back, so they are skipped here and rejected one at a time through the refund dialog.
+        const paidOrders = action === 'deny' ? selected.filter(order => refundService.getRefundableAmount(order) > 0) : [];
+        const paid = paidOrders.filter(order => refundService.getRefundablePayment(order).method === 'paystack');
+        const skipped = paidOrders.filter(order => !paid.includes(order));
+        const toRun = selected.filter(order => !skipped.includes(order));
+        const refundNote = paid.length > 0
+            ? ` ${paid.length} ${paid.length !== 1 ? 'are' : 'is'} paid through Paystack and will be refunded in full.`
+            : '';
+        const skipNote = skipped.length > 0
+            ? ` ${skipped.length} paid outside Paystack will be skipped; reject each on its own to record the refund.`
+            : '';
+
+        if (toRun.length === 0) {
+            notificationService.warning('The selected orders were paid outside Paystack. Reject each on its own to record the refund.');
+            return;
+        }
+
+        if (!(await notificationService.confirm(`${labels.verb} ${toRun.length} selected order${toRun.length !== 1 ? 's' : ''}?${refundNote}${skipNote}`, {
+            title: 'Bulk action',
+            confirmLabel: labels.verb,
+            danger: action === 'delete' || action === 'deny'
+        }))) {
+            return;
+        }
+
+        try {
+            const result = action === 'delete'
+                ? await bulkActionsService.softDeleteMany(this.supabase, toRun)
+                : await orderLifecycleService.transitionMany(this.supabase, toRun, action === 'accept' ? 'in_progress' : 'cancelled');
+            skipped.forEach(order => result.failed.push({
+                order,
+                message: 'Paid outside Paystack, so it was not rejected. Reject it on its own to record the refund.',
+                error: { code: 'MANUAL_REFUND' }
+            }));
+
+            // Paid orders are refunded only once rejected; those whose refund fails are put back
+            const refunded = [];
+            let refundNotReverted = false;
+            for (const order of result.succeeded) {
+                if (!paid.includes(order)) {
+                    refunded.push(order);
+                    continue;
+                }
+                const { error, restored } = await this.refundDeniedOrder(order, { amount: refundService.getRefundableAmount(order) });
+                if (!error) {
+                    refunded.push(order);
+                    continue;
+                }
+                result.failed.push({
+                    order,
+                    message: restored
+                        ? `Refund failed, so it was not rejected: ${error.message || 'Unknown error'}`
+                        : `Rejected, but the refund failed: ${error.message || 'Unknown error'}. Refund the customer by hand.`,
+                    error
+                });
+                if (!restored) refundNotReverted = true;
+            }
+            result.succeeded = refunded;
+
+            // Remove succeeded orders from the list; failed ones stay selected for another try
+            const succeededIds = new Set(result.succeeded.map(order => String(order.id)));
+            this.orders = this.orders.filter(order => !succeededIds.has(String(order.id)));
+            succeededIds.forEach(id => this.selectedOrderIds.delete(id));
+
+            if (this.onOrderUpdateCallback) {
+                result.succeeded.forEach(order => this.onOrderUpdateCallback(labels.callback, order));
+            }
+
+            this.filterOrders();
+            this.render();
+            bulkActionsService.showSummary(labels.done, result);
+
+            // Orders left rejected without their refund drop off the list on reload
+            if (refundNotReverted) {
+                this.loadOrdersFromDatabase();
+            }
+        } catch (error) {
+            console.error('Error running bulk action:', error);
+            notificationService.error('Bulk action failed. Please try again.');
         }
     }
 
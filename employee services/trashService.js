@@ -1,18 +1,25 @@
 /**
- * Deleted Orders Service
- * Service for managing deleted orders - viewing and restoring
+ * Trash Service
+ * Service for the Trash - viewing and restoring deleted orders, products, costs, kanban tasks
+ * and returns, one entity type at a time (see SoftDeleteService)
+ * Deleted items are purged after the Trash retention (see TrashRetentionService); admins can
+ * change the retention and delete items permanently.
  */
 
-class DeletedOrdersService {
+class TrashService {
     constructor() {
         this.orders = [];
+        this.items = []; // Deleted rows of the selected non-order type
+        this.entityType = 'order';
+        this.loadError = null;
         this.container = null;
         this.supabase = null;
         this.ordersChannel = null; // Realtime subscription channel
+        this.retentionDays = DEFAULT_TRASH_RETENTION_DAYS;
     }
 
     /**
-     * Initialize the deleted orders service
+     * Initialize the Trash service
      * @param {string} containerId - ID of the container element
      */
     async init(containerId) {
@@ -30,13 +37,50 @@ class DeletedOrdersService {
             return;
         }
 
-        // Load deleted orders from database
-        await this.loadDeletedOrders();
+        // Load deleted items of the selected type
+        await this.load();
         
         // Set up realtime subscription for deleted orders
         this.setupDeletedOrdersRealtime();
     }
 
+    /**
+     * Load the retention and the deleted items of the selected entity type
+     */
+    async load() {
+        this.retentionDays = await trashRetentionService.loadRetentionDays(this.supabase);
+
+        if (this.entityType === 'order') {
+            await this.loadDeletedOrders();
+        } else {
+            await this.loadDeletedItems();
+        }
+    }
+
+    /**
+     * Show another entity type
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     */
+    async setEntityType(entityType) {
+        if (entityType === this.entityType) return;
+        this.entityType = entityType;
+        this.items = [];
+        await this.load();
+    }
+
+    /**
+     * Load deleted rows of the selected non-order type
+     */
+    async loadDeletedItems() {
+        const { rows, error } = await softDeleteService.loadDeleted(this.supabase, this.entityType);
+        if (error) {
+            console.error(`Error fetching deleted ${this.entityType} rows:`, error);
+        }
+        this.loadError = error ? `Failed to load deleted ${softDeleteService.getEntityType(this.entityType).label.toLowerCase()}.` : null;
+        this.items = rows;
+        this.render();
+    }
+
     /**
      * Load deleted orders from Supabase database
      */
@@ -80,46 +124,13 @@ class DeletedOrdersService {
 
     /**
      * Transform Supabase order to display format
+     * Builds on the shared order model and adds the deletion details shown in the Trash.
      * @param {Object} order - Order from Supabase
      * @returns {Object} Transformed order object
      */
     transformOrder(order) {
-        // Parse measurements if stored as JSON
-        let measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-        if (order.measurements) {
-            if (typeof order.measurements === 'string') {
-                try {
-                    measurements = JSON.parse(order.measurements);
-                } catch (e) {
-                    measurements = { size: '', bust: '', waist: '', hips: '', length: '' };
-                }
-            } else {
-                measurements = order.measurements;
-            }
-        }
+        const base = orderModelService.normalizeOrder(order);
 
-        // Process items from JSONB column or fallback to single item
-        let items = [];
-        if (order.items && Array.isArray(order.items) && order.items.length > 0) {
-            items = order.items.map(item => ({
-                productName: item.product_name || 'Unknown Product',
-                productImage: item.product_image || 'https://via.placeholder.com/400',
-                color: item.color || '',
-                price: item.price || 0,
-                measurements: item.measurements || {}
-            }));
-        } else {
-            items = [{
-                productName: order.products?.name || order.product_name || 'Unknown Product',
-                productImage: order.products?.image_url || order.product_image || order.image_url || 'https://via.placeholder.com/400',
-                color: order.color || '',
-                price: order.price || 0,
-                measurements: measurements
-            }];
-        }
-
-        // Format dates
-        const orderDate = order.created_at ? new Date(order.created_at).toISOString().split('T')[0] : '';
         const deletedDate = order.deleted_at ? new Date(order.deleted_at) : null;
         const deletedDateStr = deletedDate ? deletedDate.toLocaleString('en-US', {
             year: 'numeric',
@@ -129,57 +140,11 @@ class DeletedOrdersService {
             minute: '2-digit'
         }) : 'Unknown';
 
-        // Get deleted by user name if available
-        const deletedByName = order.deleted_by_name || order.deleted_by || 'Unknown';
-
-        // CRITICAL FIX: Properly extract customer data to prevent name replication bug
-        let customerName = 'Unknown Customer';
-        let customerPhone = '';
-        
-        if (order.customers) {
-            if (typeof order.customers === 'object' && !Array.isArray(order.customers)) {
-                customerName = order.customers.name || 'Unknown Customer';
-                customerPhone = order.customers.phone || '';
-            } else if (Array.isArray(order.customers) && order.customers.length > 0) {
-                customerName = order.customers[0].name || 'Unknown Customer';
-                customerPhone = order.customers[0].phone || '';
-            }
-        }
-        
-        if (customerName === 'Unknown Customer' && order.customer_id) {
-            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
-        }
-        
-        if (customerName === 'Unknown Customer' && !order.customer_id && order.customer_name) {
-            customerName = order.customer_name;
-        }
-        
-        if (!customerPhone && !order.customer_id && order.phone) {
-            customerPhone = order.phone;
-        } else if (!customerPhone && order.customer_phone) {
-            customerPhone = order.customer_phone;
-        }
-
         return {
-            id: order.id,
-            customerName: customerName,
-            phone: customerPhone,
-            productName: items[0]?.productName || 'Unknown Product',
-            productImage: items[0]?.productImage || 'https://via.placeholder.com/400',
-            color: items[0]?.color || '',
-            price: order.price || 0,
-            items: items,
-            measurements: measurements,
-            comments: order.comments || order.notes || '',
-            date: orderDate,
+            ...base,
             deletedDate: deletedDateStr,
-            deletedAt: order.deleted_at,
-            deletedBy: deletedByName,
-            originalStatus: order.original_status || order.status || 'pending',
-            deliveryOption: order.delivery_option || order.deliveryOption || '',
-            paymentOption: order.payment_option || order.paymentOption || '',
-            paymentReference: order.payment_reference || order.paymentReference || '',
-            deliveryLocation: order.delivery_display_name || order.delivery_location || order.deliveryLocation || ''
+            deletedBy: base.deletedBy || 'Unknown',
+            originalStatus: base.originalStatus || base.status || 'pending'
         };
     }
 
@@ -190,22 +155,219 @@ class DeletedOrdersService {
         if (!this.container) return;
 
         this.container.innerHTML = '';
+        this.renderRetentionBar();
+        this.renderEntityFilter();
+
+        const isOrders = this.entityType === 'order';
+        const list = isOrders ? this.orders : this.items;
 
-        if (this.orders.length === 0) {
+        if (list.length === 0) {
             const emptyMessage = document.createElement('div');
             emptyMessage.className = 'empty-state-message';
-            emptyMessage.style.cssText = 'text-align: center; padding: 60px 20px; color: rgba(65, 70, 63, 0.6); font-size: 18px; font-weight: 500;';
-            emptyMessage.textContent = 'No deleted orders';
+            emptyMessage.style.cssText = `text-align: center; padding: 60px 20px; color: ${!isOrders && this.loadError ? '#e53e3e' : 'rgba(65, 70, 63, 0.6)'}; font-size: 18px; font-weight: 500;`;
+            emptyMessage.textContent = (!isOrders && this.loadError) || `No deleted ${softDeleteService.getEntityType(this.entityType).label.toLowerCase()}`;
             this.container.appendChild(emptyMessage);
             return;
         }
 
-        this.orders.forEach(order => {
-            const orderBubble = this.createOrderBubble(order);
-            this.container.appendChild(orderBubble);
+        list.forEach(entry => {
+            this.container.appendChild(isOrders ? this.createOrderBubble(entry) : this.createItemBubble(entry));
         });
     }
 
+    /**
+     * Render the entity type filter
+     */
+    renderEntityFilter() {
+        const filter = document.createElement('div');
+        filter.style.cssText = 'display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 16px;';
+        filter.innerHTML = softDeleteService.getEntityTypes().map(type => {
+            const active = type === this.entityType;
+            return `
+                <button type="button" data-entity-type="${type}" style="padding: 6px 14px; border-radius: 16px; font-size: 13px; font-weight: 600; cursor: pointer; border: 1px solid #1B4D3E; background: ${active ? '#1B4D3E' : 'transparent'}; color: ${active ? 'white' : '#1B4D3E'};">
+                    ${softDeleteService.getEntityType(type).label}
+                </button>
+            `;
+        }).join('');
+
+        filter.querySelectorAll('[data-entity-type]').forEach(button => {
+            button.addEventListener('click', () => this.setEntityType(button.dataset.entityType));
+        });
+
+        this.container.appendChild(filter);
+    }
+
+    /**
+     * Describe a deleted row of a non-order type for its bubble
+     * @param {Object} row - Deleted row
+     * @returns {Object} { title, subtitle, details: [[label, value]] }
+     */
+    describeItem(row) {
+        const money = (value) => `KES ${(parseFloat(value) || 0).toLocaleString()}`;
+        switch (this.entityType) {
+            case 'product':
+                return { title: row.name || 'Unnamed product', subtitle: money(row.price), details: [['Category', row.category]] };
+            case 'cost':
+                return { title: row.name || 'Unnamed cost', subtitle: money(row.amount), details: [['Cost Date', row.cost_date]] };
+            case 'kanban_task':
+                return {
+                    title: row.title || 'Untitled task',
+                    subtitle: row.description || '',
+                    details: [['Column', row.status], ['Priority', row.priority]]
+                };
+            case 'return':
+                return {
+                    title: row.client_name || row.customer_name || 'Unknown Customer',
+                    subtitle: `Item: ${row.cloth_item || row.product_name || 'Unknown Item'}`,
+                    details: [['Phone', row.client_number || row.customer_phone], ['Comment', row.comment]]
+                };
+            default:
+                return { title: String(row.id), subtitle: '', details: [] };
+        }
+    }
+
+    /**
+     * Create the bubble for a deleted row of a non-order type
+     * @param {Object} row - Deleted row
+     * @returns {HTMLElement} Bubble element
+     */
+    createItemBubble(row) {
+        const { title, subtitle, details } = this.describeItem(row);
+        const deletedOn = row.deleted_at
+            ? new Date(row.deleted_at).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : 'Unknown';
+        const infoRow = (label, value) => `
+            <div style="display: flex; justify-content: space-between; gap: 12px;">
+                <span style="color: rgba(65, 70, 63, 0.8); font-weight: 600;">${label}:</span>
+                <span style="color: #41463F; font-weight: 700; text-align: right;">${value}</span>
+            </div>
+        `;
+
+        const bubble = document.createElement('div');
+        bubble.className = 'order-bubble';
+        bubble.innerHTML = `
+            <div class="order-header">
+                <div class="order-info" style="width: 100%;">
+                    <div class="customer-name">${title}</div>
+                    ${subtitle ? `<div class="product-name" style="margin-top: 4px;">${subtitle}</div>` : ''}
+                    ${trashRetentionService.renderPurgeBadge(row.deleted_at, this.retentionDays)}
+                </div>
+            </div>
+            <div style="padding: 12px; background: rgba(244, 67, 54, 0.1); border-radius: 8px; margin-top: 12px; border: 1px solid rgba(244, 67, 54, 0.2);">
+                <div style="display: flex; flex-direction: column; gap: 6px; font-size: 13px;">
+                    ${details.filter(([, value]) => value).map(([label, value]) => infoRow(label, value)).join('')}
+                    ${infoRow('Deleted On', deletedOn)}
+                    ${row.deleted_by_name ? infoRow('Deleted By', row.deleted_by_name) : ''}
+                </div>
+            </div>
+            <div class="order-actions">
+                <button class="btn btn-accept" data-action="restore">Restore</button>
+                ${trashRetentionService.canManageTrash() ? '<button class="btn btn-deny" data-action="delete-permanently">Delete Permanently</button>' : ''}
+            </div>
+        `;
+
+        bubble.querySelector('[data-action="restore"]').addEventListener('click', () => this.restoreItem(row, title));
+        const deleteBtn = bubble.querySelector('[data-action="delete-permanently"]');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.permanentlyDeleteItem(row, title));
+        }
+
+        return bubble;
+    }
+
+    /**
+     * Restore a deleted row of a non-order type
+     * @param {Object} row - Deleted row
+     * @param {string} title - Name shown to staff
+     */
+    async restoreItem(row, title) {
+        const { singular } = softDeleteService.getEntityType(this.entityType);
+        if (!(await notificationService.confirm(`Restore the ${singular} "${title}"?`, { title: `Restore ${singular}`, confirmLabel: 'Restore' }))) {
+            return;
+        }
+
+        const { error } = await softDeleteService.restore(this.supabase, this.entityType, row.id);
+        if (error) {
+            console.error(`Error restoring ${singular}:`, error);
+            notificationService.error(`Failed to restore ${singular}. Please try again.`);
+            return;
+        }
+
+        this.items = this.items.filter(item => item.id !== row.id);
+        this.render();
+        notificationService.success(`Restored the ${singular} "${title}"`);
+    }
+
+    /**
+     * Permanently delete a row of a non-order type from the Trash (admins only)
+     * @param {Object} row - Deleted row
+     * @param {string} title - Name shown to staff
+     */
+    async permanentlyDeleteItem(row, title) {
+        const { singular } = softDeleteService.getEntityType(this.entityType);
+        if (!(await notificationService.confirm(`Permanently delete the ${singular} "${title}"? This cannot be undone.`, { title: 'Delete permanently', confirmLabel: 'Delete Permanently', danger: true }))) {
+            return;
+        }
+
+        const { error } = await trashRetentionService.permanentlyDelete(this.supabase, this.entityType, row.id);
+        if (error) {
+            console.error(`Error permanently deleting ${singular}:`, error);
+            notificationService.error(`Failed to delete ${singular}: ${error.message || 'Unknown error'}`);
+            return;
+        }
+
+        this.items = this.items.filter(item => item.id !== row.id);
+        this.render();
+        notificationService.success(`The ${singular} was permanently deleted`);
+    }
+
+    /**
+     * Render the retention notice above the list, with the retention setting for admins
+     */
+    renderRetentionBar() {
+        const canManage = trashRetentionService.canManageTrash();
+        const bar = document.createElement('div');
+        bar.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 12px; flex-wrap: wrap; padding: 12px 16px; margin-bottom: 16px; border-radius: 8px; background: rgba(65, 70, 63, 0.06); font-size: 14px; color: #41463F;';
+        bar.innerHTML = `
+            <span>Deleted items are permanently removed <strong>${this.retentionDays} day${this.retentionDays !== 1 ? 's' : ''}</strong> after they are deleted.</span>
+            ${canManage ? `
+                <form data-action="save-retention" style="display: flex; align-items: center; gap: 8px; margin: 0;">
+                    <label for="trash-retention-days" style="font-weight: 600;">Keep for</label>
+                    <input id="trash-retention-days" type="number" min="1" max="${MAX_TRASH_RETENTION_DAYS}" step="1" required value="${this.retentionDays}" style="width: 80px; padding: 6px 8px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 6px; font-size: 14px;">
+                    <span>days</span>
+                    <button type="submit" class="btn btn-outline">Save</button>
+                </form>
+            ` : ''}
+        `;
+
+        const form = bar.querySelector('[data-action="save-retention"]');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveRetention(form.querySelector('#trash-retention-days').value);
+            });
+        }
+
+        this.container.appendChild(bar);
+    }
+
+    /**
+     * Save the Trash retention (admins only)
+     * @param {string|number} days - Retention in days
+     */
+    async saveRetention(days) {
+        const { days: saved, error } = await trashRetentionService.saveRetentionDays(this.supabase, days);
+        if (error) {
+            console.error('Error saving Trash retention:', error);
+            notificationService.error(`Failed to save retention: ${error.message || 'Unknown error'}`);
+            return;
+        }
+
+        this.retentionDays = saved;
+        this.render();
+        notificationService.success(`Deleted items will be purged after ${saved} day${saved !== 1 ? 's' : ''}`);
+    }
+
     /**
      * Create order bubble element
      * @param {Object} order - Order object
@@ -257,6 +419,7 @@ class DeletedOrdersService {
                 <div class="order-info" style="width: 100%;">
                     <div class="customer-name">${order.customerName}</div>
                     <div class="product-name" style="margin-top: 4px;">${isMultiItem ? `${items.length} Item${items.length > 1 ? 's' : ''}` : items[0].productName}</div>
+                    ${trashRetentionService.renderPurgeBadge(order.deletedAt, this.retentionDays)}
                 </div>
             </div>
             ${itemsHTML}
@@ -283,6 +446,7 @@ class DeletedOrdersService {
             </div>
             <div class="order-actions">
                 <button class="btn btn-accept" data-action="restore" data-id="${order.id}">Restore</button>
+                ${trashRetentionService.canManageTrash() ? `<button class="btn btn-deny" data-action="delete-permanently" data-id="${order.id}">Delete Permanently</button>` : ''}
             </div>
         `;
 
@@ -295,6 +459,14 @@ class DeletedOrdersService {
             });
         }
 
+        const deleteBtn = bubble.querySelector('[data-action="delete-permanently"]');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.permanentlyDeleteOrder(order.id);
+            });
+        }
+
         // Add click handler for expanding
         bubble.addEventListener('click', (e) => {
             if (!e.target.closest('.btn')) {
@@ -388,11 +560,18 @@ class DeletedOrdersService {
     async restoreOrder(orderId) {
         const order = this.orders.find(o => o.id === orderId);
         if (!order) {
-            alert('Order not found');
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        if (!(await notificationService.confirm(`Are you sure you want to restore this order? It will be restored with status: ${this.formatStatus(order.originalStatus)}`, { title: 'Restore order', confirmLabel: 'Restore' }))) {
             return;
         }
 
-        if (!confirm(`Are you sure you want to restore this order? It will be restored with status: ${this.formatStatus(order.originalStatus)}`)) {
+        // Soft delete keeps the status, so this is normally a no-op; reject anything the lifecycle forbids
+        const validation = orderLifecycleService.validateTransition(order.status || order.originalStatus, order.originalStatus);
+        if (!validation.valid) {
+            notificationService.warning(`Cannot restore this order: ${validation.message}`);
             return;
         }
 
@@ -411,18 +590,57 @@ class DeletedOrdersService {
 
             if (error) {
                 console.error('Error restoring order:', error);
-                alert('Failed to restore order. Please try again.');
+                notificationService.error('Failed to restore order. Please try again.');
                 return;
             }
 
+            await orderEventsService.recordTransition(this.supabase, {
+                orderId,
+                fromStatus: order.status || order.originalStatus,
+                toStatus: order.originalStatus,
+                note: 'Restored from Trash'
+            });
+
             // Remove from local array
             this.orders = this.orders.filter(o => o.id !== orderId);
 
             this.render();
-            alert(`✓ Order restored successfully with status: ${this.formatStatus(order.originalStatus)}`);
+            notificationService.success(`Order restored successfully with status: ${this.formatStatus(order.originalStatus)}`);
         } catch (error) {
             console.error('Error restoring order:', error);
-            alert('Failed to restore order. Please try again.');
+            notificationService.error('Failed to restore order. Please try again.');
+        }
+    }
+
+    /**
+     * Permanently delete an order from the Trash (admins only)
+     * @param {string|number} orderId - Order ID
+     */
+    async permanentlyDeleteOrder(orderId) {
+        const order = this.orders.find(o => o.id === orderId);
+        if (!order) {
+            notificationService.warning('Order not found');
+            return;
+        }
+
+        if (!(await notificationService.confirm(`Permanently delete ${order.customerName}'s order? This cannot be undone.`, { title: 'Delete permanently', confirmLabel: 'Delete Permanently', danger: true }))) {
+            return;
+        }
+
+        try {
+            const { error } = await trashRetentionService.permanentlyDelete(this.supabase, 'order', orderId);
+            if (error) {
+                console.error('Error permanently deleting order:', error);
+                notificationService.error(`Failed to delete order: ${error.message || 'Unknown error'}`);
+                return;
+            }
+
+            this.orders = this.orders.filter(o => o.id !== orderId);
+            this.render();
+            notificationService.success('Order permanently deleted');
+        } catch (error) {
+            console.error('Error permanently deleting order:', error);
+            notificationService.error('Failed to delete order. Please try again.');
         }
     }
 
@@ -432,14 +650,7 @@ class DeletedOrdersService {
      * @returns {string} Formatted status
      */
     formatStatus(status) {
-        const statusMap = {
-            'pending': 'Pending',
-            'in_progress': 'In Progress',
-            'to_deliver': 'To Deliver',
-            'completed': 'Completed',
-            'cancelled': 'Cancelled'
-        };
-        return statusMap[status] || status;
+        return orderLifecycleService.formatStatus(status);
     }
 
     /**
@@ -501,7 +712,9 @@ class DeletedOrdersService {
                 (payload) => {
                     console.log('Deleted orders realtime event:', payload.eventType, payload);
                     // Reload deleted orders when any change occurs
-                    this.loadDeletedOrders();
+                    if (this.entityType === 'order') {
+                        this.loadDeletedOrders();
+                    }
                 }
             )
             .subscribe((status) => {
@@ -533,10 +746,10 @@ class DeletedOrdersService {
 }
 
 // Create global instance
-const deletedOrdersService = new DeletedOrdersService();
+const trashService = new TrashService();
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = DeletedOrdersService;
+    module.exports = TrashService;
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Netlify Serverless Function
+ * Creates a customer-form order after payment: verifies the Paystack transaction server-side,
+ * upserts the customer by phone and inserts the order
+ *
+ * Idempotent by payment reference: calling it again with the same reference returns the order
+ * that was already created instead of a second one, so the form can safely retry.
+ *
+ * Needs LIVE_SECRET_KEY (Paystack secret key), SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+const {
+  verifyPaystackTransaction,
+  findOrderByReference,
+  parseOrderRequest,
+  createOrderForPayment,
+  markPaymentFulfilled
+} = require('../lib/orderCreation');
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || !process.env.LIVE_SECRET_KEY) {
+    console.error('❌ Order creation is not configured: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or LIVE_SECRET_KEY missing');
+    return jsonResponse(500, { error: 'Order creation is not available right now' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const { order, error: validationError } = parseOrderRequest(body);
+  if (validationError) {
+    return jsonResponse(400, { error: validationError });
+  }
+
+  try {
+    // Same reference again (form retry, double submit): return the order already created
+    const existing = await findOrderByReference(order.reference);
+    if (existing) {
+      console.log('✅ Order already exists for payment reference:', order.reference);
+      return jsonResponse(200, { created: false, order: existing });
+    }
+
+    let transaction;
+    try {
+      transaction = await verifyPaystackTransaction(order.reference);
+    } catch (error) {
+      console.error('❌ Paystack verification failed:', order.reference, error.message);
+      return error.status === 404 || error.status === 400
+        ? jsonResponse(402, { error: 'Payment could not be found. Please complete payment first.' })
+        : jsonResponse(502, { error: 'Could not verify payment right now. Please try again.' });
+    }
+
+    const result = await createOrderForPayment(order, transaction);
+    if (result.error) {
+      return jsonResponse(result.statusCode, { error: result.error });
+    }
+
+    await markPaymentFulfilled(order.reference, result.order.id);
+
+    return jsonResponse(200, { created: result.created, order: result.order });
+  } catch (error) {
+    console.error('❌ Error creating order:', order.reference, error);
+    return jsonResponse(500, { error: 'Failed to create order. Please try again.' });
+  }
+};
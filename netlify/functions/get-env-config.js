@@ -64,7 +64,10 @@ exports.handler = async (event, context) => {
     
     // Paystack - live public key (public key is safe to expose in frontend)
     // Note: LIVE_SECRET_KEY should NEVER be exposed in frontend - only use on backend
-    paystackPublicKey: process.env.LIVE_PUBLIC_KEY || ''
+    paystackPublicKey: process.env.LIVE_PUBLIC_KEY || '',
+    
+    // Production - let finished items of a multi-item order ship before the rest
+    allowPartialShipment: process.env.ALLOW_PARTIAL_SHIPMENT === 'true'
   };
 
   // Log which values are set (for debugging in Netlify logs)
@@ -0,0 +1,110 @@
+/**
+ * Netlify Serverless Function
+ * Saves M-Pesa statement transactions (parsed from the CSV on the admin Payments page by
+ * mpesaReconciliationService.parseStatementCsv) into `mpesa_transactions`, updating rows
+ * already recorded for the same code
+ *
+ * At most MAX_TRANSACTIONS rows are saved per request. The Payments page then asks
+ * reconcile-mpesa to match the saved codes to orders.
+ *
+ * Only signed-in staff can import (see netlify/lib/staffAuth.js).
+ */
+
+const { supabaseRequest } = require('../lib/orderCreation');
+const { verifyStaffSession } = require('../lib/staffAuth');
+const { MPESA_TRANSACTIONS_TABLE, normalizeMpesaCode } = require('../lib/mpesaReconciliation');
+
+const MAX_TRANSACTIONS = 500;
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+const textOrNull = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+/**
+ * Keep only the mpesa_transactions columns a statement row may set
+ * @returns {Object|null} Row to save, or null when it has no code or no amount received
+ */
+const toTransactionRow = (transaction) => {
+  const code = normalizeMpesaCode(transaction && transaction.code);
+  const amount = Number(transaction && transaction.amount);
+  if (!code || !(amount > 0)) return null;
+
+  const transactedAt = new Date(transaction.transacted_at);
+  return {
+    code,
+    amount,
+    phone: textOrNull(transaction.phone),
+    payer_name: textOrNull(transaction.payer_name),
+    account_reference: textOrNull(transaction.account_reference),
+    transacted_at: transaction.transacted_at && !isNaN(transactedAt.getTime()) ? transactedAt.toISOString() : null,
+    source: 'csv',
+    raw: transaction.raw && typeof transaction.raw === 'object' ? transaction.raw : null
+  };
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ M-Pesa statement import is not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Statement import is not available right now' });
+  }
+
+  let staff;
+  try {
+    staff = await verifyStaffSession(event);
+  } catch (error) {
+    console.error('❌ Could not check the staff session:', error);
+    return jsonResponse(500, { error: 'Statement import is not available right now' });
+  }
+  if (!staff) {
+    return jsonResponse(401, { error: 'Your session has expired. Please sign in again to import statements.', code: 'UNAUTHORIZED' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  if (!Array.isArray(body.transactions) || body.transactions.length === 0) {
+    return jsonResponse(400, { error: 'No transactions to import' });
+  }
+  if (body.transactions.length > MAX_TRANSACTIONS) {
+    return jsonResponse(400, { error: `Send at most ${MAX_TRANSACTIONS} transactions per request` });
+  }
+
+  // One row per code; a code listed twice keeps its last row, as the upsert would
+  const rows = [...new Map(body.transactions
+    .map(toTransactionRow)
+    .filter(Boolean)
+    .map(row => [row.code, row])).values()];
+  if (rows.length === 0) {
+    return jsonResponse(400, { error: 'No completed payments received in these transactions' });
+  }
+
+  try {
+    await supabaseRequest(`${MPESA_TRANSACTIONS_TABLE}?on_conflict=code`, {
+      method: 'POST',
+      body: rows,
+      prefer: 'resolution=merge-duplicates,return=minimal'
+    });
+
+    console.log(`✅ ${staff.name} imported ${rows.length} M-Pesa transaction(s)`);
+    return jsonResponse(200, { imported: rows.length, codes: rows.map(row => row.code) });
+  } catch (error) {
+    console.error('❌ Error importing M-Pesa transactions:', error);
+    return jsonResponse(500, { error: 'Failed to save the statement. Please try again.' });
+  }
+};
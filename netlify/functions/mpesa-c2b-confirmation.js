@@ -0,0 +1,93 @@
+/**
+ * Netlify Serverless Function
+ * M-Pesa Daraja C2B confirmation receiver: records every payment to the till/paybill in
+ * `mpesa_transactions` and reconciles it against the in-house order carrying its code
+ *
+ * Register /.netlify/functions/mpesa-c2b-confirmation?token=<MPESA_CALLBACK_TOKEN> as the
+ * ConfirmationURL with Daraja's C2B register URL API. Daraja does not sign callbacks, so the
+ * token in the URL is what authenticates them.
+ */
+
+const crypto = require('crypto');
+const { supabaseRequest } = require('../lib/orderCreation');
+const { MPESA_TRANSACTIONS_TABLE, normalizeMpesaCode, reconcileMpesaCode } = require('../lib/mpesaReconciliation');
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+const isValidToken = (token) => {
+  if (!token) return false;
+
+  const expectedBuffer = Buffer.from(process.env.MPESA_CALLBACK_TOKEN, 'utf8');
+  const tokenBuffer = Buffer.from(String(token), 'utf8');
+  return expectedBuffer.length === tokenBuffer.length && crypto.timingSafeEqual(expectedBuffer, tokenBuffer);
+};
+
+/**
+ * Daraja sends TransTime as YYYYMMDDHHmmss in Kenyan time (UTC+3)
+ */
+const parseTransTime = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return new Date().toISOString();
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}+03:00`).toISOString();
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || !process.env.MPESA_CALLBACK_TOKEN) {
+    console.error('❌ M-Pesa callback is not configured: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or MPESA_CALLBACK_TOKEN missing');
+    return jsonResponse(500, { ResultCode: 1, ResultDesc: 'Not configured' });
+  }
+
+  if (!isValidToken((event.queryStringParameters || {}).token)) {
+    console.warn('⚠️ Rejected M-Pesa callback with an invalid token');
+    return jsonResponse(401, { ResultCode: 1, ResultDesc: 'Unauthorized' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { ResultCode: 1, ResultDesc: 'Invalid payload' });
+  }
+
+  const code = normalizeMpesaCode(payload.TransID);
+  if (!code) {
+    return jsonResponse(400, { ResultCode: 1, ResultDesc: 'Missing TransID' });
+  }
+
+  try {
+    await supabaseRequest(`${MPESA_TRANSACTIONS_TABLE}?on_conflict=code`, {
+      method: 'POST',
+      body: {
+        code,
+        amount: Number(payload.TransAmount) || 0,
+        phone: payload.MSISDN ? String(payload.MSISDN) : null,
+        payer_name: [payload.FirstName, payload.MiddleName, payload.LastName].filter(Boolean).join(' ') || null,
+        account_reference: payload.BillRefNumber || null,
+        transacted_at: parseTransTime(payload.TransTime),
+        source: 'c2b',
+        raw: payload
+      },
+      prefer: 'resolution=merge-duplicates,return=minimal'
+    });
+
+    const result = await reconcileMpesaCode(code);
+    console.log(`✅ M-Pesa ${code} recorded:`, result.status);
+  } catch (error) {
+    // Still accept: the transaction can be matched later from the Payments page
+    console.error('❌ Error recording M-Pesa transaction:', code, error);
+  }
+
+  return jsonResponse(200, { ResultCode: 0, ResultDesc: 'Accepted' });
+};
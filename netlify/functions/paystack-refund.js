@@ -0,0 +1,187 @@
+/**
+ * Netlify Serverless Function
+ * Refunds part or all of an order's Paystack payment (Sales "Deny and refund"), records it in
+ * `refunds` against the payment reference and adds a refund entry to the order's payment ledger
+ *
+ * Set PAYSTACK_MOCK_REFUNDS=true for local testing: no request is sent to Paystack and the
+ * refund is recorded as processed with a mock_ id.
+ *
+ * Only signed-in staff can refund (see netlify/lib/staffAuth.js); the refund is recorded
+ * against the verified staff member.
+ */
+
+const { supabaseRequest } = require('../lib/orderCreation');
+const { verifyStaffSession } = require('../lib/staffAuth');
+const PaymentLedgerService = require('../../services/paymentLedgerService');
+const paymentLedgerService = new PaymentLedgerService();
+
+const PAYSTACK_REFUND_URL = 'https://api.paystack.co/refund';
+const REFUNDS_TABLE = 'refunds';
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+const isMockMode = () => process.env.PAYSTACK_MOCK_REFUNDS === 'true';
+
+/**
+ * Ask Paystack to refund a transaction
+ * @returns {Object} Paystack refund data
+ */
+const createPaystackRefund = async (reference, amount, note) => {
+  if (isMockMode()) {
+    console.log(`🧪 Mock Paystack refund of KES ${amount} on ${reference}`);
+    return { id: `mock_${Date.now()}`, status: 'processed' };
+  }
+
+  const response = await fetch(PAYSTACK_REFUND_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.LIVE_SECRET_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      transaction: reference,
+      // Paystack amounts are in the smallest currency unit
+      amount: Math.round(amount * 100),
+      merchant_note: note || undefined
+    })
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.status || !result.data) {
+    const error = new Error(result.message || `Paystack refund failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result.data;
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || (!process.env.LIVE_SECRET_KEY && !isMockMode())) {
+    console.error('❌ Paystack refunds are not configured: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or LIVE_SECRET_KEY missing');
+    return jsonResponse(500, { error: 'Refunds are not available right now' });
+  }
+
+  let staff;
+  try {
+    staff = await verifyStaffSession(event);
+  } catch (error) {
+    console.error('❌ Could not check the staff session:', error);
+    return jsonResponse(500, { error: 'Refunds are not available right now' });
+  }
+  if (!staff) {
+    return jsonResponse(401, { error: 'Your session has expired. Please sign in again to refund.', code: 'UNAUTHORIZED' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const orderId = String(body.orderId || '').trim();
+  const amount = Math.round((Number(body.amount) || 0) * 100) / 100;
+  const reason = String(body.reason || '').trim() || null;
+  const staffName = staff.name;
+  if (!orderId) {
+    return jsonResponse(400, { error: 'Order is required' });
+  }
+  if (!(amount > 0)) {
+    return jsonResponse(400, { error: 'Refund amount must be more than zero' });
+  }
+
+  try {
+    const orders = await supabaseRequest(
+      `orders?select=id,order_number,price,payment_option,payment_reference,payment_status,payment_ledger,created_at&id=eq.${encodeURIComponent(orderId)}&limit=1`
+    );
+    const order = orders && orders[0];
+    if (!order) {
+      return jsonResponse(404, { error: 'Order not found' });
+    }
+
+    const reference = order.payment_reference;
+    if (order.payment_option !== 'paystack' || !reference) {
+      return jsonResponse(400, { error: 'This order was not paid through Paystack', code: 'NOT_PAYSTACK' });
+    }
+
+    const refundable = paymentLedgerService.getRefundableAmount(order, reference);
+    if (amount > refundable) {
+      return jsonResponse(400, {
+        error: `No more than KES ${refundable.toLocaleString()} can be refunded on this order`,
+        code: 'AMOUNT_TOO_HIGH',
+        refundable
+      });
+    }
+
+    let providerRefund;
+    try {
+      providerRefund = await createPaystackRefund(reference, amount, reason);
+    } catch (error) {
+      console.error('❌ Paystack refund failed:', reference, error);
+      return jsonResponse(502, { error: `Paystack refund failed: ${error.message}`, code: 'PAYSTACK_REFUND_FAILED' });
+    }
+
+    const refundedAt = new Date().toISOString();
+    try {
+      const created = await supabaseRequest(REFUNDS_TABLE, {
+        method: 'POST',
+        body: {
+          order_id: order.id,
+          payment_reference: reference,
+          amount,
+          method: 'paystack',
+          reason,
+          // Paystack reports pending/processing until the money reaches the customer
+          status: providerRefund.status || 'pending',
+          provider_refund_id: providerRefund.id ? String(providerRefund.id) : null,
+          created_by: staffName,
+          created_at: refundedAt
+        },
+        prefer: 'return=representation'
+      });
+
+      const ledger = Array.isArray(order.payment_ledger) ? order.payment_ledger : paymentLedgerService.getLedger(order);
+      await supabaseRequest(`orders?id=eq.${encodeURIComponent(order.id)}`, {
+        method: 'PATCH',
+        body: {
+          payment_ledger: [...ledger, {
+            type: 'refund',
+            amount,
+            method: 'paystack',
+            reference,
+            paid_at: refundedAt,
+            recorded_by: staffName
+          }],
+          updated_at: refundedAt
+        },
+        prefer: 'return=minimal'
+      });
+
+      console.log(`✅ Refunded KES ${amount} on order ${order.order_number} (${reference})`);
+      return jsonResponse(200, { refund: created && created[0] });
+    } catch (error) {
+      // The money has already gone back, so retrying would refund twice
+      console.error('❌ Paystack refund issued but not recorded:', reference, providerRefund, error);
+      return jsonResponse(500, {
+        error: 'Paystack accepted the refund but it could not be recorded. Do not refund again; ask an admin to record it.',
+        code: 'REFUND_NOT_RECORDED'
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error issuing refund:', error);
+    return jsonResponse(500, { error: 'Failed to issue the refund. Please try again.' });
+  }
+};
@@ -0,0 +1,208 @@
+/**
+ * Netlify Serverless Function
+ * Paystack webhook receiver: records every `charge.success` event in the `payments` table and
+ * links it to its order, creating the order from the cart the form sent in the transaction
+ * metadata when the customer closed the page before the form could create it
+ *
+ * Requests are authenticated with Paystack's x-paystack-signature header (HMAC SHA-512 of the
+ * raw body with LIVE_SECRET_KEY). Set the webhook URL in the Paystack dashboard to
+ * /.netlify/functions/paystack-webhook
+ *
+ * Payments that still have no order are listed on the admin Payments page. A unique index on
+ * orders.payment_reference makes the webhook and the form's create-order call safe to race.
+ */
+
+const crypto = require('crypto');
+const {
+  PAYMENTS_TABLE,
+  supabaseRequest,
+  findOrderByReference,
+  parseOrderRequest,
+  createOrderForPayment,
+  markPaymentFulfilled,
+  notifyOrderReceived
+} = require('../lib/orderCreation');
+
+// The form normally creates the order itself right after payment; give it a head start
+// before the webhook creates one from the metadata
+const ORDER_CREATION_GRACE_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Check the x-paystack-signature header against the raw request body
+ */
+const isValidSignature = (rawBody, signature) => {
+  if (!signature) return false;
+
+  const expected = crypto.createHmac('sha512', process.env.LIVE_SECRET_KEY).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const signatureBuffer = Buffer.from(String(signature), 'utf8');
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Paystack sends metadata as an object, but it may arrive as a JSON string
+ */
+const parseMetadata = (metadata) => {
+  if (!metadata) return {};
+  if (typeof metadata === 'object') return metadata;
+  try {
+    return JSON.parse(metadata);
+  } catch (error) {
+    return {};
+  }
+};
+
+const getCustomField = (metadata, variableName) => {
+  const field = (metadata.custom_fields || []).find(f => f.variable_name === variableName);
+  return field ? field.value : null;
+};
+
+/**
+ * Insert or update the payments row for a charge (keyed by reference)
+ */
+const recordPayment = async (eventName, transaction, metadata) => {
+  const customer = transaction.customer || {};
+
+  await supabaseRequest(`${PAYMENTS_TABLE}?on_conflict=reference`, {
+    method: 'POST',
+    body: {
+      reference: transaction.reference,
+      provider: 'paystack',
+      event: eventName,
+      status: transaction.status,
+      amount: Number(transaction.amount) / 100,
+      currency: transaction.currency,
+      channel: transaction.channel || null,
+      customer_name: getCustomField(metadata, 'customer_name'),
+      customer_phone: getCustomField(metadata, 'phone_number') || customer.phone || null,
+      customer_email: customer.email || null,
+      paid_at: transaction.paid_at || transaction.paidAt || null,
+      metadata,
+      updated_at: new Date().toISOString()
+    },
+    prefer: 'resolution=merge-duplicates,return=minimal'
+  });
+};
+
+const recordOrderError = async (reference, message) => {
+  await supabaseRequest(`${PAYMENTS_TABLE}?reference=eq.${encodeURIComponent(reference)}`, {
+    method: 'PATCH',
+    body: { order_error: message },
+    prefer: 'return=minimal'
+  });
+};
+
+/**
+ * Link the payment to its order, creating the order from the metadata cart if needed
+ */
+const reconcilePayment = async (transaction, metadata) => {
+  const reference = transaction.reference;
+
+  let existing = await findOrderByReference(reference);
+  if (!existing && metadata.order) {
+    await sleep(ORDER_CREATION_GRACE_MS);
+    existing = await findOrderByReference(reference);
+  }
+
+  if (existing) {
+    await markPaymentFulfilled(reference, existing.id);
+    return { orderId: existing.id, created: false };
+  }
+
+  if (!metadata.order) {
+    await recordOrderError(reference, 'No order details in the payment metadata');
+    return { orderId: null, created: false };
+  }
+
+  const { order, error: validationError } = parseOrderRequest({ ...metadata.order, reference });
+  if (validationError) {
+    await recordOrderError(reference, validationError);
+    return { orderId: null, created: false };
+  }
+
+  const result = await createOrderForPayment(order, transaction);
+  if (result.error) {
+    await recordOrderError(reference, result.error);
+    return { orderId: null, created: false };
+  }
+
+  await markPaymentFulfilled(reference, result.order.id);
+  if (result.created) {
+    await notifyOrderReceived(result.order.id);
+  }
+  return { orderId: result.order.id, created: result.created };
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || !process.env.LIVE_SECRET_KEY) {
+    console.error('❌ Paystack webhook is not configured: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or LIVE_SECRET_KEY missing');
+    return jsonResponse(500, { error: 'Webhook not configured' });
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+  const headers = event.headers || {};
+  const signature = headers['x-paystack-signature'] || headers['X-Paystack-Signature'];
+
+  if (!isValidSignature(rawBody, signature)) {
+    console.warn('⚠️ Rejected Paystack webhook with an invalid signature');
+    return jsonResponse(401, { error: 'Invalid signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid payload' });
+  }
+
+  const transaction = payload.data || {};
+  if (payload.event !== 'charge.success' || !transaction.reference) {
+    // Acknowledge other events so Paystack does not keep retrying them
+    return jsonResponse(200, { received: true, ignored: true });
+  }
+
+  const metadata = parseMetadata(transaction.metadata);
+
+  try {
+    await recordPayment(payload.event, transaction, metadata);
+  } catch (error) {
+    // Paystack retries non-200 responses, so a failed write is tried again later
+    console.error('❌ Could not record Paystack payment:', transaction.reference, error);
+    return jsonResponse(500, { error: 'Could not record payment' });
+  }
+
+  try {
+    const result = await reconcilePayment(transaction, metadata);
+    console.log(result.orderId
+      ? `✅ Payment ${transaction.reference} linked to order ${result.orderId}${result.created ? ' (created by webhook)' : ''}`
+      : `⚠️ Payment ${transaction.reference} has no order yet`);
+    return jsonResponse(200, { received: true, orderId: result.orderId, created: result.created });
+  } catch (error) {
+    // The payment is recorded and shows on the admin Payments page; recording and order
+    // creation are idempotent, so let Paystack retry the event
+    console.error('❌ Could not reconcile Paystack payment:', transaction.reference, error);
+    try {
+      await recordOrderError(transaction.reference, error.message);
+    } catch (recordError) {
+      console.warn('⚠️ Could not record order error:', recordError.message);
+    }
+    return jsonResponse(500, { error: 'Could not reconcile payment' });
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Netlify Scheduled Function (daily, see netlify.toml)
+ * Permanently deletes orders, products, costs, kanban tasks and returns that have been in the
+ * Trash longer than the admin-configured retention (`app_settings` row `trash_retention_days`,
+ * 30 days when unset) and records each one in `trash_purge_log`, with the row as it was, so
+ * purges can be audited. Rows are recorded before they are deleted, in batches, so a failed
+ * log write leaves them in the Trash for the next run.
+ */
+
+const { supabaseRequest } = require('../lib/orderCreation');
+const TrashRetentionService = require('../../services/trashRetentionService');
+const trashRetentionService = new TrashRetentionService();
+const SoftDeleteService = require('../../services/softDeleteService');
+const softDeleteService = new SoftDeleteService();
+
+const APP_SETTINGS_TABLE = 'app_settings';
+const TRASH_RETENTION_KEY = 'trash_retention_days';
+const TRASH_PURGE_LOG_TABLE = 'trash_purge_log';
+
+// Rows recorded and deleted per request (their ids go in the delete URL)
+const PURGE_BATCH_SIZE = 100;
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+const loadRetentionDays = async () => {
+  const settings = await supabaseRequest(
+    `${APP_SETTINGS_TABLE}?select=value&key=eq.${TRASH_RETENTION_KEY}&limit=1`
+  );
+  return trashRetentionService.normalizeRetentionDays(settings && settings[0] ? settings[0].value : null);
+};
+
+const idList = (rows) => rows.map(row => encodeURIComponent(String(row.id))).join(',');
+
+/**
+ * Record one batch of expired rows in the purge log, then delete exactly those rows
+ * @returns {number} Rows purged
+ */
+const purgeBatch = async (entityType, table, expired, cutoff, retentionDays) => {
+  const purgedAt = new Date().toISOString();
+  await supabaseRequest(TRASH_PURGE_LOG_TABLE, {
+    method: 'POST',
+    body: expired.map(row => trashRetentionService.buildPurgeLogEntry(row, {
+      entityType,
+      reason: 'retention',
+      purgedBy: 'Scheduled purge',
+      retentionDays,
+      purgedAt
+    })),
+    prefer: 'return=minimal'
+  });
+
+  let purged = [];
+  try {
+    purged = await supabaseRequest(
+      `${table}?id=in.(${idList(expired)})&deleted_at=lt.${encodeURIComponent(cutoff)}`,
+      { method: 'DELETE', prefer: 'return=representation' }
+    ) || [];
+    return purged.length;
+  } finally {
+    // Rows that were not deleted (restored meanwhile, or the delete failed) lose their record
+    const purgedIds = new Set(purged.map(row => String(row.id)));
+    const kept = expired.filter(row => !purgedIds.has(String(row.id)));
+    if (kept.length > 0) {
+      try {
+        await supabaseRequest(
+          `${TRASH_PURGE_LOG_TABLE}?entity_type=eq.${encodeURIComponent(entityType)}` +
+          `&entity_id=in.(${idList(kept)})&purged_at=eq.${encodeURIComponent(purgedAt)}`,
+          { method: 'DELETE', prefer: 'return=minimal' }
+        );
+      } catch (error) {
+        console.error(`❌ Could not withdraw the purge record of kept ${table} rows:`, kept.map(row => row.id), error);
+      }
+    }
+  }
+};
+
+/**
+ * Purge one entity type's rows deleted before the cutoff, logging each before it is deleted
+ * @returns {number} Rows purged
+ */
+const purgeEntityType = async (entityType, cutoff, retentionDays) => {
+  const { table } = softDeleteService.getEntityType(entityType);
+
+  let total = 0;
+  for (;;) {
+    const expired = await supabaseRequest(
+      `${table}?select=*&deleted_at=lt.${encodeURIComponent(cutoff)}&order=deleted_at.asc&limit=${PURGE_BATCH_SIZE}`
+    ) || [];
+    if (expired.length === 0) break;
+
+    const purged = await purgeBatch(entityType, table, expired, cutoff, retentionDays);
+    total += purged;
+
+    // A short batch was the last one; a batch that deleted nothing would only repeat
+    if (expired.length < PURGE_BATCH_SIZE || purged === 0) break;
+  }
+
+  return total;
+};
+
+exports.handler = async (event, context) => {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Trash purge is not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Trash purge is not available right now' });
+  }
+
+  try {
+    const retentionDays = await loadRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+    // One failing table (e.g. a row still referenced elsewhere) does not stop the others
+    const purged = {};
+    const failed = [];
+    for (const entityType of softDeleteService.getEntityTypes()) {
+      try {
+        purged[entityType] = await purgeEntityType(entityType, cutoff, retentionDays);
+      } catch (error) {
+        console.error(`❌ Error purging ${entityType} rows:`, error);
+        failed.push(entityType);
+      }
+    }
+
+    console.log(`✅ Purged Trash items deleted before ${cutoff} (retention ${retentionDays} days):`, purged);
+    return jsonResponse(failed.length > 0 ? 500 : 200, { purged, failed, retentionDays, cutoff });
+  } catch (error) {
+    console.error('❌ Error purging the Trash:', error);
+    return jsonResponse(500, { error: 'Failed to purge the Trash' });
+  }
+};
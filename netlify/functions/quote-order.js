@@ -0,0 +1,70 @@
+/**
+ * Netlify Serverless Function
+ * Prices a customer-form cart from the products table before payment. The form charges the
+ * quoted total with Paystack, and create-order / paystack-webhook recompute it the same way
+ * and reject payments that do not match.
+ *
+ * A promoCode (and the customer's phone, for per-phone limits) may be sent; a code that cannot
+ * be used is reported in promoError and the total is left undiscounted. deliveryOption may be
+ * left out while the customer is still filling in the form; with it, the delivery fee for the
+ * delivery location ({ latitude, longitude, displayName }) is included.
+ *
+ * depositAmount is what the form charges instead of the total when a custom order is paid with
+ * a deposit (paymentPlan 'deposit'); the balance is collected on delivery.
+ */
+
+const {
+  validateCart,
+  normalizeCartItems,
+  quoteCart
+} = require('../lib/orderCreation');
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Order quotes are not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Checkout is not available right now' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const deliveryOption = String(body.deliveryOption || '').trim();
+  const cartError = validateCart(body.items);
+  if (cartError) {
+    return jsonResponse(400, { error: cartError });
+  }
+
+  try {
+    const { totals, error } = await quoteCart(normalizeCartItems(body.items), deliveryOption, {
+      promoCode: body.promoCode,
+      phone: body.phone,
+      delivery: body.delivery && typeof body.delivery === 'object' ? body.delivery : null
+    });
+    if (error) {
+      return jsonResponse(400, { error });
+    }
+
+    return jsonResponse(200, totals);
+  } catch (error) {
+    console.error('❌ Error quoting order:', error);
+    return jsonResponse(500, { error: 'Could not calculate your total. Please try again.' });
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * Netlify Serverless Function
+ * Matches recorded M-Pesa transactions to in-house orders and updates their payment_status
+ * (verified / mismatch / pending)
+ *
+ * Called by the dashboard's in-house order form after it saves an order, and by the admin
+ * Payments page after a statement import or "Reconcile now". At most MAX_CODES codes are
+ * reconciled per request. With no codes, one page of the in-house M-Pesa orders that are still
+ * pending or mismatched is reconciled; the response's `next` cursor is sent back as `after` for
+ * the following page.
+ *
+ * Only signed-in staff can reconcile (see netlify/lib/staffAuth.js).
+ */
+
+const { findUnreconciledCodes, reconcileMpesaCode } = require('../lib/mpesaReconciliation');
+const { verifyStaffSession } = require('../lib/staffAuth');
+
+const MAX_CODES = 50;
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ M-Pesa reconciliation is not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Reconciliation is not available right now' });
+  }
+
+  let staff;
+  try {
+    staff = await verifyStaffSession(event);
+  } catch (error) {
+    console.error('❌ Could not check the staff session:', error);
+    return jsonResponse(500, { error: 'Reconciliation is not available right now' });
+  }
+  if (!staff) {
+    return jsonResponse(401, { error: 'Your session has expired. Please sign in again to reconcile payments.', code: 'UNAUTHORIZED' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const requestedCodes = Array.isArray(body.codes)
+    ? [...new Set(body.codes.map(code => String(code || '').trim()).filter(Boolean))]
+    : [];
+  if (requestedCodes.length > MAX_CODES) {
+    return jsonResponse(400, { error: `Send at most ${MAX_CODES} codes per request` });
+  }
+
+  try {
+    let codes = requestedCodes;
+    let next = null;
+    if (codes.length === 0) {
+      ({ codes, next } = await findUnreconciledCodes(body.after ? String(body.after) : null));
+    }
+
+    const results = [];
+    for (const code of codes) {
+      results.push(await reconcileMpesaCode(code));
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    console.log(`✅ ${staff.name} reconciled ${results.length} M-Pesa code(s)`);
+    return jsonResponse(200, {
+      results,
+      verified: count('verified'),
+      mismatch: count('mismatch'),
+      pending: count('pending'),
+      unmatched: count('unmatched'),
+      next
+    });
+  } catch (error) {
+    console.error('❌ Error reconciling M-Pesa payments:', error);
+    return jsonResponse(500, { error: 'Failed to reconcile M-Pesa payments. Please try again.' });
+  }
+};
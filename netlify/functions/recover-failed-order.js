@@ -0,0 +1,119 @@
+/**
+ * Netlify Serverless Function
+ * Turns a `failed_orders` recovery queue entry into a real pending order ("Create order from
+ * this" on the employee Home tab) and marks the entry resolved
+ *
+ * The payment is verified with Paystack and the cart priced from the products table, exactly
+ * as create-order does. A payment of the wrong amount, or one made with a promo code that no
+ * longer applies (PROMO_INVALID), is only accepted when staff confirm it (allowAmountMismatch),
+ * in which case the order is stored at the amount actually paid.
+ *
+ * Only signed-in staff can recover orders (see netlify/lib/staffAuth.js), since the failed
+ * checkout's id is returned to the customer who reported it.
+ */
+
+const {
+  FAILED_ORDERS_TABLE,
+  supabaseRequest,
+  verifyPaystackTransaction,
+  findOrderByReference,
+  parseOrderRequest,
+  createOrderForPayment,
+  markPaymentFulfilled,
+  notifyOrderReceived
+} = require('../lib/orderCreation');
+const { verifyStaffSession } = require('../lib/staffAuth');
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY || !process.env.LIVE_SECRET_KEY) {
+    console.error('❌ Order recovery is not configured: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY or LIVE_SECRET_KEY missing');
+    return jsonResponse(500, { error: 'Order recovery is not available right now' });
+  }
+
+  let staff;
+  try {
+    staff = await verifyStaffSession(event);
+  } catch (error) {
+    console.error('❌ Could not check the staff session:', error);
+    return jsonResponse(500, { error: 'Order recovery is not available right now' });
+  }
+  if (!staff) {
+    return jsonResponse(401, { error: 'Your session has expired. Please sign in again to create the order.', code: 'UNAUTHORIZED' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const id = String(body.id || '').trim();
+  const staffName = staff.name;
+  if (!id) {
+    return jsonResponse(400, { error: 'Recovery entry is required' });
+  }
+
+  try {
+    const entries = await supabaseRequest(`${FAILED_ORDERS_TABLE}?select=*&id=eq.${encodeURIComponent(id)}&limit=1`);
+    const entry = entries && entries[0];
+    if (!entry) {
+      return jsonResponse(404, { error: 'Recovery entry not found' });
+    }
+    if (entry.status !== 'open') {
+      return jsonResponse(409, { error: 'This failed order has already been resolved', code: 'ALREADY_RESOLVED' });
+    }
+
+    const reference = entry.payment_reference;
+    const existing = await findOrderByReference(reference);
+    if (existing) {
+      await markPaymentFulfilled(reference, existing.id, staffName);
+      return jsonResponse(200, { created: false, order: existing });
+    }
+
+    const { order, error: validationError } = parseOrderRequest({ ...(entry.payload || {}), reference });
+    if (validationError) {
+      return jsonResponse(400, { error: `Cannot create the order: ${validationError}`, code: 'INVALID_ORDER' });
+    }
+
+    let transaction;
+    try {
+      transaction = await verifyPaystackTransaction(reference);
+    } catch (error) {
+      console.error('❌ Paystack verification failed:', reference, error.message);
+      return error.status === 404 || error.status === 400
+        ? jsonResponse(402, { error: 'Paystack has no payment with this reference', code: 'PAYMENT_NOT_FOUND' })
+        : jsonResponse(502, { error: 'Could not verify the payment right now. Please try again.' });
+    }
+
+    const result = await createOrderForPayment(order, transaction, { allowAmountMismatch: body.allowAmountMismatch === true });
+    if (result.error) {
+      return jsonResponse(result.code === 'AMOUNT_MISMATCH' ? 409 : result.statusCode, { error: result.error, code: result.code });
+    }
+
+    await markPaymentFulfilled(reference, result.order.id, staffName);
+    if (result.created) {
+      await notifyOrderReceived(result.order.id);
+    }
+
+    console.log(`✅ Failed order ${id} recovered by ${staffName}:`, result.order.id);
+    return jsonResponse(200, { created: result.created, order: result.order });
+  } catch (error) {
+    console.error('❌ Error recovering failed order:', id, error);
+    return jsonResponse(500, { error: 'Failed to create the order. Please try again.' });
+  }
+};
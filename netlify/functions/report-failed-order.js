@@ -0,0 +1,109 @@
+/**
+ * Netlify Serverless Function
+ * Adds a paid checkout whose order could not be created to the `failed_orders` recovery queue,
+ * which staff work through on the employee Home tab
+ *
+ * One open entry is kept per payment reference; reporting the same payment again updates it.
+ * Payments that already have an order are not queued.
+ */
+
+const {
+  FAILED_ORDERS_TABLE,
+  supabaseRequest,
+  verifyPaystackTransaction,
+  findOrderByReference
+} = require('../lib/orderCreation');
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Ask Paystack how the payment went so staff can see whether it is real
+ * @returns {string} Paystack status ('success', 'abandoned', ...) or 'unverified'
+ */
+const lookUpPaymentStatus = async (reference) => {
+  if (!process.env.LIVE_SECRET_KEY) return 'unverified';
+  try {
+    const transaction = await verifyPaystackTransaction(reference);
+    return transaction.status || 'unverified';
+  } catch (error) {
+    console.warn('⚠️ Could not verify reported payment:', reference, error.message);
+    return 'unverified';
+  }
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Failed order reporting is not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Could not report the failed order' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const reference = String(body.reference || '').trim();
+  const order = body.order && typeof body.order === 'object' ? body.order : {};
+  const customer = order.customer || {};
+  if (!reference) {
+    return jsonResponse(400, { error: 'Payment reference is required' });
+  }
+
+  try {
+    const existingOrder = await findOrderByReference(reference);
+    if (existingOrder) {
+      return jsonResponse(200, { queued: false, orderId: existingOrder.id });
+    }
+
+    const entry = {
+      payment_reference: reference,
+      customer_name: String(customer.name || '').trim() || null,
+      customer_phone: String(customer.phone || '').trim() || null,
+      customer_email: String(customer.email || '').trim() || null,
+      total: Number.isFinite(Number(body.total)) ? Number(body.total) : null,
+      payload: order,
+      error: String(body.error || 'Unknown error').slice(0, 1000),
+      payment_status: await lookUpPaymentStatus(reference),
+      updated_at: new Date().toISOString()
+    };
+
+    const open = await supabaseRequest(
+      `${FAILED_ORDERS_TABLE}?select=id&payment_reference=eq.${encodeURIComponent(reference)}&status=eq.open&limit=1`
+    );
+
+    if (open && open.length > 0) {
+      await supabaseRequest(`${FAILED_ORDERS_TABLE}?id=eq.${encodeURIComponent(open[0].id)}`, {
+        method: 'PATCH',
+        body: entry,
+        prefer: 'return=minimal'
+      });
+      return jsonResponse(200, { queued: true, id: open[0].id });
+    }
+
+    const created = await supabaseRequest(FAILED_ORDERS_TABLE, {
+      method: 'POST',
+      body: { ...entry, source: 'customer_form', status: 'open' },
+      prefer: 'return=representation'
+    });
+
+    console.log('📥 Failed order queued for recovery:', reference);
+    return jsonResponse(200, { queued: true, id: created[0].id });
+  } catch (error) {
+    console.error('❌ Error queuing failed order:', reference, error);
+    return jsonResponse(500, { error: 'Could not report the failed order' });
+  }
+};
@@ -0,0 +1,325 @@
+/**
+ * Netlify Serverless Function
+ * Sends a customer status notification (order received, accepted, ready, out for delivery,
+ * delivered, denied) through the configured providers and records each attempt in the
+ * `customer_notifications` send log
+ *
+ * The caller only names the order and the event. The recipient and message are built here
+ * from the order, so this endpoint cannot be used to message arbitrary numbers. An event is
+ * only sent while the order is in the status it announces (EVENT_STATUSES). Anyone may ask
+ * for the "received" message of a new order (the customer order forms do); every other
+ * event, and retries, need a signed-in staff member (see netlify/lib/staffAuth.js), who is
+ * recorded in the send log.
+ *
+ * Providers are picked with CUSTOMER_NOTIFICATION_PROVIDERS (comma separated, default "mock"):
+ *   mock           - logs the message only (local testing)
+ *   africastalking - SMS via Africa's Talking (AFRICASTALKING_USERNAME, AFRICASTALKING_API_KEY, AFRICASTALKING_SENDER_ID)
+ *   whatsapp       - WhatsApp Cloud API (WHATSAPP_ACCESS_TOKEN, WHATSAPP_PHONE_NUMBER_ID)
+ *   emailjs        - email via the EmailJS REST API (EMAILJS_SERVICE_ID, EMAILJS_NOTIFICATION_TEMPLATE_ID,
+ *                    EMAILJS_PUBLIC_KEY, EMAILJS_PRIVATE_KEY); only used when the customer has an email
+ */
+
+const { supabaseRequest } = require('../lib/orderCreation');
+const { verifyStaffSession } = require('../lib/staffAuth');
+
+const LOG_TABLE = 'customer_notifications';
+
+// Attempts per provider within one request, with the delay before each retry
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [0, 1000, 2500];
+
+const TEMPLATES = {
+  received: 'Hi {name}, we have received your Apparel Modest order {order} ({items}). Track it at {track_url}',
+  accepted: 'Hi {name}, your order {order} has been accepted and is now being made. Expected by {promised_date}.',
+  ready: 'Hi {name}, good news! Your order {order} is finished and ready for delivery.',
+  out_for_delivery: 'Hi {name}, your order {order} is on its way to you.',
+  delivered: 'Hi {name}, your order {order} has been delivered. Thank you for shopping with Apparel Modest!',
+  denied: 'Hi {name}, unfortunately we could not take on your order {order}. We will contact you about next steps.'
+};
+
+// Order statuses each event may be sent in (out for delivery also covers items shipped early)
+const EVENT_STATUSES = {
+  received: ['pending'],
+  accepted: ['in_progress'],
+  ready: ['to_deliver'],
+  out_for_delivery: ['to_deliver', 'in_progress'],
+  delivered: ['completed'],
+  denied: ['cancelled']
+};
+
+// Events that do not need a staff session (and only when not a retry)
+const PUBLIC_EVENTS = ['received'];
+
+const EMAIL_SUBJECTS = {
+  received: 'We received your order',
+  accepted: 'Your order is being made',
+  ready: 'Your order is ready',
+  out_for_delivery: 'Your order is on its way',
+  delivered: 'Your order has been delivered',
+  denied: 'About your order'
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a Kenyan phone number to international format (2547XXXXXXXX)
+ */
+const toInternationalPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('0') && digits.length === 10) return `254${digits.slice(1)}`;
+  if (digits.length === 9) return `254${digits}`;
+  return digits;
+};
+
+// ============================================
+// Providers: { channel, isConfigured(), canSend(recipient), send({ recipient, message, subject }) → provider message ID }
+// ============================================
+const PROVIDERS = {
+  mock: {
+    channel: 'mock',
+    isConfigured: () => true,
+    canSend: (recipient) => !!recipient.phone,
+    send: async ({ recipient, message }) => {
+      console.log(`📨 [mock] To ${recipient.phone}: ${message}`);
+      return `mock-${Date.now()}`;
+    }
+  },
+
+  africastalking: {
+    channel: 'sms',
+    isConfigured: () => !!(process.env.AFRICASTALKING_USERNAME && process.env.AFRICASTALKING_API_KEY),
+    canSend: (recipient) => !!recipient.phone,
+    send: async ({ recipient, message }) => {
+      const username = process.env.AFRICASTALKING_USERNAME;
+      const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+      const params = new URLSearchParams({ username, to: `+${toInternationalPhone(recipient.phone)}`, message });
+      if (process.env.AFRICASTALKING_SENDER_ID) params.set('from', process.env.AFRICASTALKING_SENDER_ID);
+
+      const response = await fetch(`https://${host}/version1/messaging`, {
+        method: 'POST',
+        headers: {
+          apiKey: process.env.AFRICASTALKING_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params.toString()
+      });
+      const result = await response.json().catch(() => ({}));
+      const sent = result.SMSMessageData && result.SMSMessageData.Recipients && result.SMSMessageData.Recipients[0];
+
+      if (!response.ok || !sent || !['Success', 'Sent'].includes(sent.status)) {
+        throw new Error((sent && sent.status) || (result.SMSMessageData && result.SMSMessageData.Message) || `HTTP ${response.status}`);
+      }
+      return sent.messageId;
+    }
+  },
+
+  whatsapp: {
+    channel: 'whatsapp',
+    isConfigured: () => !!(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID),
+    canSend: (recipient) => !!recipient.phone,
+    send: async ({ recipient, message }) => {
+      const response = await fetch(`https://graph.facebook.com/v19.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          messaging_product: 'whatsapp',
+          to: toInternationalPhone(recipient.phone),
+          type: 'text',
+          text: { body: message }
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error((result.error && result.error.message) || `HTTP ${response.status}`);
+      }
+      return result.messages && result.messages[0] ? result.messages[0].id : null;
+    }
+  },
+
+  emailjs: {
+    channel: 'email',
+    isConfigured: () => !!(process.env.EMAILJS_SERVICE_ID && process.env.EMAILJS_NOTIFICATION_TEMPLATE_ID &&
+      (process.env.EMAILJS_PUBLIC_KEY || process.env.API_keys_Public_Key) && process.env.EMAILJS_PRIVATE_KEY),
+    canSend: (recipient) => !!recipient.email,
+    send: async ({ recipient, message, subject }) => {
+      const response = await fetch('https://api.emailjs.com/api/v1.0/email/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          service_id: process.env.EMAILJS_SERVICE_ID,
+          template_id: process.env.EMAILJS_NOTIFICATION_TEMPLATE_ID,
+          user_id: process.env.EMAILJS_PUBLIC_KEY || process.env.API_keys_Public_Key,
+          accessToken: process.env.EMAILJS_PRIVATE_KEY,
+          template_params: {
+            to_name: recipient.name,
+            email: recipient.email,
+            subject,
+            message
+          }
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(await response.text() || `HTTP ${response.status}`);
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * Fill a template with order details
+ */
+const renderTemplate = (event, order, customer, siteUrl) => {
+  const items = Array.isArray(order.items) && order.items.length > 0
+    ? order.items.map(item => item.product_name).filter(Boolean).join(', ')
+    : (order.products && order.products.name) || '';
+  const values = {
+    name: (customer.name || 'there').split(' ')[0],
+    order: order.order_number || String(order.id).slice(0, 8).toUpperCase(),
+    items: items || 'your items',
+    promised_date: order.promised_date || 'soon',
+    track_url: `${siteUrl}/track`
+  };
+  return TEMPLATES[event].replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+};
+
+/**
+ * Send through one provider, retrying failures, and return the log row to store
+ */
+const sendWithRetries = async (providerName, provider, recipient, message, subject) => {
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (RETRY_DELAYS_MS[attempt - 1]) await sleep(RETRY_DELAYS_MS[attempt - 1]);
+    try {
+      const providerMessageId = await provider.send({ recipient, message, subject });
+      return { provider: providerName, channel: provider.channel, status: 'sent', attempts: attempt, provider_message_id: providerMessageId || null, last_error: null };
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ ${providerName} attempt ${attempt} failed:`, error.message);
+    }
+  }
+  return { provider: providerName, channel: provider.channel, status: 'failed', attempts: MAX_ATTEMPTS, provider_message_id: null, last_error: lastError ? lastError.message : 'Unknown error' };
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Customer notifications are not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Customer notifications are not configured' });
+  }
+
+  let request;
+  try {
+    request = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  const { orderId, event: notificationEvent, retry = false } = request;
+  if (!orderId || !TEMPLATES[notificationEvent]) {
+    return jsonResponse(400, { error: 'orderId and a known event are required' });
+  }
+
+  try {
+    const staff = await verifyStaffSession(event);
+    if (!staff && (retry || !PUBLIC_EVENTS.includes(notificationEvent))) {
+      return jsonResponse(401, { error: 'Your session has expired. Please sign in again to message customers.', code: 'UNAUTHORIZED' });
+    }
+    const staffName = staff ? staff.name : null;
+
+    const orders = await supabaseRequest(
+      `orders?select=id,order_number,status,items,products(name),promised_date,customer_phone,customers(*)&id=eq.${encodeURIComponent(orderId)}`
+    );
+    const order = orders && orders[0];
+    if (!order) {
+      return jsonResponse(404, { error: 'Order not found' });
+    }
+    if (!EVENT_STATUSES[notificationEvent].includes(order.status)) {
+      return jsonResponse(409, { error: `The order is ${order.status}, so the ${notificationEvent} message was not sent`, code: 'STATUS_MISMATCH' });
+    }
+
+    // Each event is sent once per order; a retry only re-sends providers that failed
+    const previous = await supabaseRequest(
+      `${LOG_TABLE}?select=provider,status&order_id=eq.${encodeURIComponent(String(order.id))}&event=eq.${notificationEvent}`
+    );
+    const alreadySent = new Set((previous || []).filter(row => row.status === 'sent').map(row => row.provider));
+    if (!retry && (previous || []).length > 0) {
+      return jsonResponse(200, { skipped: true, reason: 'Already sent for this order', results: [] });
+    }
+
+    const customer = (Array.isArray(order.customers) ? order.customers[0] : order.customers) || {};
+    const recipient = {
+      name: customer.name || '',
+      phone: customer.phone || order.customer_phone || '',
+      email: customer.email || ''
+    };
+    const siteUrl = process.env.URL || (event.headers && event.headers.origin) || '';
+    const message = renderTemplate(notificationEvent, order, recipient, siteUrl);
+    const subject = EMAIL_SUBJECTS[notificationEvent];
+
+    const providerNames = (process.env.CUSTOMER_NOTIFICATION_PROVIDERS || 'mock')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => PROVIDERS[name] && !alreadySent.has(name));
+
+    const results = [];
+    for (const providerName of providerNames) {
+      const provider = PROVIDERS[providerName];
+      if (!provider.isConfigured()) {
+        console.warn(`⚠️ Notification provider ${providerName} is not configured; skipping`);
+        continue;
+      }
+      if (!provider.canSend(recipient)) {
+        continue;
+      }
+
+      const outcome = await sendWithRetries(providerName, provider, recipient, message, subject);
+      results.push({
+        order_id: String(order.id),
+        event: notificationEvent,
+        recipient: provider.channel === 'email' ? recipient.email : recipient.phone,
+        message,
+        staff_name: staffName,
+        created_at: new Date().toISOString(),
+        sent_at: outcome.status === 'sent' ? new Date().toISOString() : null,
+        ...outcome
+      });
+    }
+
+    if (results.length > 0) {
+      try {
+        await supabaseRequest(LOG_TABLE, { method: 'POST', body: results, prefer: 'return=minimal' });
+      } catch (error) {
+        // The message went out; a missing log row should not report the send as failed
+        console.error('⚠️ Failed to write customer notification log:', error.message);
+      }
+    }
+
+    return jsonResponse(200, {
+      skipped: false,
+      results: results.map(({ provider, channel, status, attempts, last_error }) => ({ provider, channel, status, attempts, error: last_error }))
+    });
+  } catch (error) {
+    console.error('❌ Error sending customer notification:', error);
+    return jsonResponse(500, { error: 'Failed to send customer notification' });
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * Netlify Serverless Function
+ * Public order tracking: looks up orders by payment reference + customer phone number
+ * and returns only fields that are safe to show the customer (never the raw orders row)
+ *
+ * Uses SUPABASE_SERVICE_ROLE_KEY on the server so the orders table does not need to be
+ * readable by the anon key.
+ */
+
+// Customer-facing stages, in order, and the order statuses that have reached each one
+const TRACKING_STAGES = [
+  { key: 'received', label: 'Received', statuses: ['pending', 'in_progress', 'to_deliver', 'completed'] },
+  { key: 'in_production', label: 'In production', statuses: ['in_progress', 'to_deliver', 'completed'] },
+  { key: 'ready', label: 'Ready for delivery', statuses: ['to_deliver', 'completed'] },
+  { key: 'delivered', label: 'Delivered', statuses: ['completed'] }
+];
+
+// Status each stage is entered with (used to find the date from order_status_events)
+const STAGE_ENTRY_STATUS = {
+  in_production: 'in_progress',
+  ready: 'to_deliver',
+  delivered: 'completed'
+};
+
+const CLOSED_STATUS_LABELS = {
+  cancelled: 'Cancelled',
+  returned: 'Returned'
+};
+
+const jsonResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Compare phone numbers by their last 9 digits so "+254712..." matches "0712..."
+ */
+const phonesMatch = (a, b) => {
+  const digitsA = String(a || '').replace(/\D/g, '');
+  const digitsB = String(b || '').replace(/\D/g, '');
+  if (digitsA.length < 9 || digitsB.length < 9) return false;
+  return digitsA.slice(-9) === digitsB.slice(-9);
+};
+
+/**
+ * Query Supabase's REST API with the service role key
+ */
+const supabaseGet = async (path) => {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    headers: {
+      apikey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Supabase request failed (${response.status}): ${await response.text()}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Build the customer-facing view of one order
+ */
+const toTrackedOrder = (order, events) => {
+  const firstEventAt = (status) => {
+    const event = events.find(e => e.order_id === String(order.id) && e.to_status === status);
+    return event ? event.created_at : null;
+  };
+
+  const stages = TRACKING_STAGES.map(stage => {
+    const reached = stage.statuses.includes(order.status);
+    let date = null;
+    if (stage.key === 'received') {
+      date = order.created_at;
+    } else if (reached) {
+      date = firstEventAt(STAGE_ENTRY_STATUS[stage.key]) || (stage.key === 'delivered' ? order.completed_at : null);
+    }
+    return { key: stage.key, label: stage.label, reached, date };
+  });
+
+  const items = Array.isArray(order.items) && order.items.length > 0
+    ? order.items.map(item => ({ productName: item.product_name || 'Item', color: item.color || '' }))
+    : [{ productName: (order.products && order.products.name) || 'Item', color: order.color || '' }];
+
+  return {
+    orderNumber: order.order_number || String(order.id).slice(0, 8).toUpperCase(),
+    orderedAt: order.created_at,
+    promisedDate: order.promised_date || null,
+    deliveryOption: order.delivery_option || null,
+    closedStatus: CLOSED_STATUS_LABELS[order.status] || null,
+    stages,
+    items
+  };
+};
+
+exports.handler = async (event, context) => {
+  // Only allow POST requests (keeps phone numbers out of URLs and logs)
+  if (event.httpMethod !== 'POST') {
+    return jsonResponse(405, { error: 'Method not allowed' });
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Order tracking is not configured: SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+    return jsonResponse(500, { error: 'Order tracking is not available right now' });
+  }
+
+  let phone;
+  let reference;
+  try {
+    ({ phone, reference } = JSON.parse(event.body || '{}'));
+  } catch (error) {
+    return jsonResponse(400, { error: 'Invalid request' });
+  }
+
+  reference = String(reference || '').trim();
+  if (!reference || String(phone || '').replace(/\D/g, '').length < 9) {
+    return jsonResponse(400, { error: 'Enter your phone number and payment reference' });
+  }
+
+  const notFound = jsonResponse(404, { error: 'No order found for that phone number and payment reference' });
+
+  try {
+    const orders = await supabaseGet(
+      'orders?select=id,order_number,status,created_at,completed_at,promised_date,delivery_option,items,color,products(name),customers(phone)' +
+      `&payment_reference=eq.${encodeURIComponent(reference)}&deleted_at=is.null&order=created_at.asc`
+    );
+
+    // Only orders placed with this phone number; a wrong phone looks the same as a wrong reference
+    const matching = (orders || []).filter(order => {
+      const customer = Array.isArray(order.customers) ? order.customers[0] : order.customers;
+      return customer && phonesMatch(customer.phone, phone);
+    });
+
+    if (matching.length === 0) {
+      return notFound;
+    }
+
+    let events = [];
+    try {
+      const ids = matching.map(order => `"${order.id}"`).join(',');
+      events = await supabaseGet(
+        `order_status_events?select=order_id,to_status,created_at&order_id=in.(${encodeURIComponent(ids)})&order=created_at.asc`
+      );
+    } catch (error) {
+      // Stage dates are optional; tracking still works without the event log
+      console.warn('⚠️ Could not load order status events:', error.message);
+    }
+
+    return jsonResponse(200, {
+      reference,
+      orders: matching.map(order => toTrackedOrder(order, events || []))
+    });
+  } catch (error) {
+    console.error('❌ Error tracking order:', error);
+    return jsonResponse(500, { error: 'Could not look up your order. Please try again.' });
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Delivery fee rules shared by the order functions
+ * Rules are managed on the admin Delivery Fees page (`delivery_fee_rules` table), one row per rule:
+ * - flat: one fee for the delivery option
+ * - zone: fee for locations up to max_distance_km from the store
+ * - agent: a Pick Up Mtaani agent (latitude/longitude) and its price; the agent nearest the
+ *          chosen location is used
+ *
+ * Agent and zone rules need a map-picked location. A location typed in by hand (no coordinates)
+ * is charged the option's flat fee, or its highest fee when it has no flat rule.
+ */
+
+const DELIVERY_FEE_RULES_TABLE = 'delivery_fee_rules';
+
+// The store, opposite Jevanjee Gardens on Muindi Mbingu Street, Nairobi
+const STORE_LOCATION = { latitude: -1.2833, longitude: 36.8185 };
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const getCoordinates = (delivery) => {
+  const latitude = parseFloat(delivery && delivery.latitude);
+  const longitude = parseFloat(delivery && delivery.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Work out the delivery fee for an option and location from its active rules
+ * @param {Array} rules - delivery_fee_rules rows for the option
+ * @param {Object} delivery - { latitude, longitude, displayName }
+ * @returns {{ fee: number, label: string|null, distanceKm: number|null, error: string|null }}
+ */
+const calculateDeliveryFee = (rules, delivery) => {
+  const active = (rules || []).filter(rule => rule.active !== false);
+  if (active.length === 0) return { fee: 0, label: null, distanceKm: null, error: null };
+
+  const flat = active.find(rule => rule.rule_type === 'flat');
+  const zones = active
+    .filter(rule => rule.rule_type === 'zone' && Number(rule.max_distance_km) > 0)
+    .sort((a, b) => Number(a.max_distance_km) - Number(b.max_distance_km));
+  const agents = active.filter(rule => rule.rule_type === 'agent' && getCoordinates(rule));
+  const feeOf = (rule) => Number(rule.fee) || 0;
+  const coordinates = getCoordinates(delivery);
+
+  if (coordinates && agents.length > 0) {
+    const nearest = agents
+      .map(agent => ({ agent, distance: distanceKm(coordinates, getCoordinates(agent)) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    return { fee: feeOf(nearest.agent), label: nearest.agent.name || 'Nearest agent', distanceKm: nearest.distance, error: null };
+  }
+
+  if (coordinates && zones.length > 0) {
+    const distance = distanceKm(STORE_LOCATION, coordinates);
+    const zone = zones.find(rule => distance <= Number(rule.max_distance_km));
+    if (zone) {
+      return { fee: feeOf(zone), label: zone.name || `Within ${Number(zone.max_distance_km)} km`, distanceKm: distance, error: null };
+    }
+    if (!flat) {
+      return { fee: 0, label: null, distanceKm: distance, error: 'This location is outside our delivery area for this option' };
+    }
+  }
+
+  if (flat) return { fee: feeOf(flat), label: flat.name || null, distanceKm: null, error: null };
+
+  // Location typed in by hand: charge the most expensive zone/agent price for the option
+  const highest = [...zones, ...agents].sort((a, b) => feeOf(b) - feeOf(a))[0];
+  return highest
+    ? { fee: feeOf(highest), label: highest.name || null, distanceKm: null, error: null }
+    : { fee: 0, label: null, distanceKm: null, error: null };
+};
+
+module.exports = {
+  DELIVERY_FEE_RULES_TABLE,
+  STORE_LOCATION,
+  distanceKm,
+  calculateDeliveryFee
+};
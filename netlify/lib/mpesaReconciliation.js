@@ -0,0 +1,113 @@
+/**
+ * M-Pesa reconciliation shared by the mpesa-c2b-confirmation and reconcile-mpesa functions
+ * Matches M-Pesa transactions (`mpesa_transactions`, from Daraja C2B callbacks or statement CSVs
+ * imported on the admin Payments page) to the in-house orders that carry their code in
+ * payment_reference, and sets each order's payment_status:
+ * - verified: the transaction amount equals the order price, or the amount recorded for the code in
+ *   the order's payment_ledger (a deposit)
+ * - mismatch: a transaction exists but for a different amount
+ * - pending: no transaction recorded for the code yet
+ */
+
+const { supabaseRequest } = require('./orderCreation');
+
+const MPESA_TRANSACTIONS_TABLE = 'mpesa_transactions';
+
+// Statuses reconciliation may still change; verified orders (matched, or marked verified on the
+// Payments page) are left alone
+const RECONCILABLE_STATUSES = ['pending', 'mismatch'];
+
+// Older in-house orders stored the code as INHOUSE-<code>
+const normalizeMpesaCode = (reference) => String(reference || '').trim().toUpperCase().replace(/^INHOUSE-/, '');
+
+/**
+ * Amount the code should have paid: its payment_ledger entry (e.g. a deposit), else the order price
+ */
+const expectedAmount = (order, code) => {
+  const entry = (Array.isArray(order.payment_ledger) ? order.payment_ledger : [])
+    .find(payment => normalizeMpesaCode(payment.reference) === code);
+  return Number(entry ? entry.amount : order.price);
+};
+
+/**
+ * Match one M-Pesa code to its orders
+ * @returns {{ code: string, status: string, orderIds: Array }} status is the result for the order
+ *          the payment belongs to, or 'unmatched' when no order uses the code
+ */
+const reconcileMpesaCode = async (reference) => {
+  const code = normalizeMpesaCode(reference);
+
+  const [transactions, orders] = await Promise.all([
+    supabaseRequest(`${MPESA_TRANSACTIONS_TABLE}?select=*&code=eq.${encodeURIComponent(code)}&limit=1`),
+    supabaseRequest(
+      `orders?select=id,price,payment_status,payment_ledger&payment_option=eq.mpesa&deleted_at=is.null` +
+      `&payment_reference=in.(${encodeURIComponent(`"${code}","INHOUSE-${code}"`)})&order=created_at.asc`
+    )
+  ]);
+  const transaction = transactions && transactions[0];
+
+  if (!orders || orders.length === 0) {
+    return { code, status: 'unmatched', orderIds: [] };
+  }
+
+  // One payment pays one order: the order it is already linked to, else the oldest. Any other
+  // order reusing the code stays unverified (the Sales badge flags it as reused).
+  const claimant = transaction
+    ? orders.find(order => String(order.id) === String(transaction.order_id)) || orders[0]
+    : null;
+
+  const statuses = [];
+  for (const order of orders) {
+    const status = order !== claimant
+      ? 'pending'
+      : Math.round(Number(transaction.amount) * 100) === Math.round(expectedAmount(order, code) * 100) ? 'verified' : 'mismatch';
+    statuses.push(status);
+
+    if (RECONCILABLE_STATUSES.includes(order.payment_status) && order.payment_status !== status) {
+      await supabaseRequest(`orders?id=eq.${encodeURIComponent(order.id)}`, {
+        method: 'PATCH',
+        body: { payment_status: status },
+        prefer: 'return=minimal'
+      });
+    }
+  }
+
+  if (transaction && !transaction.order_id) {
+    await supabaseRequest(`${MPESA_TRANSACTIONS_TABLE}?code=eq.${encodeURIComponent(code)}`, {
+      method: 'PATCH',
+      body: { order_id: String(claimant.id) },
+      prefer: 'return=minimal'
+    });
+  }
+
+  return { code, status: statuses[orders.indexOf(claimant)] || 'pending', orderIds: orders.map(order => order.id) };
+};
+
+// Orders read per findUnreconciledCodes page, so one request never walks every order
+const UNRECONCILED_PAGE_SIZE = 50;
+
+/**
+ * One page of codes of in-house M-Pesa orders still waiting for a match, oldest order first
+ * @param {string} [after] - created_at of the last order on the previous page
+ * @returns {Promise<{ codes: Array<string>, next: string|null }>} next is the cursor for the
+ *          following page, or null on the last page
+ */
+const findUnreconciledCodes = async (after) => {
+  const orders = await supabaseRequest(
+    `orders?select=payment_reference,created_at&payment_option=eq.mpesa&deleted_at=is.null` +
+    `&payment_status=in.(${RECONCILABLE_STATUSES.join(',')})&payment_reference=not.is.null` +
+    (after ? `&created_at=gt.${encodeURIComponent(after)}` : '') +
+    `&order=created_at.asc&limit=${UNRECONCILED_PAGE_SIZE}`
+  ) || [];
+  return {
+    codes: [...new Set(orders.map(order => normalizeMpesaCode(order.payment_reference)).filter(Boolean))],
+    next: orders.length === UNRECONCILED_PAGE_SIZE ? orders[orders.length - 1].created_at : null
+  };
+};
+
+module.exports = {
+  MPESA_TRANSACTIONS_TABLE,
+  normalizeMpesaCode,
+  reconcileMpesaCode,
+  findUnreconciledCodes
+};
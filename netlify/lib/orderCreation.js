@@ -0,0 +1,609 @@
+/**
+ * Order creation shared by the Paystack order functions (quote-order, create-order, paystack-webhook,
+ * report-failed-order, recover-failed-order)
+ * Prices carts from the products table, checks the paid amount against that total, upserts the
+ * customer by phone and inserts the order idempotently by payment reference, using Supabase's
+ * REST API with the service role key
+ *
+ * Prices sent by the browser are never used; the customer pays the total quoted here.
+ * Promo codes (admin Promotions page) and delivery fees (admin Delivery Fees page) are checked
+ * and applied here too. Custom orders may be paid with a deposit (paymentPlan 'deposit'); the
+ * payment is recorded in the order's payment_ledger and the balance is collected on delivery.
+ */
+
+// Shared with the order forms so server-created orders get the same promised date
+const PromisedDateService = require('../../services/promisedDateService');
+const promisedDateService = new PromisedDateService();
+const PaymentLedgerService = require('../../services/paymentLedgerService');
+const paymentLedgerService = new PaymentLedgerService();
+const { DELIVERY_FEE_RULES_TABLE, calculateDeliveryFee } = require('./deliveryFees');
+
+const PAYSTACK_VERIFY_URL = 'https://api.paystack.co/transaction/verify/';
+const PAYMENT_CURRENCY = 'KES';
+
+const PAYMENTS_TABLE = 'payments';
+
+// Recovery queue of paid checkouts whose order could not be created
+const FAILED_ORDERS_TABLE = 'failed_orders';
+
+const PROMO_CODES_TABLE = 'promo_codes';
+
+const DELIVERY_OPTIONS_WITH_LOCATION = ['uber', 'pickup-mtaani', 'courier'];
+
+// New order_number values collide rarely; retry with a fresh one this many times
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400';
+
+/**
+ * Call Supabase's REST API with the service role key
+ * Failed requests throw an Error carrying the HTTP status and response text.
+ */
+const supabaseRequest = async (path, { method = 'GET', body = null, prefer = null } = {}) => {
+  const headers = {
+    apikey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+    'Content-Type': 'application/json'
+  };
+  if (prefer) headers.Prefer = prefer;
+
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(`Supabase request failed (${response.status}): ${text}`);
+    error.status = response.status;
+    error.details = text;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+};
+
+/**
+ * Look up a transaction with Paystack's verify API
+ * @returns {Object} Paystack transaction data
+ */
+const verifyPaystackTransaction = async (reference) => {
+  const response = await fetch(`${PAYSTACK_VERIFY_URL}${encodeURIComponent(reference)}`, {
+    headers: { Authorization: `Bearer ${process.env.LIVE_SECRET_KEY}` }
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || !result.status || !result.data) {
+    const error = new Error(result.message || `Paystack verification failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return result.data;
+};
+
+const findOrderByReference = async (reference) => {
+  const orders = await supabaseRequest(
+    `orders?select=id,order_number,status,created_at&payment_reference=eq.${encodeURIComponent(reference)}&order=created_at.asc&limit=1`
+  );
+  return orders && orders.length > 0 ? orders[0] : null;
+};
+
+/**
+ * Find the customer by phone (updating their name) or create them
+ * @returns {string} Customer ID
+ */
+const upsertCustomer = async ({ name, phone }) => {
+  const existing = await supabaseRequest(`customers?select=id&phone=eq.${encodeURIComponent(phone)}&limit=1`);
+
+  if (existing && existing.length > 0) {
+    await supabaseRequest(`customers?id=eq.${encodeURIComponent(existing[0].id)}`, {
+      method: 'PATCH',
+      body: { name },
+      prefer: 'return=minimal'
+    });
+    return existing[0].id;
+  }
+
+  const created = await supabaseRequest('customers', {
+    method: 'POST',
+    body: { name, phone },
+    prefer: 'return=representation'
+  });
+  return created[0].id;
+};
+
+const generateOrderNumber = () => {
+  const now = new Date();
+  const datePart = now.getFullYear().toString() +
+    String(now.getMonth() + 1).padStart(2, '0') +
+    String(now.getDate()).padStart(2, '0');
+  const randomPart = Math.floor(10000000 + Math.random() * 90000000); // 8-digit random
+  return `ORD-${datePart}-${randomPart}`;
+};
+
+/**
+ * Check the cart part of a request (shared by quotes and orders)
+ * @returns {string|null} Error message, or null when the cart is valid
+ */
+const validateCart = (items) => {
+  if (!Array.isArray(items) || items.length === 0) return 'Order cart is empty';
+  if (items.some(item => !item || !item.product_id)) return 'Invalid product data';
+  return null;
+};
+
+const normalizeCartItems = (items) => items.map(item => ({
+  product_id: item.product_id,
+  color: item.color || null
+}));
+
+/**
+ * Load the products in a cart, keyed by ID
+ * @returns {{ productsById: Object, error: string|null }}
+ */
+const loadCartProducts = async (items) => {
+  const productIds = [...new Set(items.map(item => String(item.product_id)))];
+  const products = await supabaseRequest(
+    `products?select=*&deleted_at=is.null&id=in.(${encodeURIComponent(productIds.map(id => `"${id}"`).join(','))})`
+  );
+
+  const productsById = {};
+  (products || []).forEach(product => { productsById[product.id] = product; });
+
+  const missing = items.some(item => !productsById[item.product_id]);
+  const unpriced = !missing && items.some(item => !(Number(productsById[item.product_id].price) >= 0));
+  if (missing || unpriced) {
+    return { productsById, error: 'One or more products are no longer available. Please refresh and try again.' };
+  }
+  return { productsById, error: null };
+};
+
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase() || null;
+
+// Phone numbers are stored in several formats (+2547..., 07...); compare the last 9 digits
+const phoneKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-9);
+
+/**
+ * Load a promo code and check it can be used at the given time by this phone number
+ * Usage is counted from the orders (not deleted) that carry the code.
+ * @param {string} code - Normalized promo code
+ * @param {string|null} phone - Customer phone; the per-phone limit is only checked when given
+ * @param {Date} at - When the code is used (the payment time for paid orders)
+ * @returns {{ promo: Object|null, error: string|null }}
+ */
+const loadPromoCode = async (code, phone, at) => {
+  const promos = await supabaseRequest(`${PROMO_CODES_TABLE}?select=*&code=eq.${encodeURIComponent(code)}&limit=1`);
+  const promo = promos && promos[0];
+
+  if (!promo || !promo.active) return { promo: null, error: 'This promo code is not valid' };
+  if (promo.starts_at && new Date(promo.starts_at) > at) return { promo: null, error: 'This promo code is not active yet' };
+  if (promo.ends_at && new Date(promo.ends_at) < at) return { promo: null, error: 'This promo code has expired' };
+
+  if (promo.max_uses || promo.max_uses_per_phone) {
+    const uses = await supabaseRequest(
+      `orders?select=customer_phone&promo_code=eq.${encodeURIComponent(code)}&deleted_at=is.null`
+    ) || [];
+    if (promo.max_uses && uses.length >= promo.max_uses) {
+      return { promo: null, error: 'This promo code has been fully redeemed' };
+    }
+    const key = phoneKey(phone);
+    if (promo.max_uses_per_phone && key &&
+        uses.filter(use => phoneKey(use.customer_phone) === key).length >= promo.max_uses_per_phone) {
+      return { promo: null, error: 'You have already used this promo code' };
+    }
+  }
+
+  return { promo, error: null };
+};
+
+/**
+ * Work out a promo code's discount on a priced cart
+ * Only items in the code's product/category scope (all items when it has none) are discounted,
+ * and the discount never exceeds their total.
+ * @returns {{ discount: number, error: string|null }}
+ */
+const calculatePromoDiscount = (promo, pricedItems, productsById, itemsTotal) => {
+  const productIds = (promo.product_ids || []).map(String);
+  const categories = (promo.categories || []).map(category => String(category).toLowerCase());
+  const hasScope = productIds.length > 0 || categories.length > 0;
+
+  const eligibleTotal = pricedItems
+    .filter(item => !hasScope ||
+      productIds.includes(String(item.product_id)) ||
+      categories.includes(String(productsById[item.product_id].category || '').toLowerCase()))
+    .reduce((sum, item) => sum + item.price, 0);
+
+  if (eligibleTotal <= 0) {
+    return { discount: 0, error: 'This promo code does not apply to the items in your cart' };
+  }
+  if (promo.min_cart_value && itemsTotal < Number(promo.min_cart_value)) {
+    return { discount: 0, error: `This promo code needs a cart of at least ${PAYMENT_CURRENCY} ${Number(promo.min_cart_value).toLocaleString()}` };
+  }
+
+  const value = Number(promo.discount_value) || 0;
+  const discount = promo.discount_type === 'percent'
+    ? Math.round(eligibleTotal * Math.min(value, 100) / 100)
+    : Math.round(value);
+  return { discount: Math.min(Math.max(discount, 0), eligibleTotal), error: null };
+};
+
+/**
+ * Quote the delivery fee for an option and location from the option's active rules
+ * No option yet (the customer is still filling in the form) means no fee.
+ * @returns {{ fee: number, label: string|null, distanceKm: number|null, error: string|null }}
+ */
+const quoteDeliveryFee = async (deliveryOption, delivery) => {
+  if (!deliveryOption) return { fee: 0, label: null, distanceKm: null, error: null };
+
+  const rules = await supabaseRequest(
+    `${DELIVERY_FEE_RULES_TABLE}?select=*&delivery_option=eq.${encodeURIComponent(deliveryOption)}&active=eq.true`
+  );
+  return calculateDeliveryFee(rules, DELIVERY_OPTIONS_WITH_LOCATION.includes(deliveryOption) ? delivery : null);
+};
+
+/**
+ * Price a cart from the products table
+ * Delivery fees and discounts are added here so the quote, the Paystack amount and the
+ * stored order price always agree. A promo code that does not apply leaves the total
+ * undiscounted and is reported in promoError. Discounts only apply to the items.
+ * @param {Object|null} promo - promo_codes row already checked by loadPromoCode
+ * @param {Object|null} deliveryQuote - Result of quoteDeliveryFee
+ * @returns {{ items: Array, itemsTotal: number, deliveryFee: number, deliveryLabel: string|null,
+ *            discount: number, promoCode: string|null, promoError: string|null, total: number,
+ *            depositAmount: number }}
+ */
+const calculateOrderTotals = (items, productsById, promo = null, deliveryQuote = null) => {
+  const pricedItems = items.map(item => ({
+    ...item,
+    price: Number(productsById[item.product_id].price)
+  }));
+  const itemsTotal = pricedItems.reduce((sum, item) => sum + item.price, 0);
+  const deliveryFee = deliveryQuote ? deliveryQuote.fee : 0;
+  const { discount, error: promoError } = promo
+    ? calculatePromoDiscount(promo, pricedItems, productsById, itemsTotal)
+    : { discount: 0, error: null };
+  const total = Math.max(0, itemsTotal + deliveryFee - discount);
+
+  return {
+    items: pricedItems,
+    itemsTotal,
+    deliveryFee,
+    deliveryLabel: deliveryQuote ? deliveryQuote.label : null,
+    discount,
+    promoCode: promo && !promoError ? promo.code : null,
+    promoError,
+    total,
+    depositAmount: paymentLedgerService.calculateDeposit(total)
+  };
+};
+
+/**
+ * Quote a cart: load its products and price it with the delivery fee for the chosen location,
+ * applying the promo code if there is one
+ * @param {Object} options - { promoCode, phone, at, delivery } at defaults to now
+ * @returns {{ totals: Object|null, productsById: Object, error: string|null }}
+ */
+const quoteCart = async (items, deliveryOption, { promoCode = null, phone = null, at = new Date(), delivery = null } = {}) => {
+  const { productsById, error } = await loadCartProducts(items);
+  if (error) return { totals: null, productsById, error };
+
+  const deliveryQuote = await quoteDeliveryFee(deliveryOption, delivery);
+  if (deliveryQuote.error) return { totals: null, productsById, error: deliveryQuote.error };
+
+  const code = normalizePromoCode(promoCode);
+  const { promo, error: promoError } = code ? await loadPromoCode(code, phone, at) : { promo: null, error: null };
+
+  const totals = calculateOrderTotals(items, productsById, promo, deliveryQuote);
+  return { totals: promoError ? { ...totals, promoError } : totals, productsById, error: null };
+};
+
+// Measurements the order form sends for a custom size (standard sizes send a `size` instead)
+const CUSTOM_MEASUREMENT_FIELDS = ['height', 'bust', 'high_waist', 'hips'];
+
+/**
+ * Whether an order is made to the customer's own measurements (only these may pay a deposit)
+ * @param {Object} measurements - Measurements from the order form
+ * @returns {boolean}
+ */
+const hasCustomMeasurements = (measurements) => !measurements.size &&
+  CUSTOM_MEASUREMENT_FIELDS.every(field => String(measurements[field] || '').trim() !== '');
+
+/**
+ * Validate the request body and normalize it
+ * @returns {{ order: Object|null, error: string|null }}
+ */
+const parseOrderRequest = (body) => {
+  const reference = String(body.reference || '').trim();
+  const customer = body.customer || {};
+  const name = String(customer.name || '').trim();
+  const phone = String(customer.phone || '').trim();
+  const items = Array.isArray(body.items) ? body.items : [];
+  const deliveryOption = String(body.deliveryOption || '').trim();
+  const delivery = body.delivery || {};
+  const measurements = body.measurements && typeof body.measurements === 'object' ? body.measurements : {};
+  const paymentPlan = body.paymentPlan === 'deposit' ? 'deposit' : 'full';
+
+  if (!reference) return { order: null, error: 'Payment reference is required' };
+  if (!name) return { order: null, error: 'Customer name is required' };
+  if (phone.replace(/\D/g, '').length < 9) return { order: null, error: 'Customer phone is required' };
+  const cartError = validateCart(items);
+  if (cartError) return { order: null, error: cartError };
+  if (!deliveryOption) return { order: null, error: 'Delivery option is required' };
+  if (DELIVERY_OPTIONS_WITH_LOCATION.includes(deliveryOption) &&
+      !delivery.displayName && (!delivery.latitude || !delivery.longitude)) {
+    return { order: null, error: 'Delivery location is required' };
+  }
+  if (paymentPlan === 'deposit' && !hasCustomMeasurements(measurements)) {
+    return { order: null, error: 'Only custom-size orders can be paid with a deposit' };
+  }
+
+  return {
+    order: {
+      reference,
+      name,
+      phone,
+      email: String(customer.email || '').trim() || null,
+      items: normalizeCartItems(items),
+      deliveryOption,
+      delivery,
+      measurements,
+      comments: String(body.comments || '').trim(),
+      promoCode: normalizePromoCode(body.promoCode),
+      paymentPlan
+    },
+    error: null
+  };
+};
+
+/**
+ * Build the orders row for a verified payment
+ * @param {Object} payment - The payment's payment_ledger entry
+ */
+const buildOrderRow = (order, customerId, productsById, totals, payment) => {
+  const measurements = order.measurements;
+
+  // Measurements are also kept in comments since the orders table has no measurements column.
+  // Standard-size carts send size, bust, waist and hips; custom measurements send height,
+  // bust, high_waist and hips (the in-house format).
+  let finalComments = order.comments;
+  if (Object.keys(measurements).length > 0) {
+    const measurementsText = measurements.size
+      ? `Measurements: Size=${measurements.size}, Bust=${measurements.bust || 'N/A'}, Waist=${measurements.waist || 'N/A'}, Hips=${measurements.hips || 'N/A'}`
+      : `Measurements: Height=${measurements.height || 'N/A'}, Bust=${measurements.bust || 'N/A'}, High Waist=${measurements.high_waist || 'N/A'}, Hips=${measurements.hips || 'N/A'}`;
+    finalComments = finalComments ? `${finalComments}\n${measurementsText}` : measurementsText;
+  }
+
+  const hasLocation = DELIVERY_OPTIONS_WITH_LOCATION.includes(order.deliveryOption);
+  const latitude = hasLocation ? parseFloat(order.delivery.latitude) : NaN;
+  const longitude = hasLocation ? parseFloat(order.delivery.longitude) : NaN;
+  const displayName = hasLocation ? (order.delivery.displayName || null) : null;
+
+  const items = totals.items.map(item => {
+    const product = productsById[item.product_id];
+    return {
+      product_id: item.product_id,
+      product_name: product.name,
+      product_image: product.image_url || PLACEHOLDER_IMAGE,
+      color: item.color,
+      price: item.price,
+      measurements
+    };
+  });
+
+  return {
+    customer_id: customerId,
+    customer_phone: order.phone,
+    product_id: order.items[0].product_id, // First product for backward compatibility
+    status: 'pending',
+    color: order.items[0].color, // First color for backward compatibility
+    price: totals.total, // Server-side total, matching the verified payment
+    promo_code: totals.promoCode,
+    discount_amount: totals.discount,
+    delivery_fee: totals.deliveryFee,
+    items,
+    delivery_option: order.deliveryOption,
+    delivery_location: displayName, // Keep for backward compatibility
+    delivery_latitude: Number.isFinite(latitude) ? latitude : null,
+    delivery_longitude: Number.isFinite(longitude) ? longitude : null,
+    delivery_display_name: displayName,
+    payment_option: 'paystack',
+    payment_reference: order.reference,
+    payment_status: 'completed',
+    payment_ledger: [payment],
+    comments: finalComments || null,
+    promised_date: promisedDateService.computePromisedDate(order.items.map(item => productsById[item.product_id]), order.deliveryOption)
+  };
+};
+
+/**
+ * Insert the order, retrying order_number collisions
+ * A concurrent request that already saved this payment reference wins; its order is returned.
+ * @returns {{ order: Object, created: boolean }}
+ */
+const insertOrder = async (row) => {
+  for (let attempt = 1; attempt <= MAX_ORDER_NUMBER_ATTEMPTS; attempt++) {
+    try {
+      const created = await supabaseRequest('orders?select=id,order_number,status,created_at', {
+        method: 'POST',
+        body: { ...row, order_number: generateOrderNumber() },
+        prefer: 'return=representation'
+      });
+      return { order: created[0], created: true };
+    } catch (error) {
+      if (error.status !== 409) throw error;
+
+      const existing = await findOrderByReference(row.payment_reference);
+      if (existing) return { order: existing, created: false };
+
+      const isDuplicateOrderNumber = String(error.details || '').includes('orders_order_number_key');
+      if (!isDuplicateOrderNumber || attempt === MAX_ORDER_NUMBER_ATTEMPTS) throw error;
+      // Duplicate order_number collision — retry with a fresh number
+    }
+  }
+  throw new Error('Failed to create order');
+};
+
+/**
+ * Check a Paystack transaction paid exactly the server-side total (or deposit, for the deposit plan)
+ * Underpayments mean the amount was tampered with in the browser; any mismatch is rejected
+ * and the payment is left for an admin to resolve.
+ * @returns {{ error: string|null, code: string|null }} code is AMOUNT_MISMATCH for a successful
+ *          payment of the wrong amount
+ */
+const checkPayment = (order, transaction, totals) => {
+  if (transaction.status !== 'success') {
+    return { error: `Payment was not successful (${transaction.status})`, code: 'PAYMENT_NOT_SUCCESSFUL' };
+  }
+
+  const amountDue = order.paymentPlan === 'deposit' ? totals.depositAmount : totals.total;
+  const amountLabel = order.paymentPlan === 'deposit' ? 'deposit' : 'order total';
+  const expectedAmount = Math.round(amountDue * 100);
+  const paidAmount = Number(transaction.amount);
+  if (transaction.currency !== PAYMENT_CURRENCY) {
+    return { error: `Payment was made in ${transaction.currency}, not ${PAYMENT_CURRENCY}. Please contact support.`, code: 'WRONG_CURRENCY' };
+  }
+  if (paidAmount !== expectedAmount) {
+    console.error(`❌ Paid amount does not match the ${amountLabel}${paidAmount < expectedAmount ? ' (underpaid)' : ''}:`, {
+      reference: order.reference,
+      paid: paidAmount,
+      expected: expectedAmount
+    });
+    return {
+      error: `Paid amount (${PAYMENT_CURRENCY} ${(paidAmount / 100).toLocaleString()}) does not match the ${amountLabel} (${PAYMENT_CURRENCY} ${amountDue.toLocaleString()}). Please contact support.`,
+      code: 'AMOUNT_MISMATCH'
+    };
+  }
+
+  return { error: null, code: null };
+};
+
+/**
+ * Create the order for a verified Paystack transaction
+ * @param {Object} order - Parsed order request
+ * @param {Object} transaction - Paystack transaction data
+ * @param {Object} options - { allowAmountMismatch } staff recovery only: accept a successful payment
+ *                           of the wrong amount (or with a promo code that no longer applies) and store
+ *                           the amount actually paid as the order price (as the deposit, for the
+ *                           deposit plan, leaving the rest as the balance due)
+ * @returns {{ order: Object|null, created: boolean, error: string|null, code: string|null, statusCode: number }}
+ */
+const createOrderForPayment = async (order, transaction, { allowAmountMismatch = false } = {}) => {
+  // The promo code is checked as of the payment, so one expiring before the order is created still applies
+  const paidAt = transaction.paid_at || transaction.paidAt;
+  const { totals, productsById, error: quoteError } = await quoteCart(order.items, order.deliveryOption, {
+    promoCode: order.promoCode,
+    phone: order.phone,
+    at: paidAt ? new Date(paidAt) : new Date(),
+    delivery: order.delivery
+  });
+  if (quoteError) {
+    return { order: null, created: false, error: quoteError, code: 'INVALID_CART', statusCode: 400 };
+  }
+  if (totals.promoError && !allowAmountMismatch) {
+    return {
+      order: null,
+      created: false,
+      error: `Promo code ${order.promoCode} could not be applied: ${totals.promoError}. Please contact support.`,
+      code: 'PROMO_INVALID',
+      statusCode: 409
+    };
+  }
+
+  let orderTotals = totals;
+  const payment = checkPayment(order, transaction, totals);
+  if (payment.code === 'AMOUNT_MISMATCH' && allowAmountMismatch) {
+    if (order.paymentPlan !== 'deposit') {
+      orderTotals = { ...totals, total: Number(transaction.amount) / 100 };
+    }
+  } else if (payment.error) {
+    return { order: null, created: false, error: payment.error, code: payment.code, statusCode: 402 };
+  }
+
+  const ledgerEntry = {
+    type: order.paymentPlan,
+    amount: Number(transaction.amount) / 100,
+    method: 'paystack',
+    reference: order.reference,
+    paid_at: paidAt ? new Date(paidAt).toISOString() : new Date().toISOString(),
+    recorded_by: null
+  };
+
+  const customerId = await upsertCustomer(order);
+  const result = await insertOrder(buildOrderRow(order, customerId, productsById, orderTotals, ledgerEntry));
+
+  console.log(result.created ? '✅ Order created:' : '✅ Order already exists:', result.order.id, order.reference);
+  return { order: result.order, created: result.created, error: null, code: null, statusCode: 200 };
+};
+
+/**
+ * Point the recorded payment (if the webhook has stored it) at its order
+ */
+const linkPayment = async (reference, orderId) => {
+  await supabaseRequest(`${PAYMENTS_TABLE}?reference=eq.${encodeURIComponent(reference)}&order_id=is.null`, {
+    method: 'PATCH',
+    body: { order_id: String(orderId), order_error: null },
+    prefer: 'return=minimal'
+  });
+};
+
+/**
+ * Close any open recovery queue entries for a payment now that it has an order
+ */
+const resolveFailedOrders = async (reference, orderId, resolvedBy = 'System') => {
+  await supabaseRequest(`${FAILED_ORDERS_TABLE}?payment_reference=eq.${encodeURIComponent(reference)}&status=eq.open`, {
+    method: 'PATCH',
+    body: {
+      status: 'resolved',
+      order_id: String(orderId),
+      resolved_by: resolvedBy,
+      resolved_at: new Date().toISOString()
+    },
+    prefer: 'return=minimal'
+  });
+};
+
+/**
+ * Record that a payment now has an order: link the payment and close its recovery entries
+ * Never throws; the order is saved either way.
+ */
+const markPaymentFulfilled = async (reference, orderId, resolvedBy) => {
+  try {
+    await linkPayment(reference, orderId);
+    await resolveFailedOrders(reference, orderId, resolvedBy);
+  } catch (error) {
+    console.warn('⚠️ Could not link payment to order:', reference, error.message);
+  }
+};
+
+/**
+ * Send the "order received" message the customer form would have sent (URL is set by Netlify)
+ */
+const notifyOrderReceived = async (orderId) => {
+  if (!process.env.URL) return;
+  try {
+    await fetch(`${process.env.URL}/.netlify/functions/send-customer-notification`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderId: String(orderId), event: 'received' })
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not send order received notification:', error.message);
+  }
+};
+
+module.exports = {
+  PAYMENTS_TABLE,
+  FAILED_ORDERS_TABLE,
+  supabaseRequest,
+  verifyPaystackTransaction,
+  findOrderByReference,
+  validateCart,
+  normalizeCartItems,
+  quoteCart,
+  parseOrderRequest,
+  createOrderForPayment,
+  linkPayment,
+  markPaymentFulfilled,
+  notifyOrderReceived
+};
@@ -0,0 +1,55 @@
+/**
+ * Staff session check shared by the functions that act for staff (paystack-refund,
+ * recover-failed-order, send-customer-notification, import-mpesa-statement, reconcile-mpesa)
+ * The dashboard sends `Authorization: Bearer <base64 JSON { email, otpId, otpCode }>` (see
+ * authService.getAuthHeaders). The session is valid while that login OTP is verified and
+ * unexpired and its user is still an active staff member; the staff name always comes from
+ * the users row, never from the request body.
+ */
+
+const { supabaseRequest } = require('./orderCreation');
+
+const readSessionHeader = (event) => {
+  const headers = (event && event.headers) || {};
+  const header = String(headers.authorization || headers.Authorization || '');
+  if (!header.startsWith('Bearer ')) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(header.slice('Bearer '.length), 'base64').toString('utf8'));
+    return session && session.email && session.otpId && session.otpCode ? session : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the staff member making a request
+ * @param {Object} event - Netlify function event
+ * @param {Object} options - { adminOnly } only accept admins
+ * @returns {Promise<Object|null>} { id, name, email, role }, or null when there is no valid session
+ */
+const verifyStaffSession = async (event, { adminOnly = false } = {}) => {
+  const session = readSessionHeader(event);
+  if (!session) return null;
+
+  const otps = await supabaseRequest(
+    `otps?select=user_id&id=eq.${encodeURIComponent(session.otpId)}` +
+    `&email=eq.${encodeURIComponent(session.email)}` +
+    `&otp_code=eq.${encodeURIComponent(session.otpCode)}` +
+    `&purpose=eq.login&used=eq.true&expires_at=gt.${encodeURIComponent(new Date().toISOString())}&limit=1`
+  );
+  const otp = otps && otps[0];
+  if (!otp || !otp.user_id) return null;
+
+  const users = await supabaseRequest(
+    `users?select=id,name,email,role&id=eq.${encodeURIComponent(otp.user_id)}&status=eq.active&limit=1`
+  );
+  const user = users && users[0];
+  if (!user || (adminOnly && user.role !== 'admin')) return null;
+
+  return { id: user.id, name: user.name || user.email, email: user.email, role: user.role };
+};
+
+module.exports = {
+  verifyStaffSession
+};
@@ -0,0 +1,350 @@
+/**
+ * Audit Log Service
+ * Records every staff write made through the dashboard's Supabase client in `audit_log`: who made
+ * it (authService's current user), the table and row, the action and a before/after diff of the
+ * fields that changed
+ *
+ * attach() wraps the client's insert / update / upsert / delete, so services need no audit code
+ * of their own. For updates, upserts and deletes the affected rows are read first (by replaying
+ * the write's filters) to get the "before" values; afterwards only the rows the write actually
+ * changed are recorded (the rows it returned, or a re-read by id). Writes made with nobody
+ * signed in (login, public forms) are not recorded, and a failure to record never fails the
+ * write itself.
+ *
+ * audit_log row: { actor_id, actor_name, actor_role, entity_type, entity_id, action, changes, created_at }
+ * changes: { field: { before, after } }
+ * action: create | update | delete | trash (soft delete) | restore
+ */
+
+const AUDIT_LOG_TABLE = 'audit_log';
+
+// Tables that are logs themselves, or hold login codes
+const AUDIT_SKIPPED_TABLES = [AUDIT_LOG_TABLE, 'order_status_events', 'customer_notifications', 'trash_purge_log', 'otps'];
+
+// Bookkeeping fields: a change to only these is not recorded
+const AUDIT_IGNORED_FIELDS = ['updated_at', 'last_login'];
+
+const AUDIT_REDACTED_FIELDS = ['password', 'password_hash', 'otp', 'otp_code', 'token'];
+
+// Filter methods replayed to read the rows a write affects
+const AUDIT_FILTER_METHODS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in', 'contains', 'containedBy', 'not', 'or', 'match', 'filter'];
+
+// Most rows read back for one write's "before" values
+const AUDIT_MAX_ROWS = 500;
+
+// Rows re-read by id per request after a write that returned none
+const AUDIT_REREAD_BATCH_SIZE = 100;
+
+class AuditLogService {
+    /**
+     * Record writes made through a Supabase client (safe to call more than once)
+     * @param {Object} client - Supabase client
+     * @returns {Object} The same client
+     */
+    attach(client) {
+        if (!client || client.auditLogAttached) return client;
+
+        const originalFrom = client.from.bind(client);
+        client.from = (table) => {
+            const builder = originalFrom(table);
+            if (AUDIT_SKIPPED_TABLES.includes(table)) return builder;
+
+            ['insert', 'update', 'upsert', 'delete'].forEach(method => {
+                const write = builder[method].bind(builder);
+                builder[method] = (...args) => this.trackWrite(originalFrom, table, method, args, write(...args));
+            });
+            return builder;
+        };
+        client.auditLogAttached = true;
+
+        return client;
+    }
+
+    /**
+     * Wrap a write query so its filters are remembered and it is audited when awaited
+     * @param {Function} from - The client's unwrapped from()
+     * @param {string} table - Table written to
+     * @param {string} method - insert, update, upsert or delete
+     * @param {Array} args - Arguments the write was called with
+     * @param {Object} query - The write's filter builder
+     * @returns {Object} Query proxy
+     */
+    trackWrite(from, table, method, args, query) {
+        const filters = [];
+        let running = null;
+
+        const proxy = new Proxy(query, {
+            get: (target, prop) => {
+                if (prop === 'then') {
+                    return (resolve, reject) => {
+                        running = running || this.runAudited(from, table, method, args, filters, target);
+                        return running.then(resolve, reject);
+                    };
+                }
+
+                const value = target[prop];
+                if (typeof value !== 'function') return value;
+
+                return (...callArgs) => {
+                    if (AUDIT_FILTER_METHODS.includes(prop)) filters.push([prop, callArgs]);
+                    const result = value.apply(target, callArgs);
+                    return result === target ? proxy : result;
+                };
+            }
+        });
+
+        return proxy;
+    }
+
+    /**
+     * Run a write and record it
+     * @returns {Promise<Object>} The write's own result
+     */
+    async runAudited(from, table, method, args, filters, query) {
+        const actor = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        if (!actor) return query;
+
+        const [values, options = {}] = method === 'delete' ? [null, args[0] || {}] : args;
+        let before = [];
+        try {
+            before = await this.loadBefore(from, table, method, values, options, filters);
+        } catch (error) {
+            console.error(`Audit: could not read ${table} before writing:`, error);
+        }
+
+        const result = await query;
+        if (result && result.error) return result;
+
+        try {
+            const returned = result ? result.data : null;
+            const affected = await this.loadAffected(from, table, method, values, before, returned);
+            const entries = this.buildEntries(actor, table, method, values, options, affected, returned);
+            if (entries.length > 0) {
+                const { error } = await from(AUDIT_LOG_TABLE).insert(entries);
+                if (error) console.error('Audit: could not record write:', error);
+            }
+        } catch (error) {
+            console.error('Audit: could not record write:', error);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the rows a write is about to change
+     * @returns {Promise<Array<Object>>} Rows before the write
+     */
+    async loadBefore(from, table, method, values, options, filters) {
+        if (method === 'insert') return [];
+
+        let query = from(table).select('*').limit(AUDIT_MAX_ROWS);
+        if (method === 'upsert') {
+            const key = options.onConflict || 'id';
+            const keys = (Array.isArray(values) ? values : [values])
+                .map(row => row[key])
+                .filter(value => value !== undefined && value !== null);
+            if (keys.length === 0) return [];
+            query = query.in(key, keys);
+        } else {
+            // Never read a whole table for an unfiltered write
+            if (filters.length === 0) return [];
+            filters.forEach(([name, filterArgs]) => {
+                query = query[name](...filterArgs);
+            });
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Narrow the rows read before an update or delete to those the write actually changed
+     * A conditional write (e.g. `.eq('status', ...)`) can match fewer rows than were read, so
+     * the rows it returned are used when it returned them, and otherwise the rows are re-read:
+     * updated rows must now hold the written values, deleted rows must be gone. Rows without an
+     * id cannot be re-read and are kept.
+     * @returns {Promise<Array<Object>>} Rows before the write, only those it changed
+     */
+    async loadAffected(from, table, method, values, before, returned) {
+        if ((method !== 'update' && method !== 'delete') || before.length === 0) return before;
+
+        const returnedRows = Array.isArray(returned) ? returned : (returned ? [returned] : []);
+        if (returnedRows.length > 0 && returnedRows.every(row => row && row.id !== undefined)) {
+            const ids = new Set(returnedRows.map(row => String(row.id)));
+            return before.filter(row => ids.has(String(row.id)));
+        }
+        if (Array.isArray(returned) && returned.length === 0) return [];
+
+        const ids = before.filter(row => row.id !== undefined && row.id !== null).map(row => row.id);
+        if (ids.length === 0) return before;
+
+        const afterById = new Map();
+        for (let i = 0; i < ids.length; i += AUDIT_REREAD_BATCH_SIZE) {
+            const { data, error } = await from(table).select('*').in('id', ids.slice(i, i + AUDIT_REREAD_BATCH_SIZE));
+            if (error) {
+                console.error(`Audit: could not read ${table} after writing:`, error);
+                return before;
+            }
+            (data || []).forEach(row => afterById.set(String(row.id), row));
+        }
+
+        return before.filter(row => {
+            if (row.id === undefined || row.id === null) return true;
+            const after = afterById.get(String(row.id));
+            return method === 'delete' ? !after : !!after && this.holdsValues(after, values);
+        });
+    }
+
+    /**
+     * Whether a row read back after an update holds the values that were written
+     * Compared loosely, since the database returns jsonb keys, numbers and timestamps in its own form.
+     * @param {Object} row - Row after the write
+     * @param {Object} values - Values written
+     * @returns {boolean}
+     */
+    holdsValues(row, values) {
+        const canonical = (value) => {
+            if (value === null || value === undefined) return null;
+            if (Array.isArray(value)) return value.map(canonical);
+            if (typeof value === 'object') {
+                return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+            }
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))) {
+                return new Date(value).toISOString();
+            }
+            return String(value);
+        };
+
+        return Object.entries(values || {}).every(([field, value]) =>
+            AUDIT_IGNORED_FIELDS.includes(field) ||
+            !(field in row) ||
+            JSON.stringify(canonical(row[field])) === JSON.stringify(canonical(value)));
+    }
+
+    /**
+     * Build the audit_log rows for a completed write
+     * @returns {Array<Object>} audit_log rows
+     */
+    buildEntries(actor, table, method, values, options, before, returned) {
+        const actorFields = {
+            actor_id: actor.id || null,
+            actor_name: actor.name || actor.email || 'Unknown',
+            actor_role: actor.role || null,
+            entity_type: table,
+            created_at: new Date().toISOString()
+        };
+        const entry = (entityId, action, previous, next) => {
+            const changes = this.diff(previous, next);
+            return Object.keys(changes).length === 0 ? null : {
+                ...actorFields,
+                entity_id: entityId !== undefined && entityId !== null ? String(entityId) : null,
+                action,
+                changes
+            };
+        };
+
+        let entries = [];
+        if (method === 'insert') {
+            const rows = Array.isArray(returned) ? returned : (returned ? [returned] : [].concat(values));
+            entries = rows.map(row => entry(row.id, 'create', null, row));
+        } else if (method === 'update') {
+            let action = 'update';
+            if (values && 'deleted_at' in values) action = values.deleted_at ? 'trash' : 'restore';
+            entries = before.map(row => entry(row.id, action, row, { ...row, ...values }));
+        } else if (method === 'delete') {
+            entries = before.map(row => entry(row.id, 'delete', row, null));
+        } else if (method === 'upsert') {
+            const key = options.onConflict || 'id';
+            entries = [].concat(values).map(row => {
+                const previous = before.find(existing => String(existing[key]) === String(row[key]));
+                return previous
+                    ? entry(previous.id, 'update', previous, { ...previous, ...row })
+                    : entry(row.id !== undefined ? row.id : row[key], 'create', null, row);
+            });
+        }
+
+        return entries.filter(Boolean);
+    }
+
+    /**
+     * Fields that differ between two versions of a row
+     * @param {Object|null} before - Row before (null when created)
+     * @param {Object|null} after - Row after (null when deleted)
+     * @returns {Object} { field: { before, after } }
+     */
+    diff(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        fields.forEach(field => {
+            if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+
+            const previous = before && before[field] !== undefined ? before[field] : null;
+            const next = after && after[field] !== undefined ? after[field] : null;
+            if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+            changes[field] = AUDIT_REDACTED_FIELDS.includes(field)
+                ? { before: previous === null ? null : '[redacted]', after: next === null ? null : '[redacted]' }
+                : { before: previous, after: next };
+        });
+        return changes;
+    }
+
+    /**
+     * Load audit entries, newest first
+     * @param {Object} supabase - Supabase client
+     * @param {Object} filters - { actorName, entityType, from, to } (dates as YYYY-MM-DD, inclusive)
+     * @param {number} [limit] - Most entries to load
+     * @returns {Promise<Object>} { entries, error }
+     */
+    async loadEntries(supabase, { actorName = '', entityType = '', from = '', to = '' } = {}, limit = 1000) {
+        let query = supabase
+            .from(AUDIT_LOG_TABLE)
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (actorName) query = query.eq('actor_name', actorName);
+        if (entityType) query = query.eq('entity_type', entityType);
+        if (from) query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+        if (to) {
+            const end = new Date(`${to}T00:00:00`);
+            end.setDate(end.getDate() + 1);
+            query = query.lt('created_at', end.toISOString());
+        }
+
+        const { data, error } = await query;
+        return { entries: data || [], error };
+    }
+
+    /**
+     * Build a CSV of audit entries, one row per changed field
+     * @param {Array<Object>} entries - audit_log rows
+     * @returns {string} CSV text
+     */
+    toCsv(entries) {
+        const cell = (value) => {
+            const text = value === null || value === undefined
+                ? ''
+                : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['Timestamp', 'User', 'Role', 'Entity', 'Entity ID', 'Action', 'Field', 'Before', 'After']];
+        entries.forEach(entry => {
+            Object.entries(entry.changes || {}).forEach(([field, change]) => {
+                rows.push([entry.created_at, entry.actor_name, entry.actor_role, entry.entity_type, entry.entity_id, entry.action, field, change.before, change.after]);
+            });
+        });
+
+        return rows.map(row => row.map(cell).join(',')).join('\r\n');
+    }
+}
+
+// Create global instance
+const auditLogService = new AuditLogService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLogService;
+}
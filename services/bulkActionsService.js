@@ -0,0 +1,189 @@
+/**
+ * Bulk Actions Service
+ * Multi-select on order bubbles, the bulk action toolbar shown above order lists,
+ * batched soft delete and the summary shown after a bulk action
+ */
+
+class BulkActionsService {
+    /**
+     * Render the selection checkbox placed in an order bubble header
+     * @param {Object} order - Order object
+     * @param {boolean} isSelected - Whether the order is selected
+     * @returns {string} HTML string
+     */
+    renderSelectCheckbox(order, isSelected) {
+        return `
+            <label class="bulk-select" title="Select for bulk actions" style="display: flex; align-items: center; margin-right: 10px; cursor: pointer;">
+                <input type="checkbox" class="bulk-select-checkbox" data-order-id="${order.id}" ${isSelected ? 'checked' : ''} style="width: 18px; height: 18px; cursor: pointer; accent-color: #1B4D3E;">
+            </label>
+        `;
+    }
+
+    /**
+     * Wire the selection checkbox rendered by renderSelectCheckbox
+     * Clicks are stopped here so they do not expand or collapse the bubble.
+     * @param {HTMLElement} bubble - Order bubble element
+     * @param {Object} order - Order object
+     * @param {Function} onToggle - Called with (order, checked)
+     */
+    bindSelectCheckbox(bubble, order, onToggle) {
+        const label = bubble.querySelector('.bulk-select');
+        const checkbox = bubble.querySelector('.bulk-select-checkbox');
+        if (!label || !checkbox) return;
+
+        label.addEventListener('click', (e) => e.stopPropagation());
+        checkbox.addEventListener('change', (e) => {
+            e.stopPropagation();
+            bubble.classList.toggle('bulk-selected', checkbox.checked);
+            onToggle(order, checkbox.checked);
+        });
+        bubble.classList.toggle('bulk-selected', checkbox.checked);
+    }
+
+    /**
+     * Render (or update) the bulk action toolbar placed just above an order list
+     * @param {HTMLElement} container - Orders container element
+     * @param {Object} options - { selectedCount, totalCount, allSelected, actions: [{ action, label, buttonClass }], onAction, onSelectAll, onClear }
+     */
+    renderToolbar(container, { selectedCount, totalCount, allSelected, actions, onAction, onSelectAll, onClear }) {
+        if (!container || !container.parentNode) return;
+
+        const toolbarId = `${container.id}-bulk-toolbar`;
+        let toolbar = document.getElementById(toolbarId);
+        if (!toolbar) {
+            toolbar = document.createElement('div');
+            toolbar.id = toolbarId;
+            toolbar.className = 'bulk-toolbar';
+            toolbar.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 8px; margin-bottom: 16px; padding: 0 20px;';
+            container.parentNode.insertBefore(toolbar, container);
+        }
+
+        if (totalCount === 0) {
+            toolbar.innerHTML = '';
+            toolbar.style.display = 'none';
+            return;
+        }
+
+        toolbar.style.display = 'flex';
+        toolbar.innerHTML = `
+            <button class="btn" data-bulk="toggle-all" style="background: white; color: #41463F; border: 1px solid rgba(65, 70, 63, 0.3); padding: 6px 12px; font-size: 13px;">${allSelected ? 'Clear Selection' : 'Select All'}</button>
+            <span style="font-size: 13px; color: #41463F; margin-right: 4px;">${selectedCount} selected</span>
+            ${actions.map(action => `
+                <button class="btn ${action.buttonClass || ''}" data-bulk="${action.action}" ${selectedCount === 0 ? 'disabled' : ''} style="padding: 6px 12px; font-size: 13px; ${selectedCount === 0 ? 'opacity: 0.5; cursor: not-allowed;' : ''}">${action.label}</button>
+            `).join('')}
+        `;
+
+        toolbar.querySelector('[data-bulk="toggle-all"]').addEventListener('click', () => {
+            if (allSelected) {
+                onClear();
+            } else {
+                onSelectAll();
+            }
+        });
+
+        actions.forEach(action => {
+            const button = toolbar.querySelector(`[data-bulk="${action.action}"]`);
+            if (button && selectedCount > 0) {
+                button.addEventListener('click', () => onAction(action.action));
+            }
+        });
+    }
+
+    /**
+     * Soft delete several orders, one update per original status
+     * @param {Object} supabase - Supabase client
+     * @param {Array} orders - Orders (with `id` and `status`)
+     * @returns {Promise<Object>} { succeeded: Array<order>, failed: Array<{ order, message }> }
+     */
+    async softDeleteMany(supabase, orders) {
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        const deletedByName = currentUser ? (currentUser.name || currentUser.email || 'Unknown') : 'Unknown';
+        const deletedById = currentUser ? currentUser.id : null;
+        const deletedAt = new Date().toISOString();
+
+        const succeeded = [];
+        const failed = [];
+        const groups = {};
+
+        orders.forEach(order => {
+            const status = order.status || 'pending';
+            if (!groups[status]) {
+                groups[status] = [];
+            }
+            groups[status].push(order);
+        });
+
+        for (const [status, group] of Object.entries(groups)) {
+            const { data, error } = await supabase
+                .from('orders')
+                .update({
+                    deleted_at: deletedAt,
+                    original_status: status,
+                    deleted_by: deletedById,
+                    deleted_by_name: deletedByName,
+                    updated_at: deletedAt
+                })
+                .in('id', group.map(order => String(order.id)))
+                .is('deleted_at', null)
+                .select('id');
+
+            if (error) {
+                group.forEach(order => failed.push({ order, message: error.message || 'Unknown error' }));
+                continue;
+            }
+
+            const deletedIds = new Set((data || []).map(row => String(row.id)));
+            group.forEach(order => {
+                if (deletedIds.has(String(order.id))) {
+                    succeeded.push(order);
+                } else {
+                    failed.push({ order, message: 'Order was already deleted or no longer exists' });
+                }
+            });
+        }
+
+        return { succeeded, failed };
+    }
+
+    /**
+     * Build the summary message shown after a bulk action
+     * @param {string} actionLabel - Past-tense action, e.g. "Accepted"
+     * @param {Object} result - { succeeded, failed }
+     * @returns {string} Summary text
+     */
+    formatSummary(actionLabel, result) {
+        const lines = [];
+        if (result.succeeded.length > 0) {
+            lines.push(`✓ ${actionLabel} ${result.succeeded.length} order${result.succeeded.length !== 1 ? 's' : ''}`);
+        }
+        if (result.failed.length > 0) {
+            lines.push(`✗ ${result.failed.length} failed:`);
+            result.failed.forEach(({ order, message }) => {
+                lines.push(`  - ${order.customerName || order.id}: ${message}`);
+            });
+        }
+        return lines.join('\n') || 'No orders were updated';
+    }
+
+    /**
+     * Show the bulk action summary as a toast (warning when anything failed)
+     * @param {string} actionLabel - Past-tense action, e.g. "Accepted"
+     * @param {Object} result - { succeeded, failed }
+     */
+    showSummary(actionLabel, result) {
+        const summary = this.formatSummary(actionLabel, result);
+        if (result.failed.length > 0) {
+            notificationService.warning(summary, { duration: 10000 });
+        } else {
+            notificationService.success(summary);
+        }
+    }
+}
+
+// Create global instance
+const bulkActionsService = new BulkActionsService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BulkActionsService;
+}
@@ -0,0 +1,230 @@
+/**
+ * Customer Notification Service
+ * Tells customers when their order moves (received, accepted, ready, out for delivery,
+ * delivered, denied) via the send-customer-notification Netlify function, and shows the
+ * per-order send log (`customer_notifications` table) with a Retry for failed sends
+ *
+ * Templates, providers (Africa's Talking SMS, WhatsApp Cloud API, EmailJS, mock) and
+ * retries live in the function so provider keys never reach the browser.
+ */
+
+const CUSTOMER_NOTIFICATION_ENDPOINT = '/.netlify/functions/send-customer-notification';
+const CUSTOMER_NOTIFICATIONS_TABLE = 'customer_notifications';
+
+const CUSTOMER_NOTIFICATION_EVENTS = {
+    'received': 'Order received',
+    'accepted': 'Order accepted',
+    'ready': 'Ready for delivery',
+    'out_for_delivery': 'Out for delivery',
+    'delivered': 'Delivered',
+    'denied': 'Order denied'
+};
+
+// Event sent when an order enters each status
+const STATUS_NOTIFICATION_EVENTS = {
+    'in_progress': 'accepted',
+    'to_deliver': 'ready',
+    'completed': 'delivered',
+    'cancelled': 'denied'
+};
+
+class CustomerNotificationService {
+    constructor() {
+        this.endpoint = CUSTOMER_NOTIFICATION_ENDPOINT;
+        this.table = CUSTOMER_NOTIFICATIONS_TABLE;
+        this.eventLabels = CUSTOMER_NOTIFICATION_EVENTS;
+        this.statusEvents = STATUS_NOTIFICATION_EVENTS;
+    }
+
+    /**
+     * Ask the server to notify the customer about an order event
+     * Never throws; a failed notification must not block the order change that caused it.
+     * @param {string|number} orderId - Order ID
+     * @param {string} event - Event key (see CUSTOMER_NOTIFICATION_EVENTS)
+     * @param {Object} options - { retry } re-send providers that failed before,
+     *                           { keepalive } let the request finish after the page closes
+     * @returns {Promise<Object>} { success, message, results }
+     */
+    async notify(orderId, event, { retry = false, keepalive = false } = {}) {
+        if (!this.eventLabels[event]) {
+            return { success: false, message: `Unknown notification event: ${event}`, results: [] };
+        }
+
+        // The customer order forms have no staff session; they may only send "received"
+        const authHeaders = typeof authService !== 'undefined' ? authService.getAuthHeaders() : {};
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                keepalive,
+                headers: { 'Content-Type': 'application/json', ...authHeaders },
+                body: JSON.stringify({
+                    orderId: String(orderId),
+                    event,
+                    retry
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                console.error('⚠️ Customer notification failed:', result.error || response.status);
+                return { success: false, message: result.error || 'Failed to notify customer', results: [] };
+            }
+
+            const failed = (result.results || []).filter(r => r.status === 'failed');
+            if (failed.length > 0) {
+                console.warn('⚠️ Customer notification failed for:', failed.map(r => `${r.provider} (${r.error})`).join(', '));
+            }
+
+            return {
+                success: failed.length === 0,
+                message: result.skipped ? result.reason : failed.length > 0 ? 'Some notifications failed' : 'Customer notified',
+                results: result.results || []
+            };
+        } catch (error) {
+            console.error('⚠️ Customer notification failed:', error);
+            return { success: false, message: error.message || 'Failed to notify customer', results: [] };
+        }
+    }
+
+    /**
+     * Notify the customer about a status change, if that status has a notification
+     * @param {string|number} orderId - Order ID
+     * @param {string} fromStatus - Previous status
+     * @param {string} toStatus - New status
+     * @param {Object} options - notify() options
+     * @returns {Promise<Object|null>} notify() result, or null when nothing is sent
+     */
+    async notifyTransition(orderId, fromStatus, toStatus, options = {}) {
+        const event = fromStatus !== toStatus ? this.statusEvents[toStatus] : null;
+        if (!event) return null;
+        return this.notify(orderId, event, options);
+    }
+
+    /**
+     * Fetch the send log for one order, newest first
+     * @param {Object} supabase - Supabase client
+     * @param {string|number} orderId - Order ID
+     * @returns {Promise<Array>} Log rows
+     */
+    async fetchLog(supabase, orderId) {
+        const { data, error } = await supabase
+            .from(this.table)
+            .select('*')
+            .eq('order_id', String(orderId))
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Render the "Customer Messages" section placed inside an order bubble's details
+     * The log is only loaded when the section is opened.
+     * @param {Object} order - Order object
+     * @returns {string} HTML string
+     */
+    renderLogSection(order) {
+        return `
+            <div class="detail-row" style="flex-direction: column; align-items: stretch;">
+                <button class="btn btn-customer-messages" data-action="customer-messages" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px; align-self: flex-start;">Show Customer Messages</button>
+                <div class="customer-message-log" style="display: none; margin-top: 8px;"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the send log rows
+     * @param {Array} rows - Log rows, newest first
+     * @returns {string} HTML string
+     */
+    renderLog(rows) {
+        if (!rows || rows.length === 0) {
+            return '<div style="font-size: 12px; color: #718096;">No messages sent to this customer yet.</div>';
+        }
+
+        // Only the latest attempt per event and provider can be retried
+        const latest = new Set();
+        return rows.map(row => {
+            const key = `${row.event}:${row.provider}`;
+            const isLatest = !latest.has(key);
+            latest.add(key);
+            const failed = row.status === 'failed';
+
+            return `
+                <div style="border-left: 2px solid ${failed ? '#E53E3E' : '#1B4D3E'}; padding: 0 0 8px 10px; margin-left: 4px;">
+                    <div style="font-size: 12px; font-weight: 600; color: #2d3748;">
+                        ${this.eventLabels[row.event] || row.event} · ${row.channel || row.provider}
+                        <span style="color: ${failed ? '#E53E3E' : '#38A169'}; font-weight: 500;">${failed ? 'Failed' : 'Sent'}</span>
+                    </div>
+                    <div style="font-size: 11px; color: #718096;">${row.recipient || ''} · ${orderEventsService.formatEventTime(row.created_at)}${row.attempts > 1 ? ` · ${row.attempts} attempts` : ''}</div>
+                    ${failed && row.last_error ? `<div style="font-size: 11px; color: #C53030;">${row.last_error}</div>` : ''}
+                    ${failed && isLatest ? `<button class="btn" data-action="retry-customer-message" data-event="${row.event}" style="margin-top: 4px; padding: 2px 8px; font-size: 11px; background: none; border: 1px solid rgba(229, 62, 62, 0.4); color: #C53030;">Retry</button>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Wire the section rendered by renderLogSection (toggle + Retry buttons)
+     * @param {HTMLElement} bubble - Order bubble element
+     * @param {Object} order - Order object
+     * @param {Object} supabase - Supabase client
+     */
+    bindLogToggle(bubble, order, supabase) {
+        const button = bubble.querySelector('[data-action="customer-messages"]');
+        const logEl = bubble.querySelector('.customer-message-log');
+        if (!button || !logEl) return;
+
+        const load = async () => {
+            logEl.innerHTML = '<div style="font-size: 12px; color: #718096;">Loading...</div>';
+            try {
+                logEl.innerHTML = this.renderLog(await this.fetchLog(supabase, order.id));
+            } catch (error) {
+                console.error('Error loading customer messages:', error);
+                logEl.innerHTML = '<div style="font-size: 12px; color: #e53e3e;">Failed to load messages.</div>';
+                return;
+            }
+
+            logEl.querySelectorAll('[data-action="retry-customer-message"]').forEach(retryButton => {
+                retryButton.addEventListener('click', async (e) => {
+                    e.stopPropagation();
+                    retryButton.disabled = true;
+                    retryButton.textContent = 'Retrying...';
+                    const result = await this.notify(order.id, retryButton.dataset.event, { retry: true });
+                    if (result.success) {
+                        notificationService.success('Customer notified');
+                    } else {
+                        notificationService.error(`Failed to notify customer: ${result.message}`);
+                    }
+                    await load();
+                });
+            });
+        };
+
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+
+            if (logEl.style.display !== 'none') {
+                logEl.style.display = 'none';
+                button.textContent = 'Show Customer Messages';
+                return;
+            }
+
+            logEl.style.display = 'block';
+            button.textContent = 'Hide Customer Messages';
+            await load();
+        });
+    }
+}
+
+// Create global instance
+const customerNotificationService = new CustomerNotificationService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomerNotificationService;
+}
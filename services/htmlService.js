@@ -0,0 +1,28 @@
+/**
+ * HTML Service
+ * Escapes text before it is put into innerHTML or a printed page. Every service that renders
+ * order, customer or staff text into HTML uses this one helper.
+ */
+
+class HtmlService {
+    /**
+     * Escape text for HTML content and attribute values
+     * @param {*} value - Value to show (null and undefined become '')
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Create global instance
+const htmlService = new HtmlService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlService;
+}
@@ -0,0 +1,302 @@
+/**
+ * M-Pesa Reconciliation Service
+ * Shared helpers for verifying in-house M-Pesa payments: importing M-Pesa statement CSVs into
+ * `mpesa_transactions` through the import-mpesa-statement function, asking the reconcile-mpesa
+ * function to match them to orders (both need a staff session), detecting codes used on more
+ * than one order, and the payment badge shown on Sales bubbles
+ *
+ * payment_status on in-house orders: pending (unverified), verified, mismatch (amount differs)
+ */
+
+// Rows per import-mpesa-statement request and codes per reconcile-mpesa request (the functions' limits)
+const IMPORT_BATCH_SIZE = 500;
+const RECONCILE_BATCH_SIZE = 50;
+
+class MpesaReconciliationService {
+    /**
+     * Normalize an M-Pesa code or payment reference (older orders used INHOUSE-<code>)
+     * @param {string} reference - Code or payment reference
+     * @returns {string} Uppercase code
+     */
+    normalizeCode(reference) {
+        return String(reference || '').trim().toUpperCase().replace(/^INHOUSE-/, '');
+    }
+
+    /**
+     * Split CSV text into rows of fields (handles quoted fields with commas and quotes)
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Parse an M-Pesa statement export (M-PESA portal / business statement CSV)
+     * Only completed money-in rows are kept. Statements start with summary lines, so the
+     * header is found by its "Receipt No" column.
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} mpesa_transactions rows
+     */
+    parseStatementCsv(text) {
+        const rows = this.parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+        const headerIndex = rows.findIndex(row => row.some(cell => /^receipt no/i.test(cell.trim())));
+        if (headerIndex === -1) {
+            throw new Error('No "Receipt No." column found. Export the statement from M-PESA as CSV.');
+        }
+
+        const header = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+        const column = (pattern) => header.findIndex(cell => pattern.test(cell));
+        const columns = {
+            code: column(/^receipt no/),
+            completedAt: column(/^completion time/),
+            status: column(/^transaction status/),
+            paidIn: column(/^paid in/),
+            otherParty: column(/^other party info/),
+            accountReference: column(/^a\/c no/)
+        };
+        if (columns.paidIn === -1) {
+            throw new Error('No "Paid In" column found in the statement');
+        }
+
+        const cell = (row, index) => (index >= 0 && row[index] !== undefined ? row[index].trim() : '');
+
+        return rows.slice(headerIndex + 1)
+            .filter(row => cell(row, columns.code))
+            .filter(row => !cell(row, columns.status) || /^completed$/i.test(cell(row, columns.status)))
+            .map(row => {
+                const amount = parseFloat(cell(row, columns.paidIn).replace(/,/g, ''));
+                // Other Party Info reads "2547XXXXXXXX - JANE DOE"
+                const [phone, ...name] = cell(row, columns.otherParty).split(' - ');
+                return {
+                    code: this.normalizeCode(cell(row, columns.code)),
+                    amount,
+                    phone: phone ? phone.trim() : null,
+                    payer_name: name.join(' - ').trim() || null,
+                    account_reference: cell(row, columns.accountReference) || null,
+                    transacted_at: this.parseStatementTime(cell(row, columns.completedAt)),
+                    source: 'csv',
+                    raw: Object.fromEntries(header.map((name, index) => [name, cell(row, index)]))
+                };
+            })
+            .filter(transaction => transaction.amount > 0);
+    }
+
+    /**
+     * Statement times are in Kenyan time (UTC+3), as "2025-01-31 14:05:09" or "31-01-2025 14:05:09"
+     * @param {string} value - Completion time
+     * @returns {string|null} ISO timestamp
+     */
+    parseStatementTime(value) {
+        const match = String(value || '').match(/^(\d{1,4})[-/](\d{1,2})[-/](\d{1,4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return null;
+
+        const [, first, month, last, hour, minute, second] = match;
+        const [year, day] = first.length === 4 ? [first, last] : [last, first];
+        const pad = (value) => String(value || '0').padStart(2, '0');
+        const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}+03:00`);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * POST to one of the M-Pesa Netlify functions with the staff session
+     * @param {string} name - Function name
+     * @param {Object} body - Request body
+     * @param {string} failureMessage - Error message when the server gives none
+     * @returns {Promise<Object>} Response body
+     */
+    async callFunction(name, body, failureMessage) {
+        const response = await fetch(`/.netlify/functions/${name}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authService.getAuthHeaders() },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || failureMessage);
+        }
+        return result;
+    }
+
+    /**
+     * Save statement transactions through the import-mpesa-statement function and reconcile their codes
+     * @param {string} text - Statement CSV text
+     * @returns {Promise<Object>} { imported, results, verified, mismatch, pending, unmatched }
+     */
+    async importStatement(text) {
+        const transactions = this.parseStatementCsv(text);
+        if (transactions.length === 0) {
+            throw new Error('The statement has no completed payments received');
+        }
+
+        let imported = 0;
+        const codes = [];
+        for (let i = 0; i < transactions.length; i += IMPORT_BATCH_SIZE) {
+            const result = await this.callFunction('import-mpesa-statement', {
+                transactions: transactions.slice(i, i + IMPORT_BATCH_SIZE)
+            }, 'Statement import failed');
+            imported += result.imported;
+            codes.push(...result.codes);
+        }
+
+        const summary = await this.reconcile(codes);
+        return { imported, ...summary };
+    }
+
+    /**
+     * Ask the server to match transactions to orders, RECONCILE_BATCH_SIZE codes per request
+     * @param {Array<string>} [codes] - Codes to reconcile; all pending/mismatched orders when omitted,
+     *                                  fetched page by page
+     * @returns {Promise<Object>} { results, verified, mismatch, pending, unmatched }
+     */
+    async reconcile(codes) {
+        const summary = { results: [], verified: 0, mismatch: 0, pending: 0, unmatched: 0 };
+        const add = (result) => {
+            summary.results.push(...result.results);
+            ['verified', 'mismatch', 'pending', 'unmatched'].forEach(key => { summary[key] += result[key] || 0; });
+        };
+
+        const uniqueCodes = [...new Set((codes || []).filter(Boolean))];
+        if (uniqueCodes.length > 0) {
+            for (let i = 0; i < uniqueCodes.length; i += RECONCILE_BATCH_SIZE) {
+                add(await this.callFunction('reconcile-mpesa', {
+                    codes: uniqueCodes.slice(i, i + RECONCILE_BATCH_SIZE)
+                }, 'Reconciliation failed'));
+            }
+            return summary;
+        }
+
+        let after = null;
+        do {
+            const result = await this.callFunction('reconcile-mpesa', { codes: [], after }, 'Reconciliation failed');
+            add(result);
+            after = result.next || null;
+        } while (after);
+        return summary;
+    }
+
+    /**
+     * Find an active order that already uses an M-Pesa code (checked by the in-house forms)
+     * @param {Object} supabase - Supabase client
+     * @param {string} reference - M-Pesa code
+     * @returns {Promise<Object|null>} { id, order_number } or null
+     */
+    async findOrderUsingCode(supabase, reference) {
+        const code = this.normalizeCode(reference);
+        const { data, error } = await supabase
+            .from('orders')
+            .select('id, order_number')
+            .in('payment_reference', [code, `INHOUSE-${code}`])
+            .is('deleted_at', null)
+            .limit(1);
+
+        if (error) {
+            console.error('Error checking M-Pesa code:', error);
+            return null;
+        }
+        return (data && data[0]) || null;
+    }
+
+    /**
+     * Find which of the given orders' M-Pesa codes are used by more than one active order
+     * @param {Object} supabase - Supabase client
+     * @param {Array<Object>} orders - Normalized orders
+     * @returns {Promise<Set<string>>} Reused codes
+     */
+    async findReusedCodes(supabase, orders) {
+        const codes = [...new Set((orders || [])
+            .filter(order => order.paymentOption === 'mpesa' && order.paymentReference)
+            .map(order => this.normalizeCode(order.paymentReference)))];
+        if (codes.length === 0) return new Set();
+
+        const { data, error } = await supabase
+            .from('orders')
+            .select('id, payment_reference')
+            .in('payment_reference', [...codes, ...codes.map(code => `INHOUSE-${code}`)])
+            .is('deleted_at', null);
+
+        if (error) {
+            console.error('Error checking reused M-Pesa codes:', error);
+            return new Set();
+        }
+
+        const counts = {};
+        (data || []).forEach(order => {
+            const code = this.normalizeCode(order.payment_reference);
+            counts[code] = (counts[code] || 0) + 1;
+        });
+        return new Set(Object.keys(counts).filter(code => counts[code] > 1));
+    }
+
+    /**
+     * Render the payment verification badge for an in-house M-Pesa order
+     * @param {Object} order - Normalized order
+     * @param {Set<string>} [reusedCodes] - Codes used on more than one order
+     * @returns {string} HTML string ('' for orders not paid by in-house M-Pesa)
+     */
+    renderPaymentBadge(order, reusedCodes) {
+        if (order.paymentOption !== 'mpesa' || !order.paymentReference) return '';
+
+        const code = this.normalizeCode(order.paymentReference);
+        const badges = {
+            verified: { text: 'Payment verified', color: '#38A169', title: `M-Pesa ${code} matches the order total` },
+            mismatch: { text: 'Payment mismatch', color: '#E53E3E', title: `M-Pesa ${code} was received for a different amount` },
+            unverified: { text: 'Payment unverified', color: '#D69E2E', title: `No M-Pesa payment ${code} received yet` }
+        };
+        const badge = badges[order.paymentStatus] || badges.unverified;
+        const span = ({ text, color, title }, filled) => `
+            <span class="payment-badge" title="${title}" style="display: inline-block; margin-top: 6px; margin-right: 4px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: ${filled ? 'white' : color}; background: ${filled ? color : 'transparent'}; border: 1px solid ${color};">
+                ${text}
+            </span>
+        `;
+
+        return span(badge, order.paymentStatus === 'mismatch') +
+            (reusedCodes && reusedCodes.has(code)
+                ? span({ text: 'Code reused', color: '#E53E3E', title: `M-Pesa ${code} is on more than one order` }, true)
+                : '');
+    }
+}
+
+// Create global instance
+const mpesaReconciliationService = new MpesaReconciliationService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MpesaReconciliationService;
+}
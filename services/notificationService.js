@@ -0,0 +1,249 @@
+/**
+ * Notification Service
+ * Non-blocking toasts (success / error / warning / info, with an optional action such as Undo)
+ * and promise-based confirmation / text prompt dialogs, used instead of alert(), confirm() and prompt()
+ */
+
+const TOAST_COLORS = {
+    success: { background: '#1B4D3E', accent: '#68D391' },
+    error: { background: '#9B2C2C', accent: '#FEB2B2' },
+    warning: { background: '#975A16', accent: '#FAF089' },
+    info: { background: '#2D3748', accent: '#90CDF4' }
+};
+
+const DEFAULT_TOAST_DURATION = 4000;
+
+// Toasts with an action (e.g. Undo) stay up longer so there is time to use it
+const ACTION_TOAST_DURATION = 8000;
+
+class NotificationService {
+    constructor() {
+        this.container = null;
+    }
+
+    /**
+     * Get (or create) the fixed container toasts are stacked in
+     * @returns {HTMLElement} Toast container
+     */
+    getContainer() {
+        if (this.container && document.body.contains(this.container)) {
+            return this.container;
+        }
+
+        this.container = document.createElement('div');
+        this.container.id = 'toast-container';
+        this.container.setAttribute('aria-live', 'polite');
+        this.container.style.cssText = 'position: fixed; bottom: 20px; right: 20px; z-index: 20000; display: flex; flex-direction: column; gap: 10px; max-width: min(420px, calc(100vw - 40px));';
+        document.body.appendChild(this.container);
+        return this.container;
+    }
+
+    /**
+     * Show a toast
+     * @param {string} message - Message (newlines are kept)
+     * @param {Object} options - { type, duration, action: { label, onClick } }
+     * @returns {Object} { dismiss } handle
+     */
+    toast(message, { type = 'info', duration = null, action = null } = {}) {
+        const colors = TOAST_COLORS[type] || TOAST_COLORS.info;
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.style.cssText = `background: ${colors.background}; color: white; border-left: 4px solid ${colors.accent}; border-radius: 8px; padding: 12px 14px; box-shadow: 0 6px 20px rgba(0,0,0,0.2); display: flex; align-items: flex-start; gap: 12px; font-size: 14px; line-height: 1.4; opacity: 0; transform: translateY(10px); transition: opacity 0.2s ease, transform 0.2s ease;`;
+
+        const text = document.createElement('div');
+        text.style.cssText = 'flex: 1; white-space: pre-line; word-break: break-word;';
+        text.textContent = message;
+        toast.appendChild(text);
+
+        let dismissed = false;
+        let timer = null;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
+            clearTimeout(timer);
+            toast.style.opacity = '0';
+            toast.style.transform = 'translateY(10px)';
+            setTimeout(() => toast.remove(), 200);
+        };
+
+        if (action && action.label && typeof action.onClick === 'function') {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.textContent = action.label;
+            actionBtn.style.cssText = `background: none; border: 1px solid ${colors.accent}; color: ${colors.accent}; border-radius: 6px; padding: 4px 10px; font-size: 13px; font-weight: 600; cursor: pointer; white-space: nowrap;`;
+            actionBtn.addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.setAttribute('aria-label', 'Dismiss');
+        closeBtn.innerHTML = '&times;';
+        closeBtn.style.cssText = 'background: none; border: none; color: rgba(255,255,255,0.7); font-size: 18px; line-height: 1; cursor: pointer; padding: 0;';
+        closeBtn.addEventListener('click', dismiss);
+        toast.appendChild(closeBtn);
+
+        this.getContainer().appendChild(toast);
+        requestAnimationFrame(() => {
+            toast.style.opacity = '1';
+            toast.style.transform = 'translateY(0)';
+        });
+
+        const timeout = duration || (action ? ACTION_TOAST_DURATION : DEFAULT_TOAST_DURATION);
+        timer = setTimeout(dismiss, type === 'error' ? Math.max(timeout, 6000) : timeout);
+
+        return { dismiss };
+    }
+
+    /**
+     * Show a success toast
+     * @param {string} message - Message
+     * @param {Object} options - Toast options
+     * @returns {Object} { dismiss } handle
+     */
+    success(message, options = {}) {
+        return this.toast(message, { ...options, type: 'success' });
+    }
+
+    /**
+     * Show an error toast
+     * @param {string} message - Message
+     * @param {Object} options - Toast options
+     * @returns {Object} { dismiss } handle
+     */
+    error(message, options = {}) {
+        return this.toast(message, { ...options, type: 'error' });
+    }
+
+    /**
+     * Show a warning toast
+     * @param {string} message - Message
+     * @param {Object} options - Toast options
+     * @returns {Object} { dismiss } handle
+     */
+    warning(message, options = {}) {
+        return this.toast(message, { ...options, type: 'warning' });
+    }
+
+    /**
+     * Show an info toast
+     * @param {string} message - Message
+     * @param {Object} options - Toast options
+     * @returns {Object} { dismiss } handle
+     */
+    info(message, options = {}) {
+        return this.toast(message, { ...options, type: 'info' });
+    }
+
+    /**
+     * Show a success toast with an Undo button
+     * @param {string} message - Message
+     * @param {Function} onUndo - Called when Undo is clicked
+     * @returns {Object} { dismiss } handle
+     */
+    successWithUndo(message, onUndo) {
+        return this.success(message, { action: { label: 'Undo', onClick: onUndo } });
+    }
+
+    /**
+     * Ask for confirmation in a modal dialog
+     * @param {string} message - Question to ask (newlines are kept)
+     * @param {Object} options - { title, confirmLabel, cancelLabel, danger }
+     * @returns {Promise<boolean>} Resolves true when confirmed, false when cancelled
+     */
+    async confirm(message, { title = 'Please confirm', confirmLabel = 'Confirm', cancelLabel = 'Cancel', danger = false } = {}) {
+        const result = await this.openDialog({ message, title, confirmLabel, cancelLabel, danger });
+        return result !== null;
+    }
+
+    /**
+     * Ask for a line of text in a modal dialog (e.g. the reason for an admin action)
+     * @param {string} message - Question to ask (newlines are kept)
+     * @param {Object} options - { title, confirmLabel, cancelLabel, placeholder, required }
+     * @returns {Promise<string|null>} Resolves the trimmed text, or null when cancelled
+     */
+    prompt(message, { title = 'Please confirm', confirmLabel = 'OK', cancelLabel = 'Cancel', placeholder = '', required = false } = {}) {
+        return this.openDialog({ message, title, confirmLabel, cancelLabel, input: { placeholder, required } });
+    }
+
+    /**
+     * Open the modal dialog used by confirm() and prompt()
+     * @param {Object} options - { message, title, confirmLabel, cancelLabel, danger, input: { placeholder, required } }
+     * @returns {Promise<string|null>} Input text ('' without an input) when confirmed, null when cancelled
+     */
+    openDialog({ message, title, confirmLabel, cancelLabel, danger = false, input = null }) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'confirm-dialog-overlay';
+            overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 20001; display: flex; align-items: center; justify-content: center;';
+
+            overlay.innerHTML = `
+                <div role="dialog" aria-modal="true" style="background: white; border-radius: 12px; padding: 24px; max-width: 440px; width: 90%; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                    <h2 style="margin: 0 0 12px 0; color: #1B4D3E; font-size: 20px;"></h2>
+                    <p style="margin: 0 0 ${input ? '12px' : '24px'} 0; color: #2d3748; font-size: 14px; line-height: 1.5; white-space: pre-line;"></p>
+                    ${input ? '<input type="text" data-dialog="input" style="width: 100%; box-sizing: border-box; padding: 10px; margin-bottom: 24px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 6px; font-size: 14px;">' : ''}
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" data-dialog="cancel" style="padding: 10px 20px; background: #E2E8F0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;"></button>
+                        <button type="button" data-dialog="confirm" style="padding: 10px 20px; background: ${danger ? '#E53E3E' : '#1B4D3E'}; color: white; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;"></button>
+                    </div>
+                </div>
+            `;
+
+            overlay.querySelector('h2').textContent = title;
+            overlay.querySelector('p').textContent = message;
+            overlay.querySelector('[data-dialog="cancel"]').textContent = cancelLabel;
+            const confirmBtn = overlay.querySelector('[data-dialog="confirm"]');
+            confirmBtn.textContent = confirmLabel;
+
+            const inputEl = overlay.querySelector('[data-dialog="input"]');
+            if (inputEl) {
+                inputEl.placeholder = input.placeholder || '';
+                if (input.required) {
+                    const updateConfirm = () => {
+                        const empty = inputEl.value.trim() === '';
+                        confirmBtn.disabled = empty;
+                        confirmBtn.style.opacity = empty ? '0.5' : '1';
+                    };
+                    inputEl.addEventListener('input', updateConfirm);
+                    updateConfirm();
+                }
+            }
+
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeyDown);
+                overlay.remove();
+                resolve(result);
+            };
+            const submit = () => {
+                if (confirmBtn.disabled) return;
+                close(inputEl ? inputEl.value.trim() : '');
+            };
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') close(null);
+                if (e.key === 'Enter' && inputEl && document.activeElement === inputEl) submit();
+            };
+
+            overlay.querySelector('[data-dialog="cancel"]').addEventListener('click', () => close(null));
+            confirmBtn.addEventListener('click', submit);
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+            document.addEventListener('keydown', onKeyDown);
+
+            document.body.appendChild(overlay);
+            (inputEl || confirmBtn).focus();
+        });
+    }
+}
+
+// Create global instance
+const notificationService = new NotificationService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationService;
+}
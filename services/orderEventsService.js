@@ -0,0 +1,229 @@
+/**
+ * Order Events Service
+ * Append-only log of order status changes (`order_status_events` table),
+ * the per-order timeline shown in order bubbles, and stage durations derived from it
+ *
+ * Table columns: id, order_id, from_status, to_status, staff_user_id, staff_name, note, created_at
+ */
+
+const ORDER_EVENTS_TABLE = 'order_status_events';
+
+class OrderEventsService {
+    constructor() {
+        this.table = ORDER_EVENTS_TABLE;
+        this.cache = new Map(); // order id -> events already loaded for the timeline
+    }
+
+    /**
+     * Append a status change to the log
+     * Failures are logged but never block the status change itself.
+     * @param {Object} supabase - Supabase client
+     * @param {Object} event - { orderId, fromStatus, toStatus, note }
+     * @returns {Promise<Object>} { data, error }
+     */
+    async recordTransition(supabase, { orderId, fromStatus, toStatus, note = '' }) {
+        if (orderId === undefined || orderId === null) {
+            return { data: null, error: { message: 'Missing order ID' } };
+        }
+
+        return this.recordTransitions(supabase, [{ orderId, fromStatus, toStatus, note }]);
+    }
+
+    /**
+     * Append several status changes to the log in one insert (used by bulk actions)
+     * @param {Object} supabase - Supabase client
+     * @param {Array} events - [{ orderId, fromStatus, toStatus, note }]
+     * @returns {Promise<Object>} { data, error }
+     */
+    async recordTransitions(supabase, events) {
+        if (!supabase || !events || events.length === 0) {
+            return { data: null, error: { message: 'Missing Supabase client or events' } };
+        }
+
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        const createdAt = new Date().toISOString();
+
+        try {
+            const { data, error } = await supabase
+                .from(this.table)
+                .insert(events.map(({ orderId, fromStatus, toStatus, note = '' }) => ({
+                    order_id: String(orderId),
+                    from_status: fromStatus || null,
+                    to_status: toStatus,
+                    staff_user_id: currentUser ? currentUser.id : null,
+                    staff_name: currentUser ? (currentUser.name || currentUser.email || 'Unknown') : 'Unknown',
+                    note: note || null,
+                    created_at: createdAt
+                })))
+                .select();
+
+            if (error) {
+                console.error('⚠️ Failed to record order status event:', error);
+                return { data: null, error };
+            }
+
+            events.forEach(event => this.cache.delete(String(event.orderId)));
+            return { data, error: null };
+        } catch (error) {
+            console.error('⚠️ Failed to record order status event:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Fetch the status history of one order, oldest first
+     * @param {Object} supabase - Supabase client
+     * @param {string|number} orderId - Order ID
+     * @returns {Promise<Array>} Events
+     */
+    async fetchOrderEvents(supabase, orderId) {
+        const { data, error } = await supabase
+            .from(this.table)
+            .select('*')
+            .eq('order_id', String(orderId))
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Work out how long an order spent in each status
+     * Time in a status runs from the event that entered it (or `createdAt` for the
+     * initial pending status) to the event that left it. Repeat visits are summed.
+     * @param {Array} events - Events for one order, any order
+     * @param {string} createdAt - Order creation timestamp
+     * @returns {Object} Map of status to hours spent in it
+     */
+    computeStatusDurations(events, createdAt) {
+        const sorted = [...(events || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+        const enteredAt = {};
+        const durations = {};
+
+        if (createdAt) {
+            enteredAt.pending = new Date(createdAt);
+        }
+
+        sorted.forEach(event => {
+            const at = new Date(event.created_at);
+            const from = event.from_status;
+
+            if (from && enteredAt[from] && from !== event.to_status) {
+                const hours = (at - enteredAt[from]) / (1000 * 60 * 60);
+                if (hours >= 0) {
+                    durations[from] = (durations[from] || 0) + hours;
+                }
+                delete enteredAt[from];
+            }
+
+            if (event.to_status && !enteredAt[event.to_status]) {
+                enteredAt[event.to_status] = at;
+            }
+        });
+
+        return durations;
+    }
+
+    /**
+     * Format an event timestamp for the timeline
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} Formatted date and time
+     */
+    formatEventTime(timestamp) {
+        return new Date(timestamp).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    /**
+     * Render the timeline section placed inside an order bubble's details
+     * Events are only loaded when the section is opened.
+     * @param {Object} order - Order object
+     * @returns {string} HTML string
+     */
+    renderTimelineSection(order) {
+        return `
+            <div class="detail-row" style="flex-direction: column; align-items: stretch;">
+                <button class="btn btn-timeline" data-action="timeline" data-id="${order.id}" style="background: none; border: 1px solid rgba(27, 77, 62, 0.3); color: #1B4D3E; padding: 6px 10px; font-size: 12px; align-self: flex-start;">Show Timeline</button>
+                <div class="order-timeline" id="timeline-${order.id}" style="display: none; margin-top: 8px;"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a list of events as timeline HTML
+     * @param {Array} events - Events, oldest first
+     * @returns {string} HTML string
+     */
+    renderTimeline(events) {
+        if (!events || events.length === 0) {
+            return '<div style="font-size: 12px; color: #718096;">No status changes recorded yet.</div>';
+        }
+
+        return events.map(event => {
+            const from = event.from_status ? orderLifecycleService.formatStatus(event.from_status) : 'New';
+            const to = orderLifecycleService.formatStatus(event.to_status);
+            return `
+                <div style="border-left: 2px solid #1B4D3E; padding: 0 0 8px 10px; margin-left: 4px;">
+                    <div style="font-size: 12px; font-weight: 600; color: #2d3748;">${from} → ${to}</div>
+                    <div style="font-size: 11px; color: #718096;">${htmlService.escape(event.staff_name || 'Unknown')} · ${this.formatEventTime(event.created_at)}</div>
+                    ${event.note ? `<div style="font-size: 11px; color: #4a5568; margin-top: 2px;">${htmlService.escape(event.note)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Wire the timeline button rendered by renderTimelineSection
+     * @param {HTMLElement} bubble - Order bubble element
+     * @param {Object} order - Order object
+     * @param {Object} supabase - Supabase client
+     */
+    bindTimelineToggle(bubble, order, supabase) {
+        const button = bubble.querySelector('[data-action="timeline"]');
+        const timelineEl = bubble.querySelector('.order-timeline');
+        if (!button || !timelineEl) return;
+
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+
+            if (timelineEl.style.display !== 'none') {
+                timelineEl.style.display = 'none';
+                button.textContent = 'Show Timeline';
+                return;
+            }
+
+            timelineEl.style.display = 'block';
+            button.textContent = 'Hide Timeline';
+
+            const cacheKey = String(order.id);
+            if (!this.cache.has(cacheKey)) {
+                timelineEl.innerHTML = '<div style="font-size: 12px; color: #718096;">Loading...</div>';
+                try {
+                    this.cache.set(cacheKey, await this.fetchOrderEvents(supabase, order.id));
+                } catch (error) {
+                    console.error('Error loading order timeline:', error);
+                    timelineEl.innerHTML = '<div style="font-size: 12px; color: #e53e3e;">Failed to load timeline.</div>';
+                    return;
+                }
+            }
+
+            timelineEl.innerHTML = this.renderTimeline(this.cache.get(cacheKey));
+        });
+    }
+}
+
+// Create global instance
+const orderEventsService = new OrderEventsService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderEventsService;
+}
@@ -0,0 +1,519 @@
+/**
+ * Order Lifecycle Service
+ * Central definition of order statuses and the transitions allowed between them
+ * pending → in_progress → to_deliver → completed, plus cancelled and returned
+ */
+
+const ORDER_STATUS_LABELS = {
+    'pending': 'Pending',
+    'in_progress': 'In Progress',
+    'to_deliver': 'To Deliver',
+    'completed': 'Completed',
+    'cancelled': 'Cancelled',
+    'returned': 'Returned'
+};
+
+/**
+ * Allowed transitions keyed by current status.
+ * `action` is the button action each tab wires to its handler; `label` and
+ * `buttonClass` drive how the button is rendered.
+ */
+const ORDER_TRANSITIONS = {
+    'pending': [
+        { to: 'in_progress', action: 'accept', label: 'Accept', buttonClass: 'btn-accept' },
+        { to: 'cancelled', action: 'deny', label: 'Reject', buttonClass: 'btn-deny' }
+    ],
+    'in_progress': [
+        { to: 'to_deliver', action: 'done', label: 'Mark as Done', buttonClass: 'btn-done' },
+        { to: 'cancelled', action: 'cancel', label: 'Cancel', buttonClass: 'btn-deny' }
+    ],
+    'to_deliver': [
+        { to: 'completed', action: 'delivered', label: 'Delivered', buttonClass: 'btn-delivered' }
+    ],
+    'completed': [
+        { to: 'returned', action: 'return', label: 'Mark as Returned', buttonClass: 'btn-deny' }
+    ],
+    'cancelled': [],
+    'returned': []
+};
+
+/**
+ * Stage an order goes back to when an admin moves it back (or a move is undone).
+ * Only the forward path of the lifecycle can be walked back.
+ */
+const PREVIOUS_STATUS = {
+    'in_progress': 'pending',
+    'to_deliver': 'in_progress',
+    'completed': 'to_deliver'
+};
+
+// The customer message for a move is held this long, past the Undo toast
+// (ACTION_TOAST_DURATION in notificationService), so an undone move is never announced
+const CUSTOMER_NOTIFICATION_DELAY_MS = 10000;
+
+class OrderLifecycleService {
+    constructor() {
+        this.statusLabels = ORDER_STATUS_LABELS;
+        this.transitions = ORDER_TRANSITIONS;
+        this.previousStatus = PREVIOUS_STATUS;
+        this.pendingNotifications = new Map(); // Order ID -> { timer, fromStatus, toStatus }
+
+        // Messages still held when the page is closed are sent straight away
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', () => this.flushCustomerNotifications());
+        }
+    }
+
+    /**
+     * Hold the customer message for a move until it can no longer be undone
+     * @param {string|number} orderId - Order ID
+     * @param {string} fromStatus - Previous status
+     * @param {string} toStatus - New status
+     */
+    queueCustomerNotification(orderId, fromStatus, toStatus) {
+        if (typeof customerNotificationService === 'undefined') return;
+
+        // An earlier move of the same order can no longer be undone by Undo, so it goes out now
+        const earlier = this.takeCustomerNotification(orderId);
+        if (earlier) {
+            customerNotificationService.notifyTransition(orderId, earlier.fromStatus, earlier.toStatus);
+        }
+
+        const timer = setTimeout(() => {
+            this.pendingNotifications.delete(String(orderId));
+            customerNotificationService.notifyTransition(orderId, fromStatus, toStatus);
+        }, CUSTOMER_NOTIFICATION_DELAY_MS);
+        this.pendingNotifications.set(String(orderId), { timer, fromStatus, toStatus });
+    }
+
+    /**
+     * Take a held customer message off the queue without sending it
+     * @param {string|number} orderId - Order ID
+     * @param {string} toStatus - Only take the message for a move to this status
+     * @returns {Object|null} { fromStatus, toStatus }, or null when none is held
+     */
+    takeCustomerNotification(orderId, toStatus = null) {
+        const pending = this.pendingNotifications.get(String(orderId));
+        if (!pending || (toStatus && pending.toStatus !== toStatus)) return null;
+
+        clearTimeout(pending.timer);
+        this.pendingNotifications.delete(String(orderId));
+        return { fromStatus: pending.fromStatus, toStatus: pending.toStatus };
+    }
+
+    /**
+     * Send every held customer message now (the page is closing)
+     */
+    flushCustomerNotifications() {
+        [...this.pendingNotifications.keys()].forEach(orderId => {
+            const pending = this.takeCustomerNotification(orderId);
+            customerNotificationService.notifyTransition(orderId, pending.fromStatus, pending.toStatus, { keepalive: true });
+        });
+    }
+
+    /**
+     * Check whether a status is part of the lifecycle
+     * @param {string} status - Status value
+     * @returns {boolean}
+     */
+    isKnownStatus(status) {
+        return Object.prototype.hasOwnProperty.call(this.transitions, status);
+    }
+
+    /**
+     * Format status for display
+     * @param {string} status - Status value
+     * @returns {string} Formatted status
+     */
+    formatStatus(status) {
+        return this.statusLabels[status] || status;
+    }
+
+    /**
+     * Get transitions available for an order
+     * @param {Object|string} order - Order object (with `status`) or a status value
+     * @returns {Array} Transition definitions ({ to, action, label, buttonClass })
+     */
+    allowedTransitions(order) {
+        const status = typeof order === 'string' ? order : order?.status;
+        return (this.transitions[status] || []).map(transition => ({ ...transition }));
+    }
+
+    /**
+     * Get the stage an order would be moved back to
+     * @param {string} status - Current status
+     * @returns {string|null} Previous status, or null when the order cannot be moved back
+     */
+    getPreviousStatus(status) {
+        return this.previousStatus[status] || null;
+    }
+
+    /**
+     * Validate a status change
+     * Re-applying the current status (e.g. restoring a soft-deleted order) is allowed.
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Target status
+     * @returns {Object} { valid: boolean, message: string }
+     */
+    validateTransition(fromStatus, toStatus) {
+        if (!this.isKnownStatus(toStatus)) {
+            return { valid: false, message: `Unknown order status: ${toStatus}` };
+        }
+
+        if (!this.isKnownStatus(fromStatus)) {
+            return { valid: false, message: `Unknown order status: ${fromStatus}` };
+        }
+
+        if (fromStatus === toStatus) {
+            return { valid: true, message: '' };
+        }
+
+        const allowed = this.transitions[fromStatus].some(transition => transition.to === toStatus);
+        if (!allowed) {
+            return {
+                valid: false,
+                message: `Cannot move an order from ${this.formatStatus(fromStatus)} to ${this.formatStatus(toStatus)}`
+            };
+        }
+
+        return { valid: true, message: '' };
+    }
+
+    /**
+     * Validate and apply a status change in Supabase
+     * The update only matches while the row is still in `fromStatus`, so a concurrent
+     * change by another staff member is reported instead of overwritten.
+     * @param {Object} supabase - Supabase client
+     * @param {string|number} orderId - Order ID
+     * @param {string} fromStatus - Status the order is expected to be in
+     * @param {string} toStatus - Target status
+     * @param {Object} extraFields - Additional columns to update with the status
+     * @param {string} note - Optional note stored with the status event
+     * @returns {Promise<Object>} { data, error } in the same shape as a Supabase response
+     */
+    async transition(supabase, orderId, fromStatus, toStatus, extraFields = {}, note = '') {
+        const validation = this.validateTransition(fromStatus, toStatus);
+        if (!validation.valid) {
+            console.error('❌ Illegal order transition:', { orderId, fromStatus, toStatus });
+            return { data: null, error: { message: validation.message, code: 'ILLEGAL_TRANSITION' } };
+        }
+
+        const { data, error } = await supabase
+            .from('orders')
+            .update({
+                status: toStatus,
+                updated_at: new Date().toISOString(),
+                ...extraFields
+            })
+            .eq('id', String(orderId))
+            .eq('status', fromStatus)
+            .select();
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        if (!data || data.length === 0) {
+            return {
+                data: null,
+                error: {
+                    message: `Order is no longer ${this.formatStatus(fromStatus)}. Please refresh the page.`,
+                    code: 'STALE_STATUS'
+                }
+            };
+        }
+
+        if (typeof orderEventsService !== 'undefined') {
+            await orderEventsService.recordTransition(supabase, { orderId, fromStatus, toStatus, note });
+        }
+
+        // Sent in the background once the Undo window has passed
+        this.queueCustomerNotification(orderId, fromStatus, toStatus);
+
+        return { data, error: null };
+    }
+
+    /**
+     * Put an order back into the status it was in before a transition (used by Undo)
+     * This deliberately skips the lifecycle graph, since undoing e.g. completed → to_deliver
+     * is not a move staff can make directly. Like transition(), it only matches while the
+     * order is still in `currentStatus`. The held customer message for the move is dropped.
+     * @param {Object} supabase - Supabase client
+     * @param {string|number} orderId - Order ID
+     * @param {string} currentStatus - Status the order was moved to
+     * @param {string} previousStatus - Status to restore
+     * @param {Object} extraFields - Additional columns to reset (e.g. { completed_at: null })
+     * @param {string} note - Note stored with the status event
+     * @returns {Promise<Object>} { data, error } in the same shape as a Supabase response
+     */
+    async revertTransition(supabase, orderId, currentStatus, previousStatus, extraFields = {}, note = 'Undo') {
+        // Taken before the update so the message cannot go out while the revert is saving
+        const heldNotification = this.takeCustomerNotification(orderId, currentStatus);
+        const result = await this.applyRevert(supabase, orderId, currentStatus, previousStatus, extraFields, note);
+
+        // The move still stands, so the customer is told after all
+        if (result.error && heldNotification) {
+            customerNotificationService.notifyTransition(orderId, heldNotification.fromStatus, heldNotification.toStatus);
+        }
+
+        return result;
+    }
+
+    /**
+     * Write a revert made by revertTransition and record its status event
+     * @returns {Promise<Object>} { data, error }
+     */
+    async applyRevert(supabase, orderId, currentStatus, previousStatus, extraFields, note) {
+        const { data, error } = await supabase
+            .from('orders')
+            .update({
+                status: previousStatus,
+                updated_at: new Date().toISOString(),
+                ...extraFields
+            })
+            .eq('id', String(orderId))
+            .eq('status', currentStatus)
+            .select();
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        if (!data || data.length === 0) {
+            return {
+                data: null,
+                error: {
+                    message: `Order is no longer ${this.formatStatus(currentStatus)}. Please refresh the page.`,
+                    code: 'STALE_STATUS'
+                }
+            };
+        }
+
+        if (typeof orderEventsService !== 'undefined') {
+            await orderEventsService.recordTransition(supabase, { orderId, fromStatus: currentStatus, toStatus: previousStatus, note });
+        }
+
+        return { data, error: null };
+    }
+
+    /**
+     * Show the success toast for a transition with an Undo button
+     * Undo is available while the toast is on screen and reverts the status (and any
+     * `revertFields`) in a single update.
+     * @param {Object} supabase - Supabase client
+     * @param {Object} options - { orderId, fromStatus, toStatus, message, revertFields, onReverted }
+     */
+    offerUndo(supabase, { orderId, fromStatus, toStatus, message, revertFields = {}, onReverted = null }) {
+        notificationService.successWithUndo(message, async () => {
+            const { error } = await this.revertTransition(supabase, orderId, toStatus, fromStatus, revertFields);
+
+            if (error) {
+                console.error('Error undoing order move:', error);
+                notificationService.error(`Failed to undo: ${error.message || 'Unknown error'}`);
+                return;
+            }
+
+            notificationService.success(`Order moved back to ${this.formatStatus(fromStatus)}`);
+            if (onReverted) {
+                await onReverted();
+            }
+        });
+    }
+
+    /**
+     * Check whether the signed-in user may move orders back a stage
+     * @returns {boolean}
+     */
+    canMoveBack() {
+        return typeof authService !== 'undefined' && authService.isAdmin();
+    }
+
+    /**
+     * Move an order back to its previous stage (admin only), recording the reason
+     * @param {Object} supabase - Supabase client
+     * @param {Object} order - Order object (with `id` and `status`)
+     * @param {string} reason - Why the order is being moved back
+     * @returns {Promise<Object>} { data, error }
+     */
+    async moveBack(supabase, order, reason) {
+        if (!this.canMoveBack()) {
+            return { data: null, error: { message: 'Only admins can move orders back', code: 'FORBIDDEN' } };
+        }
+
+        const previousStatus = this.getPreviousStatus(order.status);
+        if (!previousStatus) {
+            return { data: null, error: { message: `${this.formatStatus(order.status)} orders cannot be moved back`, code: 'ILLEGAL_TRANSITION' } };
+        }
+
+        const revertFields = order.status === 'completed' ? { completed_at: null } : {};
+        return this.revertTransition(supabase, order.id, order.status, previousStatus, revertFields, `Moved back: ${reason}`);
+    }
+
+    /**
+     * Render the admin-only "Move back" button for an order's details
+     * @param {Object} order - Order object
+     * @returns {string} HTML string (empty for non-admins or orders with no previous stage)
+     */
+    renderMoveBackButton(order) {
+        const previousStatus = this.getPreviousStatus(order.status);
+        if (!previousStatus || !this.canMoveBack()) return '';
+
+        return `
+            <div class="detail-row">
+                <button class="btn btn-move-back" data-action="move-back" data-id="${order.id}" style="background: none; border: 1px solid rgba(229, 62, 62, 0.4); color: #C53030; padding: 6px 10px; font-size: 12px;">Move back to ${this.formatStatus(previousStatus)}</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire the button rendered by renderMoveBackButton: ask for a reason, then move the order back
+     * @param {HTMLElement} container - Element containing the button (order bubble or details row)
+     * @param {Object} order - Order object
+     * @param {Object} supabase - Supabase client
+     * @param {Function} onMoved - Called after the order has been moved back
+     */
+    bindMoveBackButton(container, order, supabase, onMoved = null) {
+        const button = container.querySelector('[data-action="move-back"]');
+        if (!button) return;
+
+        button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+
+            const previousStatus = this.getPreviousStatus(order.status);
+            const reason = await notificationService.prompt(
+                `Move this order from ${this.formatStatus(order.status)} back to ${this.formatStatus(previousStatus)}? The reason is kept in the order timeline.`,
+                { title: 'Move order back', confirmLabel: 'Move Back', placeholder: 'Reason', required: true }
+            );
+            if (reason === null) return;
+
+            const { error } = await this.moveBack(supabase, order, reason);
+            if (error) {
+                console.error('Error moving order back:', error);
+                notificationService.error(`Failed to move order back: ${error.message || 'Unknown error'}`);
+                return;
+            }
+
+            notificationService.success(`Order moved back to ${this.formatStatus(previousStatus)}`);
+            if (onMoved) {
+                await onMoved();
+            }
+        });
+    }
+
+    /**
+     * Apply the same status change to several orders with one update per current status
+     * Each order is validated individually; rows that changed status in the meantime are
+     * reported as failed rather than overwritten.
+     * @param {Object} supabase - Supabase client
+     * @param {Array} orders - Orders (with `id` and `status`)
+     * @param {string} toStatus - Target status
+     * @param {Object} extraFields - Additional columns to update with the status
+     * @param {string} note - Optional note stored with each status event
+     * @returns {Promise<Object>} { succeeded: Array<order>, failed: Array<{ order, message, error }> }
+     */
+    async transitionMany(supabase, orders, toStatus, extraFields = {}, note = '') {
+        const succeeded = [];
+        const failed = [];
+        const groups = {};
+
+        orders.forEach(order => {
+            const validation = this.validateTransition(order.status, toStatus);
+            if (!validation.valid) {
+                failed.push({ order, message: validation.message, error: { code: 'ILLEGAL_TRANSITION' } });
+                return;
+            }
+            if (!groups[order.status]) {
+                groups[order.status] = [];
+            }
+            groups[order.status].push(order);
+        });
+
+        for (const [fromStatus, group] of Object.entries(groups)) {
+            const { data, error } = await supabase
+                .from('orders')
+                .update({
+                    status: toStatus,
+                    updated_at: new Date().toISOString(),
+                    ...extraFields
+                })
+                .in('id', group.map(order => String(order.id)))
+                .eq('status', fromStatus)
+                .select('id');
+
+            if (error) {
+                group.forEach(order => failed.push({ order, message: error.message || 'Unknown error', error }));
+                continue;
+            }
+
+            const updatedIds = new Set((data || []).map(row => String(row.id)));
+            const groupSucceeded = [];
+            group.forEach(order => {
+                if (updatedIds.has(String(order.id))) {
+                    groupSucceeded.push(order);
+                } else {
+                    failed.push({
+                        order,
+                        message: `Order is no longer ${this.formatStatus(fromStatus)}`,
+                        error: { code: 'STALE_STATUS' }
+                    });
+                }
+            });
+
+            if (groupSucceeded.length > 0 && typeof orderEventsService !== 'undefined') {
+                await orderEventsService.recordTransitions(supabase, groupSucceeded.map(order => ({
+                    orderId: order.id,
+                    fromStatus,
+                    toStatus,
+                    note
+                })));
+            }
+
+            groupSucceeded.forEach(order => this.queueCustomerNotification(order.id, fromStatus, toStatus));
+
+            succeeded.push(...groupSucceeded);
+        }
+
+        return { succeeded, failed };
+    }
+
+    /**
+     * Build action buttons for an order from its allowed transitions
+     * Only actions the tab has a handler for are rendered.
+     * @param {Object} order - Order object
+     * @param {Object} handlers - Map of action name to handler
+     * @returns {string} HTML string for the buttons
+     */
+    renderTransitionButtons(order, handlers) {
+        return this.allowedTransitions(order)
+            .filter(transition => typeof handlers[transition.action] === 'function')
+            .map(transition => `<button class="btn ${transition.buttonClass}" data-action="${transition.action}" data-id="${order.id}">${transition.label}</button>`)
+            .join('');
+    }
+
+    /**
+     * Attach click handlers to transition buttons rendered by renderTransitionButtons
+     * @param {HTMLElement} bubble - Order bubble element
+     * @param {Object} order - Order object
+     * @param {Object} handlers - Map of action name to handler
+     */
+    bindTransitionButtons(bubble, order, handlers) {
+        this.allowedTransitions(order).forEach(transition => {
+            const handler = handlers[transition.action];
+            const button = bubble.querySelector(`[data-action="${transition.action}"]`);
+            if (button && typeof handler === 'function') {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    handler(order);
+                });
+            }
+        });
+    }
+}
+
+// Create global instance
+const orderLifecycleService = new OrderLifecycleService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderLifecycleService;
+}
@@ -0,0 +1,151 @@
+/**
+ * Order Link Service
+ * Links that open a specific order in the dashboard (`?order=<id>`), used by the QR codes
+ * printed on job cards and packing slips
+ */
+
+const ORDER_LINK_PARAM = 'order';
+
+// Dashboard tab that lists orders in each status
+const STATUS_TABS = {
+    'pending': 'new-requests',
+    'in_progress': 'in-progress',
+    'to_deliver': 'to-deliver',
+    'completed': 'completed'
+};
+
+class OrderLinkService {
+    constructor() {
+        this.param = ORDER_LINK_PARAM;
+        this.statusTabs = STATUS_TABS;
+    }
+
+    /**
+     * Build the dashboard link for an order
+     * @param {string|number} orderId - Order ID
+     * @returns {string} Absolute URL
+     */
+    getOrderUrl(orderId) {
+        const url = new URL(window.location.pathname, window.location.origin);
+        url.searchParams.set(this.param, String(orderId));
+        return url.toString();
+    }
+
+    /**
+     * Get the order ID from a dashboard link or a bare order ID
+     * @param {string} text - Link or ID (e.g. the contents of a scanned QR code)
+     * @returns {string|null} Order ID, or null when the text is not an order link
+     */
+    parseOrderId(text) {
+        const value = String(text || '').trim();
+        if (!value) return null;
+
+        try {
+            const url = new URL(value);
+            return url.searchParams.get(this.param) || null;
+        } catch (error) {
+            // Not a URL - accept a bare order ID (UUID or number)
+            return /^[0-9a-f-]+$/i.test(value) ? value : null;
+        }
+    }
+
+    /**
+     * Wait for an order's bubble (or table row) to be rendered in a tab
+     * @param {string} tabId - Tab element ID
+     * @param {string} orderId - Order ID
+     * @param {number} timeoutMs - How long to wait
+     * @returns {Promise<HTMLElement|null>} Element, or null if it never appeared
+     */
+    waitForOrderElement(tabId, orderId, timeoutMs = 5000) {
+        const selector = `.order-bubble[data-order-id="${CSS.escape(orderId)}"], .order-row[data-order-id="${CSS.escape(orderId)}"]`;
+        const started = Date.now();
+
+        return new Promise(resolve => {
+            const check = () => {
+                const tab = document.getElementById(tabId);
+                const element = tab ? tab.querySelector(selector) : null;
+                if (element || Date.now() - started > timeoutMs) {
+                    resolve(element);
+                    return;
+                }
+                setTimeout(check, 200);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Switch to the tab an order is in and expand it
+     * @param {string|number} orderId - Order ID
+     * @returns {Promise<Object|null>} The order row ({ id, status, deleted_at }), or null if it could not be opened
+     */
+    async openOrder(orderId) {
+        const supabase = getSupabaseClient();
+        if (!supabase) {
+            notificationService.error('Database connection not available');
+            return null;
+        }
+
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, status, deleted_at')
+            .eq('id', String(orderId))
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error opening linked order:', error);
+            notificationService.error('Failed to open order. Please try again.');
+            return null;
+        }
+
+        if (!order) {
+            notificationService.warning('Order not found');
+            return null;
+        }
+
+        if (order.deleted_at) {
+            notificationService.warning('This order has been deleted. You can find it in the Trash.');
+            return null;
+        }
+
+        const tabId = this.statusTabs[order.status];
+        const navItem = tabId ? document.querySelector(`.nav-item[data-tab="${tabId}"]`) : null;
+        if (!navItem) {
+            notificationService.warning(`This order is ${orderLifecycleService.formatStatus(order.status)}`);
+            return null;
+        }
+
+        navItem.click();
+
+        const element = await this.waitForOrderElement(tabId, String(order.id));
+        if (element) {
+            if (element.classList.contains('order-row')) {
+                element.click();
+            } else {
+                element.classList.add('expanded');
+            }
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+
+        return order;
+    }
+
+    /**
+     * Open the order named in the page URL (if any), then drop the parameter from the URL
+     */
+    async openOrderFromLocation() {
+        const orderId = new URLSearchParams(window.location.search).get(this.param);
+        if (!orderId) return;
+
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+        await this.openOrder(orderId);
+    }
+}
+
+// Create global instance
+const orderLinkService = new OrderLinkService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderLinkService;
+}
@@ -0,0 +1,290 @@
+/**
+ * Order Model Service
+ * Normalizes Supabase `orders` rows into one canonical shape shared by every employee tab
+ * (items JSONB, measurements, customer join, payment reference, delivery details)
+ */
+
+const ORDER_PLACEHOLDER_IMAGE = 'https://via.placeholder.com/400';
+
+/**
+ * Parsers for measurements embedded in order comments by older forms.
+ * Tried in order; the first match wins. Bump `version` when a pattern changes so
+ * normalized orders record which parser produced their measurements.
+ *
+ * Format 'inhouse':  "Measurements: Height=N/A, Bust=38, High Waist=32, Hips=43"
+ * Format 'standard': "Measurements: Size=SS 6, Bust=32, Waist=25, Hips=36"
+ */
+const LEGACY_MEASUREMENT_PARSERS = [
+    {
+        version: 1,
+        format: 'inhouse',
+        pattern: /Measurements:\s*Height=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*High\s+Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i
+    },
+    {
+        version: 1,
+        format: 'standard',
+        pattern: /Measurements:\s*Size=([^,\n\r]+?),\s*Bust=([^,\n\r]+?),\s*Waist=([^,\n\r]+?),\s*Hips=([^\n\r]+?)(?:\n|$)/i
+    },
+    {
+        // Handles any text or spacing between the label and the values
+        version: 1,
+        format: 'standard',
+        pattern: /Measurements:.*?Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i
+    },
+    {
+        // Values without the "Measurements:" label (standard)
+        version: 1,
+        format: 'standard',
+        pattern: /Size=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i
+    },
+    {
+        // Values without the "Measurements:" label (in-house)
+        version: 1,
+        format: 'inhouse',
+        pattern: /Height=([^,\n\r]+?)[,\s]+Bust=([^,\n\r]+?)[,\s]+High\s+Waist=([^,\n\r]+?)[,\s]+Hips=([^\n\r]+?)(?:\n|$)/i
+    }
+];
+
+class OrderModelService {
+    constructor() {
+        this.placeholderImage = ORDER_PLACEHOLDER_IMAGE;
+        this.legacyMeasurementParsers = LEGACY_MEASUREMENT_PARSERS;
+    }
+
+    /**
+     * Empty measurements object in the canonical shape
+     * @returns {Object} Measurements with empty values
+     */
+    emptyMeasurements() {
+        return { size: '', bust: '', waist: '', hips: '', length: '' };
+    }
+
+    /**
+     * Parse the `measurements` column (JSON string or object)
+     * @param {string|Object|null} raw - Raw column value
+     * @returns {Object} Measurements object
+     */
+    parseMeasurementsColumn(raw) {
+        if (!raw) {
+            return this.emptyMeasurements();
+        }
+
+        if (typeof raw === 'string') {
+            try {
+                return { ...this.emptyMeasurements(), ...JSON.parse(raw) };
+            } catch (e) {
+                return this.emptyMeasurements();
+            }
+        }
+
+        return { ...this.emptyMeasurements(), ...raw };
+    }
+
+    /**
+     * Extract measurements embedded in a comments string by older order forms
+     * In-house "Height" and "High Waist" map onto size and waist.
+     * @param {string} comments - Order comments
+     * @returns {Object|null} { measurements, format, version, comments } or null when nothing matched;
+     *                        `comments` has the measurements line removed
+     */
+    parseLegacyMeasurements(comments) {
+        if (!comments || typeof comments !== 'string' || !comments.includes('Measurements:')) {
+            return null;
+        }
+
+        for (const parser of this.legacyMeasurementParsers) {
+            const match = comments.match(parser.pattern);
+            if (!match || match.length < 5) continue;
+
+            const strippedComments = comments
+                .replace(/\n?Measurements:.*$/m, '')
+                .trim()
+                .replace(/Measurements:.*$/m, '')
+                .trim();
+
+            return {
+                measurements: {
+                    size: match[1].trim(),
+                    bust: match[2].trim(),
+                    waist: match[3].trim(),
+                    hips: match[4].trim()
+                },
+                format: parser.format,
+                version: parser.version,
+                comments: strippedComments
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract customer name and phone from the customers join, with legacy column fallbacks
+     * Supabase returns the join as an object; arrays are handled for safety.
+     * @param {Object} order - Order from Supabase
+     * @returns {Object} { name, phone }
+     */
+    extractCustomer(order) {
+        let name = 'Unknown Customer';
+        let phone = '';
+
+        const customer = Array.isArray(order.customers) ? order.customers[0] : order.customers;
+        if (customer && typeof customer === 'object') {
+            if (order.customer_id && customer.id && customer.id !== order.customer_id) {
+                console.error(`⚠️ Customer ID mismatch for order ${order.id}: order.customer_id=${order.customer_id}, customer.id=${customer.id}`);
+            }
+            name = customer.name || 'Unknown Customer';
+            phone = customer.phone || '';
+        }
+
+        if (name === 'Unknown Customer' && order.customer_id) {
+            console.warn(`⚠️ Order ${order.id} has customer_id ${order.customer_id} but customer data not loaded`);
+        }
+
+        // Only trust denormalized columns when there is no customer relationship
+        if (name === 'Unknown Customer' && !order.customer_id && order.customer_name) {
+            name = order.customer_name;
+        }
+
+        if (!phone && !order.customer_id && order.phone) {
+            phone = order.phone;
+        } else if (!phone && order.customer_phone) {
+            phone = order.customer_phone;
+        }
+
+        return { name, phone };
+    }
+
+    /**
+     * Normalize the items JSONB array, falling back to the single-product columns of old orders
+     * Each item keeps its stored entry (`stored`) so serializeItems does not drop keys this
+     * model does not map.
+     * @param {Object} order - Order from Supabase
+     * @param {Object} measurements - Order-level measurements used for the single-item fallback
+     * @returns {Array} Items in display format
+     */
+    normalizeItems(order, measurements) {
+        if (Array.isArray(order.items) && order.items.length > 0) {
+            return order.items.map(item => ({
+                productId: item.product_id || null,
+                productName: item.product_name || 'Unknown Product',
+                productImage: item.product_image || this.placeholderImage,
+                color: item.color || '',
+                price: item.price || 0,
+                measurements: item.measurements || {},
+                production: item.production || {},
+                shippedAt: item.shipped_at || null,
+                deliveredAt: item.delivered_at || null,
+                assignedTo: item.assigned_to || null,
+                assignedToName: item.assigned_to_name || null,
+                stored: item
+            }));
+        }
+
+        return [{
+            productId: order.product_id || null,
+            productName: order.products?.name || order.product_name || 'Unknown Product',
+            productImage: order.products?.image_url || order.product_image || order.image_url || this.placeholderImage,
+            color: order.color || '',
+            price: order.price || 0,
+            measurements: measurements,
+            production: {},
+            shippedAt: null,
+            deliveredAt: null,
+            assignedTo: null,
+            assignedToName: null,
+            stored: null
+        }];
+    }
+
+    /**
+     * Convert normalized items back to the `items` JSONB shape stored on orders
+     * Keys of the stored entry that the model does not map are kept as they were.
+     * @param {Array} items - Items in display format
+     * @returns {Array} Items for the database
+     */
+    serializeItems(items) {
+        return (items || []).map(item => ({
+            ...(item.stored || {}),
+            product_id: item.productId || null,
+            product_name: item.productName,
+            product_image: item.productImage,
+            color: item.color,
+            price: item.price,
+            measurements: item.measurements || {},
+            production: item.production || {},
+            shipped_at: item.shippedAt || null,
+            delivered_at: item.deliveredAt || null,
+            assigned_to: item.assignedTo || null,
+            assigned_to_name: item.assignedToName || null
+        }));
+    }
+
+    /**
+     * Normalize a Supabase order row into the canonical display shape
+     * @param {Object} order - Order from Supabase (with customers/products joins)
+     * @returns {Object} Normalized order
+     */
+    normalizeOrder(order) {
+        let measurements = this.parseMeasurementsColumn(order.measurements);
+        let comments = order.comments || order.notes || '';
+        let measurementsFormat = null;
+        let measurementsParserVersion = null;
+
+        const legacy = this.parseLegacyMeasurements(comments);
+        if (legacy) {
+            measurements = { ...measurements, ...legacy.measurements };
+            comments = legacy.comments;
+            measurementsFormat = legacy.format;
+            measurementsParserVersion = legacy.version;
+        }
+
+        const items = this.normalizeItems(order, measurements);
+        const customer = this.extractCustomer(order);
+
+        return {
+            id: order.id,
+            customer_id: order.customer_id,
+            customerName: customer.name,
+            phone: customer.phone,
+            status: order.status || '',
+            productName: items[0]?.productName || 'Unknown Product', // First item for backward compatibility
+            productImage: items[0]?.productImage || this.placeholderImage,
+            color: items[0]?.color || '',
+            price: order.price || 0, // Total price
+            itemsTotal: items.reduce((sum, item) => sum + (item.price || 0), 0),
+            deliveryFee: parseFloat(order.delivery_fee) || 0,
+            items: items,
+            measurements: measurements,
+            measurementsFormat: measurementsFormat,
+            measurementsParserVersion: measurementsParserVersion,
+            comments: comments,
+            date: order.created_at ? new Date(order.created_at).toISOString().split('T')[0] : '',
+            createdAt: order.created_at || null,
+            updatedAt: order.updated_at || null,
+            completedAt: order.completed_at || null,
+            promisedDate: order.promised_date || null,
+            deliveryOption: order.delivery_option || order.deliveryOption || '',
+            deliveryLocation: order.delivery_display_name || order.delivery_location || order.deliveryLocation || '',
+            paymentOption: order.payment_option || order.paymentOption || '',
+            paymentReference: order.payment_reference || order.paymentReference || '',
+            paymentStatus: order.payment_status || order.paymentStatus || null,
+            paymentLedger: Array.isArray(order.payment_ledger) ? order.payment_ledger : null,
+            production_checked: order.production_checked || false,
+            logistics_checked: order.logistics_checked || false,
+            assignedTo: order.assigned_to || null,
+            assignedToName: order.assigned_to_name || null,
+            deletedAt: order.deleted_at || null,
+            deletedBy: order.deleted_by_name || order.deleted_by || null,
+            originalStatus: order.original_status || null
+        };
+    }
+}
+
+// Create global instance
+const orderModelService = new OrderModelService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderModelService;
+}
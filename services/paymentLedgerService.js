@@ -0,0 +1,349 @@
+/**
+ * Payment Ledger Service
+ * Deposits and balance payments recorded on orders (`orders.payment_ledger` JSONB array), the
+ * balance-due figure shown on Production and Logistics bubbles, and the "collect balance" dialog
+ *
+ * Ledger entry: { type: 'full' | 'deposit' | 'balance' | 'refund', amount, method, reference, paid_at, recorded_by }
+ * Refund amounts are positive; their reference is the payment they refund (see RefundService).
+ * Orders placed before the ledger existed have none and count as paid in full when created;
+ * that assumed payment is only refundable once payment_status confirms it.
+ */
+
+const PAYMENT_METHODS = {
+    paystack: 'Paystack',
+    mpesa: 'M-Pesa',
+    cash: 'Cash',
+    card: 'Card',
+    bank: 'Bank transfer'
+};
+
+const PAYMENT_TYPES = {
+    full: 'Full payment',
+    deposit: 'Deposit',
+    balance: 'Balance',
+    refund: 'Refund'
+};
+
+// Share of the order total taken as a deposit (also used by the order functions)
+const DEPOSIT_PERCENT = 50;
+
+// payment_status values that confirm an order was paid: Paystack orders (completed, or success
+// on recovered checkouts) and M-Pesa codes verified by reconciliation or by hand
+const CONFIRMED_PAYMENT_STATUSES = ['completed', 'success', 'verified'];
+
+class PaymentLedgerService {
+    /**
+     * Get an order's payments (normalized order or raw orders row)
+     * @param {Object} order - Order
+     * @returns {Array<Object>} Ledger entries, oldest first
+     */
+    getLedger(order) {
+        const ledger = order.paymentLedger !== undefined ? order.paymentLedger : order.payment_ledger;
+        if (Array.isArray(ledger)) {
+            return [...ledger].sort((a, b) => String(a.paid_at || '').localeCompare(String(b.paid_at || '')));
+        }
+
+        // Before the ledger: one payment of the full price when the order was placed
+        return [{
+            type: 'full',
+            amount: parseFloat(order.price) || 0,
+            method: order.paymentOption || order.payment_option || null,
+            reference: order.paymentReference || order.payment_reference || null,
+            paid_at: order.createdAt || order.created_at || null,
+            recorded_by: null
+        }];
+    }
+
+    /**
+     * Whether an order's payment has been confirmed (Paystack, or a verified M-Pesa code)
+     * @param {Object} order - Order
+     * @returns {boolean}
+     */
+    isPaymentConfirmed(order) {
+        const paymentStatus = order.paymentStatus !== undefined ? order.paymentStatus : order.payment_status;
+        return CONFIRMED_PAYMENT_STATUSES.includes(paymentStatus);
+    }
+
+    /**
+     * Ledger entries backed by money actually received
+     * The order's own payment (its payment_reference, e.g. an in-house M-Pesa code recorded when
+     * the order was placed) only counts once the payment is confirmed; without a ledger the
+     * assumed full payment likewise needs confirming. Payments staff record later always count.
+     * @param {Object} order - Order
+     * @returns {Array<Object>} Ledger entries, oldest first
+     */
+    getConfirmedLedger(order) {
+        const ledgerColumn = order.paymentLedger !== undefined ? order.paymentLedger : order.payment_ledger;
+        if (this.isPaymentConfirmed(order)) return this.getLedger(order);
+        if (!Array.isArray(ledgerColumn)) return [];
+
+        const reference = String((order.paymentReference !== undefined ? order.paymentReference : order.payment_reference) || '').toUpperCase();
+        return this.getLedger(order).filter(entry =>
+            entry.type === 'refund' || !reference || String(entry.reference || '').toUpperCase() !== reference);
+    }
+
+    /**
+     * Total paid so far (refunds not deducted)
+     * @param {Object} order - Order
+     * @returns {number} Amount paid
+     */
+    getAmountPaid(order) {
+        return this.getLedger(order)
+            .filter(entry => entry.type !== 'refund')
+            .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+    }
+
+    /**
+     * Total refunded so far
+     * @param {Object} order - Order
+     * @returns {number} Amount refunded
+     */
+    getAmountRefunded(order) {
+        return this.getLedger(order)
+            .filter(entry => entry.type === 'refund')
+            .reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+    }
+
+    /**
+     * Amount that can still be refunded, in total or against one payment reference
+     * @param {Object} order - Order
+     * @param {string} [reference] - Payment reference
+     * @returns {number} Refundable amount
+     */
+    getRefundableAmount(order, reference = null) {
+        // Unconfirmed payments (see getConfirmedLedger) cannot be refunded
+        const matches = (entry) => !reference || String(entry.reference || '').toUpperCase() === String(reference).toUpperCase();
+        const ledger = this.getConfirmedLedger(order).filter(matches);
+        const paid = ledger.filter(entry => entry.type !== 'refund').reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+        const refunded = ledger.filter(entry => entry.type === 'refund').reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+        return Math.max(0, Math.round((paid - refunded) * 100) / 100);
+    }
+
+    /**
+     * Amount still owed on an order
+     * @param {Object} order - Order
+     * @returns {number} Balance due (never negative)
+     */
+    getBalanceDue(order) {
+        const balance = (parseFloat(order.price) || 0) - this.getAmountPaid(order);
+        return balance > 0.005 ? Math.round(balance * 100) / 100 : 0;
+    }
+
+    /**
+     * Deposit asked for on an order total
+     * @param {number} total - Order total
+     * @returns {number} Deposit amount
+     */
+    calculateDeposit(total) {
+        return Math.ceil((parseFloat(total) || 0) * DEPOSIT_PERCENT / 100);
+    }
+
+    /**
+     * Build a ledger entry for a payment recorded by staff
+     * @param {Object} payment - { type, amount, method, reference, paidAt }
+     * @returns {Object} Ledger entry
+     */
+    createEntry({ type, amount, method, reference = null, paidAt = null }) {
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        return {
+            type,
+            amount: Math.round((parseFloat(amount) || 0) * 100) / 100,
+            method,
+            reference: reference ? String(reference).trim().toUpperCase() : null,
+            paid_at: paidAt || new Date().toISOString(),
+            recorded_by: currentUser ? (currentUser.name || currentUser.email || 'Unknown') : null
+        };
+    }
+
+    /**
+     * Add a payment to an order's ledger
+     * The ledger is re-read first so payments recorded elsewhere since the page loaded are kept.
+     * @param {Object} supabase - Supabase client
+     * @param {Object} order - Order
+     * @param {Object} entry - Ledger entry from createEntry
+     * @returns {Promise<Object>} { ledger, error }
+     */
+    async recordPayment(supabase, order, entry) {
+        try {
+            const { data: current, error: fetchError } = await supabase
+                .from('orders')
+                .select('price, payment_ledger, payment_option, payment_reference, created_at')
+                .eq('id', String(order.id))
+                .single();
+
+            if (fetchError) throw fetchError;
+
+            const ledger = [...this.getLedger(current), entry];
+            const { error } = await supabase
+                .from('orders')
+                .update({ payment_ledger: ledger, updated_at: new Date().toISOString() })
+                .eq('id', String(order.id));
+
+            if (error) throw error;
+            return { ledger, error: null };
+        } catch (error) {
+            console.error('Error recording payment:', error);
+            return { ledger: null, error };
+        }
+    }
+
+    /**
+     * Payments that count as revenue, with the date they were received
+     * Ledger payments count when paid and refunds count against revenue when refunded, whatever
+     * the order's status, except the order's own payment while it is unconfirmed (see
+     * getConfirmedLedger). Orders without a ledger keep the old rule: the price, once the order is
+     * completed, dated when it was placed.
+     * @param {Object} order - Raw orders row
+     * @returns {Array<Object>} [{ amount, paidAt }] refunds have a negative amount
+     */
+    getRecognisedPayments(order) {
+        if (!Array.isArray(order.payment_ledger)) {
+            return order.status === 'completed'
+                ? [{ amount: parseFloat(order.price) || 0, paidAt: order.created_at }]
+                : [];
+        }
+        return this.getConfirmedLedger(order)
+            .filter(entry => entry.paid_at)
+            .map(entry => ({
+                amount: (entry.type === 'refund' ? -1 : 1) * (parseFloat(entry.amount) || 0),
+                paidAt: entry.paid_at
+            }));
+    }
+
+    /**
+     * Revenue an order has brought in to date, net of refunds
+     * @param {Object} order - Raw orders row
+     * @returns {number} Net revenue
+     */
+    getNetRevenue(order) {
+        return this.getRecognisedPayments(order).reduce((sum, payment) => sum + payment.amount, 0);
+    }
+
+    /**
+     * Render the balance-due badge for an order bubble header
+     * @param {Object} order - Normalized order
+     * @returns {string} HTML string ('' when fully paid)
+     */
+    renderBalanceBadge(order) {
+        const balance = this.getBalanceDue(order);
+        if (balance <= 0) return '';
+
+        return `
+            <span class="balance-due-badge" title="Paid KES ${this.getAmountPaid(order).toLocaleString()} of KES ${(parseFloat(order.price) || 0).toLocaleString()}" style="display: inline-block; margin-top: 6px; margin-right: 4px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: white; background: #DD6B20; border: 1px solid #DD6B20;">
+                Balance due: KES ${balance.toLocaleString()}
+            </span>
+        `;
+    }
+
+    /**
+     * Render the payments detail rows for an order with more than one payment or a balance due
+     * @param {Object} order - Normalized order
+     * @returns {string} HTML string
+     */
+    renderLedgerDetails(order) {
+        const ledger = this.getLedger(order);
+        const balance = this.getBalanceDue(order);
+        if (ledger.length <= 1 && balance <= 0) return '';
+
+        const formatDate = (value) => value
+            ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+            : 'Unknown date';
+
+        return `
+            <div class="detail-row">
+                <div class="detail-label">Payments:</div>
+                <div class="detail-value">
+                    ${ledger.map(entry => `
+                        <div style="margin-bottom: 4px;">
+                            ${htmlService.escape(PAYMENT_TYPES[entry.type] || entry.type)}: ${entry.type === 'refund' ? '-' : ''}KES ${(parseFloat(entry.amount) || 0).toLocaleString()}
+                            <span style="color: #718096; font-size: 12px;">· ${htmlService.escape(PAYMENT_METHODS[entry.method] || entry.method || 'Unknown')}${entry.reference ? ` ${htmlService.escape(entry.reference)}` : ''} · ${formatDate(entry.paid_at)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            ${balance > 0 ? `
+                <div class="detail-row">
+                    <div class="detail-label">Balance Due:</div>
+                    <div class="detail-value" style="color: #C05621; font-weight: 600;">KES ${balance.toLocaleString()}</div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Ask staff for the balance payment collected from the customer
+     * @param {Object} order - Normalized order
+     * @returns {Promise<Object|null>} Ledger entry, or null when cancelled
+     */
+    promptBalancePayment(order) {
+        const balance = this.getBalanceDue(order);
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'confirm-dialog-overlay';
+            overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 20001; display: flex; align-items: center; justify-content: center;';
+
+            const inputStyle = 'width: 100%; box-sizing: border-box; padding: 10px; margin-bottom: 12px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 6px; font-size: 14px;';
+            overlay.innerHTML = `
+                <form role="dialog" aria-modal="true" style="background: white; border-radius: 12px; padding: 24px; max-width: 440px; width: 90%; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                    <h2 style="margin: 0 0 12px 0; color: #1B4D3E; font-size: 20px;">Collect Balance</h2>
+                    <p style="margin: 0 0 12px 0; color: #2d3748; font-size: 14px; line-height: 1.5;">${htmlService.escape(order.customerName || 'Customer')} owes <strong>KES ${balance.toLocaleString()}</strong> of KES ${(parseFloat(order.price) || 0).toLocaleString()}.</p>
+                    <label style="display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;">Amount received (KES)</label>
+                    <input name="amount" type="number" min="1" step="any" required value="${balance}" style="${inputStyle}">
+                    <label style="display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;">Method</label>
+                    <select name="method" style="${inputStyle}">
+                        ${['mpesa', 'cash', 'card', 'bank'].map(method => `<option value="${method}">${PAYMENT_METHODS[method]}</option>`).join('')}
+                    </select>
+                    <label style="display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;">Reference (M-Pesa code, receipt no.)</label>
+                    <input name="reference" type="text" maxlength="30" style="${inputStyle} margin-bottom: 24px;">
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" data-dialog="cancel" style="padding: 10px 20px; background: #E2E8F0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Cancel</button>
+                        <button type="submit" style="padding: 10px 20px; background: #1B4D3E; color: white; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Record Payment</button>
+                    </div>
+                </form>
+            `;
+
+            const form = overlay.querySelector('form');
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeyDown);
+                overlay.remove();
+                resolve(result);
+            };
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const amount = parseFloat(form.querySelector('[name="amount"]').value);
+                const method = form.querySelector('[name="method"]').value;
+                const reference = form.querySelector('[name="reference"]').value.trim();
+                if (!(amount > 0)) {
+                    notificationService.warning('Enter the amount received');
+                    return;
+                }
+                if (method === 'mpesa' && !/^[A-Z0-9]{8,20}$/i.test(reference)) {
+                    notificationService.warning('Enter the M-Pesa transaction code');
+                    return;
+                }
+                close(this.createEntry({ type: 'balance', amount, method, reference }));
+            });
+            overlay.querySelector('[data-dialog="cancel"]').addEventListener('click', () => close(null));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+            document.addEventListener('keydown', onKeyDown);
+
+            document.body.appendChild(overlay);
+            form.querySelector('[name="amount"]').focus();
+        });
+    }
+}
+
+// Create global instance
+const paymentLedgerService = new PaymentLedgerService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentLedgerService;
+}
@@ -0,0 +1,286 @@
+/**
+ * Print Service
+ * Print-optimised job cards (Production) and packing slips (Logistics). Sheets open in a
+ * new window and go straight to the browser's print dialog, which can also save as PDF.
+ *
+ * QR codes are drawn with qrcodejs (global `QRCode`) and link back to the order.
+ */
+
+const PRINT_STYLES = `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a202c; }
+    .sheet { padding: 16px; page-break-after: always; break-after: page; }
+    .sheet:last-child { page-break-after: auto; break-after: auto; }
+    .sheet-header { display: flex; justify-content: space-between; align-items: flex-start; gap: 16px; border-bottom: 2px solid #1B4D3E; padding-bottom: 10px; margin-bottom: 14px; }
+    .sheet-title { font-size: 20px; font-weight: 700; color: #1B4D3E; margin: 0 0 4px 0; }
+    .sheet-subtitle { font-size: 12px; color: #4a5568; }
+    .qr img, .qr canvas { width: 110px; height: 110px; }
+    .qr-caption { font-size: 9px; color: #718096; text-align: center; word-break: break-all; max-width: 110px; }
+    .product { display: flex; gap: 16px; margin-bottom: 14px; }
+    .product img { width: 140px; height: 140px; object-fit: cover; border-radius: 6px; border: 1px solid #cbd5e0; }
+    .fields { width: 100%; border-collapse: collapse; font-size: 14px; }
+    .fields th { text-align: left; width: 35%; padding: 6px 8px; background: #f7fafc; border: 1px solid #e2e8f0; font-weight: 600; }
+    .fields td { padding: 6px 8px; border: 1px solid #e2e8f0; }
+    .box { border: 1px solid #e2e8f0; border-radius: 6px; padding: 10px; margin-top: 12px; font-size: 14px; }
+    .box-label { font-size: 11px; font-weight: 700; text-transform: uppercase; color: #718096; margin-bottom: 4px; }
+    .address { font-size: 18px; line-height: 1.4; }
+    .tag { display: inline-flex; align-items: center; gap: 10px; border: 1px dashed #a0aec0; padding: 8px; margin: 4px; }
+    .tag-text { font-size: 12px; max-width: 140px; }
+    @page { margin: 10mm; }
+`;
+
+class PrintService {
+    /**
+     * Draw a QR code as a data URL
+     * @param {string} text - Encoded text
+     * @param {number} size - Size in pixels
+     * @returns {string} PNG data URL, or '' when qrcodejs is not loaded
+     */
+    renderQrCode(text, size = 220) {
+        if (typeof QRCode === 'undefined') {
+            console.warn('⚠️ QRCode library not loaded; printing without QR code');
+            return '';
+        }
+
+        const holder = document.createElement('div');
+        new QRCode(holder, {
+            text,
+            width: size,
+            height: size,
+            correctLevel: QRCode.CorrectLevel.M
+        });
+
+        const canvas = holder.querySelector('canvas');
+        return canvas ? canvas.toDataURL('image/png') : '';
+    }
+
+    /**
+     * Render the QR block linking back to an order
+     * @param {Object} order - Order object
+     * @returns {string} HTML string
+     */
+    renderOrderQr(order) {
+        const url = orderLinkService.getOrderUrl(order.id);
+        const qr = this.renderQrCode(url);
+        if (!qr) return '';
+
+        return `
+            <div class="qr">
+                <img src="${qr}" alt="Order QR code">
+                <div class="qr-caption">Order ${htmlService.escape(this.shortOrderId(order.id))}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Short reference printed next to the QR code
+     * @param {string|number} orderId - Order ID
+     * @returns {string} First 8 characters of the ID
+     */
+    shortOrderId(orderId) {
+        return String(orderId).slice(0, 8).toUpperCase();
+    }
+
+    /**
+     * Turn a measurements object into printable rows
+     * Standard sizes print as "Size"; custom measurements print each value in inches.
+     * @param {Object} measurements - Measurements object
+     * @returns {Array} [{ label, value }]
+     */
+    formatMeasurements(measurements) {
+        const inches = ['bust', 'waist', 'hips'];
+        return Object.entries(measurements || {})
+            .filter(([, value]) => value && value !== 'N/A' && value !== '')
+            .map(([key, value]) => ({
+                label: key.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+                value: inches.includes(key) ? `${value}"` : value
+            }));
+    }
+
+    /**
+     * Format a YYYY-MM-DD date for print
+     * @param {string} date - Date string
+     * @returns {string} Formatted date, or '' when not set
+     */
+    formatDate(date) {
+        if (!date) return '';
+        const [year, month, day] = String(date).split('T')[0].split('-').map(Number);
+        if (!year || !month || !day) return '';
+        return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    /**
+     * Render one job card (one item of an order)
+     * @param {Object} order - Normalized order
+     * @param {Object} item - Normalized item
+     * @param {number} index - Item index
+     * @returns {string} HTML string
+     */
+    renderJobCard(order, item, index) {
+        const items = order.items || [];
+        const measurements = this.formatMeasurements(
+            item.measurements && Object.keys(item.measurements).length > 0 ? item.measurements : order.measurements
+        );
+        const tailor = item.assignedToName || order.assignedToName;
+
+        return `
+            <div class="sheet">
+                <div class="sheet-header">
+                    <div>
+                        <div class="sheet-title">Job Card</div>
+                        <div class="sheet-subtitle">${htmlService.escape(order.customerName)} · Item ${index + 1} of ${items.length}</div>
+                        <div class="sheet-subtitle">Ordered ${htmlService.escape(order.date)}</div>
+                    </div>
+                    ${this.renderOrderQr(order)}
+                </div>
+                <div class="product">
+                    <img src="${htmlService.escape(item.productImage)}" alt="${htmlService.escape(item.productName)}">
+                    <table class="fields">
+                        <tr><th>Product</th><td>${htmlService.escape(item.productName)}</td></tr>
+                        <tr><th>Colour</th><td>${htmlService.escape(item.color || '—')}</td></tr>
+                        <tr><th>Due Date</th><td>${htmlService.escape(this.formatDate(order.promisedDate) || 'Not set')}</td></tr>
+                        <tr><th>Tailor</th><td>${htmlService.escape(tailor || 'Unassigned')}</td></tr>
+                    </table>
+                </div>
+                <table class="fields">
+                    ${measurements.length > 0
+                        ? measurements.map(row => `<tr><th>${htmlService.escape(row.label)}</th><td>${htmlService.escape(row.value)}</td></tr>`).join('')
+                        : '<tr><th>Measurements</th><td>No measurements provided</td></tr>'}
+                </table>
+                ${order.comments ? `
+                    <div class="box">
+                        <div class="box-label">Comments</div>
+                        <div style="white-space: pre-line;">${htmlService.escape(order.comments)}</div>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the packing slip / delivery label for an order
+     * @param {Object} order - Normalized order
+     * @param {string} deliveryLabel - Delivery option as shown to staff
+     * @returns {string} HTML string
+     */
+    renderPackingSlip(order, deliveryLabel) {
+        const items = (order.items || []).filter(item => !item.shippedAt);
+
+        return `
+            <div class="sheet">
+                <div class="sheet-header">
+                    <div>
+                        <div class="sheet-title">Packing Slip</div>
+                        <div class="sheet-subtitle">Ordered ${htmlService.escape(order.date)}${order.promisedDate ? ` · Due ${htmlService.escape(this.formatDate(order.promisedDate))}` : ''}</div>
+                    </div>
+                    ${this.renderOrderQr(order)}
+                </div>
+                <div class="box address">
+                    <div class="box-label">Deliver To</div>
+                    <div><strong>${htmlService.escape(order.customerName)}</strong></div>
+                    ${order.phone ? `<div>${htmlService.escape(order.phone)}</div>` : ''}
+                    ${order.deliveryLocation ? `<div>${htmlService.escape(order.deliveryLocation)}</div>` : ''}
+                </div>
+                <table class="fields" style="margin-top: 12px;">
+                    <tr><th>Delivery Option</th><td>${htmlService.escape(deliveryLabel || 'Not specified')}</td></tr>
+                </table>
+                <table class="fields" style="margin-top: 12px;">
+                    <tr><th style="width: auto;">Item</th><th style="width: auto;">Colour</th><th style="width: 60px;">Packed</th></tr>
+                    ${items.map(item => `
+                        <tr><td>${htmlService.escape(item.productName)}</td><td>${htmlService.escape(item.color || '—')}</td><td>☐</td></tr>
+                    `).join('')}
+                </table>
+                ${items.length < (order.items || []).length ? `
+                    <div class="box">${(order.items || []).length - items.length} item(s) already shipped separately</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the small QR tag attached to an order's garments for scanning
+     * @param {Object} order - Normalized order
+     * @returns {string} HTML string
+     */
+    renderQrTag(order) {
+        return `
+            <div class="tag">
+                ${this.renderOrderQr(order)}
+                <div class="tag-text">
+                    <strong>${htmlService.escape(order.customerName)}</strong><br>
+                    ${(order.items || []).length} item${(order.items || []).length !== 1 ? 's' : ''}
+                    ${order.promisedDate ? `<br>Due ${htmlService.escape(this.formatDate(order.promisedDate))}` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open sheets in a new window and print them
+     * @param {string} title - Window title
+     * @param {string} sheetsHtml - Sheet HTML
+     * @returns {boolean} Whether the print window opened
+     */
+    openPrintWindow(title, sheetsHtml) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            notificationService.error('Could not open the print window. Please allow pop-ups for this site.');
+            return false;
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <base href="${htmlService.escape(document.baseURI)}">
+    <title>${htmlService.escape(title)}</title>
+    <style>${PRINT_STYLES}</style>
+</head>
+<body>
+    ${sheetsHtml}
+    <script>window.addEventListener('load', function () { window.focus(); window.print(); });<\/script>
+</body>
+</html>`);
+        printWindow.document.close();
+        return true;
+    }
+
+    /**
+     * Print a job card for every item of an order
+     * @param {Object} order - Normalized order
+     * @returns {boolean} Whether the print window opened
+     */
+    printJobCards(order) {
+        const sheets = (order.items || []).map((item, index) => this.renderJobCard(order, item, index)).join('');
+        return this.openPrintWindow(`Job Cards - ${order.customerName}`, sheets);
+    }
+
+    /**
+     * Print one QR tag per item of an order (each garment gets its own tag)
+     * @param {Object} order - Normalized order
+     * @returns {boolean} Whether the print window opened
+     */
+    printQrTags(order) {
+        const tags = (order.items || [order]).map(() => this.renderQrTag(order)).join('');
+        return this.openPrintWindow(`QR Tags - ${order.customerName}`, `<div class="sheet">${tags}</div>`);
+    }
+
+    /**
+     * Print the packing slip for an order
+     * @param {Object} order - Normalized order
+     * @param {string} deliveryLabel - Delivery option as shown to staff
+     * @returns {boolean} Whether the print window opened
+     */
+    printPackingSlip(order, deliveryLabel) {
+        return this.openPrintWindow(`Packing Slip - ${order.customerName}`, this.renderPackingSlip(order, deliveryLabel));
+    }
+}
+
+// Create global instance
+const printService = new PrintService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrintService;
+}
@@ -0,0 +1,236 @@
+/**
+ * Production Progress Service
+ * Per-item production stages for orders (cutting, sewing, finishing, QC)
+ * Progress is stored on each entry of the `items` JSONB array:
+ *   { ..., production: { cutting: true, sewing: false, ... }, shipped_at: null, delivered_at: null }
+ *
+ * Items shipped early (partial shipment) are listed in Logistics while the rest of the order
+ * is still in production, until they are marked delivered.
+ */
+
+const PRODUCTION_STAGES = [
+    { key: 'cutting', label: 'Cutting' },
+    { key: 'sewing', label: 'Sewing' },
+    { key: 'finishing', label: 'Finishing' },
+    { key: 'qc', label: 'QC' }
+];
+
+// Attempts to save items when someone else saves the same order at the same time
+const ITEM_SAVE_ATTEMPTS = 3;
+
+class ProductionProgressService {
+    constructor() {
+        this.stages = PRODUCTION_STAGES;
+    }
+
+    /**
+     * Whether finished items may be shipped before the whole order is done
+     * Controlled by the ALLOW_PARTIAL_SHIPMENT environment variable.
+     * @returns {boolean}
+     */
+    isPartialShipmentAllowed() {
+        return typeof window !== 'undefined' && window.ALLOW_PARTIAL_SHIPMENT === true;
+    }
+
+    /**
+     * Check whether an item has passed every production stage
+     * Items already shipped count as done.
+     * @param {Object} item - Normalized order item
+     * @returns {boolean}
+     */
+    isItemDone(item) {
+        if (item.shippedAt) return true;
+        const production = item.production || {};
+        return this.stages.every(stage => production[stage.key] === true);
+    }
+
+    /**
+     * Summarize item progress for an order
+     * @param {Object} order - Normalized order
+     * @returns {Object} { done, total, shipped, complete }
+     */
+    getProgress(order) {
+        const items = order.items || [];
+        const done = items.filter(item => this.isItemDone(item)).length;
+        const shipped = items.filter(item => item.shippedAt).length;
+        return {
+            done,
+            total: items.length,
+            shipped,
+            complete: items.length > 0 && done === items.length
+        };
+    }
+
+    /**
+     * Items that have passed QC but have not been shipped yet
+     * @param {Object} order - Normalized order
+     * @returns {Array} Item indexes
+     */
+    getShippableItemIndexes(order) {
+        return (order.items || [])
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => !item.shippedAt && this.isItemDone(item))
+            .map(({ index }) => index);
+    }
+
+    /**
+     * Return a copy of the order items with one stage ticked or unticked
+     * @param {Array} items - Normalized items
+     * @param {number} itemIndex - Index of the item to update
+     * @param {string} stageKey - Stage key
+     * @param {boolean} done - Whether the stage is done
+     * @returns {Array} Updated items
+     */
+    setStage(items, itemIndex, stageKey, done) {
+        return items.map((item, index) => {
+            if (index !== itemIndex) return item;
+            return { ...item, production: { ...(item.production || {}), [stageKey]: done } };
+        });
+    }
+
+    /**
+     * Return a copy of the order items with the given items marked as shipped
+     * @param {Array} items - Normalized items
+     * @param {Array} itemIndexes - Indexes of items to ship
+     * @returns {Array} Updated items
+     */
+    markItemsShipped(items, itemIndexes) {
+        const shippedAt = new Date().toISOString();
+        return items.map((item, index) => (
+            itemIndexes.includes(index) ? { ...item, shippedAt } : item
+        ));
+    }
+
+    /**
+     * Items shipped early that have not been delivered yet
+     * @param {Object} order - Normalized order
+     * @returns {Array} Item indexes
+     */
+    getAwaitingDeliveryItemIndexes(order) {
+        return (order.items || [])
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.shippedAt && !item.deliveredAt)
+            .map(({ index }) => index);
+    }
+
+    /**
+     * Whether an order still in production has shipped items for Logistics to deliver
+     * @param {Object} order - Normalized order
+     * @returns {boolean}
+     */
+    hasEarlyShipment(order) {
+        return order.status === 'in_progress' && this.getAwaitingDeliveryItemIndexes(order).length > 0;
+    }
+
+    /**
+     * Return a copy of the order items with the given items marked as delivered
+     * @param {Array} items - Normalized items
+     * @param {Array} itemIndexes - Indexes of items delivered
+     * @returns {Array} Updated items
+     */
+    markItemsDelivered(items, itemIndexes) {
+        const deliveredAt = new Date().toISOString();
+        return items.map((item, index) => (
+            itemIndexes.includes(index) ? { ...item, deliveredAt } : item
+        ));
+    }
+
+    /**
+     * Save a change to an order's items JSONB column
+     * The change is applied to a fresh read of the items and only saved if nobody else saved
+     * the order in between (checked on updated_at), retrying on their version otherwise, so
+     * two people updating items of the same order do not overwrite each other.
+     * @param {Object} supabase - Supabase client
+     * @param {Object} order - Normalized order
+     * @param {Function} applyChange - (items) => updated items, called with the latest items
+     * @returns {Promise<Object>} { items, updatedAt, error } items is null when nothing was saved;
+     *          error.code is NOT_FOUND or CONFLICT when the order is gone or kept changing
+     */
+    async saveItems(supabase, order, applyChange) {
+        for (let attempt = 1; attempt <= ITEM_SAVE_ATTEMPTS; attempt++) {
+            const { data: rows, error: readError } = await supabase
+                .from('orders')
+                .select('*, products (name, image_url)')
+                .eq('id', String(order.id))
+                .limit(1);
+
+            if (readError) return { items: null, updatedAt: null, error: readError };
+
+            const current = rows && rows[0];
+            if (!current) {
+                return { items: null, updatedAt: null, error: { code: 'NOT_FOUND', message: 'Order not found in database. Please refresh the page.' } };
+            }
+
+            const updatedItems = applyChange(orderModelService.normalizeItems(current, order.measurements));
+            const savedAt = new Date().toISOString();
+            let query = supabase
+                .from('orders')
+                .update({
+                    items: orderModelService.serializeItems(updatedItems),
+                    updated_at: savedAt
+                })
+                .eq('id', String(order.id));
+            query = current.updated_at ? query.eq('updated_at', current.updated_at) : query.is('updated_at', null);
+
+            const { data, error } = await query.select();
+            if (error) return { items: null, updatedAt: null, error };
+            if (data && data.length > 0) return { items: updatedItems, updatedAt: savedAt, error: null };
+            // Saved by someone else since the read; apply the change to their version
+        }
+
+        return { items: null, updatedAt: null, error: { code: 'CONFLICT', message: 'This order is being updated by someone else. Please try again.' } };
+    }
+
+    /**
+     * Render the "2 of 3 items done" badge shown on order bubbles
+     * @param {Object} order - Normalized order
+     * @returns {string} HTML string
+     */
+    renderProgressBadge(order) {
+        const progress = this.getProgress(order);
+        const color = progress.complete ? '#4CAF50' : '#D69E2E';
+        return `
+            <span class="production-progress-badge" style="display: inline-block; margin-top: 6px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: ${color}; border: 1px solid ${color};">
+                ${progress.done} of ${progress.total} item${progress.total !== 1 ? 's' : ''} done${progress.shipped > 0 ? ` · ${progress.shipped} shipped` : ''}
+            </span>
+        `;
+    }
+
+    /**
+     * Render the per-item stage checklist
+     * Stage buttons carry the `btn` class so clicking them does not collapse the bubble.
+     * @param {Object} order - Normalized order
+     * @param {Function} renderItemExtras - Optional (item, index) => HTML appended to each item row
+     * @returns {string} HTML string
+     */
+    renderChecklist(order, renderItemExtras = null) {
+        const items = order.items || [];
+        return items.map((item, index) => {
+            const production = item.production || {};
+            const stageButtons = this.stages.map(stage => {
+                const checked = production[stage.key] === true;
+                return `<button class="btn production-stage-btn" data-action="stage" data-item-index="${index}" data-stage="${stage.key}" ${item.shippedAt ? 'disabled' : ''}
+                    style="padding: 4px 8px; font-size: 11px; border-radius: 12px; border: 1px solid ${checked ? '#4CAF50' : 'rgba(65, 70, 63, 0.3)'}; background: ${checked ? 'rgba(76, 175, 80, 0.1)' : 'white'}; color: ${checked ? '#2F855A' : '#4a5568'};">${checked ? '✓ ' : ''}${stage.label}</button>`;
+            }).join('');
+
+            return `
+                <div style="padding: 6px 0; border-bottom: 1px solid rgba(0,0,0,0.05);">
+                    <div style="font-size: 12px; font-weight: 600; color: #2d3748; margin-bottom: 4px;">
+                        ${index + 1}. ${item.productName}${item.color ? ` (${item.color})` : ''}
+                        ${item.shippedAt ? '<span style="color: #3182CE; font-weight: 500;"> · Shipped</span>' : this.isItemDone(item) ? '<span style="color: #4CAF50; font-weight: 500;"> · Done</span>' : ''}
+                    </div>
+                    <div style="display: flex; flex-wrap: wrap; gap: 6px;">${stageButtons}</div>
+                    ${renderItemExtras ? renderItemExtras(item, index) : ''}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// Create global instance
+const productionProgressService = new ProductionProgressService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductionProgressService;
+}
@@ -0,0 +1,147 @@
+/**
+ * Promised Date Service
+ * Computes the date an order is promised to the customer (product lead time + delivery time)
+ * and renders the countdown badges shown on order bubbles
+ *
+ * Stored on orders as `promised_date` (YYYY-MM-DD). Products may set `lead_time_days`.
+ */
+
+const DEFAULT_PRODUCT_LEAD_DAYS = 7;
+
+// Days added on top of production for each delivery option
+const DELIVERY_LEAD_DAYS = {
+    'in-store-pickup': 0,
+    'uber': 1,
+    'pickup-mtaani': 3,
+    'courier': 3
+};
+
+const DEFAULT_DELIVERY_LEAD_DAYS = 2;
+
+// Orders due within this many days are flagged as due soon
+const DUE_SOON_DAYS = 2;
+
+class PromisedDateService {
+    constructor() {
+        this.defaultProductLeadDays = DEFAULT_PRODUCT_LEAD_DAYS;
+        this.deliveryLeadDays = DELIVERY_LEAD_DAYS;
+        this.dueSoonDays = DUE_SOON_DAYS;
+    }
+
+    /**
+     * Format a Date as YYYY-MM-DD in local time
+     * @param {Date} date - Date
+     * @returns {string} Date string
+     */
+    toDateString(date) {
+        return date.getFullYear() + '-' +
+            String(date.getMonth() + 1).padStart(2, '0') + '-' +
+            String(date.getDate()).padStart(2, '0');
+    }
+
+    /**
+     * Compute the promised date for a new order
+     * Multi-item orders take the longest product lead time.
+     * @param {Array} products - Product rows (may carry `lead_time_days`)
+     * @param {string} deliveryOption - Delivery option value
+     * @param {Date} from - Order date (defaults to now)
+     * @returns {string} Promised date (YYYY-MM-DD)
+     */
+    computePromisedDate(products, deliveryOption, from = new Date()) {
+        const productLeadDays = (products || [])
+            .map(product => Number(product && product.lead_time_days))
+            .filter(days => Number.isFinite(days) && days >= 0);
+
+        const leadDays = productLeadDays.length > 0 ? Math.max(...productLeadDays) : this.defaultProductLeadDays;
+        const deliveryDays = Object.prototype.hasOwnProperty.call(this.deliveryLeadDays, deliveryOption)
+            ? this.deliveryLeadDays[deliveryOption]
+            : DEFAULT_DELIVERY_LEAD_DAYS;
+
+        const promised = new Date(from);
+        promised.setDate(promised.getDate() + leadDays + deliveryDays);
+        return this.toDateString(promised);
+    }
+
+    /**
+     * Whole days from today until the promised date (negative when overdue)
+     * @param {string} promisedDate - Promised date (YYYY-MM-DD)
+     * @returns {number|null} Days remaining, or null when no date is set
+     */
+    daysUntil(promisedDate) {
+        if (!promisedDate) return null;
+        const [year, month, day] = String(promisedDate).split('T')[0].split('-').map(Number);
+        if (!year || !month || !day) return null;
+
+        const due = new Date(year, month - 1, day);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return Math.round((due - today) / (1000 * 60 * 60 * 24));
+    }
+
+    /**
+     * Classify an order against its promised date
+     * @param {Object} order - Normalized order (with `promisedDate`)
+     * @returns {string|null} 'overdue', 'due-soon', 'on-track', or null when no date is set
+     */
+    getDueStatus(order) {
+        const days = this.daysUntil(order.promisedDate);
+        if (days === null) return null;
+        if (days < 0) return 'overdue';
+        if (days <= this.dueSoonDays) return 'due-soon';
+        return 'on-track';
+    }
+
+    /**
+     * Move overdue orders to the top, most overdue first; other orders keep their order
+     * @param {Array} orders - Normalized orders
+     * @returns {Array} Sorted copy
+     */
+    sortOverdueFirst(orders) {
+        const overdue = orders
+            .filter(order => this.getDueStatus(order) === 'overdue')
+            .sort((a, b) => this.daysUntil(a.promisedDate) - this.daysUntil(b.promisedDate));
+        const rest = orders.filter(order => this.getDueStatus(order) !== 'overdue');
+        return [...overdue, ...rest];
+    }
+
+    /**
+     * Render the countdown badge shown on order bubbles
+     * @param {Object} order - Normalized order
+     * @returns {string} HTML string (empty when no date is set)
+     */
+    renderCountdownBadge(order) {
+        const days = this.daysUntil(order.promisedDate);
+        if (days === null) return '';
+
+        const status = this.getDueStatus(order);
+        const colors = {
+            'overdue': '#E53E3E',
+            'due-soon': '#D69E2E',
+            'on-track': '#38A169'
+        };
+        const color = colors[status];
+
+        let text;
+        if (days < 0) {
+            text = `Overdue by ${Math.abs(days)} day${Math.abs(days) !== 1 ? 's' : ''}`;
+        } else if (days === 0) {
+            text = 'Due today';
+        } else {
+            text = `Due in ${days} day${days !== 1 ? 's' : ''}`;
+        }
+
+        return `
+            <span class="promised-date-badge" title="Promised by ${order.promisedDate}" style="display: inline-block; margin-top: 6px; margin-right: 4px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: ${status === 'on-track' ? color : 'white'}; background: ${status === 'on-track' ? 'transparent' : color}; border: 1px solid ${color};">
+                ${text}
+            </span>
+        `;
+    }
+}
+
+// Create global instance
+const promisedDateService = new PromisedDateService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromisedDateService;
+}
@@ -0,0 +1,210 @@
+/**
+ * Refund Service
+ * Refunds on denied orders: the "deny and refund" dialog, issuing the refund (Paystack payments
+ * through the paystack-refund function, M-Pesa payments sent back by hand and recorded here),
+ * and the `refunds` records that link each refund to the payment it returns
+ *
+ * Every refund is also added to the order's payment ledger as a 'refund' entry, which is what
+ * revenue and analytics deduct.
+ */
+
+const REFUNDS_TABLE = 'refunds';
+
+class RefundService {
+    /**
+     * Payment a refund on this order goes back to (the order's original payment)
+     * @param {Object} order - Normalized order
+     * @returns {Object|null} Ledger entry
+     */
+    getRefundablePayment(order) {
+        const payments = paymentLedgerService.getLedger(order).filter(entry => entry.type !== 'refund');
+        const reference = String(order.paymentReference || '').toUpperCase();
+        return payments.find(entry => reference && String(entry.reference || '').toUpperCase() === reference) ||
+            payments[0] ||
+            null;
+    }
+
+    /**
+     * Amount that can still be refunded on an order's original payment
+     * @param {Object} order - Normalized order
+     * @returns {number} Refundable amount
+     */
+    getRefundableAmount(order) {
+        const payment = this.getRefundablePayment(order);
+        return payment ? paymentLedgerService.getRefundableAmount(order, payment.reference) : 0;
+    }
+
+    /**
+     * Ask staff whether to refund a paid order they are denying, and how much
+     * @param {Object} order - Normalized order
+     * @returns {Promise<Object|null>} { amount, reason } (amount 0 for no refund), or null when cancelled
+     */
+    promptRefund(order) {
+        const payment = this.getRefundablePayment(order);
+        const refundable = this.getRefundableAmount(order);
+        const method = payment ? (PAYMENT_METHODS[payment.method] || payment.method || 'Unknown') : 'Unknown';
+        const howItIsRefunded = payment && payment.method === 'paystack'
+            ? 'The refund is sent back through Paystack.'
+            : `Send the money back by ${method} first; this records the refund.`;
+
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'confirm-dialog-overlay';
+            overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 20001; display: flex; align-items: center; justify-content: center;';
+
+            const inputStyle = 'width: 100%; box-sizing: border-box; padding: 10px; margin-bottom: 12px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 6px; font-size: 14px;';
+            const buttonStyle = 'padding: 10px 16px; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;';
+            overlay.innerHTML = `
+                <form role="dialog" aria-modal="true" style="background: white; border-radius: 12px; padding: 24px; max-width: 460px; width: 90%; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                    <h2 style="margin: 0 0 12px 0; color: #1B4D3E; font-size: 20px;">Deny paid order</h2>
+                    <p style="margin: 0 0 12px 0; color: #2d3748; font-size: 14px; line-height: 1.5;">${htmlService.escape(order.customerName || 'The customer')} paid <strong>KES ${refundable.toLocaleString()}</strong> by ${htmlService.escape(method)}${payment && payment.reference ? ` (${htmlService.escape(payment.reference)})` : ''}. ${htmlService.escape(howItIsRefunded)}</p>
+                    <label style="display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;">Refund amount (KES)</label>
+                    <input name="amount" type="number" min="1" max="${refundable}" step="any" required value="${refundable}" style="${inputStyle}">
+                    <label style="display: block; font-size: 13px; font-weight: 600; color: #41463F; margin-bottom: 4px;">Reason</label>
+                    <input name="reason" type="text" maxlength="200" placeholder="e.g. Out of stock" style="${inputStyle} margin-bottom: 24px;">
+                    <div style="display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap;">
+                        <button type="button" data-dialog="cancel" style="${buttonStyle} background: #E2E8F0; color: #2d3748;">Cancel</button>
+                        <button type="button" data-dialog="no-refund" style="${buttonStyle} background: white; color: #C53030; border: 1px solid #C53030;">Deny without refund</button>
+                        <button type="submit" style="${buttonStyle} background: #C53030; color: white;">Deny and refund</button>
+                    </div>
+                </form>
+            `;
+
+            const form = overlay.querySelector('form');
+            const reasonInput = form.querySelector('[name="reason"]');
+            const close = (result) => {
+                document.removeEventListener('keydown', onKeyDown);
+                overlay.remove();
+                resolve(result);
+            };
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const amount = parseFloat(form.querySelector('[name="amount"]').value);
+                if (!(amount > 0)) {
+                    notificationService.warning('Enter the amount to refund');
+                    return;
+                }
+                if (amount > refundable) {
+                    notificationService.warning(`No more than KES ${refundable.toLocaleString()} can be refunded`);
+                    return;
+                }
+                close({ amount: Math.round(amount * 100) / 100, reason: reasonInput.value.trim() || null });
+            });
+            overlay.querySelector('[data-dialog="no-refund"]').addEventListener('click', () => {
+                close({ amount: 0, reason: reasonInput.value.trim() || null });
+            });
+            overlay.querySelector('[data-dialog="cancel"]').addEventListener('click', () => close(null));
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) close(null);
+            });
+            document.addEventListener('keydown', onKeyDown);
+
+            document.body.appendChild(overlay);
+            form.querySelector('[name="amount"]').focus();
+        });
+    }
+
+    /**
+     * Refund part or all of an order's original payment
+     * @param {Object} supabase - Supabase client
+     * @param {Object} order - Normalized order
+     * @param {Object} refund - { amount, reason }
+     * @returns {Promise<Object>} { refund, error }
+     */
+    async issueRefund(supabase, order, { amount, reason = null }) {
+        const payment = this.getRefundablePayment(order);
+        if (!payment) {
+            return { refund: null, error: new Error('This order has no payment to refund') };
+        }
+
+        if (payment.method === 'paystack') {
+            try {
+                // The function takes the staff member from the session, not from the request
+                const response = await fetch('/.netlify/functions/paystack-refund', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...authService.getAuthHeaders() },
+                    body: JSON.stringify({ orderId: order.id, amount, reason })
+                });
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    return { refund: null, error: new Error(result.error || 'Paystack refund failed') };
+                }
+                return { refund: result.refund, error: null };
+            } catch (error) {
+                return { refund: null, error };
+            }
+        }
+
+        // Paid outside Paystack: staff have sent the money back, so record it
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        const staffName = currentUser ? (currentUser.name || currentUser.email || 'Unknown') : 'Unknown';
+        const entry = paymentLedgerService.createEntry({
+            type: 'refund',
+            amount,
+            method: payment.method,
+            reference: payment.reference
+        });
+        const { data, error } = await supabase
+            .from(REFUNDS_TABLE)
+            .insert({
+                order_id: order.id,
+                payment_reference: entry.reference,
+                amount: entry.amount,
+                method: entry.method,
+                reason,
+                status: 'recorded',
+                provider_refund_id: null,
+                created_by: staffName,
+                created_at: entry.paid_at
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error saving refund:', error);
+            return { refund: null, error };
+        }
+
+        // Without its ledger entry the refund is withdrawn, so a retry does not record it twice
+        const { error: ledgerError } = await paymentLedgerService.recordPayment(supabase, order, entry);
+        if (ledgerError) {
+            console.error('Error adding refund to the payment ledger:', ledgerError);
+            const { error: withdrawError } = await supabase
+                .from(REFUNDS_TABLE)
+                .delete()
+                .eq('id', data.id);
+            if (withdrawError) {
+                console.error('Error withdrawing refund record:', withdrawError);
+            }
+            return { refund: null, error: ledgerError };
+        }
+
+        return { refund: data, error: null };
+    }
+
+    /**
+     * Load refunds, newest first
+     * @param {Object} supabase - Supabase client
+     * @returns {Promise<Object>} { refunds, error }
+     */
+    async loadRefunds(supabase) {
+        const { data, error } = await supabase
+            .from(REFUNDS_TABLE)
+            .select('*, orders(order_number, customers(name))')
+            .order('created_at', { ascending: false });
+
+        return { refunds: data || [], error };
+    }
+}
+
+// Create global instance
+const refundService = new RefundService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RefundService;
+}
@@ -0,0 +1,192 @@
+/**
+ * Scan Service
+ * Reads order QR tags with the device camera (html5-qrcode, global `Html5Qrcode`) or a
+ * USB scanner acting as a keyboard, and hands the scanned order ID to the tab that opened it
+ */
+
+const SCANNER_CAMERA_ELEMENT_ID = 'order-scanner-camera';
+
+class ScanService {
+    constructor() {
+        this.overlay = null;
+        this.camera = null;
+        this.onScan = null;
+        this.handling = false;
+    }
+
+    /**
+     * Open the scanner dialog
+     * @param {Object} options - { title, hint, onScan(orderId) }
+     */
+    open({ title = 'Scan order', hint = '', onScan }) {
+        this.close();
+        this.onScan = onScan;
+        this.handling = false;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'scanner-overlay';
+        this.overlay.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.6); z-index: 20001; display: flex; align-items: center; justify-content: center;';
+        this.overlay.innerHTML = `
+            <div role="dialog" aria-modal="true" style="background: white; border-radius: 12px; padding: 20px; max-width: 420px; width: 92%; box-shadow: 0 10px 40px rgba(0,0,0,0.2);">
+                <h2 style="margin: 0 0 6px 0; color: #1B4D3E; font-size: 20px;"></h2>
+                <p class="scanner-hint" style="margin: 0 0 12px 0; color: #4a5568; font-size: 13px;"></p>
+                <div id="${SCANNER_CAMERA_ELEMENT_ID}" style="width: 100%; min-height: 60px; border-radius: 8px; overflow: hidden; background: #f7fafc;"></div>
+                <div class="scanner-status" style="margin-top: 8px; font-size: 12px; color: #718096;">Starting camera...</div>
+                <label style="display: block; margin-top: 12px; font-size: 12px; color: #718096;">Or scan with a USB scanner / enter the order code</label>
+                <input type="text" class="scanner-input" autocomplete="off" placeholder="Order link or ID" style="width: 100%; box-sizing: border-box; margin-top: 4px; padding: 10px; border: 1px solid rgba(65, 70, 63, 0.3); border-radius: 6px; font-size: 14px;">
+                <div style="display: flex; justify-content: flex-end; margin-top: 16px;">
+                    <button type="button" class="scanner-cancel" style="padding: 10px 20px; background: #E2E8F0; color: #2d3748; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer;">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        this.overlay.querySelector('h2').textContent = title;
+        this.overlay.querySelector('.scanner-hint').textContent = hint;
+
+        // USB scanners type the code followed by Enter
+        const input = this.overlay.querySelector('.scanner-input');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleScan(input.value);
+                input.value = '';
+            }
+        });
+
+        this.overlay.querySelector('.scanner-cancel').addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        this.handleKeyDown = (e) => {
+            if (e.key === 'Escape') this.close();
+        };
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        document.body.appendChild(this.overlay);
+        input.focus();
+        this.startCamera();
+    }
+
+    /**
+     * Show a status line under the camera view
+     * @param {string} message - Status text
+     * @param {boolean} isError - Whether to show it as an error
+     */
+    setStatus(message, isError = false) {
+        const status = this.overlay ? this.overlay.querySelector('.scanner-status') : null;
+        if (status) {
+            status.textContent = message;
+            status.style.color = isError ? '#E53E3E' : '#718096';
+        }
+    }
+
+    /**
+     * Start the camera scanner (the USB / manual input keeps working if this fails)
+     */
+    async startCamera() {
+        if (typeof Html5Qrcode === 'undefined' || !navigator.mediaDevices) {
+            this.setStatus('Camera scanning is not available on this device. Use a USB scanner or enter the code.');
+            return;
+        }
+
+        try {
+            this.camera = new Html5Qrcode(SCANNER_CAMERA_ELEMENT_ID);
+            await this.camera.start(
+                { facingMode: 'environment' },
+                { fps: 10, qrbox: 220 },
+                (decodedText) => this.handleScan(decodedText),
+                () => {} // Frames without a code are expected
+            );
+            this.setStatus('Point the camera at the order QR code');
+        } catch (error) {
+            console.error('Error starting camera scanner:', error);
+            this.camera = null;
+            this.setStatus('Could not start the camera. Use a USB scanner or enter the code.', true);
+        }
+    }
+
+    /**
+     * Handle a scanned or typed code
+     * @param {string} text - Scanned text (order link or bare ID)
+     */
+    async handleScan(text) {
+        if (this.handling) return;
+
+        const orderId = orderLinkService.parseOrderId(text);
+        if (!orderId) {
+            this.setStatus('That is not an order QR code. Try again.', true);
+            return;
+        }
+
+        this.handling = true;
+        const onScan = this.onScan;
+        await this.close();
+        if (onScan) {
+            await onScan(orderId);
+        }
+    }
+
+    /**
+     * Stop the camera and close the scanner dialog
+     */
+    async close() {
+        if (this.camera) {
+            const camera = this.camera;
+            this.camera = null;
+            try {
+                await camera.stop();
+                camera.clear();
+            } catch (error) {
+                console.warn('⚠️ Error stopping camera scanner:', error);
+            }
+        }
+
+        if (this.handleKeyDown) {
+            document.removeEventListener('keydown', this.handleKeyDown);
+            this.handleKeyDown = null;
+        }
+
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    /**
+     * Build the order summary shown in the confirmation after a scan
+     * @param {Object} order - Normalized order
+     * @returns {string} Multi-line summary
+     */
+    summarizeOrder(order) {
+        const items = order.items || [];
+        const lines = [
+            `${order.customerName}${order.phone ? ` · ${order.phone}` : ''}`,
+            ...items.map((item, index) => `${index + 1}. ${item.productName}${item.color ? ` (${item.color})` : ''}`)
+        ];
+        if (order.promisedDate) {
+            lines.push(`Promised by ${order.promisedDate}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Expand and scroll to a scanned order's bubble in a tab's list
+     * @param {HTMLElement} container - Orders container
+     * @param {string|number} orderId - Order ID
+     */
+    revealOrder(container, orderId) {
+        const bubble = container ? container.querySelector(`.order-bubble[data-order-id="${CSS.escape(String(orderId))}"]`) : null;
+        if (bubble) {
+            bubble.classList.add('expanded');
+            bubble.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+}
+
+// Create global instance
+const scanService = new ScanService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanService;
+}
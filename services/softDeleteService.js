@@ -0,0 +1,113 @@
+/**
+ * Soft Delete Service
+ * The Trash's entity types and the `deleted_at` / `deleted_by` / `deleted_by_name` soft delete
+ * shared by products, costs, kanban tasks and returns (orders keep their own delete and restore,
+ * which also track the status the order was in)
+ *
+ * Soft-deleted rows stay in their table, hidden from every list, until they are restored from the
+ * Trash or purged after the retention (see TrashRetentionService).
+ */
+
+const TRASH_ENTITY_TYPES = {
+    order: { table: 'orders', label: 'Orders', singular: 'order' },
+    product: { table: 'products', label: 'Products', singular: 'product' },
+    cost: { table: 'costs', label: 'Costs', singular: 'cost' },
+    kanban_task: { table: 'kanban_tasks', label: 'Kanban tasks', singular: 'kanban task' },
+    return: { table: 'returns', label: 'Returns', singular: 'return' }
+};
+
+class SoftDeleteService {
+    /**
+     * Get an entity type's Trash settings
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     * @returns {Object} { table, label, singular }
+     */
+    getEntityType(entityType) {
+        const type = TRASH_ENTITY_TYPES[entityType];
+        if (!type) {
+            throw new Error(`Unknown Trash entity type: ${entityType}`);
+        }
+        return type;
+    }
+
+    /**
+     * List the entity types that can be in the Trash
+     * @returns {Array<string>} Keys of TRASH_ENTITY_TYPES
+     */
+    getEntityTypes() {
+        return Object.keys(TRASH_ENTITY_TYPES);
+    }
+
+    /**
+     * Build the soft-delete columns for the signed-in user
+     * @returns {Object} { deleted_at, deleted_by, deleted_by_name }
+     */
+    getDeletionFields() {
+        const currentUser = typeof authService !== 'undefined' ? authService.getCurrentUser() : null;
+        return {
+            deleted_at: new Date().toISOString(),
+            deleted_by: currentUser ? currentUser.id : null,
+            deleted_by_name: currentUser ? (currentUser.name || currentUser.email || 'Unknown') : 'Unknown'
+        };
+    }
+
+    /**
+     * Move a row to the Trash
+     * @param {Object} supabase - Supabase client
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     * @param {string|number} id - Row ID
+     * @returns {Promise<Object>} { error }
+     */
+    async softDelete(supabase, entityType, id) {
+        const { table } = this.getEntityType(entityType);
+        const { error } = await supabase
+            .from(table)
+            .update(this.getDeletionFields())
+            .eq('id', id)
+            .is('deleted_at', null);
+
+        return { error };
+    }
+
+    /**
+     * Bring a row back from the Trash
+     * @param {Object} supabase - Supabase client
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     * @param {string|number} id - Row ID
+     * @returns {Promise<Object>} { error }
+     */
+    async restore(supabase, entityType, id) {
+        const { table } = this.getEntityType(entityType);
+        const { error } = await supabase
+            .from(table)
+            .update({ deleted_at: null, deleted_by: null, deleted_by_name: null })
+            .eq('id', id);
+
+        return { error };
+    }
+
+    /**
+     * Load the rows of one type that are in the Trash, most recently deleted first
+     * @param {Object} supabase - Supabase client
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     * @returns {Promise<Object>} { rows, error }
+     */
+    async loadDeleted(supabase, entityType) {
+        const { table } = this.getEntityType(entityType);
+        const { data, error } = await supabase
+            .from(table)
+            .select('*')
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
+
+        return { rows: data || [], error };
+    }
+}
+
+// Create global instance
+const softDeleteService = new SoftDeleteService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoftDeleteService;
+}
@@ -0,0 +1,224 @@
+/**
+ * Trash Retention Service
+ * How long soft-deleted items stay in the Trash before the purge-trash function removes them
+ * for good: the admin-configured retention (`app_settings` row `trash_retention_days`), the
+ * "days until purge" badge, admin-only permanent delete, and the `trash_purge_log` audit record
+ * written for every purged item
+ */
+
+const APP_SETTINGS_TABLE = 'app_settings';
+const TRASH_RETENTION_KEY = 'trash_retention_days';
+const TRASH_PURGE_LOG_TABLE = 'trash_purge_log';
+
+// Used until an admin sets a retention (also used by the purge-trash function)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashRetentionService {
+    /**
+     * Turn a stored or entered retention into whole days, falling back to the default
+     * @param {*} value - Retention in days
+     * @returns {number} Retention days
+     */
+    normalizeRetentionDays(value) {
+        const days = parseInt(value, 10);
+        return days >= 1 && days <= MAX_TRASH_RETENTION_DAYS ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * When a deleted item is due to be purged
+     * @param {string} deletedAt - ISO timestamp it was deleted
+     * @param {number} retentionDays - Retention in days
+     * @returns {Date|null} Purge date
+     */
+    getPurgeDate(deletedAt, retentionDays) {
+        if (!deletedAt) return null;
+        const deleted = new Date(deletedAt);
+        return isNaN(deleted.getTime()) ? null : new Date(deleted.getTime() + retentionDays * DAY_MS);
+    }
+
+    /**
+     * Whole days left before a deleted item is purged (0 when due)
+     * @param {string} deletedAt - ISO timestamp it was deleted
+     * @param {number} retentionDays - Retention in days
+     * @param {Date} [now] - Current time
+     * @returns {number|null} Days left
+     */
+    getDaysUntilPurge(deletedAt, retentionDays, now = new Date()) {
+        const purgeDate = this.getPurgeDate(deletedAt, retentionDays);
+        if (!purgeDate) return null;
+        return Math.max(0, Math.ceil((purgeDate.getTime() - now.getTime()) / DAY_MS));
+    }
+
+    /**
+     * Build the audit record for a purged row
+     * @param {Object} row - The deleted row as it was before the purge
+     * @param {Object} details - { entityType, reason: 'retention' | 'manual', purgedBy, retentionDays, purgedAt }
+     * @returns {Object} trash_purge_log row
+     */
+    buildPurgeLogEntry(row, { entityType = 'order', reason, purgedBy, retentionDays = null, purgedAt = new Date().toISOString() }) {
+        return {
+            entity_type: entityType,
+            entity_id: String(row.id),
+            label: row.order_number || row.name || row.title || row.client_name || null,
+            reason,
+            deleted_at: row.deleted_at || null,
+            deleted_by: row.deleted_by_name || row.deleted_by || null,
+            purged_by: purgedBy,
+            purged_at: purgedAt,
+            retention_days: retentionDays,
+            snapshot: row
+        };
+    }
+
+    /**
+     * Load the configured retention
+     * @param {Object} supabase - Supabase client
+     * @returns {Promise<number>} Retention days
+     */
+    async loadRetentionDays(supabase) {
+        const { data, error } = await supabase
+            .from(APP_SETTINGS_TABLE)
+            .select('value')
+            .eq('key', TRASH_RETENTION_KEY)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Error loading Trash retention:', error);
+        }
+        return this.normalizeRetentionDays(data ? data.value : null);
+    }
+
+    /**
+     * Save the retention (admins only)
+     * @param {Object} supabase - Supabase client
+     * @param {number} days - Retention in days
+     * @returns {Promise<Object>} { days, error }
+     */
+    async saveRetentionDays(supabase, days) {
+        if (!this.canManageTrash()) {
+            return { days: null, error: new Error('Only admins can change the Trash retention') };
+        }
+
+        const value = parseInt(days, 10);
+        if (!(value >= 1 && value <= MAX_TRASH_RETENTION_DAYS)) {
+            return { days: null, error: new Error(`Enter between 1 and ${MAX_TRASH_RETENTION_DAYS} days`) };
+        }
+
+        const currentUser = authService.getCurrentUser();
+        const { error } = await supabase
+            .from(APP_SETTINGS_TABLE)
+            .upsert({
+                key: TRASH_RETENTION_KEY,
+                value,
+                updated_by: currentUser.name || currentUser.email || 'Unknown',
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'key' });
+
+        return { days: error ? null : value, error };
+    }
+
+    /**
+     * Check whether the signed-in user may change retention and delete permanently
+     * @returns {boolean}
+     */
+    canManageTrash() {
+        return typeof authService !== 'undefined' && authService.isAdmin();
+    }
+
+    /**
+     * Permanently delete a soft-deleted item now (admins only) and record the purge
+     * @param {Object} supabase - Supabase client
+     * @param {string} entityType - Key of TRASH_ENTITY_TYPES
+     * @param {string|number} id - Row ID
+     * @returns {Promise<Object>} { error }
+     */
+    async permanentlyDelete(supabase, entityType, id) {
+        if (!this.canManageTrash()) {
+            return { error: new Error('Only admins can delete permanently') };
+        }
+
+        // Only items already in the Trash can be purged
+        const { table } = softDeleteService.getEntityType(entityType);
+        const { data: row, error: fetchError } = await supabase
+            .from(table)
+            .select('*')
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .maybeSingle();
+
+        if (fetchError) return { error: fetchError };
+        if (!row) {
+            return { error: new Error('It is no longer in the Trash') };
+        }
+
+        // Record the purge first so a row is never deleted without its record
+        const currentUser = authService.getCurrentUser();
+        const purgedAt = new Date().toISOString();
+        const { error: logError } = await supabase
+            .from(TRASH_PURGE_LOG_TABLE)
+            .insert(this.buildPurgeLogEntry(row, {
+                entityType,
+                reason: 'manual',
+                purgedBy: currentUser.name || currentUser.email || 'Unknown',
+                purgedAt
+            }));
+
+        if (logError) {
+            console.error('Error recording purge:', logError);
+            return { error: logError };
+        }
+
+        const { data: deleted, error } = await supabase
+            .from(table)
+            .delete()
+            .eq('id', id)
+            .not('deleted_at', 'is', null)
+            .select('id');
+
+        if (error || !deleted || deleted.length === 0) {
+            // Nothing was purged (or it was restored meanwhile), so the record is withdrawn
+            const { error: unlogError } = await supabase
+                .from(TRASH_PURGE_LOG_TABLE)
+                .delete()
+                .eq('entity_type', entityType)
+                .eq('entity_id', String(id))
+                .eq('purged_at', purgedAt);
+            if (unlogError) {
+                console.error('Error withdrawing purge record:', unlogError);
+            }
+            return { error: error || new Error('It is no longer in the Trash') };
+        }
+        return { error: null };
+    }
+
+    /**
+     * Render the "days until purge" badge for a deleted item
+     * @param {string} deletedAt - ISO timestamp it was deleted
+     * @param {number} retentionDays - Retention in days
+     * @returns {string} HTML string
+     */
+    renderPurgeBadge(deletedAt, retentionDays) {
+        const days = this.getDaysUntilPurge(deletedAt, retentionDays);
+        if (days === null) return '';
+
+        const purgeDate = this.getPurgeDate(deletedAt, retentionDays);
+        const color = days <= 3 ? '#E53E3E' : (days <= 7 ? '#DD6B20' : '#718096');
+        const text = days === 0 ? 'Purged at next cleanup' : `Purged in ${days} day${days !== 1 ? 's' : ''}`;
+        return `
+            <span class="purge-badge" title="Permanently deleted on ${purgeDate.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}" style="display: inline-block; margin-top: 6px; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; color: white; background: ${color};">
+                ${text}
+            </span>
+        `;
+    }
+}
+
+// Create global instance
+const trashRetentionService = new TrashRetentionService();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrashRetentionService;
+}
@@ -0,0 +1,179 @@
+/**
+ * Order Model Service tests
+ * Comment samples are the exact strings the order forms, the order functions and the Sales /
+ * Production edit dialogs write into `orders.comments`. Run with `npm test` (node:test, no
+ * dependencies).
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OrderModelService = require('../services/orderModelService');
+const orderModelService = new OrderModelService();
+
+// Written by netlify/lib/orderCreation.js buildOrderRow and the in-house order forms
+const INHOUSE_COMMENT = 'Please make the sleeves longer\nMeasurements: Height=165, Bust=36, High Waist=30, Hips=40';
+const INHOUSE_COMMENT_MISSING_HEIGHT = 'Measurements: Height=N/A, Bust=38, High Waist=32, Hips=43';
+
+// Written by netlify/lib/orderCreation.js buildOrderRow for standard sizes, and the Sales and
+// Production edit dialogs
+const STANDARD_COMMENT = 'Gift wrap please\nMeasurements: Size=SS 6, Bust=32, Waist=25, Hips=36';
+const STANDARD_COMMENT_ONLY = 'Measurements: Size=M 12, Bust=38, Waist=32, Hips=43';
+
+describe('parseLegacyMeasurements', () => {
+    test('parses the in-house format and maps Height and High Waist onto size and waist', () => {
+        const parsed = orderModelService.parseLegacyMeasurements(INHOUSE_COMMENT);
+
+        assert.deepEqual(parsed.measurements, { size: '165', bust: '36', waist: '30', hips: '40' });
+        assert.equal(parsed.format, 'inhouse');
+        assert.equal(parsed.version, 1);
+        assert.equal(parsed.comments, 'Please make the sleeves longer');
+    });
+
+    test('keeps N/A for fields the customer left empty', () => {
+        const parsed = orderModelService.parseLegacyMeasurements(INHOUSE_COMMENT_MISSING_HEIGHT);
+
+        assert.deepEqual(parsed.measurements, { size: 'N/A', bust: '38', waist: '32', hips: '43' });
+        assert.equal(parsed.comments, '');
+    });
+
+    test('parses the standard size format', () => {
+        const parsed = orderModelService.parseLegacyMeasurements(STANDARD_COMMENT);
+
+        assert.deepEqual(parsed.measurements, { size: 'SS 6', bust: '32', waist: '25', hips: '36' });
+        assert.equal(parsed.format, 'standard');
+        assert.equal(parsed.comments, 'Gift wrap please');
+    });
+
+    test('leaves no comments when the measurements were the whole comment', () => {
+        const parsed = orderModelService.parseLegacyMeasurements(STANDARD_COMMENT_ONLY);
+
+        assert.deepEqual(parsed.measurements, { size: 'M 12', bust: '38', waist: '32', hips: '43' });
+        assert.equal(parsed.comments, '');
+    });
+
+    test('keeps comment lines written after the measurements', () => {
+        const parsed = orderModelService.parseLegacyMeasurements(`${STANDARD_COMMENT_ONLY}\nDeliver after 5pm`);
+
+        assert.equal(parsed.measurements.hips, '43');
+        assert.equal(parsed.comments, 'Deliver after 5pm');
+    });
+
+    test('returns null for comments without measurements', () => {
+        assert.equal(orderModelService.parseLegacyMeasurements('Call before delivery'), null);
+        assert.equal(orderModelService.parseLegacyMeasurements(''), null);
+        assert.equal(orderModelService.parseLegacyMeasurements(null), null);
+    });
+
+    test('returns null when the measurements line is incomplete', () => {
+        assert.equal(orderModelService.parseLegacyMeasurements('Measurements: Bust=38, Hips=43'), null);
+    });
+});
+
+describe('parseMeasurementsColumn', () => {
+    test('fills the canonical shape from a JSON string', () => {
+        assert.deepEqual(
+            orderModelService.parseMeasurementsColumn('{"bust":"38","length":"52"}'),
+            { size: '', bust: '38', waist: '', hips: '', length: '52' }
+        );
+    });
+
+    test('falls back to empty measurements for invalid JSON', () => {
+        assert.deepEqual(orderModelService.parseMeasurementsColumn('{bust'), orderModelService.emptyMeasurements());
+        assert.deepEqual(orderModelService.parseMeasurementsColumn(null), orderModelService.emptyMeasurements());
+    });
+});
+
+describe('extractCustomer', () => {
+    test('reads the customers join as an object or an array', () => {
+        const customer = { id: 'c1', name: 'Amina', phone: '0712345678' };
+
+        assert.deepEqual(orderModelService.extractCustomer({ customer_id: 'c1', customers: customer }), { name: 'Amina', phone: '0712345678' });
+        assert.deepEqual(orderModelService.extractCustomer({ customer_id: 'c1', customers: [customer] }), { name: 'Amina', phone: '0712345678' });
+    });
+
+    test('uses the denormalized columns only for orders without a customer', () => {
+        assert.deepEqual(
+            orderModelService.extractCustomer({ customer_name: 'Walk-in', phone: '0700000000' }),
+            { name: 'Walk-in', phone: '0700000000' }
+        );
+    });
+});
+
+describe('normalizeOrder', () => {
+    test('moves legacy measurements out of the comments', () => {
+        const order = orderModelService.normalizeOrder({
+            id: 'o1',
+            status: 'pending',
+            comments: INHOUSE_COMMENT,
+            items: [{ product_id: 'p1', product_name: 'Abaya', price: 4500 }],
+            created_at: '2026-03-02T09:30:00Z'
+        });
+
+        assert.equal(order.comments, 'Please make the sleeves longer');
+        assert.equal(order.measurements.bust, '36');
+        assert.equal(order.measurements.length, '');
+        assert.equal(order.measurementsFormat, 'inhouse');
+        assert.equal(order.measurementsParserVersion, 1);
+        assert.equal(order.productName, 'Abaya');
+        assert.equal(order.itemsTotal, 4500);
+        assert.equal(order.date, '2026-03-02');
+    });
+
+    test('leaves comments without measurements as they are', () => {
+        const order = orderModelService.normalizeOrder({ id: 'o2', comments: 'Call before delivery' });
+
+        assert.equal(order.comments, 'Call before delivery');
+        assert.equal(order.measurementsFormat, null);
+        assert.deepEqual(order.measurements, orderModelService.emptyMeasurements());
+    });
+
+    test('builds one item from the single-product columns of old orders', () => {
+        const order = orderModelService.normalizeOrder({
+            id: 'o3',
+            product_id: 'p9',
+            products: { name: 'Jilbab', image_url: 'https://example.com/jilbab.jpg' },
+            color: 'Navy',
+            price: 3000,
+            comments: STANDARD_COMMENT_ONLY
+        });
+
+        assert.equal(order.items.length, 1);
+        assert.equal(order.items[0].productId, 'p9');
+        assert.equal(order.items[0].productName, 'Jilbab');
+        assert.equal(order.items[0].productImage, 'https://example.com/jilbab.jpg');
+        assert.equal(order.items[0].measurements.size, 'M 12');
+    });
+});
+
+describe('serializeItems', () => {
+    test('round-trips stored items, keeping product_id and keys the model does not map', () => {
+        const stored = {
+            product_id: 'p1',
+            product_name: 'Abaya',
+            product_image: 'https://example.com/abaya.jpg',
+            color: 'Black',
+            price: 4500,
+            measurements: { bust: '36' },
+            production: { cutting: true },
+            shipped_at: null,
+            delivered_at: null,
+            assigned_to: 'u1',
+            assigned_to_name: 'Fatuma',
+            gift_note: 'Happy Eid'
+        };
+
+        const [serialized] = orderModelService.serializeItems(orderModelService.normalizeItems({ items: [stored] }, {}));
+
+        assert.deepEqual(serialized, stored);
+    });
+
+    test('writes changed fields over the stored entry', () => {
+        const [item] = orderModelService.normalizeItems({ items: [{ product_id: 'p1', product_name: 'Abaya', color: 'Black' }] }, {});
+        const [serialized] = orderModelService.serializeItems([{ ...item, color: 'Navy', shippedAt: '2026-03-05T10:00:00Z' }]);
+
+        assert.equal(serialized.product_id, 'p1');
+        assert.equal(serialized.color, 'Navy');
+        assert.equal(serialized.shipped_at, '2026-03-05T10:00:00Z');
+    });
+});